@@ -8,8 +8,8 @@ if (process.argv.length != 5) {
     
     const buffer = readFileSync(process.argv[2]);
     wc(buffer).then(async witnessCalculator => {
-	    const w= await witnessCalculator.calculateWitness(input,0);
 		/*
+	    const w= await witnessCalculator.calculateWitness(input,0);
 	    for (let i=0; i< w.length; i++){
 		console.log(w[i]);
 	    }*/
@@ -0,0 +1,46 @@
+pragma circom 2.1.0;
+
+include "vote.circom";
+
+// A delegate's vote: everything Vote proves, plus that the voter owns
+// delegateCommitment = Poseidon(nullifier, secret, 1). The contract then
+// adds the delegations made to that commitment on top of the vote. The
+// trailing 1 keeps delegate commitments apart from registry commitments,
+// so a delegate can't be looked up in the registry.
+template DelegatedVote(levels) {
+    // Public inputs
+    signal input root;
+    signal input nullifierHash;
+    signal input proposalId;
+    signal input voteValue;
+    signal input optionCount;
+    signal input delegateCommitment;
+
+    // Private inputs
+    signal input nullifier;
+    signal input secret;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+
+    component vote = Vote(levels);
+    vote.root <== root;
+    vote.nullifierHash <== nullifierHash;
+    vote.proposalId <== proposalId;
+    vote.voteValue <== voteValue;
+    vote.optionCount <== optionCount;
+    vote.nullifier <== nullifier;
+    vote.secret <== secret;
+    for (var i = 0; i < levels; i++) {
+        vote.pathElements[i] <== pathElements[i];
+        vote.pathIndices[i] <== pathIndices[i];
+    }
+
+    component delegateHasher = Poseidon(3);
+    delegateHasher.inputs[0] <== nullifier;
+    delegateHasher.inputs[1] <== secret;
+    delegateHasher.inputs[2] <== 1;
+    delegateHasher.out === delegateCommitment;
+}
+
+// No main here either - compile.js generates build/delegated_<depth>/vote.circom as
+//   component main {public [root, nullifierHash, proposalId, voteValue, optionCount, delegateCommitment]} = DelegatedVote(depth);
@@ -0,0 +1,59 @@
+pragma circom 2.1.0;
+
+include "vote.circom";
+
+// Delegation: a member hands their vote on a proposal to a delegate. The
+// proof shows membership like Vote and spends the same nullifierHash a vote
+// on the proposal would, so the member can't also vote directly. What the
+// delegate gets is only a count - the contract never learns who delegated.
+template Delegation(levels) {
+    // Public inputs
+    signal input root;
+    signal input nullifierHash;
+    signal input proposalId;
+    signal input delegateCommitment; // Poseidon(nullifier, secret, 1) of the delegate
+    signal input revocationHash;     // lets the delegator take it back with `undelegate`
+
+    // Private inputs
+    signal input nullifier;
+    signal input secret;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+
+    component nullifierCheck = IsZero();
+    nullifierCheck.in <== nullifier;
+    nullifierCheck.out === 0;
+
+    component secretCheck = IsZero();
+    secretCheck.in <== secret;
+    secretCheck.out === 0;
+
+    component proposalIdCheck = IsZero();
+    proposalIdCheck.in <== proposalId;
+    proposalIdCheck.out === 0;
+
+    component hasher = CommitmentHasher();
+    hasher.nullifier <== nullifier;
+    hasher.secret <== secret;
+    hasher.proposalId <== proposalId;
+
+    hasher.nullifierHash === nullifierHash;
+
+    component tree = MerkleTreeChecker(levels);
+    tree.leaf <== hasher.commitment;
+    tree.root <== root;
+    for (var i = 0; i < levels; i++) {
+        tree.pathElements[i] <== pathElements[i];
+        tree.pathIndices[i] <== pathIndices[i];
+    }
+
+    // nothing to check about these, they only have to be bound to the proof
+    // so nobody can replay it towards another delegate
+    signal delegateSquare;
+    delegateSquare <== delegateCommitment * delegateCommitment;
+    signal revocationSquare;
+    revocationSquare <== revocationHash * revocationHash;
+}
+
+// No main here either - compile.js generates build/delegation_<depth>/vote.circom as
+//   component main {public [root, nullifierHash, proposalId, delegateCommitment, revocationHash]} = Delegation(depth);
@@ -0,0 +1,116 @@
+pragma circom 2.1.0;
+
+include "vote.circom";
+include "../node_modules/circomlib/circuits/babyjub.circom";
+include "../node_modules/circomlib/circuits/escalarmulany.circom";
+
+// Encrypted ballots: instead of a public voteValue the proof carries one
+// exponential ElGamal ciphertext per option under the committee's Baby
+// Jubjub key,
+//   c1[i] = r[i] * B8,  c2[i] = m[i] * B8 + r[i] * publicKey
+// with m[i] = 1 for the chosen option and 0 for every other. Ciphertexts add
+// up point-wise, so the contract can sum them and the committee only ever
+// decrypts the totals.
+template EncryptedVote(levels, maxOptions) {
+    // Public inputs
+    signal input root;
+    signal input nullifierHash;
+    signal input proposalId;
+    signal input optionCount;
+    signal input publicKey[2];
+    signal input c1[maxOptions][2];
+    signal input c2[maxOptions][2];
+
+    // Private inputs
+    signal input voteValue;
+    signal input randomness[maxOptions];
+    signal input nullifier;
+    signal input secret;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+
+    var BASE8[2] = [
+        5299619240641551281634865583518297030282874472190772894086521144482721001553,
+        16950150798460657717958625567821834550301663161624707787222815936182638968203
+    ];
+
+    // the contract supplies optionCount, never more than maxOptions
+    component optionCountBits = Num2Bits(9);
+    optionCountBits.in <== optionCount;
+    component optionCountCheck = LessEqThan(9);
+    optionCountCheck.in[0] <== optionCount;
+    optionCountCheck.in[1] <== maxOptions;
+    optionCountCheck.out === 1;
+
+    component optionCheck = OptionChecker();
+    optionCheck.voteValue <== voteValue;
+    optionCheck.optionCount <== optionCount;
+
+    component isChoice[maxOptions];
+    component randomBits[maxOptions];
+    component ephemeral[maxOptions];
+    component shared[maxOptions];
+    component message[maxOptions];
+    for (var i = 0; i < maxOptions; i++) {
+        // m[i] - exactly one option gets a 1 since voteValue is one of them
+        isChoice[i] = IsEqual();
+        isChoice[i].in[0] <== voteValue;
+        isChoice[i].in[1] <== i;
+
+        randomBits[i] = Num2Bits(253);
+        randomBits[i].in <== randomness[i];
+
+        ephemeral[i] = EscalarMulFix(253, BASE8);
+        shared[i] = EscalarMulAny(253);
+        for (var j = 0; j < 253; j++) {
+            ephemeral[i].e[j] <== randomBits[i].out[j];
+            shared[i].e[j] <== randomBits[i].out[j];
+        }
+        shared[i].p[0] <== publicKey[0];
+        shared[i].p[1] <== publicKey[1];
+
+        c1[i][0] === ephemeral[i].out[0];
+        c1[i][1] === ephemeral[i].out[1];
+
+        // m[i] * B8 is B8 or the identity (0, 1)
+        message[i] = BabyAdd();
+        message[i].x1 <== isChoice[i].out * BASE8[0];
+        message[i].y1 <== isChoice[i].out * (BASE8[1] - 1) + 1;
+        message[i].x2 <== shared[i].out[0];
+        message[i].y2 <== shared[i].out[1];
+
+        c2[i][0] === message[i].xout;
+        c2[i][1] === message[i].yout;
+    }
+
+    component nullifierCheck = IsZero();
+    nullifierCheck.in <== nullifier;
+    nullifierCheck.out === 0;
+
+    component secretCheck = IsZero();
+    secretCheck.in <== secret;
+    secretCheck.out === 0;
+
+    component proposalIdCheck = IsZero();
+    proposalIdCheck.in <== proposalId;
+    proposalIdCheck.out === 0;
+
+    component hasher = CommitmentHasher();
+    hasher.nullifier <== nullifier;
+    hasher.secret <== secret;
+    hasher.proposalId <== proposalId;
+
+    hasher.nullifierHash === nullifierHash;
+
+    // same plain registry as Vote
+    component tree = MerkleTreeChecker(levels);
+    tree.leaf <== hasher.commitment;
+    tree.root <== root;
+    for (var i = 0; i < levels; i++) {
+        tree.pathElements[i] <== pathElements[i];
+        tree.pathIndices[i] <== pathIndices[i];
+    }
+}
+
+// No main here either - compile.js generates build/encrypted_<depth>/vote.circom as
+//   component main {public [root, nullifierHash, proposalId, optionCount, publicKey, c1, c2]} = EncryptedVote(depth, 4);
@@ -0,0 +1,95 @@
+pragma circom 2.1.0;
+
+include "vote.circom";
+
+// Quadratic voting: the member spreads votes over up to maxOptions options
+// and casting v votes on an option costs v^2 credits. Every leaf commits to
+// the member's credit budget, leaf = Poseidon(commitment, credits), and the
+// proof shows the allocation costs no more than that. The allocation is
+// public so the contract can add it to the tally - the budget stays private.
+template QuadraticVote(levels, maxOptions) {
+    // Public inputs
+    signal input root;
+    signal input nullifierHash;
+    signal input proposalId;
+    signal input optionCount;
+    signal input allocation[maxOptions]; // votes per option, 0 past optionCount
+
+    // Private inputs
+    signal input nullifier;
+    signal input secret;
+    signal input credits;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+
+    // the contract supplies optionCount, never more than maxOptions
+    component optionCountBits = Num2Bits(9);
+    optionCountBits.in <== optionCount;
+    component optionCountCheck = LessEqThan(9);
+    optionCountCheck.in[0] <== optionCount;
+    optionCountCheck.in[1] <== maxOptions;
+    optionCountCheck.out === 1;
+
+    // 32 bits per option keeps the sum of squares below 2^67, and 64 bits of
+    // credits is plenty - both well inside the 68-bit comparison below
+    component voteBits[maxOptions];
+    component inBallot[maxOptions];
+    signal squares[maxOptions];
+    var spent = 0;
+    for (var i = 0; i < maxOptions; i++) {
+        voteBits[i] = Num2Bits(32);
+        voteBits[i].in <== allocation[i];
+
+        // no votes for options the proposal doesn't have
+        inBallot[i] = LessThan(9);
+        inBallot[i].in[0] <== i;
+        inBallot[i].in[1] <== optionCount;
+        allocation[i] * (1 - inBallot[i].out) === 0;
+
+        squares[i] <== allocation[i] * allocation[i];
+        spent += squares[i];
+    }
+
+    component creditBits = Num2Bits(64);
+    creditBits.in <== credits;
+
+    component budgetCheck = LessEqThan(68);
+    budgetCheck.in[0] <== spent;
+    budgetCheck.in[1] <== credits;
+    budgetCheck.out === 1;
+
+    component nullifierCheck = IsZero();
+    nullifierCheck.in <== nullifier;
+    nullifierCheck.out === 0;
+
+    component secretCheck = IsZero();
+    secretCheck.in <== secret;
+    secretCheck.out === 0;
+
+    component proposalIdCheck = IsZero();
+    proposalIdCheck.in <== proposalId;
+    proposalIdCheck.out === 0;
+
+    component hasher = CommitmentHasher();
+    hasher.nullifier <== nullifier;
+    hasher.secret <== secret;
+    hasher.proposalId <== proposalId;
+
+    hasher.nullifierHash === nullifierHash;
+
+    // the budget is bound into the leaf, so it can't be inflated
+    component leafHasher = Poseidon(2);
+    leafHasher.inputs[0] <== hasher.commitment;
+    leafHasher.inputs[1] <== credits;
+
+    component tree = MerkleTreeChecker(levels);
+    tree.leaf <== leafHasher.out;
+    tree.root <== root;
+    for (var i = 0; i < levels; i++) {
+        tree.pathElements[i] <== pathElements[i];
+        tree.pathIndices[i] <== pathIndices[i];
+    }
+}
+
+// No main here either - compile.js generates build/quadratic_<depth>/vote.circom as
+//   component main {public [root, nullifierHash, proposalId, optionCount, allocation]} = QuadraticVote(depth, 8);
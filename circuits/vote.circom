@@ -45,9 +45,26 @@ template MerkleTreeChecker(levels) {
 }
 
 
+// voteValue must pick one of the proposal's optionCount options. The
+// contract supplies optionCount (at most MAX_OPTIONS = 256, so 9 bits) and
+// voteValue is range-checked first so LessThan can't wrap around.
+template OptionChecker() {
+    signal input voteValue;
+    signal input optionCount;
+
+    component voteBits = Num2Bits(8);
+    voteBits.in <== voteValue;
+
+    component lessThan = LessThan(9);
+    lessThan.in[0] <== voteValue;
+    lessThan.in[1] <== optionCount;
+    lessThan.out === 1;
+}
+
 template CommitmentHasher() {
     signal input nullifier;
     signal input secret;
+    signal input proposalId;
     signal output commitment;
     signal output nullifierHash;
 
@@ -56,8 +73,11 @@ template CommitmentHasher() {
     commitmentHasher.inputs[1] <== secret;
     commitment <== commitmentHasher.out;
 
-    component nullifierHasher = Poseidon(1);
+    // bound to the proposal so a member's votes on different proposals
+    // don't share a nullifier hash (and can't be linked)
+    component nullifierHasher = Poseidon(2);
     nullifierHasher.inputs[0] <== nullifier;
+    nullifierHasher.inputs[1] <== proposalId;
     nullifierHash <== nullifierHasher.out;
 }
 
@@ -66,7 +86,8 @@ template Vote(levels) {
     signal input root;
     signal input nullifierHash;
     signal input proposalId;
-    signal input voteValue; // 0 = no, 1 = yes, 2 = abstain
+    signal input voteValue; // index into the proposal's options (0 = no, 1 = yes, 2 = abstain on yes/no ballots)
+    signal input optionCount;
     
     // Private inputs
     signal input nullifier;
@@ -74,12 +95,10 @@ template Vote(levels) {
     signal input pathElements[levels];
     signal input pathIndices[levels];
 
-    // check vote is 0,1,2 - had to break this up cuz circom complains
-    signal temp1;
-    signal temp2;
-    temp1 <== voteValue * (voteValue - 1);
-    temp2 <== temp1 * (voteValue - 2);
-    temp2 === 0;
+    // check vote is one of the options
+    component optionCheck = OptionChecker();
+    optionCheck.voteValue <== voteValue;
+    optionCheck.optionCount <== optionCount;
 
     // make sure nullifier isn't 0 (weak commitment)
     component nullifierCheck = IsZero();
@@ -100,19 +119,17 @@ template Vote(levels) {
     component hasher = CommitmentHasher();
     hasher.nullifier <== nullifier;
     hasher.secret <== secret;
+    hasher.proposalId <== proposalId;
 
     // Verify nullifier hash matches
     hasher.nullifierHash === nullifierHash;
 
-    // Create the leaf for the merkle tree
-    // The leaf includes the proposalId to ensure votes are proposal-specific
-    component leafHasher = Poseidon(2);
-    leafHasher.inputs[0] <== hasher.commitment;
-    leafHasher.inputs[1] <== proposalId;
-
     // Verify merkle proof
+    // The leaf is the bare commitment so one registry root covers every
+    // proposal - hashing proposalId into the leaf meant no deployable root
+    // could ever match. proposalId is still bound as a public input.
     component tree = MerkleTreeChecker(levels);
-    tree.leaf <== leafHasher.out;
+    tree.leaf <== hasher.commitment;
     tree.root <== root;
     for (var i = 0; i < levels; i++) {
         tree.pathElements[i] <== pathElements[i];
@@ -121,4 +138,6 @@ template Vote(levels) {
 
 }
 
-component main {public [root, nullifierHash, proposalId, voteValue]} = Vote(20);
\ No newline at end of file
+// No main component here - scripts/compile.js generates one per tree depth
+// (build/vote_<depth>/vote.circom) as
+//   component main {public [root, nullifierHash, proposalId, voteValue, optionCount]} = Vote(depth);
\ No newline at end of file
@@ -0,0 +1,66 @@
+pragma circom 2.1.0;
+
+include "vote.circom";
+
+// Same checks as Vote, but every leaf commits to the member's voting weight
+// as well: leaf = Poseidon(commitment, weight). The weight is public so the
+// contract can add it to the tally - only members the registry gave that
+// weight can prove it.
+template WeightedVote(levels) {
+    // Public inputs
+    signal input root;
+    signal input nullifierHash;
+    signal input proposalId;
+    signal input voteValue;
+    signal input optionCount;
+    signal input weight;
+
+    // Private inputs
+    signal input nullifier;
+    signal input secret;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+
+    component optionCheck = OptionChecker();
+    optionCheck.voteValue <== voteValue;
+    optionCheck.optionCount <== optionCount;
+
+    // 64 bits covers any token supply and keeps on-chain sums far from overflowing
+    component weightBits = Num2Bits(64);
+    weightBits.in <== weight;
+
+    component nullifierCheck = IsZero();
+    nullifierCheck.in <== nullifier;
+    nullifierCheck.out === 0;
+
+    component secretCheck = IsZero();
+    secretCheck.in <== secret;
+    secretCheck.out === 0;
+
+    component proposalIdCheck = IsZero();
+    proposalIdCheck.in <== proposalId;
+    proposalIdCheck.out === 0;
+
+    component hasher = CommitmentHasher();
+    hasher.nullifier <== nullifier;
+    hasher.secret <== secret;
+    hasher.proposalId <== proposalId;
+
+    hasher.nullifierHash === nullifierHash;
+
+    // the weight is bound into the leaf, so it can't be inflated
+    component leafHasher = Poseidon(2);
+    leafHasher.inputs[0] <== hasher.commitment;
+    leafHasher.inputs[1] <== weight;
+
+    component tree = MerkleTreeChecker(levels);
+    tree.leaf <== leafHasher.out;
+    tree.root <== root;
+    for (var i = 0; i < levels; i++) {
+        tree.pathElements[i] <== pathElements[i];
+        tree.pathIndices[i] <== pathIndices[i];
+    }
+}
+
+// No main here either - compile.js generates build/weighted_<depth>/vote.circom as
+//   component main {public [root, nullifierHash, proposalId, voteValue, optionCount, weight]} = WeightedVote(depth);
@@ -3,9 +3,121 @@
 const { Command } = require('commander');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const snarkjs = require('snarkjs');
-const circomlibjs = require('circomlibjs');
 const { ethers } = require('ethers');
+const {
+    buildHasher,
+    randomFieldElement,
+    computeCommitment,
+    computeBudgetLeaf,
+    computeDelegateCommitment,
+    computeNullifierHash,
+    loadRegistry,
+    saveRegistry,
+    addCommitment,
+    findLeafIndex,
+    isWeightedRegistry,
+    buildRegistryTree,
+    getSigner,
+    connectDAOVoting,
+    submitVote,
+    publishRoot,
+    parseDuration,
+    formatDuration,
+    chainTimestamp,
+    fetchProposal,
+    fetchProposalHistory,
+    createProposal,
+    executeProposal,
+    VOTE_LABELS,
+    isYesNoBallot,
+    checkBallotOptions,
+    voteValueOf,
+    tallyVotes,
+    localVoteEntries,
+    fetchVoteEvents,
+    reconcileVotes,
+    encryptIdentity,
+    decryptIdentity,
+    changePassphrase,
+    buildVoteInput,
+    buildDelegationInput,
+    checkVoteInput,
+    connectMemberRegistry,
+    registerMember,
+    syncMemberTree,
+    TRANSCRIPT_FILE,
+    loadTranscript,
+    contribute,
+    verifyCeremony,
+    PROVING_ARTIFACTS,
+    VERIFYING_ARTIFACTS,
+    loadManifest,
+    checkArtifacts,
+    CIRCUIT_KINDS,
+    circuitVariant,
+    builtDepths,
+    selectDepth,
+    parseCredits,
+    parseAllocation,
+    allocationCost,
+    tallyQuadraticVotes,
+    fetchQuadraticVoteEvents,
+    buildBabyJub,
+    generateCommitteeKey,
+    encryptBallot,
+    decryptShare,
+    combineDecryptions,
+    fetchCommitteeKey,
+    fetchEncryptedTally,
+    serializePoints,
+    parsePoints,
+    randomRevocationSecret,
+    computeRevocationHash,
+    fetchDelegationVerifier,
+    parseTimestamp,
+    proposalsClosingBetween,
+    submitDelegation,
+    submitUndelegation,
+    fetchDelegationEvents,
+    summarizeDelegations,
+    loadInterface,
+    parseValue,
+    parseActionArgs,
+    encodeAction,
+    checkActions,
+    loadActions,
+    saveActions,
+    fetchProposalActions,
+    fetchExecutionRules,
+    executionStatus,
+    formatBasisPoints,
+    describeAction,
+    toSolidityProof,
+    voteKind,
+    voteSubmission,
+    DEFAULT_RELAYER_PORT,
+    createRelayer,
+    startRelayerServer,
+    fetchRelayerInfo,
+    relayVote,
+    feePaymentData,
+    MAX_ATTEMPTS,
+    scheduleSubmission,
+    createOutboxEntry,
+    loadOutbox,
+    saveOutbox,
+    processOutbox,
+    applyOutboxResults,
+    createProofBundle,
+    checkProofBundle,
+    verifyProofBundle,
+    bundleSubmission,
+    bundleCalldata,
+    loadDeployment,
+    findDeployment
+} = require('..');
 
 const program = new Command();
 
@@ -13,93 +125,403 @@ const program = new Command();
 const CONFIG = {
     rpcUrl: process.env.RPC_URL || 'http://localhost:8545',
     contractAddress: process.env.DAO_VOTING_ADDRESS,
-    merkleTreeHeight: 20,
-    membersFile: path.join(__dirname, '../data/members.json'),
-    votesFile: path.join(__dirname, '../data/votes.json')
+    memberRegistryAddress: process.env.MEMBER_REGISTRY_ADDRESS,
+    network: process.env.DAO_VOTE_NETWORK,
+    privateKey: process.env.PRIVATE_KEY,
+    passphrase: process.env.DAO_VOTE_PASSPHRASE,
+    newPassphrase: process.env.DAO_VOTE_NEW_PASSPHRASE,
+    depth: process.env.DAO_VOTE_DEPTH ? parseInt(process.env.DAO_VOTE_DEPTH, 10) : undefined,
+    registryFile: path.join(__dirname, '../data/registry.json'),
+    identityFile: process.env.DAO_VOTE_IDENTITY || path.join(__dirname, '../data/identity.json'),
+    votesFile: path.join(__dirname, '../data/votes.json'),
+    delegationsFile: path.join(__dirname, '../data/delegations.json'),
+    actionsFile: path.join(__dirname, '../data/actions.json'),
+    relayerFeesFile: path.join(__dirname, '../data/relayer-fees.json'),
+    outboxFile: path.join(__dirname, '../data/outbox.json'),
+    committeeDir: path.join(__dirname, '../data/committee'),
+    rootDir: path.join(__dirname, '..'),
+    buildDir: path.join(__dirname, '../build')
 };
 
 // Helper functions
 async function loadMembers() {
-    if (!fs.existsSync(CONFIG.membersFile)) {
+    return loadRegistry(CONFIG.registryFile);
+}
+
+async function saveMembers(members) {
+    saveRegistry(CONFIG.registryFile, members);
+}
+
+// The voter's own encrypted identity - never shared with anyone
+async function loadIdentity(file) {
+    if (!fs.existsSync(file)) {
+        console.error(`❌ No identity found at ${file}. Create one with: dao-vote generate-member`);
+        process.exit(1);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function saveIdentity(file, keystore, { force = false } = {}) {
+    if (!force && fs.existsSync(file)) {
+        throw new Error(`${file} already exists (use --force to overwrite)`);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+}
+
+async function loadVotes() {
+    if (!fs.existsSync(CONFIG.votesFile)) {
         return [];
     }
-    return JSON.parse(fs.readFileSync(CONFIG.membersFile, 'utf8'));
+    return JSON.parse(fs.readFileSync(CONFIG.votesFile, 'utf8'));
 }
 
-async function saveMembers(members) {
-    const dir = path.dirname(CONFIG.membersFile);
+async function saveVotes(votes) {
+    const dir = path.dirname(CONFIG.votesFile);
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
-    fs.writeFileSync(CONFIG.membersFile, JSON.stringify(members, null, 2));
+    fs.writeFileSync(CONFIG.votesFile, JSON.stringify(votes, null, 2));
 }
 
-async function initPoseidon() {
-    const poseidonJs = await circomlibjs.buildPoseidon();
-    return poseidonJs;
+// Delegations hold the revocation secrets that take them back, so keep them private
+async function loadDelegations() {
+    if (!fs.existsSync(CONFIG.delegationsFile)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(CONFIG.delegationsFile, 'utf8'));
 }
 
-class MerkleTree {
-    constructor(levels, zero_value, leaves, hasher) {
-        this.levels = levels;
-        this.hasher = hasher;
-        this.zero_values = [zero_value];
-        this.leaves = leaves;
-        
-        for (let i = 1; i < levels; i++) {
-            this.zero_values[i] = hasher([this.zero_values[i-1], this.zero_values[i-1]]);
-        }
-        
-        this.layers = [leaves];
-        this.buildTree();
+async function saveDelegations(delegations) {
+    fs.mkdirSync(path.dirname(CONFIG.delegationsFile), { recursive: true });
+    fs.writeFileSync(CONFIG.delegationsFile, JSON.stringify(delegations, null, 2), { mode: 0o600 });
+}
+
+// Refuses to go on with build artifacts that don't belong together
+function assertBuildArtifacts(variant, artifacts, { circuitFile } = {}) {
+    const manifest = loadManifest(variant.manifest);
+    const problems = checkArtifacts(manifest, { root: CONFIG.rootDir, artifacts, circuitFile });
+    if (problems.length > 0) {
+        console.error(`❌ Build artifacts do not match ${path.relative(CONFIG.rootDir, variant.manifest)}:`);
+        problems.forEach(problem => console.error(`   - ${problem}`));
+        console.error('   Rebuild with: npm run compile');
+        process.exit(1);
     }
-    
-    buildTree() {
-        for (let level = 0; level < this.levels - 1; level++) {
-            const currentLevel = this.layers[level];
-            const nextLevel = [];
-            
-            for (let i = 0; i < currentLevel.length; i += 2) {
-                const left = currentLevel[i];
-                const right = i + 1 < currentLevel.length ? currentLevel[i + 1] : this.zero_values[level];
-                nextLevel.push(this.hasher([left, right]));
-            }
-            
-            this.layers.push(nextLevel);
+    return manifest;
+}
+
+// "alice=3, bob=1" - options without votes left out
+function formatAllocation(options, allocation) {
+    return options
+        .map((label, i) => [label, allocation[i] || 0])
+        .filter(([, votes]) => BigInt(votes) > 0n)
+        .map(([label, votes]) => `${label}=${votes}`)
+        .join(', ');
+}
+
+// deployments/<network>.json for --network, else $DAO_VOTE_NETWORK - null
+// when neither is set
+function selectedDeployment(options) {
+    const network = options.network || CONFIG.network;
+    if (!network) {
+        return null;
+    }
+    let deployment;
+    try {
+        deployment = loadDeployment(network);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    if (!deployment) {
+        console.error(`❌ No deployment for network "${network}". Deploy with: npx hardhat run scripts/deploy.js --network ${network}`);
+        process.exit(1);
+    }
+    return deployment;
+}
+
+// --contract/--registry win, then the --network deployment, then the
+// environment variable, then the $DAO_VOTE_NETWORK deployment
+function deployedAddress(options, { flag, envAddress, contract }) {
+    if (options[flag]) {
+        return options[flag];
+    }
+    if (!options.network && envAddress) {
+        return envAddress;
+    }
+    const deployment = selectedDeployment(options);
+    const deployed = deployment && deployment.contracts[contract];
+    return deployed ? deployed.address : undefined;
+}
+
+function resolveContractAddress(options) {
+    return deployedAddress(options, { flag: 'contract', envAddress: CONFIG.contractAddress, contract: 'DAOVoting' });
+}
+
+function resolveRegistryAddress(options) {
+    return deployedAddress(options, { flag: 'registry', envAddress: CONFIG.memberRegistryAddress, contract: 'MemberRegistry' });
+}
+
+// The circuit depth the deployment manifest records for the contract in use
+function deploymentDepth(options) {
+    const address = resolveContractAddress(options);
+    if (!address) {
+        return undefined;
+    }
+    const deployment = selectedDeployment(options) || findDeployment(address);
+    const deployed = deployment && deployment.contracts.DAOVoting;
+    if (!deployed || deployed.address.toLowerCase() !== address.toLowerCase()) {
+        return undefined;
+    }
+    return deployment.circuit.depth;
+}
+
+// Tree depth to prove or publish roots with: --depth/$DAO_VOTE_DEPTH, else the
+// on-chain registry's, else the deployment's, else the smallest built
+// variant of the circuit kind that holds every member
+function resolveDepth(options, memberCount, { registryLevels, kind } = {}) {
+    let depth;
+    try {
+        depth = options.depth || CONFIG.depth || registryLevels || deploymentDepth(options) ||
+            selectDepth(memberCount, { depths: builtDepths({ kind, buildDir: CONFIG.buildDir }) });
+        if (registryLevels && depth !== registryLevels) {
+            throw new Error(`The on-chain registry has depth ${registryLevels}, not ${depth}`);
         }
+        if (memberCount > 2 ** depth) {
+            throw new Error(`${memberCount} members do not fit a depth-${depth} tree`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    return depth;
+}
+
+// A verification key, checked against its build's manifest when there is one
+function loadVerificationKey(variant) {
+    if (!fs.existsSync(variant.vkey)) {
+        console.error(`❌ Verification key for ${variant.kind} at depth ${variant.depth} not found. Run: npm run compile`);
+        process.exit(1);
     }
+    // the checked-in key has no manifest until the first local compile
+    if (fs.existsSync(variant.manifest)) {
+        assertBuildArtifacts(variant, VERIFYING_ARTIFACTS);
+    } else {
+        console.log(`⚠️  No ${path.relative(CONFIG.rootDir, variant.manifest)}, using verification_key.json unchecked`);
+    }
+    return JSON.parse(fs.readFileSync(variant.vkey, 'utf8'));
+}
+
+// votes.json record -> proof bundle, plus the key to check it with. Votes
+// record the depth and root they were proved at, older ones fall back to
+// the current registry.
+async function recordBundle(vote, options) {
+    const kind = voteKind(voteSubmission(vote));
+    const members = vote.depth && vote.root ? null : await loadMembers();
+    const depth = vote.depth || resolveDepth(options, members.length, { kind });
+    const vKey = loadVerificationKey(circuitVariant(depth, { kind }));
     
-    getRoot() {
-        return this.layers[this.levels - 1][0];
+    let root = vote.root;
+    if (!root) {
+        const tree = await buildRegistryTree(members, depth);
+        root = tree.getRoot().toString();
+    }
+    const bundle = createProofBundle({ ...vote, root }, {
+        vKey,
+        depth,
+        contract: options.contract || vote.contract || (vote.submission && vote.submission.contractAddress) || null,
+        chainId: options.chainId || vote.chainId || null
+    });
+    return { bundle, vKey };
+}
+
+// A proof bundle file, refused when it isn't one this version reads
+function readProofBundle(file) {
+    let bundle;
+    try {
+        bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${file}: ${error.message}`);
+        process.exit(1);
+    }
+    const problems = checkProofBundle(bundle);
+    if (problems.length > 0) {
+        console.error(`❌ ${file} is not a valid proof bundle:`);
+        problems.forEach(problem => console.error(`   - ${problem}`));
+        process.exit(1);
     }
+    return bundle;
+}
+
+// --vkey, or the local build of the bundle's circuit
+function loadBundleKey(bundle, options) {
+    if (!options.vkey) {
+        return loadVerificationKey(circuitVariant(bundle.circuit.depth, { kind: bundle.circuit.kind }));
+    }
+    try {
+        return JSON.parse(fs.readFileSync(options.vkey, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${options.vkey}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// What a bundle's public signals say
+function printBundleDetails(bundle) {
+    const vote = bundleSubmission(bundle);
+    // yes/no ballots don't carry their labels, other ballots should
+    const ballot = bundle.options || (vote.optionCount === VOTE_LABELS.length
+        ? VOTE_LABELS
+        : Array.from({ length: vote.optionCount }, (_, i) => `option ${i}`));
     
-    getProof(index) {
-        const proof = {
-            pathElements: [],
-            pathIndices: []
-        };
+    console.log('📋 Bundle details:');
+    console.log(`   Circuit: ${bundle.circuit.kind}, depth ${bundle.circuit.depth} (key ${bundle.circuit.vkeyHash.slice(0, 16)}...)`);
+    console.log(`   Contract: ${bundle.contract ? `${bundle.contract}${bundle.chainId ? ` on chain ${bundle.chainId}` : ''}` : '(not given)'}`);
+    console.log(`   Proposal: ${bundle.proposalId}`);
+    if (vote.allocation) {
+        console.log(`   Allocation: ${formatAllocation(ballot, vote.allocation)}`);
+    } else if (vote.ciphertext) {
+        console.log(`   Vote: encrypted to the committee (${vote.optionCount} options)`);
+    } else {
+        console.log(`   Vote: ${ballot[vote.voteValue].toUpperCase()}`);
+    }
+    if (vote.weight !== undefined) {
+        console.log(`   Weight: ${vote.weight}`);
+    }
+    if (vote.delegateCommitment !== undefined) {
+        console.log(`   Delegate commitment: ${vote.delegateCommitment}`);
+    }
+    console.log(`   Root: ${vote.root}`);
+    console.log(`   Nullifier Hash: ${vote.nullifierHash}`);
+}
+
+// Reads a line from the terminal without echoing it
+function promptHidden(question) {
+    return new Promise((resolve, reject) => {
+        if (!process.stdin.isTTY) {
+            reject(new Error('No terminal to prompt for a passphrase. Set DAO_VOTE_PASSPHRASE (and DAO_VOTE_NEW_PASSPHRASE when changing it)'));
+            return;
+        }
         
-        for (let level = 0; level < this.levels - 1; level++) {
-            const position = index % 2;
-            const levelIndex = Math.floor(index / 2);
-            const currentLevel = this.layers[level];
-            
-            if (position === 0) {
-                proof.pathElements.push(
-                    levelIndex + 1 < currentLevel.length 
-                        ? currentLevel[levelIndex * 2 + 1] 
-                        : this.zero_values[level]
-                );
-            } else {
-                proof.pathElements.push(currentLevel[levelIndex * 2]);
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        let prompted = false;
+        rl._writeToOutput = (text) => {
+            if (!prompted) {
+                process.stdout.write(text);
+                prompted = true;
             }
-            
-            proof.pathIndices.push(position);
-            index = Math.floor(index / 2);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function getPassphrase(envValue, question, { confirm = false } = {}) {
+    if (envValue) {
+        return envValue;
+    }
+    
+    const passphrase = await promptHidden(question);
+    if (confirm && passphrase !== await promptHidden('Repeat passphrase: ')) {
+        throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+}
+
+// Decrypts an identity and checks it really opens to its commitment
+async function unlockIdentity(keystore, hash) {
+    const passphrase = await getPassphrase(CONFIG.passphrase, `Passphrase for ${keystore.name}: `);
+    const identity = await decryptIdentity(keystore, passphrase);
+    if (computeCommitment(hash, identity.nullifier, identity.secret).toString() !== keystore.commitment) {
+        throw new Error(`Identity for ${keystore.name} does not match its commitment`);
+    }
+    return identity;
+}
+
+async function connectRunner(options, write) {
+    const provider = new ethers.JsonRpcProvider(options.rpcUrl || CONFIG.rpcUrl);
+    // the deployment's addresses mean nothing on another chain
+    const deployment = selectedDeployment(options);
+    if (deployment) {
+        const { chainId } = await provider.getNetwork();
+        if (chainId.toString() !== deployment.chainId) {
+            console.error(`❌ ${options.rpcUrl || CONFIG.rpcUrl} is chain ${chainId}, but the ${deployment.network} deployment is on chain ${deployment.chainId}. Set RPC_URL or pass --rpc-url`);
+            process.exit(1);
         }
-        
-        return proof;
     }
+    const runner = write
+        ? await getSigner(provider, { privateKey: CONFIG.privateKey, signerIndex: options.signer })
+        : provider;
+    return { provider, runner };
+}
+
+// Connects to DAOVoting using the shared --contract/--rpc-url/--signer options
+async function connectContract(options, { write = false } = {}) {
+    const address = resolveContractAddress(options);
+    if (!address) {
+        console.error('❌ No contract address. Set DAO_VOTING_ADDRESS, or pass --contract or --network');
+        process.exit(1);
+    }
+    
+    const { provider, runner } = await connectRunner(options, write);
+    return { address, provider, daoVoting: connectDAOVoting(address, runner) };
+}
+
+// Same for MemberRegistry via --registry/$MEMBER_REGISTRY_ADDRESS
+async function connectRegistry(options, { write = false } = {}) {
+    const address = resolveRegistryAddress(options);
+    if (!address) {
+        console.error('❌ No registry contract. Set MEMBER_REGISTRY_ADDRESS, or pass --registry or --network');
+        process.exit(1);
+    }
+    
+    const { provider, runner } = await connectRunner(options, write);
+    return { address, provider, memberRegistry: connectMemberRegistry(address, runner) };
+}
+
+// Members to prove against: the on-chain registry (rebuilt from its events)
+// when one is configured, otherwise the local data/registry.json. `levels`
+// is the registry's tree depth when there is one.
+async function loadProvingMembers(options) {
+    if (!resolveRegistryAddress(options)) {
+        return { members: await loadMembers() };
+    }
+    
+    const { address, memberRegistry } = await connectRegistry(options);
+    try {
+        const { members, tree } = await syncMemberTree(memberRegistry);
+        console.log(`🔄 Synced ${members.length} members from registry ${address}`);
+        return { members, levels: tree.levels };
+    } catch (error) {
+        console.error(`❌ Could not sync the on-chain registry: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function withDepthOption(command) {
+    return command
+        .option('--depth <levels>', 'Circuit tree depth (default: $DAO_VOTE_DEPTH, the deployment\'s, or the smallest built one that fits)', parseInt);
+}
+
+function withIdentityOption(command) {
+    return command
+        .option('-i, --identity <file>', 'Encrypted identity (default: $DAO_VOTE_IDENTITY or data/identity.json)');
+}
+
+function withRegistryOption(command) {
+    return command
+        .option('--registry <address>', 'MemberRegistry address (default: $MEMBER_REGISTRY_ADDRESS)');
+}
+
+function withConnectionOptions(command) {
+    return command
+        .option('-c, --contract <address>', 'DAOVoting address (default: the --network deployment\'s, or $DAO_VOTING_ADDRESS)')
+        .option('--network <name>', 'Use the addresses in deployments/<name>.json (default: $DAO_VOTE_NETWORK)')
+        .option('--rpc-url <url>', 'JSON-RPC endpoint (default: $RPC_URL)')
+        .option('--signer <index>', 'Unlocked node account to send from when $PRIVATE_KEY is unset', parseInt);
 }
 
 // Commands
@@ -110,287 +532,1948 @@ program
 
 program
     .command('generate-member')
-    .description('Generate a new DAO member identity')
+    .description('Generate a new voter identity and print the commitment to hand to the DAO admin')
     .option('-n, --name <name>', 'Member name')
+    .option('-i, --identity <file>', 'Where to write the encrypted identity (default: $DAO_VOTE_IDENTITY or data/identity.json)')
+    .option('--force', 'Overwrite an existing identity file')
+    .option('--register', 'Also add the commitment to the local registry (when you are the admin)')
+    .option('-w, --weight <amount>', 'Voting weight, for DAOs that weight votes by stake')
+    .option('--credits <amount>', 'Credit budget, for DAOs that vote quadratically (kept in the encrypted identity)')
     .action(async (options) => {
         console.log('🔑 Generating new member identity...');
         
-        const poseidonJs = await initPoseidon();
-        const F = poseidonJs.F;
-        const poseidon = poseidonJs;
+        const hash = await buildHasher();
         
-        const nullifier = F.random();
-        const secret = F.random();
-        const commitment = F.toObject(poseidon([nullifier, secret]));
+        const nullifier = await randomFieldElement();
+        const secret = await randomFieldElement();
+        const commitment = computeCommitment(hash, nullifier, secret);
         
-        const member = {
-            name: options.name || `Member-${Date.now()}`,
-            nullifier: F.toObject(nullifier).toString(),
-            secret: F.toObject(secret).toString(),
-            commitment: commitment.toString(),
-            createdAt: new Date().toISOString()
-        };
+        const name = options.name || `Member-${Date.now()}`;
+        const identityFile = options.identity || CONFIG.identityFile;
         
-        const members = await loadMembers();
-        member.index = members.length;
-        members.push(member);
-        await saveMembers(members);
+        // check the registry takes this member before writing anything
+        let members;
+        let index;
+        let credits;
+        try {
+            if (options.credits !== undefined) {
+                if (options.weight !== undefined) {
+                    throw new Error('A member has either a weight or a credit budget, not both');
+                }
+                credits = parseCredits(options.credits);
+            }
+            if (options.register) {
+                members = await loadMembers();
+                // a quadratic registry only holds the budget leaf
+                const leaf = credits === undefined ? commitment : computeBudgetLeaf(hash, commitment, credits);
+                index = addCommitment(members, leaf, { weight: options.weight });
+            }
+            
+            const passphrase = await getPassphrase(
+                CONFIG.passphrase,
+                `Passphrase to encrypt ${name}'s identity: `,
+                { confirm: true }
+            );
+            const keystore = await encryptIdentity({ name, commitment, nullifier, secret, credits }, passphrase);
+            await saveIdentity(identityFile, keystore, { force: options.force });
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
         
         console.log('✅ Member generated successfully!');
-        console.log(`Name: ${member.name}`);
-        console.log(`Index: ${member.index}`);
-        console.log(`Commitment: ${member.commitment}`);
-        console.log('\n⚠️  Keep your nullifier and secret safe!');
+        console.log(`Name: ${name}`);
+        console.log(`Identity: ${identityFile}`);
+        console.log(`Commitment: ${commitment}`);
+        if (options.weight !== undefined) {
+            console.log(`Weight: ${options.weight}`);
+        }
+        if (credits !== undefined) {
+            console.log(`Credits: ${credits}`);
+        }
+        
+        if (options.register) {
+            await saveMembers(members);
+            console.log(`Registered as leaf ${index} in ${CONFIG.registryFile}`);
+        } else if (options.weight !== undefined) {
+            console.log('\n📨 Send the commitment and weight above to your DAO admin to be added to the registry.');
+        } else if (credits !== undefined) {
+            console.log('\n📨 Your DAO admin adds the commitment with your budget: dao-vote registry add --commitment <commitment> --credits <amount>');
+        } else {
+            console.log('\n📨 Send the commitment above to your DAO admin to be added to the registry.');
+        }
+        console.log('🔒 Nullifier and secret are encrypted with your passphrase - without it this identity cannot vote.');
     });
 
 program
     .command('list-members')
-    .description('List all DAO members')
+    .description('List the public member registry')
     .action(async () => {
         const members = await loadMembers();
         
         if (members.length === 0) {
-            console.log('No members found. Generate some with: dao-vote generate-member');
+            console.log('No members registered. Add some with: dao-vote registry add --commitment <value>');
             return;
         }
         
+        // mark our own leaf, using only the public part of the identity file
+        let ownCommitment = null;
+        if (fs.existsSync(CONFIG.identityFile)) {
+            ownCommitment = JSON.parse(fs.readFileSync(CONFIG.identityFile, 'utf8')).commitment;
+        }
+        
         console.log('📋 DAO Members:\n');
         members.forEach(member => {
-            console.log(`[${member.index}] ${member.name}`);
-            console.log(`    Commitment: ${member.commitment}`);
-            console.log(`    Created: ${member.createdAt}\n`);
+            const you = member.commitment === ownCommitment ? ' (you)' : '';
+            const weight = member.weight === undefined ? '' : ` (weight ${member.weight})`;
+            console.log(`[${member.index}] ${member.commitment}${weight}${you}`);
         });
     });
 
-program
+const registry = program
+    .command('registry')
+    .description('Maintain the public member registry (DAO admin)');
+
+registry
+    .command('add')
+    .description('Add a member commitment as the next leaf')
+    .requiredOption('--commitment <value>', 'Commitment printed by generate-member')
+    .option('-w, --weight <amount>', 'The member\'s voting weight (weighted registries only)')
+    .option('--credits <amount>', 'The member\'s credit budget (quadratic registries only - only its hash is stored)')
+    .action(async (options) => {
+        const members = await loadMembers();
+        
+        let index;
+        try {
+            let leaf = options.commitment;
+            if (options.credits !== undefined) {
+                if (options.weight !== undefined) {
+                    throw new Error('A member has either a weight or a credit budget, not both');
+                }
+                leaf = computeBudgetLeaf(await buildHasher(), BigInt(options.commitment), parseCredits(options.credits));
+            }
+            index = addCommitment(members, leaf, { weight: options.weight });
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        await saveMembers(members);
+        if (options.credits !== undefined) {
+            console.log(`✅ Budget commitment added as leaf ${index} (the registry doesn't record the budget itself)`);
+        } else {
+            console.log(`✅ Commitment added as leaf ${index}`);
+        }
+        console.log(`📄 Registry saved to: ${CONFIG.registryFile}`);
+        console.log('📡 Run "dao-vote registry publish-root" to let the new member vote.');
+    });
+
+withConnectionOptions(withDepthOption(registry
+    .command('publish-root')
+    .description('Compute the root of the local registry and push it to DAOVoting (admin only)')))
+    .action(async (options) => {
+        const members = await loadMembers();
+        if (members.length === 0) {
+            console.error('❌ The registry is empty - nothing to publish');
+            process.exit(1);
+        }
+        const depth = resolveDepth(options, members.length);
+        
+        let root;
+        try {
+            root = (await buildRegistryTree(members, depth)).getRoot().toString();
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        const { address, daoVoting } = await connectContract(options, { write: true });
+        const current = (await daoVoting.merkleRoot()).toString();
+        
+        console.log(`🌳 Registry root (${members.length} members, depth ${depth}): ${root}`);
+        if (current === root) {
+            console.log(`✅ ${address} already uses this root`);
+            return;
+        }
+        
+        console.log(`📡 Replacing on-chain root ${current}...`);
+        let result;
+        try {
+            result = await publishRoot(daoVoting, root);
+        } catch (error) {
+            console.error(`❌ Root update failed: ${error.message}`);
+            process.exit(1);
+        }
+        
+        const historySize = await daoVoting.ROOT_HISTORY_SIZE();
+        console.log('✅ Root updated!');
+        console.log(`   Transaction: ${result.transactionHash}`);
+        console.log(`   Block: ${result.blockNumber}`);
+        console.log(`   Proofs against the previous root stay valid for the next ${historySize - 1n} updates.`);
+    });
+
+withConnectionOptions(withRegistryOption(registry
+    .command('sync')
+    .description('Rebuild data/registry.json from the on-chain MemberRegistry')))
+    .action(async (options) => {
+        const { address, memberRegistry } = await connectRegistry(options);
+        
+        let synced;
+        try {
+            synced = await syncMemberTree(memberRegistry);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        await saveMembers(synced.members);
+        console.log(`✅ Synced ${synced.members.length} members from ${address}`);
+        console.log(`🌳 Root: ${synced.tree.getRoot()}`);
+        console.log(`📄 Registry saved to: ${CONFIG.registryFile}`);
+    });
+
+withConnectionOptions(withRegistryOption(withIdentityOption(program
+    .command('join')
+    .description('Register your identity\'s commitment with the on-chain MemberRegistry'))))
+    .action(async (options) => {
+        // only the public commitment is sent, so no passphrase needed
+        const keystore = await loadIdentity(options.identity || CONFIG.identityFile);
+        const { address, memberRegistry } = await connectRegistry(options, { write: true });
+        
+        console.log(`📡 Registering ${keystore.name} with ${address}...`);
+        let result;
+        try {
+            result = await registerMember(memberRegistry, keystore.commitment);
+        } catch (error) {
+            console.error(`❌ Registration failed: ${error.message}`);
+            process.exit(1);
+        }
+        
+        console.log(`✅ Registered as leaf ${result.index}`);
+        console.log(`   Transaction: ${result.transactionHash}`);
+        console.log(`   Block: ${result.blockNumber}`);
+        console.log('🌳 DAOVoting now accepts proofs against the new root - cast picks it up from the registry events.');
+    });
+
+withConnectionOptions(withRegistryOption(withDepthOption(withIdentityOption(program
     .command('cast')
     .description('Cast a vote on a proposal')
     .requiredOption('-p, --proposal <id>', 'Proposal ID', parseInt)
-    .requiredOption('-v, --vote <value>', 'Vote value (yes/no/abstain)')
-    .requiredOption('-m, --member <index>', 'Member index', parseInt)
+    .option('-v, --vote <value>', 'Vote value on a yes/no/abstain proposal (yes/no/abstain)')
+    .option('-o, --option <label>', 'Option to vote for on a multi-option proposal')
+    .option('-a, --allocation <votes>', 'Votes per option on a quadratic contract, e.g. "alice=3,bob=1" (v votes cost v² credits)')
+    .option('--relayer <url>', 'Hand the vote to a relayer (dao-vote relayer) instead of sending it from your own account')
+    .option('--fee-tx <hash>', 'Transaction that paid the relayer\'s fee, with the data cast asks for')
+    .option('--queue', 'Send the vote later, at a random time before the deadline (see dao-vote queue worker)')))))
     .action(async (options) => {
         console.log('🗳️  Casting vote...\n');
         
-        // Validate vote value
-        const voteMap = { 'no': 0, 'yes': 1, 'abstain': 2 };
-        if (!voteMap.hasOwnProperty(options.vote.toLowerCase())) {
-            console.error('❌ Invalid vote value. Use: yes, no, or abstain');
+        const choice = options.option || options.vote;
+        if (!choice && !options.allocation) {
+            console.error('❌ Pick what to vote for with --vote <yes|no|abstain>, --option <label> or --allocation <label=votes,...>');
             process.exit(1);
         }
-        const voteValue = voteMap[options.vote.toLowerCase()];
         
-        // Load member data
-        const members = await loadMembers();
-        if (options.member >= members.length) {
-            console.error('❌ Invalid member index');
+        // check the relayer before spending time on a proof it won't take
+        let relayer;
+        if (options.relayer) {
+            try {
+                relayer = await fetchRelayerInfo(options.relayer);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            const address = resolveContractAddress(options);
+            if (address && address.toLowerCase() !== relayer.contract.toLowerCase()) {
+                console.error(`❌ The relayer submits to ${relayer.contract}, not ${address}`);
+                process.exit(1);
+            }
+            options.contract = relayer.contract;
+            console.log(`📨 Relaying through ${options.relayer} (account ${relayer.relayer}${BigInt(relayer.fee) > 0n ? `, fee ${ethers.formatEther(relayer.fee)} ETH` : ''})\n`);
+        }
+        if (options.queue && !resolveContractAddress(options)) {
+            console.error('❌ Queued votes are scheduled against the proposal deadline - set DAO_VOTING_ADDRESS, or pass --contract or --network');
+            process.exit(1);
+        }
+        
+        // The ballot's options are part of the proof, so read them from the
+        // contract when there is one - otherwise it's a yes/no/abstain ballot.
+        // An encrypted contract also hands out the committee key to encrypt to.
+        let ballot = VOTE_LABELS;
+        let deadline;
+        let committeeKey = null;
+        let delegating = false;
+        let reader;
+        let chain;
+        if (resolveContractAddress(options)) {
+            ({ daoVoting: reader } = await connectContract(options));
+            try {
+                chain = { contract: await reader.getAddress(), chainId: (await reader.runner.getNetwork()).chainId.toString() };
+                ({ options: ballot, deadline } = await fetchProposal(reader, options.proposal));
+                committeeKey = await fetchCommitteeKey(reader);
+                delegating = (await fetchDelegationVerifier(reader)) !== null;
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+        }
+        if ((committeeKey || delegating) && options.allocation) {
+            console.error(`❌ This contract takes ${delegating ? 'delegated' : 'encrypted'} ballots - vote with --vote or --option`);
             process.exit(1);
         }
-        const member = members[options.member];
         
-        // Initialize Poseidon
-        const poseidonJs = await initPoseidon();
-        const F = poseidonJs.F;
-        const poseidon = poseidonJs;
+        // Validate vote value, or the allocation of a quadratic vote
+        let voteValue;
+        let allocation;
+        try {
+            if (options.allocation) {
+                allocation = parseAllocation(options.allocation, ballot);
+            } else {
+                voteValue = voteValueOf(choice, ballot);
+            }
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        const quadratic = allocation !== undefined;
+        const encrypted = committeeKey !== null;
+        const label = quadratic ? null : ballot[voteValue];
         
-        // Build merkle tree
-        const leaves = members.map(m => BigInt(m.commitment));
-        const tree = new MerkleTree(
-            CONFIG.merkleTreeHeight,
-            BigInt(0),
-            leaves,
-            (inputs) => F.toObject(poseidon(inputs.map(x => F.e(x))))
-        );
+        // Load our own identity and the public registry - nothing else
+        const keystore = await loadIdentity(options.identity || CONFIG.identityFile);
+        const { members, levels } = await loadProvingMembers(options);
+        if ((encrypted || delegating) && isWeightedRegistry(members)) {
+            console.error(`❌ ${encrypted ? 'Encrypted' : 'Delegated'} ballots are one member, one vote - this registry is weighted`);
+            process.exit(1);
+        }
+        // a weighted registry needs the weighted circuit and contract. On a
+        // delegating contract every vote goes through DelegatedVote, so
+        // delegations can't arrive once their delegate has voted.
+        let kind = quadratic ? 'quadratic' : isWeightedRegistry(members) ? 'weighted' : 'vote';
+        if (encrypted) {
+            kind = 'encrypted';
+        } else if (delegating) {
+            kind = 'delegated';
+        }
+        const depth = resolveDepth(options, members.length, { registryLevels: levels, kind });
+        const variant = circuitVariant(depth, { kind });
+        // a quadratic leaf hashes in the credit budget, which takes the passphrase to read
+        let leafIndex = findLeafIndex(members, keystore.commitment);
+        if (!quadratic && leafIndex === -1) {
+            console.error(`❌ ${keystore.name}'s commitment is not in the registry. Ask your DAO admin to add: ${keystore.commitment}`);
+            process.exit(1);
+        }
+        const hash = await buildHasher();
+        
+        let identity;
+        try {
+            identity = await unlockIdentity(keystore, hash);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        if (quadratic) {
+            if (identity.credits === undefined) {
+                console.error(`❌ ${keystore.name}'s identity has no credit budget. Create one for quadratic voting with: dao-vote generate-member --credits <amount>`);
+                process.exit(1);
+            }
+            leafIndex = findLeafIndex(members, computeBudgetLeaf(hash, BigInt(keystore.commitment), identity.credits));
+            if (leafIndex === -1) {
+                console.error(`❌ ${keystore.name}'s budget is not in the registry. Ask your DAO admin to run: dao-vote registry add --commitment ${keystore.commitment} --credits ${identity.credits}`);
+                process.exit(1);
+            }
+        }
+        const { weight } = members.find(member => member.index === leafIndex);
+        
+        // the payment names the vote's nullifier hash, so it can't pay for anyone else's
+        if (relayer && BigInt(relayer.fee) > 0n && !options.feeTx) {
+            const data = feePaymentData(computeNullifierHash(hash, identity.nullifier, options.proposal));
+            console.error(`❌ The relayer charges ${ethers.formatEther(relayer.fee)} ETH per vote. Send it to ${relayer.relayer} with data ${data} from an account that can't be linked to you, then pass the transaction hash with --fee-tx`);
+            process.exit(1);
+        }
+        
+        // what the member's delegations add to the vote so far - frozen once it lands
+        let delegateCommitment;
+        let delegated;
+        if (delegating) {
+            delegateCommitment = computeDelegateCommitment(hash, identity.nullifier, identity.secret);
+            delegated = Number(await reader.delegatedWeight(options.proposal, delegateCommitment));
+        }
         
-        const merkleRoot = tree.getRoot();
-        const proof = tree.getProof(options.member);
+        // fresh randomness every time, so equal votes never look alike
+        let curve;
+        let encryption;
+        if (encrypted) {
+            curve = await buildBabyJub();
+            encryption = { publicKey: committeeKey, ...encryptBallot(curve, committeeKey, voteValue) };
+        }
         
-        // Generate nullifier hash
-        const nullifierHash = F.toObject(poseidon([F.e(member.nullifier)]));
+        // Build merkle tree
+        const tree = await buildRegistryTree(members, depth);
+        const proof = tree.getProof(leafIndex);
         
         // Create witness
-        const witness = {
-            root: merkleRoot.toString(),
-            nullifierHash: nullifierHash.toString(),
-            proposalId: options.proposal.toString(),
-            voteValue: voteValue.toString(),
-            nullifier: member.nullifier,
-            secret: member.secret,
-            pathElements: proof.pathElements.map(e => e.toString()),
-            pathIndices: proof.pathIndices.map(i => i.toString())
-        };
+        const witness = buildVoteInput(hash, {
+            nullifier: identity.nullifier,
+            secret: identity.secret,
+            proposalId: options.proposal,
+            voteValue,
+            optionCount: ballot.length,
+            weight,
+            allocation,
+            credits: identity.credits,
+            encryption,
+            delegateCommitment,
+            proof
+        });
+        const nullifierHash = witness.nullifierHash;
+        
+        // Catch bad inputs here - the witness calculator only says "Assert Failed"
+        const failures = checkVoteInput(hash, witness, { levels: depth, curve });
+        if (failures.length > 0) {
+            console.error('❌ These inputs would not satisfy the circuit:');
+            failures.forEach(failure => console.error(`   - ${failure}`));
+            process.exit(1);
+        }
         
         console.log('📝 Vote details:');
-        console.log(`   Member: ${member.name}`);
+        console.log(`   Member: ${keystore.name} (leaf ${leafIndex}, depth-${depth} tree)`);
         console.log(`   Proposal: ${options.proposal}`);
-        console.log(`   Vote: ${options.vote.toUpperCase()}`);
+        if (quadratic) {
+            console.log(`   Allocation: ${formatAllocation(ballot, allocation)}`);
+            console.log(`   Credits: ${allocationCost(allocation)} of ${identity.credits} (private)`);
+        } else {
+            console.log(`   Vote: ${label.toUpperCase()}${isYesNoBallot(ballot) ? '' : ` (option ${voteValue} of ${ballot.length})`}`);
+        }
+        if (weight !== undefined) {
+            console.log(`   Weight: ${weight} (public)`);
+        }
+        if (encrypted) {
+            console.log('   Encrypted: yes - only the committee can decrypt, and only the totals');
+        }
+        if (delegated > 0) {
+            console.log(`   Delegations: ${delegated} (counts ${1 + delegated} votes so far)`);
+        }
         console.log(`   Nullifier Hash: ${nullifierHash}`);
         
+        // a wasm and zkey from different builds give proofs nothing verifies
+        assertBuildArtifacts(variant, PROVING_ARTIFACTS, { circuitFile: variant.main });
+        
         // Generate proof
         console.log('\n🔐 Generating zero-knowledge proof...');
         
-        const wasmPath = path.join(__dirname, '../build/vote_js/vote.wasm');
-        const zkeyPath = path.join(__dirname, '../build/vote.zkey');
-        
-        if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
-            console.error('❌ Circuit not compiled. Run: npm run compile');
-            process.exit(1);
-        }
-        
         const { proof: snarkProof, publicSignals } = await snarkjs.groth16.fullProve(
             witness,
-            wasmPath,
-            zkeyPath
+            variant.wasm,
+            variant.zkey
         );
         
         console.log('✅ Proof generated successfully!');
         
         // Save vote data
-        const votesDir = path.dirname(CONFIG.votesFile);
-        if (!fs.existsSync(votesDir)) {
-            fs.mkdirSync(votesDir, { recursive: true });
-        }
-        
         const voteData = {
             proposalId: options.proposal,
-            memberName: member.name,
-            memberIndex: options.member,
-            vote: options.vote,
+            root: witness.root,
+            depth,
+            memberName: keystore.name,
+            memberIndex: leafIndex,
+            ...(quadratic ? { allocation: allocation.map(String) } : { vote: label }),
+            ...(!isYesNoBallot(ballot) && { options: ballot }),
+            ...(weight !== undefined && { weight }),
+            ...(encrypted && {
+                encrypted: {
+                    committeeKey: witness.publicKey,
+                    c1: witness.c1,
+                    c2: witness.c2
+                }
+            }),
+            ...(delegating && { delegateCommitment: witness.delegateCommitment, delegated }),
             nullifierHash: nullifierHash.toString(),
-            proof: {
-                a: [snarkProof.pi_a[0], snarkProof.pi_a[1]],
-                b: [[snarkProof.pi_b[0][1], snarkProof.pi_b[0][0]], 
-                    [snarkProof.pi_b[1][1], snarkProof.pi_b[1][0]]],
-                c: [snarkProof.pi_c[0], snarkProof.pi_c[1]]
-            },
+            proof: toSolidityProof(snarkProof),
+            // as snarkjs made them, for proof bundles
+            snarkProof,
+            publicSignals,
+            ...chain,
             timestamp: new Date().toISOString()
         };
         
-        const votes = fs.existsSync(CONFIG.votesFile) 
-            ? JSON.parse(fs.readFileSync(CONFIG.votesFile, 'utf8'))
-            : [];
+        const votes = await loadVotes();
         votes.push(voteData);
-        fs.writeFileSync(CONFIG.votesFile, JSON.stringify(votes, null, 2));
+        await saveVotes(votes);
         
         console.log('\n📄 Vote proof saved to:', CONFIG.votesFile);
         
-        // If contract address is set, submit to blockchain
-        if (CONFIG.contractAddress) {
-            console.log('\n📡 Submitting vote to blockchain...');
-            // Contract interaction code would go here
-            console.log('⚠️  Contract submission not implemented in demo');
+        // If contract address is set, submit to blockchain - snarkjs keeps
+        // its curve workers alive, so exit rather than return
+        if (!resolveContractAddress(options)) {
+            process.exit(0);
+        }
+        
+        // sending right after proving would tie the vote to when cast ran
+        if (options.queue) {
+            const now = Math.floor(Date.now() / 1000);
+            const entry = createOutboxEntry({
+                contract: await reader.getAddress(),
+                deadline,
+                submitAt: scheduleSubmission({ now, chainNow: await chainTimestamp(reader.runner), deadline }),
+                vote: voteSubmission(voteData),
+                relayer: options.relayer,
+                feeTx: options.feeTx,
+                now
+            });
+            const outbox = loadOutbox(CONFIG.outboxFile);
+            outbox.push(entry);
+            saveOutbox(CONFIG.outboxFile, outbox);
+            
+            console.log(`\n📬 Vote queued as ${entry.id} for ${new Date(entry.submitAt * 1000).toISOString()} (in ${formatDuration(entry.submitAt - now)})`);
+            console.log('   Keep dao-vote queue worker running to send it, or send it now with: dao-vote queue flush --id ' + entry.id);
+            process.exit(0);
+        }
+        
+        let contractAddress;
+        let submission;
+        try {
+            if (options.relayer) {
+                console.log('\n📨 Handing the vote to the relayer...');
+                contractAddress = options.contract;
+                submission = await relayVote(options.relayer, {
+                    contract: contractAddress,
+                    ...voteSubmission(voteData),
+                    ...(options.feeTx && { fee: { transactionHash: options.feeTx } })
+                });
+            } else {
+                console.log('\n📡 Submitting vote to blockchain...');
+                let daoVoting;
+                ({ address: contractAddress, daoVoting } = await connectContract(options, { write: true }));
+                submission = await submitVote(daoVoting, voteSubmission(voteData));
+            }
+        } catch (error) {
+            console.error(`❌ Vote submission failed: ${error.message}`);
+            process.exit(1);
+        }
+        
+        voteData.submission = {
+            contractAddress,
+            transactionHash: submission.transactionHash,
+            blockNumber: submission.blockNumber,
+            ...(options.relayer && { relayer: options.relayer }),
+            submittedAt: new Date().toISOString()
+        };
+        // delegations may have come in since the proof - the count stops changing with the vote
+        if (delegating) {
+            voteData.delegated = Number(await reader.delegatedWeight(options.proposal, delegateCommitment));
+        }
+        await saveVotes(votes);
+        
+        console.log('✅ Vote accepted on-chain!');
+        console.log(`   Transaction: ${submission.transactionHash}`);
+        console.log(`   Block: ${submission.blockNumber}`);
+        console.log(`   Gas used: ${submission.gasUsed}`);
+        if (voteData.delegated > 0) {
+            console.log(`   Counted: ${1 + voteData.delegated} votes (${voteData.delegated} delegated)`);
         }
+        process.exit(0);
     });
 
-program
+withDepthOption(program
     .command('verify')
-    .description('Verify a vote proof')
-    .requiredOption('-i, --index <index>', 'Vote index in votes.json', parseInt)
+    .description('Verify a vote proof from votes.json, or anyone\'s proof bundle on its own')
+    .option('-i, --index <index>', 'Vote index in votes.json', parseInt)
+    .option('-f, --file <file>', 'Proof bundle from `proof export` - needs no registry or votes.json')
+    .option('--vkey <file>', 'Verification key for --file (default: the local build of the bundle\'s circuit)'))
     .action(async (options) => {
         console.log('🔍 Verifying vote proof...\n');
         
-        const votes = fs.existsSync(CONFIG.votesFile) 
-            ? JSON.parse(fs.readFileSync(CONFIG.votesFile, 'utf8'))
-            : [];
-            
-        if (options.index >= votes.length) {
-            console.error('❌ Invalid vote index');
+        if ((options.index === undefined) === (options.file === undefined)) {
+            console.error('❌ Pass either --index <n> (a vote in votes.json) or --file <bundle>');
             process.exit(1);
         }
         
-        const vote = votes[options.index];
+        if (options.file) {
+            const bundle = readProofBundle(options.file);
+            const { valid, problems } = await verifyProofBundle(bundle, loadBundleKey(bundle, options));
+            if (problems.length > 0) {
+                console.error(`❌ ${options.file} can't be checked:`);
+                problems.forEach(problem => console.error(`   - ${problem}`));
+                process.exit(1);
+            }
+            
+            printBundleDetails(bundle);
+            console.log(`\n🔐 Proof verification: ${valid ? '✅ VALID' : '❌ INVALID'}`);
+            process.exit(valid ? 0 : 1);
+        }
         
-        // Load verification key
-        const vkeyPath = path.join(__dirname, '../build/verification_key.json');
-        if (!fs.existsSync(vkeyPath)) {
-            console.error('❌ Verification key not found. Run: npm run compile');
+        const votes = await loadVotes();
+            
+        if (options.index >= votes.length) {
+            console.error('❌ Invalid vote index');
             process.exit(1);
         }
         
-        const vKey = JSON.parse(fs.readFileSync(vkeyPath, 'utf8'));
-        
-        // Reconstruct public signals
-        const members = await loadMembers();
-        const poseidonJs = await initPoseidon();
-        const F = poseidonJs.F;
-        const poseidon = poseidonJs;
-        
-        const leaves = members.map(m => BigInt(m.commitment));
-        const tree = new MerkleTree(
-            CONFIG.merkleTreeHeight,
-            BigInt(0),
-            leaves,
-            (inputs) => F.toObject(poseidon(inputs.map(x => F.e(x))))
-        );
-        
-        const merkleRoot = tree.getRoot();
-        const voteValueMap = { 'no': 0, 'yes': 1, 'abstain': 2 };
-        
-        const publicSignals = [
-            merkleRoot.toString(),
-            vote.nullifierHash,
-            vote.proposalId.toString(),
-            voteValueMap[vote.vote].toString()
-        ];
-        
-        // Verify proof
-        const isValid = await snarkjs.groth16.verify(vKey, publicSignals, vote.proof);
+        const vote = votes[options.index];
+        const { bundle, vKey } = await recordBundle(vote, options);
+        const { valid, problems } = await verifyProofBundle(bundle, vKey);
         
+        const ballot = vote.options || VOTE_LABELS;
         console.log('📋 Vote details:');
         console.log(`   Proposal: ${vote.proposalId}`);
-        console.log(`   Member: ${vote.memberName}`);
-        console.log(`   Vote: ${vote.vote.toUpperCase()}`);
+        console.log(`   Member: ${vote.memberName || '(imported)'}`);
+        if (vote.allocation) {
+            console.log(`   Allocation: ${formatAllocation(ballot, vote.allocation)}`);
+        } else {
+            console.log(`   Vote: ${vote.vote.toUpperCase()}${vote.encrypted ? ' (encrypted on chain)' : ''}`);
+        }
+        if (vote.weight !== undefined) {
+            console.log(`   Weight: ${vote.weight}`);
+        }
+        if (vote.delegateCommitment && vote.delegated !== undefined) {
+            console.log(`   Delegations: ${vote.delegated}`);
+        }
         console.log(`   Timestamp: ${vote.timestamp}`);
-        console.log(`\n🔐 Proof verification: ${isValid ? '✅ VALID' : '❌ INVALID'}`);
+        problems.forEach(problem => console.log(`   ⚠️  ${problem}`));
+        console.log(`\n🔐 Proof verification: ${valid ? '✅ VALID' : '❌ INVALID'}`);
+        process.exit(valid ? 0 : 1);
     });
 
-program
+const proofBundle = program
+    .command('proof')
+    .description('Share vote proofs as self-contained bundles anyone can verify');
+
+withDepthOption(proofBundle
+    .command('export')
+    .description('Write a vote from votes.json as a proof bundle - without your name, leaf or when you voted')
+    .requiredOption('-i, --index <index>', 'Vote index in votes.json', parseInt)
+    .requiredOption('-o, --out <file>', 'Output file')
+    .option('-c, --contract <address>', 'DAOVoting address the vote is for, if votes.json doesn\'t say')
+    .option('--chain-id <id>', 'Chain ID of that contract, if votes.json doesn\'t say'))
+    .action(async (options) => {
+        const votes = await loadVotes();
+        if (options.index >= votes.length) {
+            console.error('❌ Invalid vote index');
+            process.exit(1);
+        }
+        
+        const { bundle, vKey } = await recordBundle(votes[options.index], options);
+        // don't hand out a bundle nobody can verify
+        const { valid, problems } = await verifyProofBundle(bundle, vKey);
+        if (!valid) {
+            console.error(`❌ Vote ${options.index} does not verify${problems.length > 0 ? `: ${problems.join('; ')}` : ''}`);
+            process.exit(1);
+        }
+        
+        fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+        fs.writeFileSync(options.out, JSON.stringify(bundle, null, 2));
+        console.log(`✅ Proof bundle for vote ${options.index} written to ${options.out}`);
+        if (!bundle.contract || !bundle.chainId) {
+            console.log('⚠️  The bundle names no contract or chain - pass --contract and --chain-id to include them');
+        }
+        process.exit(0);
+    });
+
+proofBundle
+    .command('import')
+    .description('Check a proof bundle and add it to votes.json, e.g. to tally it locally')
+    .requiredOption('-f, --file <file>', 'Proof bundle from `proof export`')
+    .option('--vkey <file>', 'Verification key (default: the local build of the bundle\'s circuit)')
+    .action(async (options) => {
+        const bundle = readProofBundle(options.file);
+        const { valid, problems } = await verifyProofBundle(bundle, loadBundleKey(bundle, options));
+        if (!valid) {
+            console.error(`❌ ${options.file} does not verify${problems.length > 0 ? `: ${problems.join('; ')}` : ''}`);
+            process.exit(1);
+        }
+        
+        const vote = bundleSubmission(bundle);
+        // only the committee ever learns what an encrypted ballot says
+        if (bundle.circuit.kind === 'encrypted') {
+            console.error('❌ Encrypted votes can only be counted by the committee - check them with dao-vote verify --file');
+            process.exit(1);
+        }
+        if (!bundle.options && vote.optionCount !== VOTE_LABELS.length) {
+            console.error(`❌ The bundle is for a ${vote.optionCount}-option ballot but doesn't carry its labels`);
+            process.exit(1);
+        }
+        const votes = await loadVotes();
+        if (votes.some(v => v.proposalId === bundle.proposalId && v.nullifierHash === vote.nullifierHash)) {
+            console.error(`❌ votes.json already has a vote with nullifier hash ${vote.nullifierHash} on proposal ${bundle.proposalId}`);
+            process.exit(1);
+        }
+        
+        const ballot = bundle.options || VOTE_LABELS;
+        votes.push({
+            proposalId: bundle.proposalId,
+            root: vote.root,
+            depth: bundle.circuit.depth,
+            ...(vote.allocation ? { allocation: vote.allocation } : { vote: ballot[vote.voteValue] }),
+            ...(bundle.options && { options: bundle.options }),
+            ...(vote.weight !== undefined && { weight: vote.weight }),
+            ...(vote.delegateCommitment !== undefined && { delegateCommitment: vote.delegateCommitment }),
+            nullifierHash: vote.nullifierHash,
+            proof: vote.proof,
+            snarkProof: bundle.proof,
+            publicSignals: bundle.publicSignals,
+            ...(bundle.contract && { contract: bundle.contract }),
+            ...(bundle.chainId && { chainId: bundle.chainId }),
+            imported: path.basename(options.file),
+            timestamp: new Date().toISOString()
+        });
+        await saveVotes(votes);
+        
+        printBundleDetails(bundle);
+        console.log(`\n✅ Imported as vote ${votes.length - 1} in ${CONFIG.votesFile}`);
+        process.exit(0);
+    });
+
+program
+    .command('calldata')
+    .description('Print the transaction a proof bundle\'s vote goes out as, to send from another wallet, multisig or frontend')
+    .requiredOption('-f, --file <file>', 'Proof bundle from `proof export`')
+    .option('-c, --contract <address>', 'DAOVoting address to send to, if not the bundle\'s')
+    .option('-o, --out <file>', 'Write the JSON to a file instead of printing it')
+    .action(async (options) => {
+        const bundle = readProofBundle(options.file);
+        if (options.contract && !ethers.isAddress(options.contract)) {
+            console.error(`❌ Invalid contract address: ${options.contract}`);
+            process.exit(1);
+        }
+        
+        // stdout carries only the JSON, so warnings go to stderr
+        const calldata = bundleCalldata(bundle, { contract: options.contract });
+        if (!calldata.to) {
+            console.error('⚠️  The bundle names no contract - pass --contract to fill in "to"');
+        } else if (bundle.contract && calldata.to !== ethers.getAddress(bundle.contract)) {
+            console.error(`⚠️  The bundle was exported for ${bundle.contract} - the vote only lands where its root is known`);
+        }
+        
+        const json = JSON.stringify(calldata, null, 2);
+        if (!options.out) {
+            console.log(json);
+            return;
+        }
+        fs.writeFileSync(options.out, json);
+        console.log(`✅ Calldata for ${calldata.function} written to ${options.out}`);
+    });
+
+withConnectionOptions(withRegistryOption(withDepthOption(program
+    .command('relayer')
+    .description('Submit other members\' votes from this account, so their own addresses never show up on chain')
+    .option('--host <host>', 'Interface to listen on', '127.0.0.1')
+    .option('--port <port>', 'Port to listen on', value => parseInt(value, 10), DEFAULT_RELAYER_PORT)
+    .option('--fee <amount>', 'Fee each vote pays this account first, in wei or e.g. 0.001eth', '0')
+    .option('--rate-limit <requests>', 'Requests each client may make per minute', value => parseInt(value, 10), 10))))
+    .action(async (options) => {
+        let fee;
+        try {
+            fee = parseValue(options.fee);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        // proofs are checked against the same keys verify uses, one per kind of vote
+        const { members, levels } = await loadProvingMembers(options);
+        const depth = resolveDepth(options, members.length, { registryLevels: levels });
+        const verificationKeys = {};
+        for (const kind of Object.keys(CIRCUIT_KINDS).filter(kind => kind !== 'delegation')) {
+            const variant = circuitVariant(depth, { kind });
+            if (!fs.existsSync(variant.vkey)) {
+                continue;
+            }
+            if (fs.existsSync(variant.manifest)) {
+                assertBuildArtifacts(variant, VERIFYING_ARTIFACTS);
+            } else {
+                console.log(`⚠️  No ${path.relative(CONFIG.rootDir, variant.manifest)}, using verification_key.json unchecked`);
+            }
+            verificationKeys[kind] = JSON.parse(fs.readFileSync(variant.vkey, 'utf8'));
+        }
+        if (Object.keys(verificationKeys).length === 0) {
+            console.error(`❌ No verification keys for depth ${depth}. Run: npm run compile`);
+            process.exit(1);
+        }
+        
+        // fee payments already spent, so a restart doesn't accept them twice
+        const usedFees = new Set(fs.existsSync(CONFIG.relayerFeesFile)
+            ? JSON.parse(fs.readFileSync(CONFIG.relayerFeesFile, 'utf8'))
+            : []);
+        
+        const { address, daoVoting } = await connectContract(options, { write: true });
+        const relayer = createRelayer({
+            contract: daoVoting,
+            verificationKeys,
+            fee,
+            usedFees,
+            rateLimit: { requests: options.rateLimit, windowMs: 60 * 1000 },
+            onRelayed: (relayed) => {
+                console.log(`✅ Relayed a vote on proposal ${relayed.proposalId}: ${relayed.transactionHash} (block ${relayed.blockNumber}, gas ${relayed.gasUsed})`);
+                if (relayed.feePayment) {
+                    fs.mkdirSync(path.dirname(CONFIG.relayerFeesFile), { recursive: true });
+                    fs.writeFileSync(CONFIG.relayerFeesFile, JSON.stringify([...usedFees], null, 2));
+                }
+            }
+        });
+        
+        let server;
+        let info;
+        try {
+            info = await relayer.info();
+            server = await startRelayerServer(relayer, { host: options.host, port: options.port });
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        console.log(`📨 Relayer listening on http://${options.host}:${server.address().port}`);
+        console.log(`   Contract: ${address}`);
+        console.log(`   Account: ${info.relayer} (${ethers.formatEther(await daoVoting.runner.provider.getBalance(info.relayer))} ETH for gas)`);
+        console.log(`   Votes: ${info.kinds.join(', ')} at depth ${depth}`);
+        console.log(`   Fee: ${fee > 0n ? `${ethers.formatEther(fee)} ETH` : 'none'}`);
+        console.log(`   Rate limit: ${options.rateLimit} requests per client per minute`);
+        console.log('\nVoters run: dao-vote cast --relayer <url> ...');
+        
+        process.on('SIGINT', () => {
+            server.close(() => process.exit(0));
+            server.closeAllConnections();
+        });
+    });
+
+const queue = program
+    .command('queue')
+    .description('Votes proved with cast --queue, waiting for their random submission time');
+
+// when an entry goes out, in local time and from now
+function formatSchedule(entry, now) {
+    const when = new Date(entry.submitAt * 1000).toISOString();
+    return entry.submitAt > now ? `${when} (in ${formatDuration(entry.submitAt - now)})` : `${when} (due)`;
+}
+
+/**
+ * Sends `entries` through processOutbox and writes the outcome back to the
+ * outbox and the vote records. The outbox is read again first, since cast
+ * and cancel may have changed it meanwhile.
+ */
+async function sendQueuedVotes(entries, options, { force = false } = {}) {
+    // the signer is looked up inside processOutbox's timeout, in case the node
+    // is down. Relayed votes only check the nullifier, so they need no account.
+    const provider = new ethers.JsonRpcProvider(options.rpcUrl || CONFIG.rpcUrl);
+    let signer;
+    const connect = async (address, { write }) => {
+        if (!write) {
+            return connectDAOVoting(address, provider);
+        }
+        signer = signer || getSigner(provider, { privateKey: CONFIG.privateKey, signerIndex: options.signer });
+        return connectDAOVoting(address, await signer);
+    };
+    const now = Math.floor(Date.now() / 1000);
+    let results;
+    try {
+        // deadlines are chain time - without an answer from the node every
+        // entry fails anyway, and the local clock has to do for rescheduling
+        let timer;
+        const chainNow = await Promise.race([
+            chainTimestamp(provider),
+            new Promise(resolve => { timer = setTimeout(resolve, 10000, now); })
+        ]).catch(() => now).finally(() => clearTimeout(timer));
+        results = await processOutbox(entries, { connect, now, chainNow, force });
+    } finally {
+        provider.destroy();
+    }
+    saveOutbox(CONFIG.outboxFile, applyOutboxResults(loadOutbox(CONFIG.outboxFile), results));
+    
+    const votes = await loadVotes();
+    for (const { entry, outcome, submission, reason } of results) {
+        const label = `[${entry.id}] proposal ${entry.proposalId}`;
+        if (outcome === 'submitted') {
+            const record = votes.find(vote => !vote.submission &&
+                String(vote.proposalId) === String(entry.proposalId) && vote.nullifierHash === entry.nullifierHash);
+            if (record) {
+                record.submission = {
+                    contractAddress: entry.contract,
+                    transactionHash: submission.transactionHash,
+                    blockNumber: submission.blockNumber,
+                    ...(entry.relayer && { relayer: entry.relayer }),
+                    submittedAt: new Date().toISOString()
+                };
+            }
+            console.log(`✅ ${label}: sent in ${submission.transactionHash} (block ${submission.blockNumber})`);
+        } else if (outcome === 'dropped') {
+            console.log(`🗑️  ${label}: dropped, ${reason}`);
+        } else if (outcome === 'retry') {
+            console.log(`⏳ ${label}: ${entry.lastError} - retrying at ${formatSchedule(entry, now)}, attempt ${entry.attempts + 1} of ${MAX_ATTEMPTS}`);
+        } else {
+            console.log(`❌ ${label}: ${entry.lastError}`);
+            console.log(`   Try again with "dao-vote queue flush --id ${entry.id}" or drop it with "dao-vote queue cancel --id ${entry.id}"`);
+        }
+    }
+    await saveVotes(votes);
+    return results;
+}
+
+queue
+    .command('list')
+    .description('Show queued votes and when they go out')
+    .action(async () => {
+        const entries = loadOutbox(CONFIG.outboxFile);
+        if (entries.length === 0) {
+            console.log('No queued votes. Queue one with: dao-vote cast --queue');
+            return;
+        }
+        
+        const now = Math.floor(Date.now() / 1000);
+        console.log('📬 Queued votes:\n');
+        entries.forEach(entry => {
+            console.log(`[${entry.id}] proposal ${entry.proposalId} on ${entry.contract}${entry.relayer ? ` via ${entry.relayer}` : ''}`);
+            console.log(`    ${entry.failed ? 'Failed, waiting for flush or cancel' : `Sends: ${formatSchedule(entry, now)}`}`);
+            if (entry.attempts > 0) {
+                console.log(`    Attempts: ${entry.attempts}, last error: ${entry.lastError}`);
+            }
+        });
+    });
+
+withConnectionOptions(queue
+    .command('flush')
+    .description('Send queued votes now instead of at their scheduled time')
+    .option('--id <id>', 'Only this entry (default: all of them)'))
+    .action(async (options) => {
+        const entries = loadOutbox(CONFIG.outboxFile).filter(entry => !options.id || entry.id === options.id);
+        if (entries.length === 0) {
+            console.error(options.id ? `❌ No queued vote ${options.id}` : '❌ No queued votes');
+            process.exit(1);
+        }
+        
+        console.log(`📡 Sending ${entries.length} queued vote${entries.length === 1 ? '' : 's'} now...\n`);
+        await sendQueuedVotes(entries, options, { force: true });
+    });
+
+queue
+    .command('cancel')
+    .description('Take votes out of the queue without sending them')
+    .option('--id <id>', 'Entry to cancel')
+    .option('-p, --proposal <id>', 'Cancel every queued vote on this proposal', parseInt)
+    .action(async (options) => {
+        if (!options.id && options.proposal === undefined) {
+            console.error('❌ Say which votes to cancel with --id or --proposal');
+            process.exit(1);
+        }
+        const entries = loadOutbox(CONFIG.outboxFile);
+        const cancelled = entries.filter(entry => entry.id === options.id || entry.proposalId === options.proposal);
+        if (cancelled.length === 0) {
+            console.error('❌ No queued votes match');
+            process.exit(1);
+        }
+        
+        saveOutbox(CONFIG.outboxFile, entries.filter(entry => !cancelled.includes(entry)));
+        cancelled.forEach(entry => console.log(`✅ Cancelled [${entry.id}] proposal ${entry.proposalId}`));
+        console.log('   The proofs stay in data/votes.json unsent. Cast again to vote on these proposals.');
+    });
+
+withConnectionOptions(queue
+    .command('worker')
+    .description('Keep sending queued votes as they come due')
+    .option('--interval <seconds>', 'How often to look for due votes', value => parseInt(value, 10), 30)
+    .option('--once', 'Send what is due now and exit'))
+    .action(async (options) => {
+        let busy = false;
+        let stopping = false;
+        process.on('SIGINT', () => {
+            stopping = true;
+            if (!busy) {
+                process.exit(0);
+            }
+            console.log('Stopping after the current vote...');
+        });
+        
+        console.log(`📬 Sending queued votes from ${CONFIG.outboxFile} as they come due${options.once ? '' : ` (checking every ${options.interval}s)`}\n`);
+        for (;;) {
+            const now = Math.floor(Date.now() / 1000);
+            const due = loadOutbox(CONFIG.outboxFile).filter(entry => !entry.failed && entry.submitAt <= now);
+            if (due.length > 0) {
+                busy = true;
+                await sendQueuedVotes(due, options);
+                busy = false;
+            }
+            if (options.once || stopping) {
+                break;
+            }
+            await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+        }
+    });
+
+withConnectionOptions(withRegistryOption(withDepthOption(withIdentityOption(program
+    .command('delegate')
+    .description('Hand your vote on a proposal, or on every proposal closing in a time range, to a delegate')
+    .requiredOption('--to <commitment>', 'The delegate\'s delegate commitment (dao-vote identity delegate-commitment)')
+    .option('-p, --proposal <id>', 'Proposal ID', parseInt)
+    .option('--from <time>', 'Delegate the open proposals closing from this date or duration from now (default: now)')
+    .option('--until <time>', 'Delegate the open proposals closing up to this date or duration from now, e.g. 30d')))))
+    .action(async (options) => {
+        console.log('🤝 Delegating vote...\n');
+        
+        if ((options.proposal === undefined) === (options.until === undefined)) {
+            console.error('❌ Pick what to delegate with -p <id> or --until <time> (and optionally --from <time>)');
+            process.exit(1);
+        }
+        let delegateCommitment;
+        try {
+            delegateCommitment = BigInt(options.to);
+        } catch (error) {
+            console.error(`❌ Invalid delegate commitment "${options.to}"`);
+            process.exit(1);
+        }
+        
+        const { address: contractAddress, provider, daoVoting } = await connectContract(options, { write: true });
+        if (await fetchDelegationVerifier(daoVoting) === null) {
+            console.error(`❌ ${contractAddress} does not take delegations. Deploy with: DELEGATION=true npx hardhat run scripts/deploy.js`);
+            process.exit(1);
+        }
+        
+        // A range covers the proposals that exist now - run it again to pick up later ones
+        let proposalIds = [options.proposal];
+        if (options.until !== undefined) {
+            try {
+                const now = await chainTimestamp(provider);
+                const from = options.from === undefined ? now : parseTimestamp(options.from, now);
+                const until = parseTimestamp(options.until, now);
+                proposalIds = await proposalsClosingBetween(daoVoting, { from, until, now });
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            if (proposalIds.length === 0) {
+                console.log('No open proposals close in that range');
+                process.exit(0);
+            }
+        }
+        
+        const keystore = await loadIdentity(options.identity || CONFIG.identityFile);
+        const { members, levels } = await loadProvingMembers(options);
+        if (isWeightedRegistry(members)) {
+            console.error('❌ Delegation is one member, one vote - this registry is weighted');
+            process.exit(1);
+        }
+        const leafIndex = findLeafIndex(members, keystore.commitment);
+        if (leafIndex === -1) {
+            console.error(`❌ ${keystore.name}'s commitment is not in the registry. Ask your DAO admin to add: ${keystore.commitment}`);
+            process.exit(1);
+        }
+        const depth = resolveDepth(options, members.length, { registryLevels: levels, kind: 'delegation' });
+        const variant = circuitVariant(depth, { kind: 'delegation' });
+        const hash = await buildHasher();
+        
+        let identity;
+        try {
+            identity = await unlockIdentity(keystore, hash);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        if (computeDelegateCommitment(hash, identity.nullifier, identity.secret) === delegateCommitment) {
+            console.error('❌ That is your own delegate commitment - just vote');
+            process.exit(1);
+        }
+        
+        assertBuildArtifacts(variant, PROVING_ARTIFACTS, { circuitFile: variant.main });
+        const tree = await buildRegistryTree(members, depth);
+        const proof = tree.getProof(leafIndex);
+        const delegations = await loadDelegations();
+        
+        let failed = false;
+        for (const proposalId of proposalIds) {
+            // the secret is random, so the revocation hash can't be tied to the member
+            const revocationSecret = randomRevocationSecret();
+            const witness = buildDelegationInput(hash, {
+                nullifier: identity.nullifier,
+                secret: identity.secret,
+                proposalId,
+                delegateCommitment,
+                revocationHash: computeRevocationHash(revocationSecret),
+                proof
+            });
+            
+            if (await daoVoting.usedNullifiers(witness.nullifierHash)) {
+                console.log(`⏭️  Proposal ${proposalId}: already voted or delegated`);
+                continue;
+            }
+            const failures = checkVoteInput(hash, witness, { levels: depth });
+            if (failures.length > 0) {
+                console.error(`❌ Proposal ${proposalId}: these inputs would not satisfy the circuit:`);
+                failures.forEach(failure => console.error(`   - ${failure}`));
+                failed = true;
+                continue;
+            }
+            
+            console.log(`🔐 Proposal ${proposalId}: generating delegation proof...`);
+            const { proof: snarkProof } = await snarkjs.groth16.fullProve(witness, variant.wasm, variant.zkey);
+            const delegation = {
+                proposalId,
+                delegateCommitment: witness.delegateCommitment,
+                nullifierHash: witness.nullifierHash,
+                revocationSecret: revocationSecret.toString(),
+                root: witness.root,
+                depth,
+                memberName: keystore.name,
+                proof: {
+                    a: [snarkProof.pi_a[0], snarkProof.pi_a[1]],
+                    b: [[snarkProof.pi_b[0][1], snarkProof.pi_b[0][0]],
+                        [snarkProof.pi_b[1][1], snarkProof.pi_b[1][0]]],
+                    c: [snarkProof.pi_c[0], snarkProof.pi_c[1]]
+                },
+                timestamp: new Date().toISOString()
+            };
+            
+            try {
+                const submission = await submitDelegation(daoVoting, { ...witness, proposalId, proof: delegation.proof });
+                delegation.submission = {
+                    contractAddress,
+                    transactionHash: submission.transactionHash,
+                    blockNumber: submission.blockNumber,
+                    submittedAt: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error(`❌ Proposal ${proposalId}: delegation failed: ${error.message}`);
+                failed = true;
+                continue;
+            }
+            delegations.push(delegation);
+            await saveDelegations(delegations);
+            console.log(`✅ Proposal ${proposalId}: delegated (tx ${delegation.submission.transactionHash})`);
+        }
+        
+        console.log(`\n📄 Revocation secrets saved to: ${CONFIG.delegationsFile}`);
+        console.log('   Take a delegation back before the delegate votes with: dao-vote undelegate -p <id>');
+        process.exit(failed ? 1 : 0);
+    });
+
+withConnectionOptions(withIdentityOption(program
+    .command('undelegate')
+    .description('Take back your delegation on a proposal, while the delegate hasn\'t voted yet')
+    .requiredOption('-p, --proposal <id>', 'Proposal ID', parseInt)))
+    .action(async (options) => {
+        const keystore = await loadIdentity(options.identity || CONFIG.identityFile);
+        const { address: contractAddress, daoVoting } = await connectContract(options, { write: true });
+        const delegations = await loadDelegations();
+        const delegation = delegations.find(d => d.proposalId === options.proposal && d.memberName === keystore.name &&
+            !d.revoked && d.submission && d.submission.contractAddress.toLowerCase() === contractAddress.toLowerCase());
+        if (!delegation) {
+            console.error(`❌ No delegation by ${keystore.name} for proposal ${options.proposal} on ${contractAddress} in ${CONFIG.delegationsFile}`);
+            process.exit(1);
+        }
+        
+        let submission;
+        try {
+            submission = await submitUndelegation(daoVoting, {
+                nullifierHash: delegation.nullifierHash,
+                revocationSecret: delegation.revocationSecret
+            });
+        } catch (error) {
+            console.error(`❌ Undelegation failed: ${error.message}`);
+            process.exit(1);
+        }
+        
+        delegation.revoked = {
+            transactionHash: submission.transactionHash,
+            blockNumber: submission.blockNumber,
+            revokedAt: new Date().toISOString()
+        };
+        await saveDelegations(delegations);
+        
+        console.log(`✅ Delegation on proposal ${options.proposal} taken back - you can vote or delegate again`);
+        console.log(`   Transaction: ${submission.transactionHash}`);
+    });
+
+const identity = program
+    .command('identity')
+    .description('Manage your encrypted voter identity');
+
+withIdentityOption(identity
+    .command('show')
+    .description('Print the name and commitment of an identity (no passphrase needed)'))
+    .action(async (options) => {
+        const keystore = await loadIdentity(options.identity || CONFIG.identityFile);
+        console.log(`Name: ${keystore.name}`);
+        console.log(`Commitment: ${keystore.commitment}`);
+    });
+
+withIdentityOption(identity
+    .command('delegate-commitment')
+    .description('Print the commitment others delegate their votes to you with'))
+    .action(async (options) => {
+        const keystore = await loadIdentity(options.identity || CONFIG.identityFile);
+        const hash = await buildHasher();
+        
+        let identity;
+        try {
+            identity = await unlockIdentity(keystore, hash);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        // only the owner can vote with it, but it is the same on every proposal
+        console.log(`Name: ${keystore.name}`);
+        console.log(`Delegate commitment: ${computeDelegateCommitment(hash, identity.nullifier, identity.secret)}`);
+    });
+
+withIdentityOption(identity
+    .command('export')
+    .description('Copy your encrypted identity to a file, e.g. for another machine')
+    .requiredOption('-o, --out <file>', 'Output file'))
+    .action(async (options) => {
+        const keystore = await loadIdentity(options.identity || CONFIG.identityFile);
+        
+        try {
+            await saveIdentity(options.out, keystore);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        console.log(`✅ Encrypted identity for ${keystore.name} written to ${options.out}`);
+    });
+
+withIdentityOption(identity
+    .command('import')
+    .description('Install an encrypted identity file as your identity')
+    .requiredOption('-f, --file <file>', 'Identity file from `identity export`')
+    .option('--force', 'Overwrite an existing identity'))
+    .action(async (options) => {
+        const keystore = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+        const identityFile = options.identity || CONFIG.identityFile;
+        const hash = await buildHasher();
+        
+        // only accept files we can actually open
+        try {
+            await unlockIdentity(keystore, hash);
+            await saveIdentity(identityFile, keystore, { force: options.force });
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        console.log(`✅ Imported ${keystore.name} to ${identityFile}`);
+        if (findLeafIndex(await loadMembers(), keystore.commitment) === -1) {
+            console.log('⚠️  This commitment is not in the local registry yet');
+        }
+    });
+
+withIdentityOption(identity
+    .command('change-password')
+    .description('Re-encrypt your identity under a new passphrase'))
+    .action(async (options) => {
+        const identityFile = options.identity || CONFIG.identityFile;
+        const keystore = await loadIdentity(identityFile);
+        
+        try {
+            const oldPassphrase = await getPassphrase(CONFIG.passphrase, `Current passphrase for ${keystore.name}: `);
+            const newPassphrase = await getPassphrase(
+                CONFIG.newPassphrase,
+                `New passphrase for ${keystore.name}: `,
+                { confirm: true }
+            );
+            const updated = await changePassphrase(keystore, oldPassphrase, newPassphrase);
+            await saveIdentity(identityFile, updated, { force: true });
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        console.log(`✅ Passphrase updated for ${keystore.name}`);
+    });
+
+// One line per option, padded to the longest label
+function printOptionCounts(options, counts, unit = '') {
+    const width = Math.max(...options.map(label => label.length), 'TOTAL'.length) + 1;
+    options.forEach((label, i) => {
+        console.log(`   ${`${label.toUpperCase()}:`.padEnd(width + 1)}${counts[i]}${unit}`);
+    });
+    return width;
+}
+
+// share of `part` in `whole` to one decimal, exact for BigInt weights too
+function percentage(part, whole) {
+    return (Number(BigInt(part) * 100000n / BigInt(whole)) / 1000).toFixed(1);
+}
+
+function printTally(tally) {
+    // weighted tallies count in BigInts, quadratic and committee ones in numbers
+    const counts = tally.counts.map(BigInt);
+    const total = BigInt(tally.total);
+    
+    // weighted and quadratic ballots count more than one vote, so the
+    // totals differ from the ballot count
+    let ballots = '';
+    if (tally.credits !== undefined) {
+        ballots = ` from ${tally.ballots} ballots, ${tally.credits} credits spent`;
+    } else if (total !== BigInt(tally.ballots)) {
+        ballots = ` from ${tally.ballots} weighted ballots`;
+    }
+    console.log('🗳️  Vote Results:');
+    const width = printOptionCounts(tally.options, counts, ' votes');
+    console.log(`   ${'TOTAL:'.padEnd(width + 1)}${total} votes${ballots}`);
+    
+    if (isYesNoBallot(tally.options)) {
+        const [no, yes] = counts;
+        if (yes + no > 0n) {
+            console.log(`\n📈 Approval rate: ${percentage(yes, yes + no)}% (excluding abstentions)`);
+        }
+        return;
+    }
+    
+    const leading = counts.reduce((max, count) => (count > max ? count : max), 0n);
+    if (total > 0n) {
+        const leaders = tally.options.filter((label, i) => counts[i] === leading);
+        console.log(`\n🏆 ${leaders.length > 1 ? `Tied: ${leaders.join(', ')}` : `Leading: ${leaders[0]}`} (${percentage(leading, total)}%)`);
+    }
+}
+
+function printReconciliation(report, options) {
+    console.log('\n🔎 Reconciliation with local votes.json:');
+    console.log(`   Matched: ${report.matched.length}`);
+    
+    report.missingOnChain.forEach(vote => {
+        console.log(`   ⚠️  Local vote by ${vote.memberName} never landed on chain (nullifier ${vote.nullifierHash})`);
+    });
+    report.unknownOnChain.forEach(vote => {
+        console.log(`   ⚠️  On-chain vote with no local record (nullifier ${vote.nullifierHash}, tx ${vote.transactionHash})`);
+    });
+    const describe = vote => (vote.allocation
+        ? formatAllocation(options, vote.allocation)
+        : options[vote.voteValue].toUpperCase());
+    report.mismatched.forEach(({ local, chain }) => {
+        console.log(`   ⚠️  Vote by ${local.memberName} is ${describe(chain)} on chain but ${describe(local)} locally`);
+    });
+    
+    if (report.missingOnChain.length + report.unknownOnChain.length + report.mismatched.length === 0) {
+        console.log('   ✅ Local records and chain agree');
+    }
+}
+
+withConnectionOptions(program
     .command('tally')
     .description('Tally votes for a proposal')
     .requiredOption('-p, --proposal <id>', 'Proposal ID', parseInt)
+    .option('-s, --source <source>', 'Where to count votes: local (votes.json) or chain (the contract\'s vote events)', 'local')
+    .option('--from-block <number>', 'First block to scan with --source chain', parseInt, 0))
     .action(async (options) => {
         console.log(`📊 Tallying votes for proposal ${options.proposal}...\n`);
         
-        const votes = fs.existsSync(CONFIG.votesFile) 
-            ? JSON.parse(fs.readFileSync(CONFIG.votesFile, 'utf8'))
-            : [];
+        const votes = await loadVotes();
+        const localVotes = localVoteEntries(votes.filter(v => v.proposalId === options.proposal));
+        
+        if (options.source === 'local') {
+            if (localVotes.length === 0) {
+                console.log('No votes found for this proposal');
+                return;
+            }
             
-        const proposalVotes = votes.filter(v => v.proposalId === options.proposal);
+            // records of multi-option ballots carry their option labels
+            const ballot = localVotes[0].options || VOTE_LABELS;
+            const tally = localVotes[0].allocation
+                ? tallyQuadraticVotes(localVotes, { options: ballot })
+                : tallyVotes(localVotes, { options: ballot });
+            // Check for duplicate nullifiers (double voting)
+            tally.duplicates.forEach(vote => {
+                console.log(`⚠️  Duplicate vote detected from ${vote.memberName}`);
+            });
+            printTally(tally);
+            return;
+        }
+        
+        if (options.source !== 'chain') {
+            console.error(`❌ Unknown source "${options.source}". Use: local or chain`);
+            process.exit(1);
+        }
+        
+        const { daoVoting } = await connectContract(options);
+        
+        let details;
+        try {
+            details = await fetchProposal(daoVoting, options.proposal);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        // nothing on an encrypted contract can be counted before the committee decrypts it
+        if (await fetchCommitteeKey(daoVoting)) {
+            console.log('🔒 Ballots on this contract are encrypted. Once voting ends the committee');
+            console.log('   decrypts the totals with: dao-vote committee decrypt / dao-vote committee tally');
+            process.exit(1);
+        }
+        
+        // QuadraticDAOVoting emits QuadraticVoteCast instead of VoteCast
+        const fromBlock = options.fromBlock;
+        const quadraticVotes = await fetchQuadraticVoteEvents(daoVoting, options.proposal, { fromBlock });
+        const quadratic = quadraticVotes.length > 0;
+        const chainVotes = quadratic
+            ? quadraticVotes
+            : await fetchVoteEvents(daoVoting, options.proposal, { fromBlock });
+        const tally = quadratic
+            ? tallyQuadraticVotes(chainVotes, { options: details.options })
+            : tallyVotes(chainVotes, { options: details.options });
+        printTally(tally);
+        
+        // the events should always add up to the contract's own counters
+        const eventName = quadratic ? 'QuadraticVoteCast' : 'VoteCast';
+        const consistent = details.votes.every((count, i) => BigInt(tally.counts[i]) === count);
+        const counters = details.options.map((label, i) => `${label.toUpperCase()} ${details.votes[i]}`);
+        console.log(`\n⛓️  getOptionVotes: ${counters.join(' / ')}`);
+        if (consistent) {
+            console.log(`   ✅ Matches the ${eventName} events`);
+        } else {
+            console.log(`   ⚠️  Does not match the ${eventName} events (try an earlier --from-block)`);
+        }
+        
+        printReconciliation(reconcileVotes(localVotes, chainVotes), details.options);
+        
+        if (await fetchDelegationVerifier(daoVoting)) {
+            const summary = summarizeDelegations(await fetchDelegationEvents(daoVoting, options.proposal, { fromBlock }));
+            console.log('\n🤝 Delegation:');
+            console.log(`   Delegations: ${summary.delegations} to ${summary.delegates} delegates (${summary.revoked} taken back)`);
+            console.log(`   Cast by delegates: ${summary.weight} votes from ${summary.votingDelegates} delegates`);
+            if (summary.unused > 0) {
+                console.log(`   ⚠️  ${summary.unused} delegations are waiting on delegates who haven't voted`);
+            }
+        }
+    });
+
+const proposal = program
+    .command('proposal')
+    .description('Create, inspect and execute on-chain proposals');
+
+withConnectionOptions(proposal
+    .command('create')
+    .description('Create a new proposal')
+    .requiredOption('-d, --description <text>', 'Proposal description')
+    .option('-t, --duration <duration>', 'Voting period, e.g. 3600, 90m, 12h or 7d', '7d')
+    .option('-o, --options <labels>', 'Comma-separated ballot options, e.g. "alice,bob,carol" (default: yes/no/abstain)')
+    .option('--actions <file>', 'Action list to run if a yes/no/abstain proposal passes (from `proposal action add`)'))
+    .action(async (options) => {
+        let duration;
+        let ballot;
+        let actions;
+        try {
+            duration = parseDuration(options.duration);
+            if (options.options) {
+                ballot = checkBallotOptions(options.options.split(',').map(label => label.trim()));
+            }
+            if (options.actions) {
+                if (ballot) {
+                    throw new Error('Only yes/no/abstain proposals can carry actions - drop --options');
+                }
+                actions = loadActions(options.actions);
+                checkActions(actions);
+            }
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        console.log('📝 Creating proposal...\n');
+        const { daoVoting } = await connectContract(options, { write: true });
         
-        if (proposalVotes.length === 0) {
-            console.log('No votes found for this proposal');
+        let created;
+        try {
+            created = await createProposal(daoVoting, options.description, duration, { options: ballot, actions });
+        } catch (error) {
+            console.error(`❌ Proposal creation failed: ${error.message}`);
+            process.exit(1);
+        }
+        
+        console.log('✅ Proposal created!');
+        console.log(`   ID: ${created.proposalId}`);
+        console.log(`   Deadline: ${new Date(created.deadline * 1000).toISOString()}`);
+        console.log(`   Options: ${(ballot || VOTE_LABELS).join(', ')}`);
+        if (actions) {
+            console.log(`   Actions: ${actions.length}, run by \`proposal execute\` if it passes`);
+        }
+        console.log(`   Transaction: ${created.transactionHash}`);
+        console.log(`   Block: ${created.blockNumber}`);
+        // the circuits reject proposalId 0 (see checkVoteInput)
+        if (Number(created.proposalId) === 0) {
+            console.log('\n⚠️  Proposal 0 can\'t be voted on or delegated - the circuits reject proposal ID 0.');
+            console.log('   Treat it as a placeholder and create the real proposal again (it gets ID 1).');
+        }
+    });
+
+withConnectionOptions(proposal
+    .command('list')
+    .description('List proposals from ProposalCreated/ProposalExecuted events')
+    .option('--from-block <number>', 'First block to scan', parseInt, 0))
+    .action(async (options) => {
+        const { provider, daoVoting } = await connectContract(options);
+        const history = await fetchProposalHistory(daoVoting, { fromBlock: options.fromBlock });
+        const created = history.filter(entry => entry.type === 'created');
+        
+        if (created.length === 0) {
+            console.log('No proposals found. Create one with: dao-vote proposal create');
             return;
         }
         
-        const tally = {
-            yes: 0,
-            no: 0,
-            abstain: 0
-        };
+        const now = await chainTimestamp(provider);
+        const executed = new Set(
+            history.filter(entry => entry.type === 'executed').map(entry => entry.proposalId)
+        );
         
-        const nullifiers = new Set();
+        console.log('📋 Proposals:\n');
+        created.forEach(entry => {
+            const status = executed.has(entry.proposalId)
+                ? 'executed'
+                : entry.deadline > now ? `open, ${formatDuration(entry.deadline - now)} left` : 'closed';
+            console.log(`[${entry.proposalId}] ${entry.description}`);
+            console.log(`    Status: ${status}`);
+            console.log(`    Created in block ${entry.blockNumber}\n`);
+        });
+    });
+
+withConnectionOptions(proposal
+    .command('show')
+    .description('Show a proposal with its on-chain vote counts, execution rules, actions and history')
+    .requiredOption('-p, --proposal <id>', 'Proposal ID', parseInt)
+    .option('--abi <file>', 'ABI to decode action calldata with (repeatable)', (value, list) => [...list, value], []))
+    .action(async (options) => {
+        const { provider, daoVoting } = await connectContract(options);
         
-        proposalVotes.forEach(vote => {
-            // Check for duplicate nullifiers (double voting)
-            if (nullifiers.has(vote.nullifierHash)) {
-                console.log(`⚠️  Duplicate vote detected from ${vote.memberName}`);
-                return;
+        let details;
+        try {
+            details = await fetchProposal(daoVoting, options.proposal);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        const now = await chainTimestamp(provider);
+        const history = await fetchProposalHistory(daoVoting, { proposalId: options.proposal });
+        const rules = await fetchExecutionRules(daoVoting, options.proposal);
+        const actions = await fetchProposalActions(daoVoting, options.proposal);
+        
+        console.log(`📋 Proposal ${details.id}: ${details.description}\n`);
+        console.log(`   Deadline:  ${new Date(details.deadline * 1000).toISOString()}`);
+        console.log(`   Remaining: ${formatDuration(details.deadline - now)}`);
+        console.log(`   Executed:  ${details.executed ? 'yes' : 'no'}`);
+        console.log('\n🗳️  On-chain votes:');
+        printOptionCounts(details.options, details.votes);
+        
+        console.log('\n⚖️  Execution rules:');
+        console.log(`   Quorum:    ${rules.quorum > 0n ? `${rules.quorum} votes` : 'none'}`);
+        console.log(`   Approval:  ${rules.approvalThreshold > 0n ? `${formatBasisPoints(rules.approvalThreshold)} of yes + no` : 'none'}`);
+        if (rules.timelockDelay > 0n) {
+            console.log(`   Timelock:  ${formatDuration(Number(rules.timelockDelay))}, executable from ${new Date(rules.executableAt * 1000).toISOString()}`);
+        }
+        if (actions.length > 0) {
+            // --abi decodes the calldata, otherwise it's shown raw
+            const interfaces = (options.abi || []).map(loadInterface);
+            console.log('\n⚙️  Actions:');
+            actions.forEach((action, i) => {
+                console.log(`   [${i}] ${action.target}${action.value > 0n ? ` (${ethers.formatEther(action.value)} ETH)` : ''}`);
+                console.log(`       ${describeAction(action, interfaces)}`);
+            });
+        }
+        
+        if (history.length > 0) {
+            console.log('\n📜 History:');
+            history.forEach(entry => {
+                console.log(`   ${entry.type.padEnd(8)} block ${entry.blockNumber}  ${entry.transactionHash}`);
+            });
+        }
+    });
+
+withConnectionOptions(proposal
+    .command('execute')
+    .description('Execute a proposal that passed, running its actions')
+    .requiredOption('-p, --proposal <id>', 'Proposal ID', parseInt))
+    .action(async (options) => {
+        console.log(`⚙️  Executing proposal ${options.proposal}...\n`);
+        const { provider, daoVoting } = await connectContract(options, { write: true });
+        
+        // check first - the contract reverts with VotingEnded while voting is
+        // still open, which reads backwards
+        let executed;
+        let actions;
+        try {
+            const details = await fetchProposal(daoVoting, options.proposal);
+            const now = await chainTimestamp(provider);
+            if (now <= details.deadline) {
+                throw new Error(`Voting is still open (${formatDuration(details.deadline - now)} left)`);
             }
-            nullifiers.add(vote.nullifierHash);
-            
-            tally[vote.vote]++;
+            const status = executionStatus(details, await fetchExecutionRules(daoVoting, options.proposal), { now });
+            // an encrypted contract can't judge its result, it only marks proposals executed
+            if (!status.executable && !await fetchCommitteeKey(daoVoting)) {
+                throw new Error(status.problems.join('; '));
+            }
+            actions = await fetchProposalActions(daoVoting, options.proposal);
+            executed = await executeProposal(daoVoting, options.proposal);
+        } catch (error) {
+            console.error(`❌ Execution failed: ${error.message}`);
+            process.exit(1);
+        }
+        
+        console.log('✅ Proposal executed!');
+        if (actions.length > 0) {
+            console.log(`   Actions run: ${actions.length}`);
+        }
+        console.log(`   Transaction: ${executed.transactionHash}`);
+        console.log(`   Block: ${executed.blockNumber}`);
+    });
+
+const action = proposal
+    .command('action')
+    .description('Build the action list a proposal runs when it passes');
+
+action
+    .command('add')
+    .description('Append a contract call to an action list')
+    .requiredOption('--target <address>', 'Contract to call')
+    .requiredOption('--abi <abi>', 'ABI or artifact JSON file, or a signature like "function setValue(uint256)"')
+    .requiredOption('--function <name>', 'Function to call (name or full signature for overloads)')
+    .option('--args <json>', 'Arguments as a JSON array, e.g. \'["0xabc...", "1000"]\'', '[]')
+    .option('--value <amount>', 'ETH sent with the call from the DAO\'s balance, in wei or e.g. 0.5eth', '0')
+    .option('-f, --file <file>', 'Action list (default: data/actions.json)')
+    .action(async (options) => {
+        const file = options.file || CONFIG.actionsFile;
+        const actions = loadActions(file);
+        
+        let encoded;
+        try {
+            encoded = encodeAction({
+                target: options.target,
+                abi: options.abi,
+                functionName: options.function,
+                args: parseActionArgs(options.args),
+                value: parseValue(options.value)
+            });
+            checkActions([...actions, encoded]);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        actions.push(encoded);
+        saveActions(file, actions);
+        console.log(`✅ Action ${actions.length - 1}: ${encoded.description} on ${encoded.target}`);
+        console.log(`   Calldata: ${encoded.data}`);
+        console.log(`   Saved to: ${file} - create the proposal with: dao-vote proposal create --actions ${file}`);
+    });
+
+action
+    .command('list')
+    .description('Show an action list')
+    .option('-f, --file <file>', 'Action list (default: data/actions.json)')
+    .action(async (options) => {
+        const file = options.file || CONFIG.actionsFile;
+        const actions = loadActions(file);
+        if (actions.length === 0) {
+            console.log(`No actions in ${file}. Add one with: dao-vote proposal action add`);
+            return;
+        }
+        actions.forEach((entry, i) => {
+            const value = BigInt(entry.value || 0);
+            console.log(`[${i}] ${entry.target}${value > 0n ? ` (${ethers.formatEther(value)} ETH)` : ''}`);
+            console.log(`    ${entry.description || entry.data}`);
+        });
+    });
+
+action
+    .command('clear')
+    .description('Empty an action list')
+    .option('-f, --file <file>', 'Action list (default: data/actions.json)')
+    .action(async (options) => {
+        const file = options.file || CONFIG.actionsFile;
+        saveActions(file, []);
+        console.log(`✅ Cleared ${file}`);
+    });
+
+const committee = program
+    .command('committee')
+    .description('Committee key for encrypted ballots and threshold decryption of the totals');
+
+function loadCommittee(file) {
+    const committeeFile = file || path.join(CONFIG.committeeDir, 'committee.json');
+    if (!fs.existsSync(committeeFile)) {
+        throw new Error(`No committee at ${committeeFile}. Create one with: dao-vote committee keygen`);
+    }
+    const committeeData = JSON.parse(fs.readFileSync(committeeFile, 'utf8'));
+    return {
+        ...committeeData,
+        publicKey: parsePoints([committeeData.publicKey])[0],
+        sharePublicKeys: parsePoints(committeeData.sharePublicKeys)
+    };
+}
+
+function decryptionFile(proposalId, index) {
+    return path.join(CONFIG.committeeDir, 'decryptions', `proposal-${proposalId}-share-${index}.json`);
+}
+
+committee
+    .command('keygen')
+    .description('Split a new committee key into shares, any --threshold of which can decrypt')
+    .requiredOption('-n, --members <count>', 'Number of committee members', parseInt)
+    .requiredOption('-t, --threshold <count>', 'Shares needed to decrypt', parseInt)
+    .option('--force', 'Overwrite an existing committee')
+    .action(async (options) => {
+        const committeeFile = path.join(CONFIG.committeeDir, 'committee.json');
+        if (!options.force && fs.existsSync(committeeFile)) {
+            console.error(`❌ ${committeeFile} already exists (use --force to overwrite)`);
+            process.exit(1);
+        }
+        
+        const curve = await buildBabyJub();
+        let key;
+        try {
+            key = generateCommitteeKey(curve, { members: options.members, threshold: options.threshold });
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        fs.mkdirSync(CONFIG.committeeDir, { recursive: true });
+        fs.writeFileSync(committeeFile, JSON.stringify({
+            publicKey: serializePoints([key.publicKey])[0],
+            threshold: key.threshold,
+            members: key.members,
+            sharePublicKeys: serializePoints(key.shares.map(share => share.publicKey))
+        }, null, 2));
+        key.shares.forEach(share => {
+            fs.writeFileSync(path.join(CONFIG.committeeDir, `share-${share.index}.json`), JSON.stringify({
+                index: share.index,
+                secret: share.secret.toString(),
+                publicKey: serializePoints([share.publicKey])[0]
+            }, null, 2), { mode: 0o600 });
         });
         
-        console.log('🗳️  Vote Results:');
-        console.log(`   YES:     ${tally.yes} votes`);
-        console.log(`   NO:      ${tally.no} votes`);
-        console.log(`   ABSTAIN: ${tally.abstain} votes`);
-        console.log(`   TOTAL:   ${tally.yes + tally.no + tally.abstain} votes`);
+        console.log(`✅ Committee key for ${key.members} members, ${key.threshold} needed to decrypt`);
+        console.log(`   Public key: ${key.publicKey.join(', ')}`);
+        console.log(`   Written to: ${committeeFile}`);
+        console.log(`\n🔑 Hand share-1.json … share-${key.members}.json in ${CONFIG.committeeDir} to one member each and`);
+        console.log('   delete them here - whoever holds enough shares can decrypt every ballot.');
+        console.log('   Deploy with: ENCRYPTED=true npx hardhat run scripts/deploy.js');
+    });
+
+withConnectionOptions(committee
+    .command('decrypt')
+    .description('Publish your share\'s decryption of a proposal\'s encrypted totals, once voting has ended')
+    .requiredOption('-p, --proposal <id>', 'Proposal ID', parseInt)
+    .requiredOption('--share <file>', 'Your committee share file'))
+    .action(async (options) => {
+        const share = JSON.parse(fs.readFileSync(options.share, 'utf8'));
+        const { address, provider, daoVoting } = await connectContract(options);
+        
+        let encryptedTally;
+        try {
+            if (!(await fetchCommitteeKey(daoVoting))) {
+                throw new Error('This contract does not take encrypted ballots');
+            }
+            const details = await fetchProposal(daoVoting, options.proposal);
+            // decrypting early would reveal the running totals
+            const now = await chainTimestamp(provider);
+            if (now <= details.deadline) {
+                throw new Error(`Voting is still open (${formatDuration(details.deadline - now)} left)`);
+            }
+            encryptedTally = await fetchEncryptedTally(daoVoting, options.proposal, details.options.length);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        const hash = await buildHasher();
+        const curve = await buildBabyJub();
+        const decryption = decryptShare(hash, curve, {
+            index: share.index,
+            secret: BigInt(share.secret),
+            publicKey: parsePoints([share.publicKey])[0]
+        }, encryptedTally.c1s);
+        
+        const outFile = decryptionFile(options.proposal, share.index);
+        fs.mkdirSync(path.dirname(outFile), { recursive: true });
+        fs.writeFileSync(outFile, JSON.stringify({
+            contractAddress: address,
+            proposalId: options.proposal,
+            index: decryption.index,
+            decryptions: serializePoints(decryption.decryptions),
+            proofs: decryption.proofs.map(({ a, b, z }) => ({
+                a: serializePoints([a])[0],
+                b: serializePoints([b])[0],
+                z: z.toString()
+            }))
+        }, null, 2));
+        
+        console.log(`✅ Decryption share ${share.index} for proposal ${options.proposal} (${encryptedTally.ballots} ballots)`);
+        console.log(`   Written to: ${outFile}`);
+        console.log('   It reveals nothing on its own - pass it to whoever runs: dao-vote committee tally');
+    });
+
+withConnectionOptions(committee
+    .command('tally')
+    .description('Check the committee\'s decryption shares and print the decrypted totals')
+    .requiredOption('-p, --proposal <id>', 'Proposal ID', parseInt)
+    .option('--committee <file>', 'Committee file (default: data/committee/committee.json)')
+    .option('--decryptions <files...>', 'Decryption shares (default: every share for the proposal in data/committee/decryptions)'))
+    .action(async (options) => {
+        console.log(`📊 Decrypting the totals of proposal ${options.proposal}...\n`);
+        const { daoVoting } = await connectContract(options);
+        
+        let tally;
+        try {
+            const committeeData = loadCommittee(options.committee);
+            const committeeKey = await fetchCommitteeKey(daoVoting);
+            if (!committeeKey) {
+                throw new Error('This contract does not take encrypted ballots');
+            }
+            if (committeeKey.some((coordinate, i) => coordinate !== committeeData.publicKey[i])) {
+                throw new Error('The contract encrypts to a different committee key than this committee file');
+            }
+            
+            const details = await fetchProposal(daoVoting, options.proposal);
+            const encryptedTally = await fetchEncryptedTally(daoVoting, options.proposal, details.options.length);
+            
+            let files = options.decryptions;
+            if (!files) {
+                const dir = path.dirname(decryptionFile(options.proposal, 0));
+                const prefix = `proposal-${options.proposal}-share-`;
+                files = fs.existsSync(dir)
+                    ? fs.readdirSync(dir).filter(file => file.startsWith(prefix)).map(file => path.join(dir, file))
+                    : [];
+            }
+            const shares = files.map(file => JSON.parse(fs.readFileSync(file, 'utf8'))).map(share => {
+                if (share.proposalId !== options.proposal) {
+                    throw new Error(`Decryption share ${share.index} is for proposal ${share.proposalId}`);
+                }
+                return {
+                    index: share.index,
+                    decryptions: parsePoints(share.decryptions),
+                    proofs: share.proofs.map(({ a, b, z }) => ({ a: parsePoints([a])[0], b: parsePoints([b])[0], z: BigInt(z) }))
+                };
+            });
+            
+            const hash = await buildHasher();
+            const curve = await buildBabyJub();
+            const counts = combineDecryptions(hash, curve, committeeData, encryptedTally, shares);
+            console.log(`🔓 ${shares.length} decryption shares checked (${committeeData.threshold} of ${committeeData.members} needed)\n`);
+            
+            tally = {
+                options: details.options,
+                counts,
+                total: counts.reduce((sum, count) => sum + count, 0),
+                ballots: encryptedTally.ballots
+            };
+            if (isYesNoBallot(details.options)) {
+                VOTE_LABELS.forEach((label, i) => {
+                    tally[label] = counts[i];
+                });
+            }
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        
+        printTally(tally);
+    });
+
+const ceremony = program
+    .command('ceremony')
+    .description('Take part in or check the phase-2 trusted setup ceremonies (one per circuit kind and depth)');
+
+// Ceremonies a command works on: --dir, --depth, or every built variant that has one
+function ceremonyTargets(options) {
+    if (options.dir) {
+        return [{ label: options.dir, dir: options.dir, variant: null }];
+    }
+    return Object.keys(CIRCUIT_KINDS)
+        .flatMap(kind => {
+            const depths = options.depth ? [options.depth] : builtDepths({ kind, buildDir: CONFIG.buildDir });
+            return depths.map(depth => circuitVariant(depth, { kind }));
+        })
+        .filter(variant => fs.existsSync(path.join(variant.ceremonyDir, TRANSCRIPT_FILE)))
+        .map(variant => ({ label: `${variant.kind} depth ${variant.depth}`, dir: variant.ceremonyDir, variant }));
+}
+
+withDepthOption(ceremony
+    .command('contribute')
+    .description('Add your contribution to the open ceremonies in build/<kind>_<depth>/ceremony')
+    .requiredOption('-n, --name <name>', 'Contributor name recorded in the zkey and transcript')
+    .option('-d, --dir <dir>', 'A single ceremony directory instead'))
+    .action(async (options) => {
+        const targets = ceremonyTargets(options)
+            .filter(target => options.depth || options.dir || !loadTranscript(path.join(target.dir, TRANSCRIPT_FILE)).beacon);
+        if (targets.length === 0) {
+            console.error('❌ No open ceremony. Start one with: CEREMONY_FINALIZE=false npm run compile');
+            process.exit(1);
+        }
+        
+        for (const target of targets) {
+            console.log(`🎲 Contributing to ${target.label} as ${options.name}...`);
+            
+            let entry;
+            try {
+                entry = await contribute(target.dir, options.name);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            
+            console.log(`✅ Contribution #${entry.index} recorded`);
+            console.log(`   Contribution hash: ${entry.contributionHash}`);
+        }
+        console.log('   Keep these hashes - anyone can check them with: dao-vote ceremony verify');
+        // snarkjs keeps its curve workers alive
+        process.exit(0);
+    });
+
+withDepthOption(ceremony
+    .command('verify')
+    .description('Re-verify finished ceremonies: zkey vs r1cs and ptau, and every contribution hash in the transcript')
+    .option('-d, --dir <dir>', 'A single ceremony directory instead (needs --r1cs)')
+    .option('--r1cs <file>', 'Circuit r1cs (default: the variant\'s build/<kind>_<depth>/vote.r1cs)')
+    .option('--ptau <file>', 'Powers of Tau file', path.join(CONFIG.buildDir, 'powersOfTau.ptau'))
+    .option('--zkey <file>', 'Final zkey (default: the one named in the transcript)'))
+    .action(async (options) => {
+        console.log('🔍 Verifying trusted setup ceremonies...\n');
+        
+        const targets = ceremonyTargets(options);
+        if (targets.length === 0) {
+            console.error('❌ No ceremony found. Run: npm run compile');
+            process.exit(1);
+        }
         
-        const total = tally.yes + tally.no;
-        if (total > 0) {
-            const yesPercentage = (tally.yes / total * 100).toFixed(1);
-            console.log(`\n📈 Approval rate: ${yesPercentage}% (excluding abstentions)`);
+        let failed = false;
+        for (const target of targets) {
+            let transcript;
+            try {
+                transcript = loadTranscript(path.join(target.dir, TRANSCRIPT_FILE));
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            
+            const r1csPath = options.r1cs || (target.variant && target.variant.r1cs);
+            const zkeyPath = options.zkey || (transcript.finalZkey && path.join(target.dir, transcript.finalZkey.file));
+            for (const file of [r1csPath, options.ptau, zkeyPath]) {
+                if (!file || !fs.existsSync(file)) {
+                    console.error(`❌ Missing ${file || (r1csPath ? 'final zkey (the ceremony has no beacon yet)' : 'r1cs (pass --r1cs)')}`);
+                    process.exit(1);
+                }
+            }
+            
+            const result = await verifyCeremony({ r1csPath, ptauPath: options.ptau, zkeyPath, transcript });
+            
+            console.log(`📋 ${target.label}: ${transcript.circuit.name} (${transcript.circuit.constraints} constraints)`);
+            result.contributions.forEach(c => {
+                console.log(`   #${c.index} ${c.name || '(unnamed)'}: ${c.contributionHash}`);
+            });
+            
+            if (result.ok) {
+                console.log('   ✅ zkey matches the r1cs, ptau and every transcript entry\n');
+            } else {
+                failed = true;
+                console.log('   ❌ Ceremony verification FAILED:');
+                result.problems.forEach(problem => console.log(`      - ${problem}`));
+                console.log('');
+            }
+        }
+        
+        if (failed) {
+            process.exit(1);
         }
+        console.log('✅ All ceremonies verified');
+        process.exit(0);
     });
 
 program.parse();
\ No newline at end of file
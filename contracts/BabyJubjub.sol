@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Baby Jubjub point addition, the curve circomlib's babyjub.circom works on
+// (twisted Edwards, a*x^2 + y^2 = 1 + d*x^2*y^2 over the BN254 scalar field).
+// Enough for EncryptedDAOVoting to add up ElGamal ciphertexts on chain.
+library BabyJubjub {
+    uint256 internal constant Q = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    uint256 internal constant A = 168700;
+    uint256 internal constant D = 168696;
+    
+    function add(uint256[2] memory p, uint256[2] memory q) internal view returns (uint256[2] memory r) {
+        uint256 x1x2 = mulmod(p[0], q[0], Q);
+        uint256 y1y2 = mulmod(p[1], q[1], Q);
+        uint256 dxy = mulmod(D, mulmod(x1x2, y1y2, Q), Q);
+        
+        uint256 xNum = addmod(mulmod(p[0], q[1], Q), mulmod(p[1], q[0], Q), Q);
+        uint256 yNum = addmod(y1y2, Q - mulmod(A, x1x2, Q), Q);
+        
+        r[0] = mulmod(xNum, inverse(addmod(1, dxy, Q)), Q);
+        r[1] = mulmod(yNum, inverse(addmod(1, Q - dxy, Q)), Q);
+    }
+    
+    function isOnCurve(uint256[2] memory p) internal pure returns (bool) {
+        if (p[0] >= Q || p[1] >= Q) return false;
+        uint256 xx = mulmod(p[0], p[0], Q);
+        uint256 yy = mulmod(p[1], p[1], Q);
+        return addmod(mulmod(A, xx, Q), yy, Q) == addmod(1, mulmod(D, mulmod(xx, yy, Q), Q), Q);
+    }
+    
+    // a^(Q-2) mod Q through the modexp precompile. The denominators above are
+    // never 0 for points on the curve (d is not a square).
+    function inverse(uint256 a) internal view returns (uint256 result) {
+        bool ok;
+        assembly {
+            let input := mload(0x40)
+            mstore(input, 0x20)
+            mstore(add(input, 0x20), 0x20)
+            mstore(add(input, 0x40), 0x20)
+            mstore(add(input, 0x60), a)
+            mstore(add(input, 0x80), sub(Q, 2))
+            mstore(add(input, 0xa0), Q)
+            ok := staticcall(gas(), 0x05, input, 0xc0, input, 0x20)
+            result := mload(input)
+        }
+        require(ok, "modexp failed");
+    }
+}
@@ -6,50 +6,204 @@ interface IVerifier {
         uint[2] memory a,
         uint[2][2] memory b,
         uint[2] memory c,
-        uint[4] memory input
+        uint[5] memory input
     ) external view returns (bool);
 }
 
 contract DAOVoting {
     IVerifier public immutable verifier;
     
+    // voteValue indexes into options, votes holds each option's total.
+    // createProposal's ballots are options ["no", "yes", "abstain"].
     struct Proposal {
         string description;
         uint256 deadline;
-        uint256 yesVotes;
-        uint256 noVotes;
-        uint256 abstainVotes;
+        string[] options;
+        uint256[] votes;
         bool executed;
-        mapping(uint256 => bool) nullifiers;
     }
     
+    // a call executeProposal makes once the proposal has passed
+    struct Action {
+        address target;
+        uint256 value;
+        bytes data;
+    }
+    
+    // what a proposal needs to pass, fixed when it is created so changing
+    // the rules doesn't move the goalposts of open proposals
+    struct ExecutionRules {
+        uint256 quorum;            // votes of every option together, abstain included
+        uint256 approvalThreshold; // yes share of yes + no in basis points, 0 for custom ballots
+        uint256 timelockDelay;     // seconds between the deadline and execution
+    }
+    
+    // the circuit range-checks voteValue to 8 bits and compares it against
+    // the option count in 9
+    uint256 public constant MAX_OPTIONS = 256;
+    
     mapping(uint256 => Proposal) public proposals;
+    // nullifierHash = Poseidon(nullifier, proposalId), so each hash already
+    // belongs to exactly one proposal and one global set covers them all
     mapping(uint256 => bool) public usedNullifiers;
     
     uint256 public proposalCount;
-    uint256 public immutable merkleRoot;
+    
+    uint256 public constant MAX_ACTIONS = 16;
+    uint256 public constant BASIS_POINTS = 10000;
+    
+    mapping(uint256 => Action[]) internal proposalActions;
+    mapping(uint256 => ExecutionRules) public executionRules;
+    
+    // rules for new proposals - by default a strict majority of yes over no
+    uint256 public quorum;
+    uint256 public approvalThreshold = 5001;
+    uint256 public timelockDelay;
+    
+    // Membership root. The admin (an EOA or a governance contract) can move
+    // it forward as members join; the last ROOT_HISTORY_SIZE roots stay valid
+    // so proofs generated just before an update still go through.
+    uint256 public constant ROOT_HISTORY_SIZE = 30;
+    uint256 public merkleRoot;
+    uint256[ROOT_HISTORY_SIZE] public rootHistory;
+    uint256 public currentRootIndex;
+    address public admin;
     
     event ProposalCreated(uint256 indexed proposalId, string description, uint256 deadline);
-    event VoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint8 vote);
+    // weight is 1 unless the deployment is weighted (see WeightedDAOVoting)
+    event VoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint8 vote, uint256 weight);
     event ProposalExecuted(uint256 indexed proposalId);
+    event RootUpdated(uint256 indexed oldRoot, uint256 indexed newRoot);
+    event AdminChanged(address indexed oldAdmin, address indexed newAdmin);
+    event ExecutionRulesChanged(uint256 quorum, uint256 approvalThreshold, uint256 timelockDelay);
     
     error InvalidProof();
     error ProposalDoesNotExist();
     error VotingEnded();
     error NullifierAlreadyUsed();
     error InvalidVoteValue();
+    error InvalidOptionCount();
+    error NotYesNoBallot();
     error ProposalAlreadyExecuted();
+    error UnknownRoot();
+    error InvalidRoot();
+    error NotAdmin();
+    error InvalidAdmin();
+    error InvalidActionCount();
+    error InvalidExecutionRules();
+    error QuorumNotReached();
+    error ProposalRejected();
+    error TimelockNotExpired();
+    error ActionFailed(uint256 index, bytes reason);
+    
+    modifier onlyAdmin() {
+        if (msg.sender != admin) revert NotAdmin();
+        _;
+    }
     
     constructor(address _verifier, uint256 _merkleRoot) {
         verifier = IVerifier(_verifier);
+        admin = msg.sender;
         merkleRoot = _merkleRoot;
+        rootHistory[0] = _merkleRoot;
+    }
+    
+    function updateRoot(uint256 newRoot) external onlyAdmin {
+        if (newRoot == 0 || newRoot == merkleRoot) revert InvalidRoot();
+        
+        uint256 oldRoot = merkleRoot;
+        currentRootIndex = (currentRootIndex + 1) % ROOT_HISTORY_SIZE;
+        rootHistory[currentRootIndex] = newRoot;
+        merkleRoot = newRoot;
+        
+        emit RootUpdated(oldRoot, newRoot);
+    }
+    
+    // hand the root over to e.g. a governance contract - never to nobody,
+    // that would freeze the root and the rules for good
+    function setAdmin(address newAdmin) external onlyAdmin {
+        if (newAdmin == address(0)) revert InvalidAdmin();
+        emit AdminChanged(admin, newAdmin);
+        admin = newAdmin;
+    }
+    
+    function setExecutionRules(uint256 _quorum, uint256 _approvalThreshold, uint256 _timelockDelay) external onlyAdmin {
+        if (_approvalThreshold > BASIS_POINTS) revert InvalidExecutionRules();
+        quorum = _quorum;
+        approvalThreshold = _approvalThreshold;
+        timelockDelay = _timelockDelay;
+        emit ExecutionRulesChanged(_quorum, _approvalThreshold, _timelockDelay);
     }
     
+    // action values are paid out of the contract's balance
+    receive() external payable {}
+    
+    // walks back from the newest root, same idea as tornado's isKnownRoot
+    function isKnownRoot(uint256 root) public view returns (bool) {
+        if (root == 0) return false;
+        
+        uint256 i = currentRootIndex;
+        do {
+            if (rootHistory[i] == root) return true;
+            i = i == 0 ? ROOT_HISTORY_SIZE - 1 : i - 1;
+        } while (i != currentRootIndex);
+        
+        return false;
+    }
+    
+    // a yes/no/abstain ballot
     function createProposal(string calldata description, uint256 duration) external returns (uint256) {
+        return _createProposal(description, duration, _yesNoOptions());
+    }
+    
+    // A yes/no/abstain ballot that makes these calls if it passes. Only the
+    // admin can propose them: under the default rules one yes vote passes a
+    // proposal, which would let any member spend the contract's balance.
+    function createProposalWithActions(
+        string calldata description,
+        uint256 duration,
+        Action[] calldata actions
+    ) external virtual onlyAdmin returns (uint256) {
+        if (actions.length == 0 || actions.length > MAX_ACTIONS) revert InvalidActionCount();
+        
+        uint256 proposalId = _createProposal(description, duration, _yesNoOptions());
+        for (uint256 i = 0; i < actions.length; i++) {
+            proposalActions[proposalId].push(actions[i]);
+        }
+        return proposalId;
+    }
+    
+    // a ballot with its own options, e.g. grant recipients
+    function createProposalWithOptions(
+        string calldata description,
+        uint256 duration,
+        string[] calldata options
+    ) external returns (uint256) {
+        uint256 proposalId = _createProposal(description, duration, options);
+        // no yes or no to approve, only the quorum applies
+        executionRules[proposalId].approvalThreshold = 0;
+        return proposalId;
+    }
+    
+    function _yesNoOptions() internal pure returns (string[] memory options) {
+        options = new string[](3);
+        options[0] = "no";
+        options[1] = "yes";
+        options[2] = "abstain";
+    }
+    
+    function _createProposal(string memory description, uint256 duration, string[] memory options) internal virtual returns (uint256) {
+        if (options.length < 2 || options.length > MAX_OPTIONS) revert InvalidOptionCount();
+        
         uint256 proposalId = proposalCount++;
         Proposal storage proposal = proposals[proposalId];
         proposal.description = description;
         proposal.deadline = block.timestamp + duration;
+        for (uint256 i = 0; i < options.length; i++) {
+            proposal.options.push(options[i]);
+        }
+        proposal.votes = new uint256[](options.length);
+        executionRules[proposalId] = ExecutionRules(quorum, approvalThreshold, timelockDelay);
         
         emit ProposalCreated(proposalId, description, proposal.deadline);
         return proposalId;
@@ -57,46 +211,70 @@ contract DAOVoting {
     
     function vote(
         uint256 proposalId,
+        uint256 root,
         uint256 nullifierHash,
         uint8 voteValue,
         uint[2] memory a,
         uint[2][2] memory b,
         uint[2] memory c
-    ) external {
-        if (proposalId >= proposalCount) revert ProposalDoesNotExist();
-        if (voteValue > 2) revert InvalidVoteValue();
-        
-        Proposal storage proposal = proposals[proposalId];
-        if (block.timestamp > proposal.deadline) revert VotingEnded();
-        if (proposal.nullifiers[nullifierHash]) revert NullifierAlreadyUsed();
+    ) external virtual {
+        _checkVote(proposalId, root, nullifierHash, voteValue);
         
-        // verify zk proof
-        uint[4] memory input = [
-            merkleRoot,
+        // verify zk proof - the option count comes from storage, so the
+        // proof can only pick one of this proposal's options
+        uint[5] memory input = [
+            root,
             nullifierHash,
             proposalId,
-            voteValue
+            voteValue,
+            proposals[proposalId].options.length
         ];
         
         if (!verifier.verifyProof(a, b, c, input)) revert InvalidProof();
         
+        _countVote(proposalId, nullifierHash, voteValue, 1);
+    }
+    
+    // everything about a vote that can be checked before the proof
+    function _checkVote(uint256 proposalId, uint256 root, uint256 nullifierHash, uint8 voteValue) internal view {
+        if (proposalId >= proposalCount) revert ProposalDoesNotExist();
+        if (voteValue >= proposals[proposalId].options.length) revert InvalidVoteValue();
+        _checkBallot(proposalId, root, nullifierHash);
+    }
+    
+    // the part of _checkVote that doesn't depend on what the vote is for
+    function _checkBallot(uint256 proposalId, uint256 root, uint256 nullifierHash) internal view {
+        if (proposalId >= proposalCount) revert ProposalDoesNotExist();
+        if (block.timestamp > proposals[proposalId].deadline) revert VotingEnded();
+        if (usedNullifiers[nullifierHash]) revert NullifierAlreadyUsed();
+        if (!isKnownRoot(root)) revert UnknownRoot();
+    }
+    
+    // only call once the proof has been verified
+    function _countVote(uint256 proposalId, uint256 nullifierHash, uint8 voteValue, uint256 weight) internal {
+        Proposal storage proposal = proposals[proposalId];
+        
         // mark nullifier as used
-        proposal.nullifiers[nullifierHash] = true;
-        usedNullifiers[nullifierHash] = true; // kinda redundant but w/e
+        usedNullifiers[nullifierHash] = true;
         
         // tally votes
-        if (voteValue == 0) {
-            proposal.noVotes++;
-        } else if (voteValue == 1) {
-            proposal.yesVotes++;
-        } else {
-            // must be 2 (abstain)
-            proposal.abstainVotes++;
-        }
+        proposal.votes[voteValue] += weight;
         
-        emit VoteCast(proposalId, nullifierHash, voteValue);
+        emit VoteCast(proposalId, nullifierHash, voteValue, weight);
+    }
+    
+    function getProposalOptions(uint256 proposalId) external view returns (string[] memory) {
+        if (proposalId >= proposalCount) revert ProposalDoesNotExist();
+        return proposals[proposalId].options;
     }
     
+    // per-option totals, in the same order as getProposalOptions
+    function getOptionVotes(uint256 proposalId) external view returns (uint256[] memory) {
+        if (proposalId >= proposalCount) revert ProposalDoesNotExist();
+        return proposals[proposalId].votes;
+    }
+    
+    // shorthand for yes/no/abstain ballots
     function getProposalVotes(uint256 proposalId) external view returns (
         uint256 yes,
         uint256 no,
@@ -104,20 +282,59 @@ contract DAOVoting {
     ) {
         if (proposalId >= proposalCount) revert ProposalDoesNotExist();
         Proposal storage proposal = proposals[proposalId];
-        return (proposal.yesVotes, proposal.noVotes, proposal.abstainVotes);
+        if (proposal.options.length != 3) revert NotYesNoBallot();
+        return (proposal.votes[1], proposal.votes[0], proposal.votes[2]);
+    }
+    
+    function getProposalActions(uint256 proposalId) external view returns (Action[] memory) {
+        if (proposalId >= proposalCount) revert ProposalDoesNotExist();
+        return proposalActions[proposalId];
+    }
+    
+    // first moment executeProposal goes through, if the proposal passed
+    function executableAt(uint256 proposalId) public view returns (uint256) {
+        if (proposalId >= proposalCount) revert ProposalDoesNotExist();
+        return proposals[proposalId].deadline + executionRules[proposalId].timelockDelay;
     }
     
+    // Runs the proposal's actions in order once voting has ended, the
+    // timelock has passed and the on-chain counts meet its rules. One failed
+    // call reverts them all, so the proposal can be executed again later.
     function executeProposal(uint256 proposalId) external {
         if (proposalId >= proposalCount) revert ProposalDoesNotExist();
         Proposal storage proposal = proposals[proposalId];
         
         if (proposal.executed) revert ProposalAlreadyExecuted();
         if (block.timestamp <= proposal.deadline) revert VotingEnded();
+        if (block.timestamp < executableAt(proposalId)) revert TimelockNotExpired();
+        _checkOutcome(proposalId);
         
+        // before the calls, so none of them can execute it again
         proposal.executed = true;
         emit ProposalExecuted(proposalId);
         
-        // TODO: actually do something here lol
-        // rn just marks as executed
+        Action[] storage actions = proposalActions[proposalId];
+        for (uint256 i = 0; i < actions.length; i++) {
+            (bool success, bytes memory reason) = actions[i].target.call{value: actions[i].value}(actions[i].data);
+            if (!success) revert ActionFailed(i, reason);
+        }
+    }
+    
+    function _checkOutcome(uint256 proposalId) internal view virtual {
+        Proposal storage proposal = proposals[proposalId];
+        ExecutionRules storage rules = executionRules[proposalId];
+        
+        uint256 total = 0;
+        for (uint256 i = 0; i < proposal.votes.length; i++) {
+            total += proposal.votes[i];
+        }
+        if (total < rules.quorum) revert QuorumNotReached();
+        
+        // yes/no/abstain ballots only, abstentions don't count either way
+        if (rules.approvalThreshold > 0) {
+            uint256 yes = proposal.votes[1];
+            uint256 no = proposal.votes[0];
+            if (yes == 0 || yes * BASIS_POINTS < rules.approvalThreshold * (yes + no)) revert ProposalRejected();
+        }
     }
 }
\ No newline at end of file
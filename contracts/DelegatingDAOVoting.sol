@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./DAOVoting.sol";
+
+interface IDelegatedVerifier {
+    function verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[6] memory input
+    ) external view returns (bool);
+}
+
+// DAOVoting with anonymous delegation. A member proves membership with the
+// Delegation circuit and hands their vote on a proposal to a delegate
+// commitment - the proof spends the nullifier hash their own vote would,
+// so it can't be counted twice. The delegate votes with the DelegatedVote
+// circuit, proving they own the commitment, and the vote counts 1 plus the
+// delegations made to it. Members without delegations vote the same way. Deploy it with the Groth16Verifier,
+// Groth16DelegationVerifier and Groth16DelegatedVerifier of one depth.
+contract DelegatingDAOVoting is DAOVoting {
+    // Delegation's public inputs have the same shape as Vote's
+    IVerifier public immutable delegationVerifier;
+    IDelegatedVerifier public immutable delegatedVerifier;
+    
+    struct Delegation {
+        uint256 proposalId;
+        uint256 delegateCommitment;
+        uint256 revocationHash;
+        bool revoked;
+    }
+    
+    // keyed by the nullifier hash each delegation spends
+    mapping(uint256 => Delegation) public delegations;
+    // proposalId => delegateCommitment => live delegations
+    mapping(uint256 => mapping(uint256 => uint256)) public delegatedWeight;
+    mapping(uint256 => mapping(uint256 => bool)) public delegateVoted;
+    
+    event Delegated(uint256 indexed proposalId, uint256 nullifierHash, uint256 indexed delegateCommitment);
+    event Undelegated(uint256 indexed proposalId, uint256 nullifierHash, uint256 indexed delegateCommitment);
+    event DelegatedVoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint256 indexed delegateCommitment, uint256 delegatedWeight);
+    
+    error InvalidDelegate();
+    error DelegateAlreadyVoted();
+    error DelegationNotFound();
+    error InvalidRevocation();
+    error DelegatedVoteRequired();
+    
+    constructor(
+        address _verifier,
+        uint256 _merkleRoot,
+        address _delegationVerifier,
+        address _delegatedVerifier
+    ) DAOVoting(_verifier, _merkleRoot) {
+        delegationVerifier = IVerifier(_delegationVerifier);
+        delegatedVerifier = IDelegatedVerifier(_delegatedVerifier);
+    }
+    
+    function delegate(
+        uint256 proposalId,
+        uint256 root,
+        uint256 nullifierHash,
+        uint256 delegateCommitment,
+        uint256 revocationHash,
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c
+    ) external {
+        _checkBallot(proposalId, root, nullifierHash);
+        if (delegateCommitment == 0) revert InvalidDelegate();
+        // too late, the delegate's vote has been counted
+        if (delegateVoted[proposalId][delegateCommitment]) revert DelegateAlreadyVoted();
+        
+        uint[5] memory input = [root, nullifierHash, proposalId, delegateCommitment, revocationHash];
+        if (!delegationVerifier.verifyProof(a, b, c, input)) revert InvalidProof();
+        
+        usedNullifiers[nullifierHash] = true;
+        delegations[nullifierHash] = Delegation(proposalId, delegateCommitment, revocationHash, false);
+        delegatedWeight[proposalId][delegateCommitment]++;
+        
+        emit Delegated(proposalId, nullifierHash, delegateCommitment);
+    }
+    
+    // Takes a delegation back while the delegate hasn't voted yet and frees
+    // the nullifier hash, so the member can vote or delegate again. The
+    // secret behind revocationHash is random and says nothing about them.
+    function undelegate(uint256 nullifierHash, uint256 revocationSecret) external {
+        Delegation storage delegation = delegations[nullifierHash];
+        if (delegation.delegateCommitment == 0 || delegation.revoked) revert DelegationNotFound();
+        if (revocationHashOf(revocationSecret) != delegation.revocationHash) revert InvalidRevocation();
+        
+        uint256 proposalId = delegation.proposalId;
+        uint256 delegateCommitment = delegation.delegateCommitment;
+        if (block.timestamp > proposals[proposalId].deadline) revert VotingEnded();
+        if (delegateVoted[proposalId][delegateCommitment]) revert DelegateAlreadyVoted();
+        
+        delegation.revoked = true;
+        delegatedWeight[proposalId][delegateCommitment]--;
+        usedNullifiers[nullifierHash] = false;
+        
+        emit Undelegated(proposalId, nullifierHash, delegateCommitment);
+    }
+    
+    // a plain vote would leave delegateVoted unset, so delegations made to
+    // the voter afterwards would spend nullifiers without ever being counted
+    function vote(
+        uint256,
+        uint256,
+        uint256,
+        uint8,
+        uint[2] memory,
+        uint[2][2] memory,
+        uint[2] memory
+    ) external pure override {
+        revert DelegatedVoteRequired();
+    }
+    
+    // keccak256 cut to 248 bits so it fits the circuit's field
+    function revocationHashOf(uint256 revocationSecret) public pure returns (uint256) {
+        return uint256(keccak256(abi.encode(revocationSecret))) >> 8;
+    }
+    
+    function voteDelegated(
+        uint256 proposalId,
+        uint256 root,
+        uint256 nullifierHash,
+        uint8 voteValue,
+        uint256 delegateCommitment,
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c
+    ) external {
+        _checkVote(proposalId, root, nullifierHash, voteValue);
+        if (delegateVoted[proposalId][delegateCommitment]) revert DelegateAlreadyVoted();
+        
+        uint[6] memory input = [
+            root,
+            nullifierHash,
+            proposalId,
+            voteValue,
+            proposals[proposalId].options.length,
+            delegateCommitment
+        ];
+        if (!delegatedVerifier.verifyProof(a, b, c, input)) revert InvalidProof();
+        
+        delegateVoted[proposalId][delegateCommitment] = true;
+        uint256 weight = delegatedWeight[proposalId][delegateCommitment];
+        _countVote(proposalId, nullifierHash, voteValue, 1 + weight);
+        
+        emit DelegatedVoteCast(proposalId, nullifierHash, delegateCommitment, weight);
+    }
+}
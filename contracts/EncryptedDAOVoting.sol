@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./DAOVoting.sol";
+import "./BabyJubjub.sol";
+
+interface IEncryptedVerifier {
+    function verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[22] memory input
+    ) external view returns (bool);
+}
+
+// DAOVoting with encrypted ballots. A vote is one ElGamal ciphertext per
+// option under the committee's Baby Jubjub key (1 for the chosen option, 0
+// for the rest), and the EncryptedVote circuit proves they are well formed.
+// The contract only ever adds the ciphertexts up - the per-option counters
+// stay at 0 and the totals are threshold-decrypted off chain by the
+// committee once voting ends. Deploy it with a Groth16EncryptedVerifier<depth>.
+contract EncryptedDAOVoting is DAOVoting {
+    // the circuit is compiled for this many options
+    uint256 public constant MAX_ENCRYPTED_OPTIONS = 4;
+    
+    uint256[2] public committeeKey;
+    
+    // running sums of every ballot's ciphertexts, per option
+    struct EncryptedTally {
+        uint256[2][4] c1;
+        uint256[2][4] c2;
+        uint256 ballots;
+    }
+    
+    mapping(uint256 => EncryptedTally) internal encryptedTallies;
+    
+    event EncryptedVoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint256[2][4] c1, uint256[2][4] c2);
+    
+    error EncryptedVoteRequired();
+    error InvalidCommitteeKey();
+    error EncryptedTallyOffChain();
+    
+    constructor(address _verifier, uint256 _merkleRoot, uint256[2] memory _committeeKey) DAOVoting(_verifier, _merkleRoot) {
+        // the identity would put every vote in the clear
+        if (!BabyJubjub.isOnCurve(_committeeKey) || _committeeKey[0] == 0) revert InvalidCommitteeKey();
+        committeeKey = _committeeKey;
+    }
+    
+    // a plain vote would reveal the choice
+    function vote(
+        uint256,
+        uint256,
+        uint256,
+        uint8,
+        uint[2] memory,
+        uint[2][2] memory,
+        uint[2] memory
+    ) external pure override {
+        revert EncryptedVoteRequired();
+    }
+    
+    function getCommitteeKey() external view returns (uint256[2] memory) {
+        return committeeKey;
+    }
+    
+    // The totals are only known once the committee decrypts them off chain,
+    // so nothing here can tell whether a proposal passed. Proposals can still
+    // be marked executed, but can't carry actions that depend on the result.
+    function createProposalWithActions(
+        string calldata,
+        uint256,
+        Action[] calldata
+    ) external pure override returns (uint256) {
+        revert EncryptedTallyOffChain();
+    }
+    
+    function _checkOutcome(uint256) internal pure override {}
+    
+    function _createProposal(string memory description, uint256 duration, string[] memory options) internal override returns (uint256) {
+        if (options.length > MAX_ENCRYPTED_OPTIONS) revert InvalidOptionCount();
+        uint256 proposalId = super._createProposal(description, duration, options);
+        
+        // sums start at the identity (0, 1)
+        EncryptedTally storage tally = encryptedTallies[proposalId];
+        for (uint256 i = 0; i < MAX_ENCRYPTED_OPTIONS; i++) {
+            tally.c1[i][1] = 1;
+            tally.c2[i][1] = 1;
+        }
+        return proposalId;
+    }
+    
+    function voteEncrypted(
+        uint256 proposalId,
+        uint256 root,
+        uint256 nullifierHash,
+        uint256[2][4] calldata c1,
+        uint256[2][4] calldata c2,
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c
+    ) external {
+        _checkBallot(proposalId, root, nullifierHash);
+        
+        uint256 optionCount = proposals[proposalId].options.length;
+        uint[22] memory input = _encryptedInput(root, nullifierHash, proposalId, optionCount, c1, c2);
+        if (!IEncryptedVerifier(address(verifier)).verifyProof(a, b, c, input)) revert InvalidProof();
+        
+        usedNullifiers[nullifierHash] = true;
+        
+        // the ciphertexts past optionCount encrypt 0, no need to add them
+        EncryptedTally storage tally = encryptedTallies[proposalId];
+        for (uint256 i = 0; i < optionCount; i++) {
+            tally.c1[i] = BabyJubjub.add(tally.c1[i], c1[i]);
+            tally.c2[i] = BabyJubjub.add(tally.c2[i], c2[i]);
+        }
+        tally.ballots++;
+        
+        emit EncryptedVoteCast(proposalId, nullifierHash, c1, c2);
+    }
+    
+    function _encryptedInput(
+        uint256 root,
+        uint256 nullifierHash,
+        uint256 proposalId,
+        uint256 optionCount,
+        uint256[2][4] calldata c1,
+        uint256[2][4] calldata c2
+    ) internal view returns (uint[22] memory input) {
+        input[0] = root;
+        input[1] = nullifierHash;
+        input[2] = proposalId;
+        input[3] = optionCount;
+        input[4] = committeeKey[0];
+        input[5] = committeeKey[1];
+        for (uint256 i = 0; i < MAX_ENCRYPTED_OPTIONS; i++) {
+            input[6 + 2 * i] = c1[i][0];
+            input[7 + 2 * i] = c1[i][1];
+            input[14 + 2 * i] = c2[i][0];
+            input[15 + 2 * i] = c2[i][1];
+        }
+    }
+    
+    // what the committee decrypts: the summed ciphertexts of every option
+    function getEncryptedTally(uint256 proposalId) external view returns (
+        uint256[2][4] memory c1,
+        uint256[2][4] memory c2,
+        uint256 ballots
+    ) {
+        if (proposalId >= proposalCount) revert ProposalDoesNotExist();
+        EncryptedTally storage tally = encryptedTallies[proposalId];
+        return (tally.c1, tally.c2, tally.ballots);
+    }
+}
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Poseidon(2), deployed from the bytecode circomlibjs' poseidon_gencontract
+// generates - same constants as Poseidon(2) in the circuit
+interface IPoseidonHasher {
+    function poseidon(uint256[2] calldata inputs) external pure returns (uint256);
+}
+
+interface IRootConsumer {
+    function updateRoot(uint256 newRoot) external;
+}
+
+// On-chain member registry. Commitments are appended to an incremental
+// Poseidon tree with the same layout as lib/merkle.js (zero leaf 0, bare
+// commitments as leaves) and every new root is pushed to DAOVoting, so this
+// contract has to be DAOVoting's admin.
+contract MemberRegistry {
+    uint256 public constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    IPoseidonHasher public immutable hasher;
+    IRootConsumer public immutable daoVoting;
+    uint256 public immutable levels;
+
+    address public owner;
+    bool public openRegistration;
+
+    uint256 public root;
+    uint256 public nextIndex;
+    // zeros[i] = root of an empty subtree of height i
+    uint256[] public zeros;
+    // filledSubtrees[i] = latest left node at level i, tornado style
+    uint256[] public filledSubtrees;
+    mapping(uint256 => bool) public isRegistered;
+
+    event MemberRegistered(uint256 indexed index, uint256 indexed commitment);
+    event RegistrationModeChanged(bool open);
+
+    error NotOwner();
+    error RegistrationClosed();
+    error InvalidCommitment();
+    error AlreadyRegistered();
+    error TreeFull();
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    constructor(address _hasher, address _daoVoting, uint256 _levels) {
+        hasher = IPoseidonHasher(_hasher);
+        daoVoting = IRootConsumer(_daoVoting);
+        levels = _levels;
+        owner = msg.sender;
+
+        uint256 zero = 0;
+        for (uint256 i = 0; i < _levels; i++) {
+            zeros.push(zero);
+            filledSubtrees.push(zero);
+            zero = hashLeftRight(zero, zero);
+        }
+        zeros.push(zero);
+        root = zero;
+    }
+
+    // closed = only the owner adds members, open = anyone can join
+    function setOpenRegistration(bool open) external onlyOwner {
+        openRegistration = open;
+        emit RegistrationModeChanged(open);
+    }
+
+    function register(uint256 commitment) external returns (uint256) {
+        if (!openRegistration && msg.sender != owner) revert RegistrationClosed();
+        if (commitment == 0 || commitment >= SNARK_SCALAR_FIELD) revert InvalidCommitment();
+        if (isRegistered[commitment]) revert AlreadyRegistered();
+
+        uint256 index = nextIndex;
+        if (index >= 2 ** levels) revert TreeFull();
+
+        uint256 current = commitment;
+        uint256 position = index;
+        for (uint256 i = 0; i < levels; i++) {
+            if (position % 2 == 0) {
+                // left child - the right sibling is still empty
+                filledSubtrees[i] = current;
+                current = hashLeftRight(current, zeros[i]);
+            } else {
+                current = hashLeftRight(filledSubtrees[i], current);
+            }
+            position /= 2;
+        }
+
+        root = current;
+        nextIndex = index + 1;
+        isRegistered[commitment] = true;
+
+        emit MemberRegistered(index, commitment);
+        daoVoting.updateRoot(current);
+        return index;
+    }
+
+    function hashLeftRight(uint256 left, uint256 right) public view returns (uint256) {
+        return hasher.poseidon([left, right]);
+    }
+}
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./DAOVoting.sol";
+
+interface IQuadraticVerifier {
+    function verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[12] memory input
+    ) external view returns (bool);
+}
+
+// Quadratic DAOVoting. Membership leaves are Poseidon(commitment, credits)
+// and the QuadraticVote circuit proves an allocation of votes across the
+// options costs at most the member's credits (v votes cost v^2). The budget
+// stays private; the allocation is public and added to the per-option
+// counts. Deploy it with a Groth16QuadraticVerifier<depth>.
+contract QuadraticDAOVoting is DAOVoting {
+    // the circuit is compiled for this many options
+    uint256 public constant MAX_QUADRATIC_OPTIONS = 8;
+    
+    event QuadraticVoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint256[8] allocation);
+    
+    error QuadraticVoteRequired();
+    error EmptyAllocation();
+    
+    constructor(address _verifier, uint256 _merkleRoot) DAOVoting(_verifier, _merkleRoot) {}
+    
+    // a single-option vote doesn't prove anything about the budget
+    function vote(
+        uint256,
+        uint256,
+        uint256,
+        uint8,
+        uint[2] memory,
+        uint[2][2] memory,
+        uint[2] memory
+    ) external pure override {
+        revert QuadraticVoteRequired();
+    }
+    
+    function _createProposal(string memory description, uint256 duration, string[] memory options) internal override returns (uint256) {
+        if (options.length > MAX_QUADRATIC_OPTIONS) revert InvalidOptionCount();
+        return super._createProposal(description, duration, options);
+    }
+    
+    function voteQuadratic(
+        uint256 proposalId,
+        uint256 root,
+        uint256 nullifierHash,
+        uint256[8] calldata allocation,
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c
+    ) external {
+        _checkBallot(proposalId, root, nullifierHash);
+        
+        Proposal storage proposal = proposals[proposalId];
+        uint256 optionCount = proposal.options.length;
+        
+        // the circuit rejects these too, this just gives a clearer error
+        bool empty = true;
+        for (uint256 i = 0; i < MAX_QUADRATIC_OPTIONS; i++) {
+            if (allocation[i] == 0) continue;
+            if (i >= optionCount) revert InvalidVoteValue();
+            empty = false;
+        }
+        if (empty) revert EmptyAllocation();
+        
+        uint[12] memory input;
+        input[0] = root;
+        input[1] = nullifierHash;
+        input[2] = proposalId;
+        input[3] = optionCount;
+        for (uint256 i = 0; i < MAX_QUADRATIC_OPTIONS; i++) {
+            input[4 + i] = allocation[i];
+        }
+        
+        if (!IQuadraticVerifier(address(verifier)).verifyProof(a, b, c, input)) revert InvalidProof();
+        
+        usedNullifiers[nullifierHash] = true;
+        for (uint256 i = 0; i < optionCount; i++) {
+            proposal.votes[i] += allocation[i];
+        }
+        
+        emit QuadraticVoteCast(proposalId, nullifierHash, allocation);
+    }
+}
@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./DAOVoting.sol";
+
+interface IWeightedVerifier {
+    function verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[6] memory input
+    ) external view returns (bool);
+}
+
+// Stake-weighted DAOVoting. Membership leaves are Poseidon(commitment, weight)
+// and the WeightedVote circuit exposes the weight, so each vote adds the
+// member's weight to the tally instead of 1. Deploy it with a
+// Groth16WeightedVerifier<depth>.
+contract WeightedDAOVoting is DAOVoting {
+    error WeightedVoteRequired();
+    
+    constructor(address _verifier, uint256 _merkleRoot) DAOVoting(_verifier, _merkleRoot) {}
+    
+    // the weighted verifier takes the weight as an extra public input, so plain votes can't be checked
+    function vote(
+        uint256,
+        uint256,
+        uint256,
+        uint8,
+        uint[2] memory,
+        uint[2][2] memory,
+        uint[2] memory
+    ) external pure override {
+        revert WeightedVoteRequired();
+    }
+    
+    function voteWeighted(
+        uint256 proposalId,
+        uint256 root,
+        uint256 nullifierHash,
+        uint8 voteValue,
+        uint256 weight,
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c
+    ) external {
+        _checkVote(proposalId, root, nullifierHash, voteValue);
+        
+        uint[6] memory input = [
+            root,
+            nullifierHash,
+            proposalId,
+            voteValue,
+            proposals[proposalId].options.length,
+            weight
+        ];
+        
+        if (!IWeightedVerifier(address(verifier)).verifyProof(a, b, c, input)) revert InvalidProof();
+        
+        _countVote(proposalId, nullifierHash, voteValue, weight);
+    }
+}
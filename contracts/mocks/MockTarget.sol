@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Something for proposal actions to call in tests
+contract MockTarget {
+    uint256 public value;
+    address public lastCaller;
+    uint256 public received;
+
+    event ValueSet(address indexed caller, uint256 value, uint256 paid);
+
+    function setValue(uint256 _value) external payable {
+        value = _value;
+        lastCaller = msg.sender;
+        received += msg.value;
+        emit ValueSet(msg.sender, _value, msg.value);
+    }
+
+    function fail(string calldata reason) external pure {
+        revert(reason);
+    }
+}
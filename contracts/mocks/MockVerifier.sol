@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Test double for the Groth16 verifiers - accepts or rejects every proof
+contract MockVerifier {
+    bool public result = true;
+
+    function setResult(bool _result) external {
+        result = _result;
+    }
+
+    function verifyProof(
+        uint[2] calldata,
+        uint[2][2] calldata,
+        uint[2] calldata,
+        uint[5] calldata
+    ) external view returns (bool) {
+        return result;
+    }
+
+    // the weighted circuit's verifiers take the weight as well
+    function verifyProof(
+        uint[2] calldata,
+        uint[2][2] calldata,
+        uint[2] calldata,
+        uint[6] calldata
+    ) external view returns (bool) {
+        return result;
+    }
+
+    // and the quadratic ones an allocation over 8 options
+    function verifyProof(
+        uint[2] calldata,
+        uint[2][2] calldata,
+        uint[2] calldata,
+        uint[12] calldata
+    ) external view returns (bool) {
+        return result;
+    }
+
+    // the encrypted ones the committee key and a ciphertext per option
+    function verifyProof(
+        uint[2] calldata,
+        uint[2][2] calldata,
+        uint[2] calldata,
+        uint[22] calldata
+    ) external view returns (bool) {
+        return result;
+    }
+}
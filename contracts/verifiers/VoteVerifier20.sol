@@ -20,43 +20,46 @@
 
 pragma solidity >=0.7.0 <0.9.0;
 
-contract Groth16Verifier {
+contract Groth16Verifier20 {
     // Scalar field size
     uint256 constant r    = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
     // Base field size
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 7354004870569994222189522309738836337687275577332428690728724933781917096886;
-    uint256 constant alphay  = 6615168684098445053631902780019876538335020402373435070700214184030752448302;
-    uint256 constant betax1  = 551684025823043109523635452914147062107941866406317963510026390078080992845;
-    uint256 constant betax2  = 20466154804239458048211686155507711806293000506330768761342610606589038496331;
-    uint256 constant betay1  = 21020551160231745354684671509357648010569046698469526957201067987136549172725;
-    uint256 constant betay2  = 10370815030267478115342221277497358287928768866555402616276592208533741482554;
+    uint256 constant alphax  = 7191197178067192886929556108618396078209715032279087709909518433403260673489;
+    uint256 constant alphay  = 14203209157493797234923453984044987161033966064353090879266577959896366072440;
+    uint256 constant betax1  = 5272085389253907874507370085226969851867477960750745744997987617433431133888;
+    uint256 constant betax2  = 7393143081037140870719477329357626690370558682528091509708203878762400684204;
+    uint256 constant betay1  = 659542915471650530455211003784425768527853562334594879700482506901664544744;
+    uint256 constant betay2  = 13269474651099282743007230743888640199769161465745067001484122766027453122844;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
-    uint256 constant deltax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
-    uint256 constant deltay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
-    uint256 constant deltay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
+    uint256 constant deltax1 = 10522300439243115303753713216744685893573244518951958396953926158628800312271;
+    uint256 constant deltax2 = 14546001036495481560323206817138182221395279433633385683290080490754608715650;
+    uint256 constant deltay1 = 19924524011149298456240094000903216180120358378316789071287819101454441410110;
+    uint256 constant deltay2 = 5934564070040319205489336620329867437421697734646135908109040606939844618308;
 
     
-    uint256 constant IC0x = 11265065938604213137281886663537908495963195096324700392869731337397620007593;
-    uint256 constant IC0y = 10255553706844661740008065122761459610267363521488793477199078741761352392530;
+    uint256 constant IC0x = 12373347910229453702576449527875790589350732077306073166875235038911911531088;
+    uint256 constant IC0y = 5383235376433714365405873234040702186391435494421249684958251034466172350571;
     
-    uint256 constant IC1x = 17456134455450867423780814457470169737209891898985968767412547742028998621943;
-    uint256 constant IC1y = 5293023991517790395048236030400612182580955281810079736724351699951034214705;
+    uint256 constant IC1x = 357781402939757135832287665962697594196080648383098045685095250155944763999;
+    uint256 constant IC1y = 5882074407289509322863445862098619417236254979379970992663052618051488926532;
     
-    uint256 constant IC2x = 6407017529527077441196045166296018463064970703611154179915857685289277160392;
-    uint256 constant IC2y = 9053237995875308226081482977474926054680156249263181432777023408895932721869;
+    uint256 constant IC2x = 1917914282524719449462932952233689759445763640153441686055656297763443581155;
+    uint256 constant IC2y = 692060769958493561366645144658564602437626189881534274154311982372931126809;
     
-    uint256 constant IC3x = 10607643227487646993463013960808529664621826397658924155503165063762184559321;
-    uint256 constant IC3y = 17849806720566936030854837296292428545770791910962774175159268289563888268591;
+    uint256 constant IC3x = 165008506776711574402204237340693197143685835585942213765118176397835684625;
+    uint256 constant IC3y = 4240546041545963535993966040635337633841928886827614078802505161793515499567;
     
-    uint256 constant IC4x = 15648592200078045967136523700326968812573557197816588986623392619680449147548;
-    uint256 constant IC4y = 6414007860185795032274819918216436623737919307248782020447670205986843740552;
+    uint256 constant IC4x = 12629155737038808774695333749586388898085730839753847093521693574934773964555;
+    uint256 constant IC4y = 2501177877996211445568009275926334881338266077684074101173999909165952733861;
+    
+    uint256 constant IC5x = 7062937516678441851786603975188603744925620025625957770159904793607174252313;
+    uint256 constant IC5y = 5342493006272581038002950621676581791253634986743517953293646503685824636643;
     
  
     // Memory data
@@ -65,7 +68,7 @@ contract Groth16Verifier {
 
     uint16 constant pLastMem = 896;
 
-    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[4] calldata _pubSignals) public view returns (bool) {
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[5] calldata _pubSignals) public view returns (bool) {
         assembly {
             function checkField(v) {
                 if iszero(lt(v, r)) {
@@ -117,6 +120,8 @@ contract Groth16Verifier {
                 
                 g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
                 
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
 
                 // -A
                 mstore(_pPairing, calldataload(pA))
@@ -178,6 +183,8 @@ contract Groth16Verifier {
             
             checkField(calldataload(add(_pubSignals, 96)))
             
+            checkField(calldataload(add(_pubSignals, 128)))
+            
 
             // Validate all evaluations
             let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
@@ -0,0 +1,47 @@
+const poseidon = require('./lib/poseidon');
+const merkle = require('./lib/merkle');
+const registry = require('./lib/registry');
+const abi = require('./lib/abi');
+const contract = require('./lib/contract');
+const proposals = require('./lib/proposals');
+const tally = require('./lib/tally');
+const keystore = require('./lib/keystore');
+const witness = require('./lib/witness');
+const membership = require('./lib/membership');
+const ceremony = require('./lib/ceremony');
+const manifest = require('./lib/manifest');
+const circuits = require('./lib/circuits');
+const quadratic = require('./lib/quadratic');
+const elgamal = require('./lib/elgamal');
+const delegation = require('./lib/delegation');
+const actions = require('./lib/actions');
+const proofs = require('./lib/proofs');
+const relayer = require('./lib/relayer');
+const outbox = require('./lib/outbox');
+const bundle = require('./lib/bundle');
+const deployments = require('./lib/deployments');
+
+module.exports = {
+    ...poseidon,
+    ...merkle,
+    ...registry,
+    ...abi,
+    ...contract,
+    ...proposals,
+    ...tally,
+    ...keystore,
+    ...witness,
+    ...membership,
+    ...ceremony,
+    ...manifest,
+    ...circuits,
+    ...quadratic,
+    ...elgamal,
+    ...delegation,
+    ...actions,
+    ...proofs,
+    ...relayer,
+    ...outbox,
+    ...bundle,
+    ...deployments
+};
@@ -0,0 +1,120 @@
+// Human-readable ABI for contracts/DAOVoting.sol - keep in sync with the
+// contract so the CLI doesn't depend on hardhat artifacts being present.
+// Also covers WeightedDAOVoting, QuadraticDAOVoting, EncryptedDAOVoting and
+// DelegatingDAOVoting (their vote functions, events and errors).
+const DAO_VOTING_ABI = [
+    'function verifier() view returns (address)',
+    'function merkleRoot() view returns (uint256)',
+    'function ROOT_HISTORY_SIZE() view returns (uint256)',
+    'function rootHistory(uint256) view returns (uint256)',
+    'function currentRootIndex() view returns (uint256)',
+    'function admin() view returns (address)',
+    'function isKnownRoot(uint256 root) view returns (bool)',
+    'function updateRoot(uint256 newRoot)',
+    'function setAdmin(address newAdmin)',
+    'function proposalCount() view returns (uint256)',
+    'function MAX_OPTIONS() view returns (uint256)',
+    'function MAX_QUADRATIC_OPTIONS() view returns (uint256)',
+    'function MAX_ENCRYPTED_OPTIONS() view returns (uint256)',
+    'function getCommitteeKey() view returns (uint256[2])',
+    'function proposals(uint256) view returns (string description, uint256 deadline, bool executed)',
+    'function usedNullifiers(uint256) view returns (bool)',
+    'function createProposal(string description, uint256 duration) returns (uint256)',
+    'function createProposalWithOptions(string description, uint256 duration, string[] options) returns (uint256)',
+    'function createProposalWithActions(string description, uint256 duration, tuple(address target, uint256 value, bytes data)[] actions) returns (uint256)',
+    'function MAX_ACTIONS() view returns (uint256)',
+    'function quorum() view returns (uint256)',
+    'function approvalThreshold() view returns (uint256)',
+    'function timelockDelay() view returns (uint256)',
+    'function setExecutionRules(uint256 quorum, uint256 approvalThreshold, uint256 timelockDelay)',
+    'function executionRules(uint256) view returns (uint256 quorum, uint256 approvalThreshold, uint256 timelockDelay)',
+    'function executableAt(uint256 proposalId) view returns (uint256)',
+    'function getProposalActions(uint256 proposalId) view returns (tuple(address target, uint256 value, bytes data)[])',
+    'function vote(uint256 proposalId, uint256 root, uint256 nullifierHash, uint8 voteValue, uint256[2] a, uint256[2][2] b, uint256[2] c)',
+    'function voteWeighted(uint256 proposalId, uint256 root, uint256 nullifierHash, uint8 voteValue, uint256 weight, uint256[2] a, uint256[2][2] b, uint256[2] c)',
+    'function voteQuadratic(uint256 proposalId, uint256 root, uint256 nullifierHash, uint256[8] allocation, uint256[2] a, uint256[2][2] b, uint256[2] c)',
+    'function voteEncrypted(uint256 proposalId, uint256 root, uint256 nullifierHash, uint256[2][4] c1, uint256[2][4] c2, uint256[2] a, uint256[2][2] b, uint256[2] c)',
+    'function getEncryptedTally(uint256 proposalId) view returns (uint256[2][4] c1, uint256[2][4] c2, uint256 ballots)',
+    'function delegationVerifier() view returns (address)',
+    'function delegatedVerifier() view returns (address)',
+    'function delegations(uint256) view returns (uint256 proposalId, uint256 delegateCommitment, uint256 revocationHash, bool revoked)',
+    'function delegatedWeight(uint256 proposalId, uint256 delegateCommitment) view returns (uint256)',
+    'function delegateVoted(uint256 proposalId, uint256 delegateCommitment) view returns (bool)',
+    'function delegate(uint256 proposalId, uint256 root, uint256 nullifierHash, uint256 delegateCommitment, uint256 revocationHash, uint256[2] a, uint256[2][2] b, uint256[2] c)',
+    'function undelegate(uint256 nullifierHash, uint256 revocationSecret)',
+    'function revocationHashOf(uint256 revocationSecret) pure returns (uint256)',
+    'function voteDelegated(uint256 proposalId, uint256 root, uint256 nullifierHash, uint8 voteValue, uint256 delegateCommitment, uint256[2] a, uint256[2][2] b, uint256[2] c)',
+    'function getProposalOptions(uint256 proposalId) view returns (string[])',
+    'function getOptionVotes(uint256 proposalId) view returns (uint256[])',
+    'function getProposalVotes(uint256 proposalId) view returns (uint256 yes, uint256 no, uint256 abstain)',
+    'function executeProposal(uint256 proposalId)',
+    'event ProposalCreated(uint256 indexed proposalId, string description, uint256 deadline)',
+    'event VoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint8 vote, uint256 weight)',
+    'event QuadraticVoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint256[8] allocation)',
+    'event EncryptedVoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint256[2][4] c1, uint256[2][4] c2)',
+    'event Delegated(uint256 indexed proposalId, uint256 nullifierHash, uint256 indexed delegateCommitment)',
+    'event Undelegated(uint256 indexed proposalId, uint256 nullifierHash, uint256 indexed delegateCommitment)',
+    'event DelegatedVoteCast(uint256 indexed proposalId, uint256 nullifierHash, uint256 indexed delegateCommitment, uint256 delegatedWeight)',
+    'event ProposalExecuted(uint256 indexed proposalId)',
+    'event RootUpdated(uint256 indexed oldRoot, uint256 indexed newRoot)',
+    'event AdminChanged(address indexed oldAdmin, address indexed newAdmin)',
+    'event ExecutionRulesChanged(uint256 quorum, uint256 approvalThreshold, uint256 timelockDelay)',
+    'error InvalidProof()',
+    'error ProposalDoesNotExist()',
+    'error VotingEnded()',
+    'error NullifierAlreadyUsed()',
+    'error InvalidVoteValue()',
+    'error InvalidOptionCount()',
+    'error NotYesNoBallot()',
+    'error ProposalAlreadyExecuted()',
+    'error UnknownRoot()',
+    'error InvalidRoot()',
+    'error NotAdmin()',
+    'error InvalidAdmin()',
+    'error WeightedVoteRequired()',
+    'error QuadraticVoteRequired()',
+    'error EmptyAllocation()',
+    'error EncryptedVoteRequired()',
+    'error InvalidCommitteeKey()',
+    'error EncryptedTallyOffChain()',
+    'error InvalidActionCount()',
+    'error InvalidExecutionRules()',
+    'error QuorumNotReached()',
+    'error ProposalRejected()',
+    'error TimelockNotExpired()',
+    'error ActionFailed(uint256 index, bytes reason)',
+    'error InvalidDelegate()',
+    'error DelegateAlreadyVoted()',
+    'error DelegationNotFound()',
+    'error InvalidRevocation()',
+    'error DelegatedVoteRequired()'
+];
+
+// contracts/MemberRegistry.sol
+const MEMBER_REGISTRY_ABI = [
+    'function hasher() view returns (address)',
+    'function daoVoting() view returns (address)',
+    'function levels() view returns (uint256)',
+    'function owner() view returns (address)',
+    'function openRegistration() view returns (bool)',
+    'function root() view returns (uint256)',
+    'function nextIndex() view returns (uint256)',
+    'function zeros(uint256) view returns (uint256)',
+    'function filledSubtrees(uint256) view returns (uint256)',
+    'function isRegistered(uint256) view returns (bool)',
+    'function setOpenRegistration(bool open)',
+    'function register(uint256 commitment) returns (uint256)',
+    'function hashLeftRight(uint256 left, uint256 right) view returns (uint256)',
+    'event MemberRegistered(uint256 indexed index, uint256 indexed commitment)',
+    'event RegistrationModeChanged(bool open)',
+    'error NotOwner()',
+    'error RegistrationClosed()',
+    'error InvalidCommitment()',
+    'error AlreadyRegistered()',
+    'error TreeFull()'
+];
+
+module.exports = {
+    DAO_VOTING_ABI,
+    MEMBER_REGISTRY_ABI
+};
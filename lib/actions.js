@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// DAOVoting.MAX_ACTIONS and BASIS_POINTS
+const MAX_ACTIONS = 16;
+const BASIS_POINTS = 10000n;
+
+/**
+ * An ethers Interface from whatever describes the target: an ABI array, a
+ * Hardhat artifact (`{ abi }`), a JSON file holding either, or one
+ * human-readable fragment like "function transfer(address to, uint256 amount)".
+ */
+function loadInterface(abi) {
+    if (abi instanceof ethers.Interface) {
+        return abi;
+    }
+    if (typeof abi === 'string' && /^\s*function\s/.test(abi)) {
+        return new ethers.Interface([abi]);
+    }
+    let parsed = abi;
+    if (typeof abi === 'string') {
+        if (!fs.existsSync(abi)) {
+            throw new Error(`No ABI file at ${abi} (or pass a signature like "function setValue(uint256)")`);
+        }
+        parsed = JSON.parse(fs.readFileSync(abi, 'utf8'));
+    }
+    return new ethers.Interface(Array.isArray(parsed) ? parsed : parsed.abi);
+}
+
+// "1000" is wei, "0.5eth" / "0.5 ether" is ether
+function parseValue(value) {
+    const text = String(value).trim();
+    const ether = /^(\d+(?:\.\d+)?)\s*(?:eth|ether)$/i.exec(text);
+    if (ether) {
+        return ethers.parseEther(ether[1]);
+    }
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`Invalid value "${value}" (use wei, e.g. 1000, or ether, e.g. 0.5eth)`);
+    }
+    return BigInt(text);
+}
+
+// --args as a JSON array, big numbers as strings
+function parseActionArgs(text) {
+    if (text === undefined || text === '') {
+        return [];
+    }
+    let args;
+    try {
+        args = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid arguments ${text} (use a JSON array, e.g. '["0xabc...", "1000"]')`);
+    }
+    if (!Array.isArray(args)) {
+        throw new Error(`Arguments must be a JSON array, got ${text}`);
+    }
+    return args;
+}
+
+/**
+ * Encodes a call to `functionName` on `target` as a proposal action. The
+ * `description` is only for people reading the action list.
+ */
+function encodeAction({ target, abi, functionName, args = [], value = 0n }) {
+    if (!ethers.isAddress(target)) {
+        throw new Error(`Invalid target address "${target}"`);
+    }
+    const iface = loadInterface(abi);
+    const fragment = iface.getFunction(functionName);
+    if (!fragment) {
+        throw new Error(`The ABI has no function "${functionName}"`);
+    }
+    if (args.length !== fragment.inputs.length) {
+        throw new Error(`${fragment.format()} takes ${fragment.inputs.length} arguments, got ${args.length}`);
+    }
+    if (BigInt(value) < 0n) {
+        throw new Error(`Invalid value ${value}`);
+    }
+    const data = iface.encodeFunctionData(fragment, args);
+    return {
+        target: ethers.getAddress(target),
+        value: BigInt(value).toString(),
+        data,
+        description: `${fragment.name}(${args.map(arg => JSON.stringify(arg)).join(', ')})`
+    };
+}
+
+// What executeProposal can take: 1 to MAX_ACTIONS well-formed calls
+function checkActions(actions) {
+    if (!Array.isArray(actions) || actions.length === 0 || actions.length > MAX_ACTIONS) {
+        throw new Error(`A proposal carries between 1 and ${MAX_ACTIONS} actions, got ${Array.isArray(actions) ? actions.length : 'none'}`);
+    }
+    actions.forEach((action, i) => {
+        if (!ethers.isAddress(action.target)) {
+            throw new Error(`Action ${i} has an invalid target "${action.target}"`);
+        }
+        if (!ethers.isHexString(action.data)) {
+            throw new Error(`Action ${i} has invalid calldata`);
+        }
+        parseValue(action.value === undefined ? '0' : action.value);
+    });
+    return actions.map(action => ({
+        target: ethers.getAddress(action.target),
+        value: BigInt(action.value || 0),
+        data: action.data
+    }));
+}
+
+// an action list under construction - `dao-vote proposal action add` appends to it
+function loadActions(file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveActions(file, actions) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(actions, null, 2));
+}
+
+async function fetchProposalActions(contract, proposalId) {
+    const actions = await contract.getProposalActions(proposalId);
+    return actions.map(action => ({
+        target: action.target,
+        value: action.value,
+        data: action.data
+    }));
+}
+
+async function fetchExecutionRules(contract, proposalId) {
+    const [rules, executableAt] = await Promise.all([
+        contract.executionRules(proposalId),
+        contract.executableAt(proposalId)
+    ]);
+    return {
+        quorum: rules.quorum,
+        approvalThreshold: rules.approvalThreshold,
+        timelockDelay: rules.timelockDelay,
+        executableAt: Number(executableAt)
+    };
+}
+
+/**
+ * Whether executeProposal would go through at `now`, judged the way the
+ * contract does from a fetchProposal result and its rules. `problems` says
+ * why not.
+ */
+function executionStatus(details, rules, { now }) {
+    const problems = [];
+    if (details.executed) {
+        problems.push('The proposal has already been executed');
+    }
+    if (now <= details.deadline) {
+        problems.push('Voting is still open');
+    } else if (now < rules.executableAt) {
+        problems.push(`The timelock runs until ${new Date(rules.executableAt * 1000).toISOString()}`);
+    }
+
+    const total = details.votes.reduce((sum, count) => sum + BigInt(count), 0n);
+    if (total < BigInt(rules.quorum)) {
+        problems.push(`${total} votes are short of the quorum of ${rules.quorum}`);
+    }
+    const threshold = BigInt(rules.approvalThreshold);
+    if (threshold > 0n) {
+        const yes = BigInt(details.votes[1]);
+        const no = BigInt(details.votes[0]);
+        if (yes === 0n || yes * BASIS_POINTS < threshold * (yes + no)) {
+            problems.push(`${yes} yes to ${no} no does not reach the ${formatBasisPoints(threshold)} approval threshold`);
+        }
+    }
+    return { executable: problems.length === 0, problems };
+}
+
+// 5001 -> "50.01%"
+function formatBasisPoints(value) {
+    const bps = BigInt(value);
+    const fraction = (bps % 100n).toString().padStart(2, '0').replace(/0+$/, '');
+    return `${bps / 100n}${fraction ? `.${fraction}` : ''}%`;
+}
+
+// "setValue(42)" when one of `interfaces` knows the selector, else the raw calldata
+function describeAction(action, interfaces = []) {
+    for (const iface of interfaces) {
+        try {
+            const parsed = iface.parseTransaction({ data: action.data, value: action.value });
+            if (parsed) {
+                return `${parsed.name}(${parsed.args.map(arg => String(arg)).join(', ')})`;
+            }
+        } catch {
+            // not this one
+        }
+    }
+    return action.data;
+}
+
+module.exports = {
+    MAX_ACTIONS,
+    loadInterface,
+    parseValue,
+    parseActionArgs,
+    encodeAction,
+    checkActions,
+    loadActions,
+    saveActions,
+    fetchProposalActions,
+    fetchExecutionRules,
+    executionStatus,
+    formatBasisPoints,
+    describeAction
+};
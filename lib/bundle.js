@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const snarkjs = require('snarkjs');
+const { ethers } = require('ethers');
+const { CIRCUIT_KINDS } = require('./circuits');
+const { QUADRATIC_MAX_OPTIONS } = require('./quadratic');
+const { ENCRYPTED_MAX_OPTIONS } = require('./elgamal');
+const { VOTE_LABELS, isYesNoBallot } = require('./tally');
+const { encodeVoteCall } = require('./contract');
+const { toSolidityProof, toSnarkjsProof, voteKind, votePublicSignals, voteSubmission } = require('./proofs');
+
+const BUNDLE_FORMAT = 'dao-vote-proof';
+const BUNDLE_VERSION = 1;
+
+// signals that stand for more than one field element
+const SIGNAL_SIZES = {
+    allocation: QUADRATIC_MAX_OPTIONS,
+    publicKey: 2,
+    c1: 2 * ENCRYPTED_MAX_OPTIONS,
+    c2: 2 * ENCRYPTED_MAX_OPTIONS
+};
+
+// delegations aren't votes, so they don't travel as vote bundles
+const BUNDLE_KINDS = Object.keys(CIRCUIT_KINDS).filter(kind => kind !== 'delegation');
+
+const isUint = value => typeof value === 'string' && /^\d+$/.test(value);
+
+function signalCount(kind) {
+    return CIRCUIT_KINDS[kind].publicSignals.reduce((count, name) => count + (SIGNAL_SIZES[name] || 1), 0);
+}
+
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * sha256 of a verification key, independent of how its JSON is laid out -
+ * pins the circuit and trusted setup a bundle's proof belongs to.
+ */
+function hashVerificationKey(vKey) {
+    return crypto.createHash('sha256').update(canonicalJson(vKey)).digest('hex');
+}
+
+/**
+ * A self-contained bundle for a data/votes.json record: the raw snarkjs
+ * proof and its public signals, plus what they were proved for. Nothing
+ * about the member - not their name, leaf or when they voted.
+ */
+function createProofBundle(record, { vKey, depth = record.depth, contract = null, chainId = null }) {
+    const submission = voteSubmission(record);
+    const ballot = record.options || VOTE_LABELS;
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        circuit: {
+            kind: voteKind(submission),
+            depth,
+            vkeyHash: hashVerificationKey(vKey)
+        },
+        chainId: chainId === null ? null : chainId.toString(),
+        contract: contract && ethers.getAddress(contract),
+        proposalId: Number(record.proposalId),
+        ...(!isYesNoBallot(ballot) && { options: ballot }),
+        // records from before bundles only kept the Solidity-ordered proof
+        publicSignals: record.publicSignals || votePublicSignals({
+            ...submission,
+            optionCount: ballot.length,
+            committeeKey: record.encrypted && record.encrypted.committeeKey
+        }),
+        proof: record.snarkProof || toSnarkjsProof(record.proof)
+    };
+}
+
+// what's wrong with a bundle's shape, before any key or proof is looked at
+function checkProofBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return ['The bundle must be a JSON object'];
+    }
+    if (bundle.format !== BUNDLE_FORMAT) {
+        return [`Not a vote proof bundle (format "${bundle.format}")`];
+    }
+    if (bundle.version !== BUNDLE_VERSION) {
+        return [`Unsupported bundle version ${bundle.version} (this dao-vote reads version ${BUNDLE_VERSION})`];
+    }
+
+    const problems = [];
+    const { circuit = {}, publicSignals, proof } = bundle;
+    const kind = BUNDLE_KINDS.includes(circuit.kind) ? circuit.kind : null;
+    if (!kind) {
+        problems.push(`circuit.kind must be one of: ${BUNDLE_KINDS.join(', ')}`);
+    }
+    if (!Number.isInteger(circuit.depth) || circuit.depth < 1 || circuit.depth > 32) {
+        problems.push('circuit.depth must be a tree depth');
+    }
+    if (typeof circuit.vkeyHash !== 'string' || !/^[0-9a-f]{64}$/.test(circuit.vkeyHash)) {
+        problems.push('circuit.vkeyHash must be a sha256 hex digest');
+    }
+    if (bundle.chainId !== null && !isUint(bundle.chainId)) {
+        problems.push('chainId must be a decimal string or null');
+    }
+    if (bundle.contract !== null && !ethers.isAddress(bundle.contract)) {
+        problems.push('contract must be an address or null');
+    }
+    if (!Number.isInteger(bundle.proposalId) || bundle.proposalId < 0) {
+        problems.push('proposalId must be an unsigned integer');
+    }
+
+    if (!Array.isArray(publicSignals) || !publicSignals.every(isUint)) {
+        problems.push('publicSignals must be an array of decimal strings');
+    } else if (kind) {
+        if (publicSignals.length !== signalCount(kind)) {
+            problems.push(`A ${kind} proof has ${signalCount(kind)} public signals, not ${publicSignals.length}`);
+        } else if (publicSignals[2] !== String(bundle.proposalId)) {
+            problems.push(`The proof is for proposal ${publicSignals[2]}, not ${bundle.proposalId}`);
+        }
+        const optionCount = Number(publicSignals[CIRCUIT_KINDS[kind].publicSignals.indexOf('optionCount')]);
+        if (bundle.options !== undefined &&
+            !(Array.isArray(bundle.options) && bundle.options.length === optionCount && bundle.options.every(label => typeof label === 'string'))) {
+            problems.push(`options must be the ${optionCount} labels of the ballot`);
+        }
+    }
+
+    const point = (value, length) => Array.isArray(value) && value.length === length && value.every(isUint);
+    if (!proof || !point(proof.pi_a, 3) || !point(proof.pi_c, 3) ||
+        !Array.isArray(proof.pi_b) || proof.pi_b.length !== 3 || !proof.pi_b.every(pair => point(pair, 2))) {
+        problems.push('proof must be a snarkjs proof (pi_a, pi_b, pi_c)');
+    } else if (proof.protocol !== 'groth16' || proof.curve !== 'bn128') {
+        problems.push(`Only groth16 proofs on bn128 are supported, not ${proof.protocol} on ${proof.curve}`);
+    }
+    return problems;
+}
+
+/**
+ * Checks a bundle against the verification key of its circuit kind and
+ * depth. Returns `{ valid, problems }` - `problems` explains a bundle that
+ * was never run through the verifier, an invalid proof has none.
+ */
+async function verifyProofBundle(bundle, vKey) {
+    const problems = checkProofBundle(bundle);
+    if (problems.length === 0 && hashVerificationKey(vKey) !== bundle.circuit.vkeyHash) {
+        problems.push(`The bundle was proved for verification key ${bundle.circuit.vkeyHash.slice(0, 16)}..., not this one (${hashVerificationKey(vKey).slice(0, 16)}...)`);
+    }
+    if (problems.length > 0) {
+        return { valid: false, problems };
+    }
+    // snarkjs throws on points that aren't on the curve, which is just a bad proof
+    try {
+        return { valid: await snarkjs.groth16.verify(vKey, bundle.publicSignals, bundle.proof), problems };
+    } catch {
+        return { valid: false, problems };
+    }
+}
+
+/**
+ * The public signals of a (checked) bundle read back into the submitVote
+ * fields, with the ballot's `optionCount` and an encrypted vote's
+ * `committeeKey`.
+ */
+function bundleSubmission(bundle) {
+    const { kind } = bundle.circuit;
+    const signals = [...bundle.publicSignals];
+    const take = (count = 1) => signals.splice(0, count);
+    const pairs = values => values.flatMap((value, i) => (i % 2 === 0 ? [[value, values[i + 1]]] : []));
+
+    const fields = {};
+    for (const name of CIRCUIT_KINDS[kind].publicSignals) {
+        const values = take(SIGNAL_SIZES[name]);
+        if (name === 'c1' || name === 'c2') {
+            fields.ciphertext = { ...fields.ciphertext, [name]: pairs(values) };
+        } else if (name === 'publicKey') {
+            fields.committeeKey = values;
+        } else if (name === 'allocation') {
+            fields.allocation = values;
+        } else {
+            fields[name] = name === 'proposalId' || name === 'voteValue' || name === 'optionCount' ? Number(values[0]) : values[0];
+        }
+    }
+    if (fields.allocation) {
+        fields.allocation = fields.allocation.slice(0, fields.optionCount);
+    }
+    return { ...fields, proof: toSolidityProof(bundle.proof) };
+}
+
+/**
+ * The transaction a bundle's vote goes out as, for wallets, multisigs and
+ * frontends: `to` and `chainId` (from the bundle, `contract` overrides),
+ * the function signature, its arguments (decimal strings, proof as
+ * `exportSolidityCallData` orders it) and the ABI-encoded `data`.
+ */
+function bundleCalldata(bundle, { contract = bundle.contract } = {}) {
+    return {
+        to: contract && ethers.getAddress(contract),
+        chainId: bundle.chainId,
+        ...encodeVoteCall(bundleSubmission(bundle))
+    };
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    hashVerificationKey,
+    createProofBundle,
+    checkProofBundle,
+    verifyProofBundle,
+    bundleSubmission,
+    bundleCalldata
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+
+const TRANSCRIPT_VERSION = 1;
+const TRANSCRIPT_FILE = 'transcript.json';
+// snarkjs accepts 10..63; 10 keeps local runs fast, real ceremonies should go higher
+const DEFAULT_BEACON_ITERATIONS_EXP = 10;
+
+// sha256 in chunks - ptau files run to gigabytes
+function fileHash(file) {
+    const hash = crypto.createHash('sha256');
+    const buffer = Buffer.alloc(1 << 20);
+    const fd = fs.openSync(file, 'r');
+    try {
+        let read;
+        while ((read = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            hash.update(buffer.subarray(0, read));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return hash.digest('hex');
+}
+
+function toHex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+function randomEntropy() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Smallest Powers of Tau power that fits the circuit - same formula
+ * snarkjs' newZKey checks against.
+ */
+async function requiredPower(r1csPath) {
+    const info = await snarkjs.r1cs.info(r1csPath);
+    const points = info.nConstraints + info.nPubInputs + info.nOutputs + 1;
+    return Math.max(1, Math.ceil(Math.log2(points)));
+}
+
+/**
+ * Generates a single-party Powers of Tau for local development. Whoever ran
+ * it knows the toxic waste, so a zkey built on it is only as trustworthy as
+ * this machine - production setups should use a public ptau.
+ */
+async function generateDevPtau(power, ptauPath, { name = 'local dev', entropy = randomEntropy(), logger } = {}) {
+    const curve = await snarkjs.curves.getCurveFromName('bn128');
+    const base = ptauPath.replace(/\.ptau$/, '');
+    const fresh = `${base}_0000.ptau`;
+    const contributed = `${base}_0001.ptau`;
+
+    try {
+        await snarkjs.powersOfTau.newAccumulator(curve, power, fresh, logger);
+        await snarkjs.powersOfTau.contribute(fresh, contributed, name, entropy, logger);
+        await snarkjs.powersOfTau.preparePhase2(contributed, ptauPath, logger);
+    } finally {
+        fs.rmSync(fresh, { force: true });
+        fs.rmSync(contributed, { force: true });
+    }
+    return ptauPath;
+}
+
+function transcriptPath(dir) {
+    return path.join(dir, TRANSCRIPT_FILE);
+}
+
+function loadTranscript(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`No ceremony transcript at ${file}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveTranscript(file, transcript) {
+    fs.writeFileSync(file, JSON.stringify(transcript, null, 2));
+}
+
+function zkeyName(circuit, step) {
+    return `${circuit}_${String(step).padStart(4, '0')}.zkey`;
+}
+
+// the zkey the next contributor builds on
+function latestZkey(dir, transcript) {
+    return path.join(dir, zkeyName(transcript.circuit.name, transcript.contributions.length));
+}
+
+/**
+ * Starts a phase-2 ceremony in `dir`: the initial zkey plus a transcript
+ * pinning the exact r1cs and ptau it was built from.
+ */
+async function initCeremony({ r1csPath, ptauPath, dir, circuit = 'vote', logger }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const zkey0 = path.join(dir, zkeyName(circuit, 0));
+    await snarkjs.zKey.newZKey(r1csPath, ptauPath, zkey0, logger);
+
+    const info = await snarkjs.r1cs.info(r1csPath);
+    const transcript = {
+        version: TRANSCRIPT_VERSION,
+        circuit: {
+            name: circuit,
+            r1cs: path.basename(r1csPath),
+            r1csHash: fileHash(r1csPath),
+            constraints: info.nConstraints
+        },
+        ptau: {
+            file: path.basename(ptauPath),
+            hash: fileHash(ptauPath)
+        },
+        initialZkeyHash: fileHash(zkey0),
+        contributions: [],
+        beacon: null,
+        finalZkey: null,
+        startedAt: new Date().toISOString()
+    };
+    saveTranscript(transcriptPath(dir), transcript);
+    return transcript;
+}
+
+/**
+ * Adds one named contribution on top of the latest zkey. Each contributor
+ * should run this on their own machine with their own entropy.
+ */
+async function contribute(dir, name, { entropy = randomEntropy(), logger } = {}) {
+    if (!name) {
+        throw new Error('Contributions need a contributor name');
+    }
+    // snarkjs stores at most 64 bytes of the name in the zkey
+    if (Buffer.byteLength(name) > 64) {
+        throw new Error('Contributor names are limited to 64 bytes');
+    }
+    const file = transcriptPath(dir);
+    const transcript = loadTranscript(file);
+    if (transcript.beacon) {
+        throw new Error('The ceremony is already finalized with a beacon');
+    }
+
+    const previous = latestZkey(dir, transcript);
+    const next = path.join(dir, zkeyName(transcript.circuit.name, transcript.contributions.length + 1));
+    const hash = await snarkjs.zKey.contribute(previous, next, name, entropy, logger);
+
+    const entry = {
+        index: transcript.contributions.length + 1,
+        name,
+        contributionHash: toHex(hash),
+        zkeyHash: fileHash(next),
+        contributedAt: new Date().toISOString()
+    };
+    transcript.contributions.push(entry);
+    saveTranscript(file, transcript);
+    return entry;
+}
+
+/**
+ * Seals the ceremony with a public random beacon (e.g. a future block hash)
+ * and writes the final zkey next to the transcript.
+ */
+async function applyBeacon(dir, beaconHash, { iterationsExp = DEFAULT_BEACON_ITERATIONS_EXP, name = 'Final beacon', logger } = {}) {
+    const file = transcriptPath(dir);
+    const transcript = loadTranscript(file);
+    if (transcript.beacon) {
+        throw new Error('The ceremony is already finalized with a beacon');
+    }
+    if (transcript.contributions.length === 0) {
+        throw new Error('Add at least one contribution before the beacon');
+    }
+    const beacon = beaconHash.replace(/^0x/, '');
+    if (!/^([0-9a-fA-F]{2})+$/.test(beacon)) {
+        throw new Error('The beacon must be a hex string');
+    }
+
+    const finalZkey = path.join(dir, `${transcript.circuit.name}_final.zkey`);
+    const hash = await snarkjs.zKey.beacon(latestZkey(dir, transcript), finalZkey, name, beacon, iterationsExp, logger);
+    if (!hash) {
+        throw new Error('snarkjs rejected the beacon parameters');
+    }
+
+    transcript.beacon = {
+        name,
+        beaconHash: beacon,
+        iterationsExp,
+        contributionHash: toHex(hash)
+    };
+    transcript.finalZkey = {
+        file: path.basename(finalZkey),
+        hash: fileHash(finalZkey)
+    };
+    transcript.finishedAt = new Date().toISOString();
+    saveTranscript(file, transcript);
+    return { finalZkey, transcript };
+}
+
+// snarkjs only reports contribution hashes through its logger, via formatHash
+function collectingLogger(forward) {
+    const lines = [];
+    const log = (level) => (message) => {
+        lines.push(String(message));
+        if (forward && forward[level]) {
+            forward[level](message);
+        }
+    };
+    return {
+        lines,
+        logger: { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') }
+    };
+}
+
+function parseContributionHashes(lines) {
+    const contributions = [];
+    for (const line of lines) {
+        const match = line.match(/^contribution #(\d+) ?(.*):\n([\s\S]+)$/);
+        if (match) {
+            contributions.push({
+                index: Number(match[1]),
+                name: match[2],
+                contributionHash: match[3].replace(/\s+/g, '')
+            });
+        }
+    }
+    return contributions.sort((x, y) => x.index - y.index);
+}
+
+/**
+ * Re-verifies a finished ceremony from scratch: the final zkey must derive
+ * from this r1cs and ptau (snarkjs' verifyFromR1cs), and its contribution
+ * chain must be exactly the one the transcript lists. Returns every problem
+ * found rather than stopping at the first.
+ */
+async function verifyCeremony({ r1csPath, ptauPath, zkeyPath, transcript, logger }) {
+    const problems = [];
+
+    if (fileHash(r1csPath) !== transcript.circuit.r1csHash) {
+        problems.push(`${path.basename(r1csPath)} is not the r1cs the ceremony was run for`);
+    }
+    if (fileHash(ptauPath) !== transcript.ptau.hash) {
+        problems.push(`${path.basename(ptauPath)} is not the ptau the ceremony was run with`);
+    }
+    if (!transcript.beacon || !transcript.finalZkey) {
+        problems.push('The transcript has no beacon - the ceremony was never finalized');
+    } else if (fileHash(zkeyPath) !== transcript.finalZkey.hash) {
+        problems.push(`${path.basename(zkeyPath)} does not match the final zkey hash in the transcript`);
+    }
+
+    const { lines, logger: capture } = collectingLogger(logger);
+    const valid = await snarkjs.zKey.verifyFromR1cs(r1csPath, ptauPath, zkeyPath, capture);
+    if (!valid) {
+        problems.push('snarkjs could not verify the zkey against the r1cs and ptau');
+        return { ok: false, problems, contributions: [] };
+    }
+
+    const contributions = parseContributionHashes(lines);
+    const expected = [...transcript.contributions];
+    if (transcript.beacon) {
+        expected.push({ name: transcript.beacon.name, contributionHash: transcript.beacon.contributionHash });
+    }
+
+    if (contributions.length !== expected.length) {
+        problems.push(`The zkey carries ${contributions.length} contributions, the transcript lists ${expected.length}`);
+    }
+    expected.forEach((entry, i) => {
+        const actual = contributions[i];
+        if (!actual) {
+            return;
+        }
+        if (actual.contributionHash !== entry.contributionHash) {
+            problems.push(`Contribution #${i + 1} (${entry.name}) hash does not match the zkey`);
+        } else if (actual.name !== entry.name) {
+            problems.push(`Contribution #${i + 1} is named "${actual.name}" in the zkey, "${entry.name}" in the transcript`);
+        }
+    });
+
+    return { ok: problems.length === 0, problems, contributions };
+}
+
+module.exports = {
+    TRANSCRIPT_VERSION,
+    TRANSCRIPT_FILE,
+    DEFAULT_BEACON_ITERATIONS_EXP,
+    fileHash,
+    requiredPower,
+    generateDevPtau,
+    loadTranscript,
+    initCeremony,
+    contribute,
+    applyBeacon,
+    verifyCeremony
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const { MERKLE_TREE_LEVELS } = require('./merkle');
+const { MANIFEST_FILE } = require('./manifest');
+const { QUADRATIC_MAX_OPTIONS } = require('./quadratic');
+const { ENCRYPTED_MAX_OPTIONS } = require('./elgamal');
+
+// Tree depths compile.js builds a Vote(levels) variant for, smallest first
+const CIRCUIT_DEPTHS = [10, 16, MERKLE_TREE_LEVELS, 24];
+
+const PUBLIC_SIGNALS = ['root', 'nullifierHash', 'proposalId', 'voteValue', 'optionCount'];
+
+const BUILD_DIR = path.join(__dirname, '../build');
+const CONTRACTS_DIR = path.join(__dirname, '../contracts');
+const CIRCUITS_DIR = path.join(__dirname, '../circuits');
+
+// Circuit templates compile.js builds at every depth. Each kind gets its own
+// build directories (build/<kind>_<depth>) and verifier contracts.
+const CIRCUIT_KINDS = {
+    vote: {
+        template: 'Vote',
+        source: 'vote.circom',
+        publicSignals: PUBLIC_SIGNALS,
+        verifierTag: ''
+    },
+    // leaves commit to a voting weight, which is public and added to the tally
+    weighted: {
+        template: 'WeightedVote',
+        source: 'weighted_vote.circom',
+        publicSignals: [...PUBLIC_SIGNALS, 'weight'],
+        verifierTag: 'Weighted'
+    },
+    // spreads votes over the options within a private credit budget; the
+    // template also takes the largest ballot it handles
+    quadratic: {
+        template: 'QuadraticVote',
+        source: 'quadratic_vote.circom',
+        publicSignals: ['root', 'nullifierHash', 'proposalId', 'optionCount', 'allocation'],
+        templateArgs: [QUADRATIC_MAX_OPTIONS],
+        verifierTag: 'Quadratic'
+    },
+    // the vote goes out as ElGamal ciphertexts under the committee key, one
+    // per option, and only the per-option sums are ever decrypted
+    encrypted: {
+        template: 'EncryptedVote',
+        source: 'encrypted_vote.circom',
+        publicSignals: ['root', 'nullifierHash', 'proposalId', 'optionCount', 'publicKey', 'c1', 'c2'],
+        templateArgs: [ENCRYPTED_MAX_OPTIONS],
+        verifierTag: 'Encrypted'
+    },
+    // hands a member's vote on a proposal to a delegate commitment
+    delegation: {
+        template: 'Delegation',
+        source: 'delegation.circom',
+        publicSignals: ['root', 'nullifierHash', 'proposalId', 'delegateCommitment', 'revocationHash'],
+        verifierTag: 'Delegation'
+    },
+    // a delegate's vote, which the contract adds their delegations to
+    delegated: {
+        template: 'DelegatedVote',
+        source: 'delegated_vote.circom',
+        publicSignals: [...PUBLIC_SIGNALS, 'delegateCommitment'],
+        verifierTag: 'Delegated'
+    }
+};
+
+function circuitKind(kind) {
+    if (!Object.prototype.hasOwnProperty.call(CIRCUIT_KINDS, kind)) {
+        throw new Error(`Unknown circuit kind "${kind}". Use: ${Object.keys(CIRCUIT_KINDS).join(', ')}`);
+    }
+    return CIRCUIT_KINDS[kind];
+}
+
+function checkDepth(depth) {
+    if (!Number.isInteger(depth) || depth < 1 || depth > 32) {
+        throw new Error(`Invalid circuit depth: ${depth}`);
+    }
+}
+
+/**
+ * Where everything for one kind and depth lives: build/vote_<depth>/ holds
+ * the generated main, r1cs, wasm, zkey, verification key, manifest and
+ * ceremony, and contracts/verifiers/VoteVerifier<depth>.sol its verifier.
+ * Other kinds are prefixed, e.g. build/weighted_<depth>/ and
+ * WeightedVoteVerifier<depth>.sol.
+ */
+function circuitVariant(depth, { kind = 'vote', buildDir = BUILD_DIR, contractsDir = CONTRACTS_DIR } = {}) {
+    checkDepth(depth);
+    const { template, source, publicSignals, templateArgs = [], verifierTag } = circuitKind(kind);
+    const name = `${kind}_${depth}`;
+    const dir = path.join(buildDir, name);
+    return {
+        kind,
+        depth,
+        name,
+        dir,
+        template,
+        templateArgs,
+        source: path.join(CIRCUITS_DIR, source),
+        publicSignals,
+        capacity: 2 ** depth,
+        main: path.join(dir, 'vote.circom'),
+        r1cs: path.join(dir, 'vote.r1cs'),
+        sym: path.join(dir, 'vote.sym'),
+        wasm: path.join(dir, 'vote_js', 'vote.wasm'),
+        zkey: path.join(dir, 'vote.zkey'),
+        vkey: path.join(dir, 'verification_key.json'),
+        manifest: path.join(dir, MANIFEST_FILE),
+        ceremonyDir: path.join(dir, 'ceremony'),
+        verifierContract: `Groth16${verifierTag}Verifier${depth}`,
+        verifierFile: path.join(contractsDir, 'verifiers', `${verifierTag}VoteVerifier${depth}.sol`)
+    };
+}
+
+/**
+ * The generated main component for a variant - the files in circuits/ only
+ * hold the templates.
+ */
+function variantMainSource(variant, circuitFile = variant.source) {
+    const include = path.relative(variant.dir, circuitFile).split(path.sep).join('/');
+    return [
+        'pragma circom 2.1.0;',
+        '',
+        `// Generated by scripts/compile.js - edit circuits/${path.basename(circuitFile)} instead`,
+        `include "${include}";`,
+        '',
+        `component main {public [${variant.publicSignals.join(', ')}]} = ${variant.template}(${[variant.depth, ...variant.templateArgs].join(', ')});`,
+        ''
+    ].join('\n');
+}
+
+// depths with a compiled circuit of this kind in build/, smallest first
+function builtDepths({ kind = 'vote', buildDir = BUILD_DIR } = {}) {
+    circuitKind(kind);
+    if (!fs.existsSync(buildDir)) {
+        return [];
+    }
+    const pattern = new RegExp(`^${kind}_(\\d+)$`);
+    return fs.readdirSync(buildDir)
+        .map(entry => entry.match(pattern))
+        .filter(Boolean)
+        .map(match => Number(match[1]))
+        .filter(depth => fs.existsSync(circuitVariant(depth, { kind, buildDir }).r1cs))
+        .sort((x, y) => x - y);
+}
+
+/**
+ * Smallest depth whose tree holds `memberCount` leaves. The depth is fixed
+ * once deployed (it decides the roots DAOVoting accepts), so pass
+ * `minCapacity` to leave room for members joining later.
+ */
+function selectDepth(memberCount, { depths = CIRCUIT_DEPTHS, minCapacity = 0 } = {}) {
+    if (depths.length === 0) {
+        throw new Error('No circuit variants built - run: npm run compile');
+    }
+    const needed = Math.max(memberCount, minCapacity, 1);
+    const depth = [...depths].sort((x, y) => x - y).find(d => 2 ** d >= needed);
+    if (depth === undefined) {
+        const largest = Math.max(...depths);
+        throw new Error(`${needed} members do not fit any circuit depth (largest is ${largest}: ${2 ** largest} members)`);
+    }
+    return depth;
+}
+
+module.exports = {
+    CIRCUIT_DEPTHS,
+    PUBLIC_SIGNALS,
+    CIRCUIT_KINDS,
+    circuitKind,
+    circuitVariant,
+    variantMainSource,
+    builtDepths,
+    selectDepth
+};
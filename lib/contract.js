@@ -0,0 +1,245 @@
+const { ethers } = require('ethers');
+const { DAO_VOTING_ABI, MEMBER_REGISTRY_ABI } = require('./abi');
+const { padAllocation } = require('./quadratic');
+const { padPoints } = require('./elgamal');
+
+// Readable explanations for the custom errors DAOVoting and MemberRegistry revert with
+const ERROR_MESSAGES = {
+    InvalidProof: 'The verifier rejected the proof (wrong membership root, public inputs or proving key)',
+    ProposalDoesNotExist: 'The proposal does not exist on this contract',
+    VotingEnded: 'Voting on this proposal has ended',
+    NullifierAlreadyUsed: 'This member has already voted on this proposal',
+    InvalidVoteValue: 'Vote value must be one of the proposal\'s options',
+    InvalidOptionCount: 'A proposal needs between 2 and 256 options (at most 8 on a quadratic contract, 4 on an encrypted one)',
+    NotYesNoBallot: 'This proposal is not a yes/no/abstain ballot - read getOptionVotes instead',
+    ProposalAlreadyExecuted: 'The proposal has already been executed',
+    UnknownRoot: 'The membership root in this proof is neither current nor in the contract\'s recent root history',
+    InvalidRoot: 'The new root is zero or already the current root',
+    NotAdmin: 'Only the contract admin can do this',
+    InvalidAdmin: 'The admin can\'t be handed to the zero address',
+    WeightedVoteRequired: 'This contract counts weighted votes - prove with the weighted circuit',
+    QuadraticVoteRequired: 'This contract counts quadratic votes - cast with --allocation',
+    EmptyAllocation: 'The allocation casts no votes',
+    EncryptedVoteRequired: 'This contract only takes encrypted ballots - prove with the encrypted circuit',
+    InvalidCommitteeKey: 'The committee key is not a Baby Jubjub point (or is the identity)',
+    EncryptedTallyOffChain: 'Encrypted totals are decrypted off chain, so proposals here can\'t carry actions',
+    InvalidActionCount: 'A proposal carries between 1 and 16 actions',
+    InvalidExecutionRules: 'The approval threshold is in basis points, at most 10000',
+    QuorumNotReached: 'Not enough votes were cast to reach the proposal\'s quorum',
+    ProposalRejected: 'The yes votes did not reach the proposal\'s approval threshold',
+    TimelockNotExpired: 'The proposal passed but its timelock hasn\'t run out yet',
+    ActionFailed: 'One of the proposal\'s actions reverted, so none of them ran',
+    InvalidDelegate: 'The delegate commitment must be non-zero',
+    DelegateAlreadyVoted: 'The delegate has already voted on this proposal, so the delegation can no longer change',
+    DelegationNotFound: 'No live delegation with this nullifier hash',
+    InvalidRevocation: 'The revocation secret does not match the delegation',
+    DelegatedVoteRequired: 'This contract takes delegations, so every vote goes through voteDelegated - prove with the delegated circuit',
+    NotOwner: 'Only the registry owner can do this',
+    RegistrationClosed: 'Registration is closed - ask the registry owner to add your commitment',
+    InvalidCommitment: 'The commitment must be a non-zero field element',
+    AlreadyRegistered: 'This commitment is already registered',
+    TreeFull: 'The membership tree is full'
+};
+
+const daoVotingInterface = new ethers.Interface(DAO_VOTING_ABI);
+
+// MemberRegistry.register bubbles up DAOVoting's errors, so decode against both
+const errorInterface = new ethers.Interface(
+    [...DAO_VOTING_ABI, ...MEMBER_REGISTRY_ABI].filter(fragment => fragment.startsWith('error '))
+);
+
+/**
+ * Picks the account that sends transactions: a private key wins, otherwise
+ * one of the node's unlocked accounts (e.g. `npx hardhat node`) by index.
+ */
+async function getSigner(provider, { privateKey, signerIndex = 0 } = {}) {
+    if (privateKey) {
+        return new ethers.Wallet(privateKey, provider);
+    }
+    return provider.getSigner(signerIndex);
+}
+
+function connectDAOVoting(address, runner) {
+    return new ethers.Contract(address, DAO_VOTING_ABI, runner);
+}
+
+// revert data lives in different places depending on provider and call type
+function extractRevertData(error) {
+    const candidates = [
+        error && error.data,
+        error && error.info && error.info.error && error.info.error.data,
+        error && error.error && error.error.data
+    ];
+    for (const candidate of candidates) {
+        if (typeof candidate === 'string' && candidate.startsWith('0x')) {
+            return candidate;
+        }
+        if (candidate && typeof candidate.data === 'string') {
+            return candidate.data;
+        }
+    }
+    return null;
+}
+
+/**
+ * Maps a failed call to DAOVoting or MemberRegistry onto `{ name, message }`, or null when
+ * the failure isn't one of the contract's custom errors.
+ */
+function decodeContractError(error) {
+    let name = error && error.revert ? error.revert.name : null;
+    let args = error && error.revert ? error.revert.args : null;
+
+    if (!name) {
+        const data = extractRevertData(error);
+        if (data) {
+            try {
+                const parsed = errorInterface.parseError(data);
+                name = parsed ? parsed.name : null;
+                args = parsed ? parsed.args : null;
+            } catch {
+                name = null;
+            }
+        }
+    }
+
+    if (!name || !ERROR_MESSAGES[name]) {
+        return null;
+    }
+    if (name === 'ActionFailed' && args) {
+        return { name, message: `${ERROR_MESSAGES[name]} (action ${args[0]}: ${decodeRevertReason(args[1])})` };
+    }
+    return { name, message: ERROR_MESSAGES[name] };
+}
+
+// what an action's target reverted with - Error(string) when it says anything readable
+function decodeRevertReason(data) {
+    if (!data || data === '0x') {
+        return 'no reason given';
+    }
+    try {
+        const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4));
+        if (ethers.dataSlice(data, 0, 4) === ethers.id('Error(string)').slice(0, 10)) {
+            return reason;
+        }
+    } catch {
+        // a custom error or panic
+    }
+    return data;
+}
+
+function wrapContractError(error) {
+    const decoded = decodeContractError(error);
+    if (!decoded) {
+        return error;
+    }
+    const wrapped = new Error(`${decoded.name}: ${decoded.message}`);
+    wrapped.errorName = decoded.name;
+    // the raw revert data, for anything that decodes it again
+    wrapped.data = extractRevertData(error);
+    wrapped.cause = error;
+    return wrapped;
+}
+
+/**
+ * Estimates gas for `method`, sends it and waits for the receipt. Reverts
+ * are rethrown with the decoded custom error as the message, so failures
+ * show up before anything is broadcast whenever possible.
+ */
+async function sendTransaction(contract, method, args) {
+    let gasLimit;
+    try {
+        gasLimit = await contract[method].estimateGas(...args);
+    } catch (error) {
+        throw wrapContractError(error);
+    }
+
+    try {
+        const tx = await contract[method](...args, { gasLimit });
+        return await tx.wait();
+    } catch (error) {
+        throw wrapContractError(error);
+    }
+}
+
+/**
+ * The function a vote goes to and its arguments: DAOVoting.vote,
+ * WeightedDAOVoting.voteWeighted when a `weight` is given,
+ * QuadraticDAOVoting.voteQuadratic when an `allocation` is,
+ * EncryptedDAOVoting.voteEncrypted when a `ciphertext` `{ c1, c2 }` is or
+ * DelegatingDAOVoting.voteDelegated when a delegate's `delegateCommitment`
+ * is. `root` is the membership root the proof was generated against and
+ * `proof` is the Solidity-ordered `{ a, b, c }` the CLI stores.
+ */
+function voteCall({
+    proposalId, root, nullifierHash, voteValue, weight, allocation, ciphertext, delegateCommitment, proof
+}) {
+    const { a, b, c } = proof;
+    if (delegateCommitment !== undefined) {
+        return ['voteDelegated', [proposalId, root, nullifierHash, voteValue, delegateCommitment, a, b, c]];
+    }
+    if (ciphertext !== undefined) {
+        return ['voteEncrypted', [proposalId, root, nullifierHash, padPoints(ciphertext.c1), padPoints(ciphertext.c2), a, b, c]];
+    }
+    if (allocation !== undefined) {
+        return ['voteQuadratic', [proposalId, root, nullifierHash, padAllocation(allocation), a, b, c]];
+    }
+    if (weight !== undefined) {
+        return ['voteWeighted', [proposalId, root, nullifierHash, voteValue, weight, a, b, c]];
+    }
+    return ['vote', [proposalId, root, nullifierHash, voteValue, a, b, c]];
+}
+
+/**
+ * ABI-encoded calldata for a vote (see voteCall), to send from any wallet
+ * or multisig: the function signature, its arguments as decimal strings
+ * and the encoded `data`.
+ */
+function encodeVoteCall(vote) {
+    const [method, args] = voteCall(vote);
+    const fragment = daoVotingInterface.getFunction(method);
+    const decimal = value => (Array.isArray(value) ? value.map(decimal) : BigInt(value).toString());
+    return {
+        function: fragment.format('sighash'),
+        args: decimal(args),
+        data: daoVotingInterface.encodeFunctionData(fragment, args)
+    };
+}
+
+// Sends a vote (see voteCall) and waits for it to be mined
+async function submitVote(contract, vote) {
+    const receipt = await sendTransaction(contract, ...voteCall(vote));
+
+    return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+    };
+}
+
+/**
+ * Moves the contract's membership root forward. Older roots stay valid for
+ * ROOT_HISTORY_SIZE updates, so in-flight proofs aren't invalidated.
+ */
+async function publishRoot(contract, root) {
+    const oldRoot = (await contract.merkleRoot()).toString();
+    const receipt = await sendTransaction(contract, 'updateRoot', [root]);
+
+    return {
+        oldRoot,
+        newRoot: root.toString(),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+module.exports = {
+    ERROR_MESSAGES,
+    daoVotingInterface,
+    getSigner,
+    connectDAOVoting,
+    decodeContractError,
+    sendTransaction,
+    encodeVoteCall,
+    submitVote,
+    publishRoot
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { sendTransaction } = require('./contract');
+const { parseDuration } = require('./proposals');
+
+// Random secret behind a delegation's revocationHash - only `undelegate` reveals it
+function randomRevocationSecret() {
+    return BigInt(`0x${crypto.randomBytes(32).toString('hex')}`);
+}
+
+// Mirrors DelegatingDAOVoting.revocationHashOf
+function computeRevocationHash(revocationSecret) {
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [revocationSecret]);
+    return BigInt(ethers.keccak256(encoded)) >> 8n;
+}
+
+// null when the contract can't take delegations, i.e. isn't DelegatingDAOVoting
+async function fetchDelegationVerifier(contract) {
+    try {
+        return await contract.delegationVerifier();
+    } catch (error) {
+        if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Parses the ends of a delegation's time range: a date ("2026-11-01",
+ * anything Date.parse takes) or a duration from `now` like "7d". Returns
+ * unix seconds.
+ */
+function parseTimestamp(value, now) {
+    try {
+        return now + parseDuration(value);
+    } catch (error) {
+        const ms = Date.parse(value);
+        if (Number.isNaN(ms)) {
+            throw new Error(`Invalid time "${value}" (use a date like 2026-11-01 or a duration like 7d)`);
+        }
+        return Math.floor(ms / 1000);
+    }
+}
+
+/**
+ * IDs of the proposals whose voting closes inside [from, until] and is
+ * still open at `now` - what a time-range delegation covers.
+ */
+async function proposalsClosingBetween(contract, { from, until, now }) {
+    const count = Number(await contract.proposalCount());
+    const ids = [];
+    for (let id = 0; id < count; id++) {
+        const { deadline } = await contract.proposals(id);
+        const closes = Number(deadline);
+        if (closes >= from && closes <= until && closes >= now) {
+            ids.push(id);
+        }
+    }
+    return ids;
+}
+
+async function submitDelegation(contract, { proposalId, root, nullifierHash, delegateCommitment, revocationHash, proof }) {
+    const receipt = await sendTransaction(contract, 'delegate', [
+        proposalId, root, nullifierHash, delegateCommitment, revocationHash, proof.a, proof.b, proof.c
+    ]);
+    return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+    };
+}
+
+async function submitUndelegation(contract, { nullifierHash, revocationSecret }) {
+    const receipt = await sendTransaction(contract, 'undelegate', [nullifierHash, revocationSecret]);
+    return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+/**
+ * Delegated / Undelegated events of a proposal plus the delegates'
+ * DelegatedVoteCast, in chain order.
+ */
+async function fetchDelegationEvents(contract, proposalId, { fromBlock = 0 } = {}) {
+    const [delegated, undelegated, votes] = await Promise.all([
+        contract.queryFilter(contract.filters.Delegated(proposalId), fromBlock),
+        contract.queryFilter(contract.filters.Undelegated(proposalId), fromBlock),
+        contract.queryFilter(contract.filters.DelegatedVoteCast(proposalId), fromBlock)
+    ]);
+    const entry = (type, log) => ({
+        type,
+        proposalId: Number(log.args.proposalId),
+        nullifierHash: log.args.nullifierHash.toString(),
+        delegateCommitment: log.args.delegateCommitment.toString(),
+        ...(type === 'voted' && { delegatedWeight: Number(log.args.delegatedWeight) }),
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash
+    });
+
+    return [
+        ...delegated.map(log => entry('delegated', log)),
+        ...undelegated.map(log => entry('undelegated', log)),
+        ...votes.map(log => entry('voted', log))
+    ].sort((x, y) => x.blockNumber - y.blockNumber || x.logIndex - y.logIndex);
+}
+
+/**
+ * What happened to a proposal's delegations: `weight` is how much of the
+ * tally delegates cast on others' behalf, `unused` the delegations whose
+ * delegate never voted (those votes were lost, not counted twice).
+ */
+function summarizeDelegations(events) {
+    const live = new Map();
+    const voted = new Map();
+    for (const event of events) {
+        if (event.type === 'delegated') {
+            live.set(event.delegateCommitment, (live.get(event.delegateCommitment) || 0) + 1);
+        } else if (event.type === 'undelegated') {
+            live.set(event.delegateCommitment, live.get(event.delegateCommitment) - 1);
+        } else {
+            voted.set(event.delegateCommitment, event.delegatedWeight);
+        }
+    }
+
+    // on a delegating contract every vote is a delegate's, most carrying nothing
+    const carried = [...voted.values()].filter(count => count > 0);
+    const delegations = [...live.values()].reduce((sum, count) => sum + count, 0);
+    const weight = carried.reduce((sum, count) => sum + count, 0);
+    return {
+        delegations,
+        revoked: events.filter(event => event.type === 'undelegated').length,
+        delegates: [...live.values()].filter(count => count > 0).length,
+        votingDelegates: carried.length,
+        weight,
+        unused: delegations - weight
+    };
+}
+
+module.exports = {
+    randomRevocationSecret,
+    computeRevocationHash,
+    fetchDelegationVerifier,
+    parseTimestamp,
+    proposalsClosingBetween,
+    submitDelegation,
+    submitUndelegation,
+    fetchDelegationEvents,
+    summarizeDelegations
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEPLOYMENT_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+
+// becomes a file name, so keep it to what hardhat network names look like
+const NETWORK_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Where the deployment manifest for a network lives:
+ * deployments/<network>.json, one per hardhat network name.
+ */
+function deploymentFile(network, { dir = DEPLOYMENTS_DIR } = {}) {
+    if (typeof network !== 'string' || !NETWORK_NAME.test(network)) {
+        throw new Error(`Invalid network name "${network}"`);
+    }
+    return path.join(dir, `${network}.json`);
+}
+
+// The manifest for `network`, or null before its first deployment
+function loadDeployment(network, { dir = DEPLOYMENTS_DIR } = {}) {
+    const file = deploymentFile(network, { dir });
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    const deployment = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (deployment.version !== DEPLOYMENT_VERSION) {
+        throw new Error(`${file} is a version ${deployment.version} deployment manifest, this dao-vote reads version ${DEPLOYMENT_VERSION}`);
+    }
+    return deployment;
+}
+
+function saveDeployment(deployment, { dir = DEPLOYMENTS_DIR } = {}) {
+    const file = deploymentFile(deployment.network, { dir });
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ version: DEPLOYMENT_VERSION, ...deployment }, null, 2));
+    return file;
+}
+
+// The manifest whose DAOVoting is at `address`, on whichever network
+function findDeployment(address, { dir = DEPLOYMENTS_DIR } = {}) {
+    if (!fs.existsSync(dir)) {
+        return null;
+    }
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+        const deployment = loadDeployment(path.basename(file, '.json'), { dir });
+        const deployed = deployment.contracts.DAOVoting;
+        if (deployed && deployed.address.toLowerCase() === address.toLowerCase()) {
+            return deployment;
+        }
+    }
+    return null;
+}
+
+/**
+ * A manifest entry for a contract deployed by `tx` (a mined deployment
+ * transaction): where it is, how it got there and a hash of its code.
+ */
+async function deployedContract(provider, address, tx) {
+    const receipt = await tx.wait();
+    return {
+        address,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        codeHash: ethers.keccak256(await provider.getCode(address))
+    };
+}
+
+/**
+ * Whether the contract a manifest entry describes is still there, with the
+ * same code - a restarted dev node or a different chain has nothing (or
+ * something else) at that address.
+ */
+async function isStillDeployed(provider, entry) {
+    if (!entry || !entry.address || !entry.codeHash) {
+        return false;
+    }
+    const code = await provider.getCode(entry.address);
+    return code !== '0x' && ethers.keccak256(code) === entry.codeHash;
+}
+
+module.exports = {
+    DEPLOYMENT_VERSION,
+    DEPLOYMENTS_DIR,
+    deploymentFile,
+    loadDeployment,
+    saveDeployment,
+    findDeployment,
+    deployedContract,
+    isStillDeployed
+};
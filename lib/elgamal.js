@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const circomlibjs = require('circomlibjs');
+
+// EncryptedVote is compiled for ballots of up to this many options
+// (EncryptedDAOVoting.MAX_ENCRYPTED_OPTIONS)
+const ENCRYPTED_MAX_OPTIONS = 4;
+
+// EncryptedVote's Num2Bits(253) on the randomness
+const RANDOMNESS_BITS = 253n;
+
+// buildBabyjub is slow-ish too, so share one instance like getPoseidon
+let babyJubPromise = null;
+
+function getBabyJub() {
+    if (!babyJubPromise) {
+        babyJubPromise = circomlibjs.buildBabyjub();
+    }
+    return babyJubPromise;
+}
+
+/**
+ * Returns sync Baby Jubjub helpers over circomlib's implementation, the
+ * curve EncryptedVote encrypts on. Points are `[x, y]` bigint pairs and
+ * scalars are taken mod the prime subgroup order.
+ */
+async function buildBabyJub() {
+    const babyJub = await getBabyJub();
+    const F = babyJub.F;
+    const toPoint = p => [F.toObject(p[0]), F.toObject(p[1])];
+    const fromPoint = ([x, y]) => [F.e(BigInt(x)), F.e(BigInt(y))];
+
+    const curve = {
+        base: toPoint(babyJub.Base8),
+        order: babyJub.subOrder,
+        identity: [0n, 1n],
+        add: (p, q) => toPoint(babyJub.addPoint(fromPoint(p), fromPoint(q))),
+        mul: (p, scalar) => toPoint(babyJub.mulPointEscalar(fromPoint(p), BigInt(scalar))),
+        negate: ([x, y]) => [x === 0n ? 0n : babyJub.p - BigInt(x), BigInt(y)],
+        equal: (p, q) => BigInt(p[0]) === BigInt(q[0]) && BigInt(p[1]) === BigInt(q[1]),
+        inCurve: p => babyJub.inCurve(fromPoint(p))
+    };
+    // the curve has cofactor 8 - points with a small-order part are on it too
+    curve.inSubgroup = p => curve.inCurve(p) && curve.equal(curve.mul(p, curve.order), curve.identity);
+    return curve;
+}
+
+function mod(value, modulus) {
+    const result = value % modulus;
+    return result < 0n ? result + modulus : result;
+}
+
+// 40 bytes mod a ~251-bit order keeps the bias negligible
+function randomScalar(curve) {
+    let value = 0n;
+    while (value === 0n) {
+        value = mod(BigInt(`0x${crypto.randomBytes(40).toString('hex')}`), curve.order);
+    }
+    return value;
+}
+
+function modInverse(value, modulus) {
+    let [a, b] = [mod(value, modulus), modulus];
+    let [x, y] = [1n, 0n];
+    while (b !== 0n) {
+        const q = a / b;
+        [a, b] = [b, a - q * b];
+        [x, y] = [y, x - q * y];
+    }
+    if (a !== 1n) {
+        throw new Error(`${value} has no inverse mod ${modulus}`);
+    }
+    return mod(x, modulus);
+}
+
+/**
+ * Splits a fresh committee secret into Shamir shares, any `threshold` of
+ * which can decrypt (trusted dealer - whoever runs this sees the secret, so
+ * it must be thrown away once the shares are handed out). Every share's
+ * public key `secret * B8` is published so decryption shares can be checked.
+ */
+function generateCommitteeKey(curve, { members, threshold }) {
+    if (!Number.isInteger(members) || members < 1 || members > 255) {
+        throw new Error(`A committee needs between 1 and 255 members, got ${members}`);
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > members) {
+        throw new Error(`Threshold must be between 1 and ${members}, got ${threshold}`);
+    }
+
+    const coefficients = Array.from({ length: threshold }, () => randomScalar(curve));
+    const shares = [];
+    for (let index = 1; index <= members; index++) {
+        const x = BigInt(index);
+        const secret = coefficients.reduceRight((acc, coefficient) => mod(acc * x + coefficient, curve.order), 0n);
+        shares.push({ index, secret, publicKey: curve.mul(curve.base, secret) });
+    }
+
+    return {
+        publicKey: curve.mul(curve.base, coefficients[0]),
+        threshold,
+        members,
+        shares
+    };
+}
+
+/**
+ * Encrypts a vote for option `voteValue` as one exponential ElGamal
+ * ciphertext per option, padded to ENCRYPTED_MAX_OPTIONS: the chosen option
+ * encrypts 1, every other one 0. Returns the ciphertexts and the randomness
+ * the circuit needs to prove them.
+ */
+function encryptBallot(curve, publicKey, voteValue, { randomness } = {}) {
+    const rs = randomness || Array.from({ length: ENCRYPTED_MAX_OPTIONS }, () => randomScalar(curve));
+    const c1 = [];
+    const c2 = [];
+    rs.forEach((r, i) => {
+        const message = i === Number(voteValue) ? curve.base : curve.identity;
+        c1.push(curve.mul(curve.base, r));
+        c2.push(curve.add(message, curve.mul(publicKey, r)));
+    });
+    return { c1, c2, randomness: rs };
+}
+
+// Fiat-Shamir challenge for the Chaum-Pedersen proof below
+function dleqChallenge(hash, curve, points) {
+    return mod(hash(points.flat()), curve.order);
+}
+
+/**
+ * Proves log_B8(sharePublicKey) = log_c1(decryption) without revealing the
+ * share - a Chaum-Pedersen proof made non-interactive with Poseidon.
+ */
+function proveDecryption(hash, curve, share, c1, decryption) {
+    const w = randomScalar(curve);
+    const a = curve.mul(curve.base, w);
+    const b = curve.mul(c1, w);
+    const e = dleqChallenge(hash, curve, [share.publicKey, c1, decryption, a, b]);
+    return { a, b, z: mod(w + e * BigInt(share.secret), curve.order) };
+}
+
+// The points must be in B8's subgroup: adding the order-2 point to both
+// `decryption` and `b` still passes the checks below whenever e is odd.
+function verifyDecryption(hash, curve, sharePublicKey, c1, decryption, { a, b, z }) {
+    if (![decryption, a, b].every(point => curve.inSubgroup(point))) {
+        return false;
+    }
+    const e = dleqChallenge(hash, curve, [sharePublicKey, c1, decryption, a, b]);
+    return curve.equal(curve.mul(curve.base, z), curve.add(a, curve.mul(sharePublicKey, e))) &&
+        curve.equal(curve.mul(c1, z), curve.add(b, curve.mul(decryption, e)));
+}
+
+/**
+ * One committee member's share of the decryption of a proposal's summed
+ * ciphertexts: `share * c1` per option, each with a proof.
+ */
+function decryptShare(hash, curve, share, c1s) {
+    const decryptions = c1s.map(c1 => curve.mul(c1, share.secret));
+    return {
+        index: share.index,
+        decryptions,
+        proofs: decryptions.map((decryption, i) => proveDecryption(hash, curve, share, c1s[i], decryption))
+    };
+}
+
+// Lagrange coefficient for share `index` at x = 0
+function lagrangeCoefficient(curve, index, indices) {
+    let numerator = 1n;
+    let denominator = 1n;
+    for (const other of indices) {
+        if (other !== index) {
+            numerator = mod(numerator * BigInt(other), curve.order);
+            denominator = mod(denominator * BigInt(other - index), curve.order);
+        }
+    }
+    return mod(numerator * modInverse(denominator, curve.order), curve.order);
+}
+
+// m such that point = m * B8, for 0 <= m <= max - vote totals are small
+function discreteLog(curve, point, max) {
+    let current = curve.identity;
+    for (let m = 0; m <= max; m++) {
+        if (curve.equal(current, point)) {
+            return m;
+        }
+        current = curve.add(current, curve.base);
+    }
+    throw new Error(`No vote total up to ${max} matches the decrypted point`);
+}
+
+/**
+ * Checks every decryption share against the committee's share public keys
+ * and, with at least `threshold` valid ones, recovers the per-option totals
+ * of `c1s`/`c2s`. A bad proof or unknown share index throws - one dishonest
+ * member can't skew the result, only stall it.
+ */
+function combineDecryptions(hash, curve, committee, { c1s, c2s, ballots }, decryptionShares) {
+    const used = new Map();
+    for (const share of decryptionShares) {
+        const sharePublicKey = committee.sharePublicKeys[share.index - 1];
+        if (!sharePublicKey) {
+            throw new Error(`Decryption share ${share.index} is not from this committee`);
+        }
+        if (share.decryptions.length !== c1s.length) {
+            throw new Error(`Decryption share ${share.index} covers ${share.decryptions.length} options, expected ${c1s.length}`);
+        }
+        c1s.forEach((c1, i) => {
+            if (!verifyDecryption(hash, curve, sharePublicKey, c1, share.decryptions[i], share.proofs[i])) {
+                throw new Error(`Decryption share ${share.index} has an invalid proof for option ${i}`);
+            }
+        });
+        used.set(share.index, share);
+    }
+    if (used.size < committee.threshold) {
+        throw new Error(`Need decryption shares from ${committee.threshold} committee members, have ${used.size}`);
+    }
+
+    const indices = [...used.keys()].slice(0, committee.threshold);
+    const lambdas = indices.map(index => lagrangeCoefficient(curve, index, indices));
+    return c2s.map((c2, option) => {
+        // secret * c1, put together from the shares
+        const mask = indices.reduce(
+            (sum, index, k) => curve.add(sum, curve.mul(used.get(index).decryptions[option], lambdas[k])),
+            curve.identity
+        );
+        return discreteLog(curve, curve.add(c2, curve.negate(mask)), ballots);
+    });
+}
+
+// null when the contract has no committee key, i.e. isn't EncryptedDAOVoting
+async function fetchCommitteeKey(contract) {
+    try {
+        const key = await contract.getCommitteeKey();
+        return [BigInt(key[0]), BigInt(key[1])];
+    } catch (error) {
+        if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * The summed ciphertexts of a proposal, trimmed to its options, and how
+ * many ballots went into them.
+ */
+async function fetchEncryptedTally(contract, proposalId, optionCount) {
+    const [c1, c2, ballots] = await contract.getEncryptedTally(proposalId);
+    const toPoints = points => points.slice(0, optionCount).map(([x, y]) => [BigInt(x), BigInt(y)]);
+    return { c1s: toPoints(c1), c2s: toPoints(c2), ballots: Number(ballots) };
+}
+
+// [x, y] pairs as the decimal strings JSON files and contract calls take
+function serializePoints(points) {
+    return points.map(([x, y]) => [x.toString(), y.toString()]);
+}
+
+function parsePoints(points) {
+    return points.map(([x, y]) => [BigInt(x), BigInt(y)]);
+}
+
+// the contract and circuit take every ciphertext, ENCRYPTED_MAX_OPTIONS of them
+function padPoints(points) {
+    const padded = [...points];
+    while (padded.length < ENCRYPTED_MAX_OPTIONS) {
+        padded.push([0n, 1n]);
+    }
+    return padded;
+}
+
+module.exports = {
+    ENCRYPTED_MAX_OPTIONS,
+    RANDOMNESS_BITS,
+    getBabyJub,
+    buildBabyJub,
+    generateCommitteeKey,
+    encryptBallot,
+    decryptShare,
+    verifyDecryption,
+    combineDecryptions,
+    fetchCommitteeKey,
+    fetchEncryptedTally,
+    serializePoints,
+    parsePoints,
+    padPoints
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+
+// scrypt at N=2^17, r=8 needs 128 MiB per derivation - slow enough to make
+// offline guessing of a leaked keystore expensive
+const DEFAULT_KDF_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+
+async function deriveKey(passphrase, salt, { N, r, p }) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+        throw new Error('Passphrase must not be empty');
+    }
+    return scrypt(passphrase.normalize('NFKC'), salt, 32, {
+        N, r, p,
+        maxmem: 256 * N * r
+    });
+}
+
+// name and commitment stay readable but are authenticated, so they can't be
+// swapped onto someone else's secrets
+function additionalData(name, commitment) {
+    return Buffer.from(JSON.stringify({ version: KEYSTORE_VERSION, name, commitment }));
+}
+
+/**
+ * Encrypts a member's nullifier and secret (and quadratic credit budget, if
+ * any) with scrypt + AES-256-GCM. Returns a self-contained JSON document.
+ */
+async function encryptIdentity({ name, commitment, nullifier, secret, credits }, passphrase, kdfParams = DEFAULT_KDF_PARAMS) {
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(passphrase, salt, kdfParams);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(additionalData(name, commitment.toString()));
+    const plaintext = Buffer.from(JSON.stringify({
+        nullifier: nullifier.toString(),
+        secret: secret.toString(),
+        ...(credits !== undefined && { credits: credits.toString() })
+    }));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+        version: KEYSTORE_VERSION,
+        name,
+        commitment: commitment.toString(),
+        crypto: {
+            kdf: 'scrypt',
+            kdfParams: { ...kdfParams, salt: salt.toString('hex') },
+            cipher: 'aes-256-gcm',
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        }
+    };
+}
+
+/**
+ * Returns `{ nullifier, secret }` as bigints, plus `credits` for members of
+ * a quadratic registry. Throws on a wrong passphrase or any tampering with
+ * the document.
+ */
+async function decryptIdentity(keystore, passphrase) {
+    if (!keystore || keystore.version !== KEYSTORE_VERSION || !keystore.crypto) {
+        throw new Error(`Unsupported keystore format (expected version ${KEYSTORE_VERSION})`);
+    }
+    const { kdf, kdfParams, cipher: cipherName, iv, tag, ciphertext } = keystore.crypto;
+    if (kdf !== 'scrypt' || cipherName !== 'aes-256-gcm') {
+        throw new Error(`Unsupported keystore crypto: ${kdf} / ${cipherName}`);
+    }
+
+    const key = await deriveKey(passphrase, Buffer.from(kdfParams.salt, 'hex'), kdfParams);
+
+    let plaintext;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+        decipher.setAAD(additionalData(keystore.name, keystore.commitment));
+        decipher.setAuthTag(Buffer.from(tag, 'hex'));
+        plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+    } catch {
+        throw new Error('Wrong passphrase or corrupted keystore');
+    }
+
+    const { nullifier, secret, credits } = JSON.parse(plaintext.toString());
+    const identity = { nullifier: BigInt(nullifier), secret: BigInt(secret) };
+    if (credits !== undefined) {
+        identity.credits = BigInt(credits);
+    }
+    return identity;
+}
+
+async function changePassphrase(keystore, oldPassphrase, newPassphrase, kdfParams = DEFAULT_KDF_PARAMS) {
+    const { nullifier, secret, credits } = await decryptIdentity(keystore, oldPassphrase);
+    return encryptIdentity({
+        name: keystore.name,
+        commitment: keystore.commitment,
+        nullifier,
+        secret,
+        credits
+    }, newPassphrase, kdfParams);
+}
+
+module.exports = {
+    KEYSTORE_VERSION,
+    DEFAULT_KDF_PARAMS,
+    encryptIdentity,
+    decryptIdentity,
+    changePassphrase
+};
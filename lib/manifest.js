@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fileHash } = require('./ceremony');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+// artifacts a prover needs vs. what a verifier needs
+const PROVING_ARTIFACTS = ['wasm', 'zkey'];
+const VERIFYING_ARTIFACTS = ['vkey'];
+
+const INCLUDE_PATTERN = /^\s*include\s+"([^"]+)"\s*;/gm;
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+/**
+ * Every file a circuit pulls in, itself first, following `include`s
+ * relative to the including file like circom does.
+ */
+function resolveCircuitSources(circuitFile) {
+    const seen = new Set();
+    const pending = [path.resolve(circuitFile)];
+
+    while (pending.length > 0) {
+        const file = pending.shift();
+        if (seen.has(file)) {
+            continue;
+        }
+        if (!fs.existsSync(file)) {
+            throw new Error(`Circuit source not found: ${file}`);
+        }
+        seen.add(file);
+
+        const source = fs.readFileSync(file, 'utf8');
+        for (const match of source.matchAll(INCLUDE_PATTERN)) {
+            pending.push(path.resolve(path.dirname(file), match[1]));
+        }
+    }
+    return [...seen];
+}
+
+/**
+ * Content hash of a circuit and all of its includes. Paths are taken
+ * relative to `root` so the hash is the same on every checkout.
+ */
+function hashCircuitSources(circuitFile, { root = path.dirname(circuitFile) } = {}) {
+    const sources = resolveCircuitSources(circuitFile)
+        .map(file => ({ file: toPosix(path.relative(root, file)), hash: fileHash(file) }))
+        .sort((x, y) => x.file.localeCompare(y.file));
+
+    const hash = crypto.createHash('sha256');
+    sources.forEach(source => hash.update(`${source.file}:${source.hash}\n`));
+    return { hash: hash.digest('hex'), sources };
+}
+
+function artifactEntry(root, file) {
+    return { file: toPosix(path.relative(root, file)), hash: fileHash(file) };
+}
+
+function loadManifest(file) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveManifest(file, manifest) {
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+}
+
+// true when the manifest entry exists and the file on disk still matches it
+function isFresh(root, entry) {
+    if (!entry) {
+        return false;
+    }
+    const file = path.join(root, entry.file);
+    return fs.existsSync(file) && fileHash(file) === entry.hash;
+}
+
+/**
+ * Checks the build artifacts on disk against the manifest. Returns a list
+ * of problems (empty when everything matches) - a zkey from one build and a
+ * wasm from another produce proofs nothing will verify.
+ */
+function checkArtifacts(manifest, { root, artifacts = PROVING_ARTIFACTS, circuitFile } = {}) {
+    if (!manifest) {
+        return [`No ${MANIFEST_FILE} - run: npm run compile`];
+    }
+    if (manifest.version !== MANIFEST_VERSION) {
+        return [`${MANIFEST_FILE} is version ${manifest.version}, expected ${MANIFEST_VERSION} - run: npm run compile`];
+    }
+
+    const problems = [];
+    for (const kind of artifacts) {
+        const entry = manifest.artifacts[kind];
+        if (!entry) {
+            problems.push(`The last build produced no ${kind} (unfinished ceremony?)`);
+        } else if (!fs.existsSync(path.join(root, entry.file))) {
+            problems.push(`${entry.file} is missing`);
+        } else if (!isFresh(root, entry)) {
+            problems.push(`${entry.file} does not match the build manifest`);
+        }
+    }
+
+    // sources edited since the build mean the artifacts prove the old circuit
+    if (circuitFile && fs.existsSync(circuitFile)) {
+        const { hash } = hashCircuitSources(circuitFile, { root });
+        if (hash !== manifest.circuit.hash) {
+            problems.push(`${manifest.circuit.main} changed since the last build`);
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    MANIFEST_FILE,
+    PROVING_ARTIFACTS,
+    VERIFYING_ARTIFACTS,
+    resolveCircuitSources,
+    hashCircuitSources,
+    artifactEntry,
+    loadManifest,
+    saveManifest,
+    isFresh,
+    checkArtifacts
+};
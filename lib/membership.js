@@ -0,0 +1,99 @@
+const { ethers } = require('ethers');
+const { poseidonContract } = require('circomlibjs');
+const { MEMBER_REGISTRY_ABI } = require('./abi');
+const { sendTransaction } = require('./contract');
+const { buildMembershipTree } = require('./merkle');
+
+/**
+ * Deploys circomlibjs' generated Poseidon(2) contract, the hasher
+ * MemberRegistry builds its tree with.
+ */
+async function deployPoseidonHasher(runner) {
+    const factory = new ethers.ContractFactory(
+        poseidonContract.generateABI(2),
+        poseidonContract.createCode(2),
+        runner
+    );
+    const hasher = await factory.deploy();
+    await hasher.waitForDeployment();
+    return hasher;
+}
+
+function connectMemberRegistry(address, runner) {
+    return new ethers.Contract(address, MEMBER_REGISTRY_ABI, runner);
+}
+
+/**
+ * Registers a commitment on chain and returns the leaf it landed on.
+ */
+async function registerMember(contract, commitment) {
+    const receipt = await sendTransaction(contract, 'register', [commitment]);
+
+    const event = receipt.logs
+        .map(log => {
+            try {
+                return contract.interface.parseLog(log);
+            } catch {
+                return null;
+            }
+        })
+        .find(parsed => parsed && parsed.name === 'MemberRegistered');
+
+    return {
+        index: Number(event.args.index),
+        commitment: event.args.commitment.toString(),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+async function fetchMemberEvents(contract, { fromBlock = 0 } = {}) {
+    const logs = await contract.queryFilter(contract.filters.MemberRegistered(), fromBlock);
+    return logs.map(log => ({
+        index: Number(log.args.index),
+        commitment: log.args.commitment.toString(),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+    }));
+}
+
+/**
+ * Rebuilds the membership tree from MemberRegistered events and checks it
+ * against the contract's own root, so a prover never works from a stale or
+ * partial path. Returns the registry entries (same shape as
+ * data/registry.json) along with the tree, which has the registry's depth
+ * unless `levels` insists on another one.
+ */
+async function syncMemberTree(contract, { fromBlock = 0, levels } = {}) {
+    const onChainLevels = Number(await contract.levels());
+    if (levels !== undefined && onChainLevels !== levels) {
+        throw new Error(`Registry tree has depth ${onChainLevels}, the circuit expects ${levels}`);
+    }
+
+    const events = await fetchMemberEvents(contract, { fromBlock });
+    const members = events
+        .sort((x, y) => x.index - y.index)
+        .map(event => ({ index: event.index, commitment: event.commitment }));
+
+    members.forEach((member, i) => {
+        if (member.index !== i) {
+            throw new Error(`Missing MemberRegistered event for leaf ${i} (scanning from block ${fromBlock})`);
+        }
+    });
+
+    const tree = await buildMembershipTree(members.map(m => m.commitment), onChainLevels);
+    const root = (await contract.root()).toString();
+    if (tree.getRoot().toString() !== root) {
+        throw new Error(`Rebuilt root ${tree.getRoot()} does not match on-chain root ${root}`);
+    }
+
+    return { members, tree };
+}
+
+module.exports = {
+    deployPoseidonHasher,
+    connectMemberRegistry,
+    registerMember,
+    fetchMemberEvents,
+    syncMemberTree
+};
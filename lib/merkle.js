@@ -0,0 +1,171 @@
+const { buildHasher } = require('./poseidon');
+
+// Default tree depth. compile.js builds a Vote(levels) variant for each of
+// CIRCUIT_DEPTHS (lib/circuits.js); this one is used when nothing else picks
+const MERKLE_TREE_LEVELS = 20;
+const ZERO_VALUE = 0n;
+
+/**
+ * zeros[i] is the root of an empty subtree of height i, so zeros[0] is the
+ * empty leaf and zeros[levels] is the root of an empty tree.
+ */
+function zeroValues(hash, levels, zeroValue = ZERO_VALUE) {
+    const zeros = [BigInt(zeroValue)];
+    for (let i = 0; i < levels; i++) {
+        zeros.push(hash([zeros[i], zeros[i]]));
+    }
+    return zeros;
+}
+
+/**
+ * Incremental binary Poseidon tree with the same depth semantics as
+ * MerkleTreeChecker(levels): 2^levels leaves and exactly `levels` path
+ * elements per proof. Only non-empty nodes are stored, empty subtrees are
+ * filled in from the zero table.
+ */
+class MerkleTree {
+    constructor(levels, leaves = [], { hash, zeroValue = ZERO_VALUE } = {}) {
+        if (!Number.isInteger(levels) || levels < 1) {
+            throw new Error(`Invalid tree depth: ${levels}`);
+        }
+        if (typeof hash !== 'function') {
+            throw new Error('MerkleTree needs a hash function');
+        }
+
+        this.levels = levels;
+        this.capacity = 2 ** levels;
+        this.hash = hash;
+        this.zeros = zeroValues(hash, levels, zeroValue);
+        this.layers = [];
+        for (let i = 0; i <= levels; i++) {
+            this.layers.push([]);
+        }
+
+        this.bulkInsert(leaves);
+    }
+
+    get size() {
+        return this.layers[0].length;
+    }
+
+    getRoot() {
+        return this.layers[this.levels].length > 0
+            ? this.layers[this.levels][0]
+            : this.zeros[this.levels];
+    }
+
+    insert(leaf) {
+        this.bulkInsert([leaf]);
+        return this.size - 1;
+    }
+
+    bulkInsert(leaves) {
+        if (leaves.length === 0) {
+            return;
+        }
+        if (this.size + leaves.length > this.capacity) {
+            throw new Error(`Tree is full: depth ${this.levels} holds at most ${this.capacity} leaves`);
+        }
+
+        const start = this.size;
+        for (const leaf of leaves) {
+            this.layers[0].push(BigInt(leaf));
+        }
+        this._rehash(start);
+    }
+
+    update(index, leaf) {
+        this._checkIndex(index);
+        this.layers[0][index] = BigInt(leaf);
+        this._rehash(index);
+    }
+
+    indexOf(leaf) {
+        return this.layers[0].indexOf(BigInt(leaf));
+    }
+
+    getProof(index) {
+        this._checkIndex(index);
+
+        const pathElements = [];
+        const pathIndices = [];
+        let position = index;
+
+        for (let level = 0; level < this.levels; level++) {
+            const layer = this.layers[level];
+            const sibling = position ^ 1;
+            pathElements.push(sibling < layer.length ? layer[sibling] : this.zeros[level]);
+            pathIndices.push(position & 1);
+            position >>= 1;
+        }
+
+        return {
+            leaf: this.layers[0][index],
+            root: this.getRoot(),
+            pathElements,
+            pathIndices
+        };
+    }
+
+    // recompute every parent of the leaves from `index` onwards
+    _rehash(index) {
+        let from = index;
+        for (let level = 0; level < this.levels; level++) {
+            const layer = this.layers[level];
+            const parents = this.layers[level + 1];
+            from >>= 1;
+
+            for (let i = from; i * 2 < layer.length; i++) {
+                const left = layer[i * 2];
+                const right = i * 2 + 1 < layer.length ? layer[i * 2 + 1] : this.zeros[level];
+                parents[i] = this.hash([left, right]);
+            }
+        }
+    }
+
+    _checkIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+            throw new Error(`Leaf index ${index} out of range (tree has ${this.size} leaves)`);
+        }
+    }
+}
+
+/**
+ * Recomputes the root the same way MerkleTreeChecker does and compares it.
+ * pathIndices[i] = 0 means the current node is the left child at level i.
+ */
+function verifyMerkleProof(hash, root, leaf, pathElements, pathIndices) {
+    if (pathElements.length !== pathIndices.length) {
+        return false;
+    }
+
+    let current = BigInt(leaf);
+    for (let i = 0; i < pathElements.length; i++) {
+        const sibling = BigInt(pathElements[i]);
+        const bit = Number(pathIndices[i]);
+        if (bit !== 0 && bit !== 1) {
+            return false;
+        }
+        current = bit === 0 ? hash([current, sibling]) : hash([sibling, current]);
+    }
+
+    return current === BigInt(root);
+}
+
+/**
+ * Builds the membership tree the circuit proves against: one leaf per member
+ * commitment, in registry order.
+ */
+async function buildMembershipTree(commitments, levels = MERKLE_TREE_LEVELS) {
+    const hash = await buildHasher();
+    return new MerkleTree(levels, commitments.map(c => BigInt(c)), { hash });
+}
+
+module.exports = {
+    MERKLE_TREE_LEVELS,
+    ZERO_VALUE,
+    zeroValues,
+    MerkleTree,
+    verifyMerkleProof,
+    buildMembershipTree
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { submitVote } = require('./contract');
+const { relayVote } = require('./relayer');
+
+// queued votes land at least this long before the deadline, so a retry or two still fits
+const DEADLINE_MARGIN = 10 * 60;
+
+// transient failures are retried this many times, backing off up to an hour
+const MAX_ATTEMPTS = 8;
+const MAX_RETRY_DELAY = 60 * 60;
+
+// one stuck RPC call mustn't hold up the rest of the outbox
+const SUBMIT_TIMEOUT_MS = 2 * 60 * 1000;
+
+const TRANSIENT_CODES = new Set(['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+// what to do with a vote the contract refused: drop it when it can never land
+const DROPPED_ERRORS = {
+    NullifierAlreadyUsed: 'the nullifier is already used - this member has voted',
+    VotingEnded: 'voting has ended',
+    ProposalDoesNotExist: 'the proposal does not exist'
+};
+
+/**
+ * A uniformly random time between `now + minDelay` and `margin` seconds
+ * before the deadline (chain time) - or `now` when that window is empty.
+ * Returned in local clock seconds, which the worker goes by.
+ */
+function scheduleSubmission({ now, chainNow = now, deadline, minDelay = 0, margin = DEADLINE_MARGIN }) {
+    const window = deadline - margin - chainNow - minDelay;
+    if (window <= 0) {
+        return now;
+    }
+    return now + minDelay + crypto.randomInt(window + 1);
+}
+
+function retryDelay(attempts) {
+    const delay = Math.min(60 * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+    return Math.ceil(delay / 2) + crypto.randomInt(Math.ceil(delay / 2) + 1);
+}
+
+// RPC trouble, a busy relayer or a timeout - worth trying again later
+function isTransientError(error) {
+    if (error.status === 429 || error.status >= 500) {
+        return true;
+    }
+    if (error.errorName) {
+        return error.errorName === 'VotePending';
+    }
+    for (let cause = error; cause; cause = cause.cause) {
+        if (TRANSIENT_CODES.has(cause.code)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`No answer after ${ms / 1000}s`);
+            error.code = 'TIMEOUT';
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * An outbox entry for a vote (the submitVote fields) on `contract`, to be
+ * sent at `submitAt`, directly or through `relayer` when given.
+ */
+function createOutboxEntry({ contract, deadline, submitAt, vote, relayer, feeTx, now }) {
+    return {
+        id: crypto.randomBytes(4).toString('hex'),
+        contract,
+        proposalId: vote.proposalId,
+        nullifierHash: vote.nullifierHash.toString(),
+        deadline,
+        submitAt,
+        ...(relayer && { relayer }),
+        ...(feeTx && { feeTx }),
+        vote,
+        attempts: 0,
+        queuedAt: now
+    };
+}
+
+function loadOutbox(file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveOutbox(file, entries) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entries, null, 2));
+}
+
+async function submitEntry(entry, contract) {
+    if (await contract.usedNullifiers(entry.nullifierHash)) {
+        const error = new Error(DROPPED_ERRORS.NullifierAlreadyUsed);
+        error.errorName = 'NullifierAlreadyUsed';
+        throw error;
+    }
+    if (entry.relayer) {
+        return relayVote(entry.relayer, {
+            contract: entry.contract,
+            ...entry.vote,
+            ...(entry.feeTx && { fee: { transactionHash: entry.feeTx } })
+        });
+    }
+    return submitVote(contract, entry.vote);
+}
+
+/**
+ * Sends the outbox entries that are due at `now` (every one that hasn't
+ * failed for good with `force`), one at a time. `connect(address, { write })`
+ * gives the DAOVoting contract to send or check an entry with - relayed
+ * entries only read from it, so `write` is false for them. `chainNow` is
+ * the chain's time at `now`, which entry deadlines are in.
+ *
+ * Each entry gets an outcome: `submitted` (with the transaction),
+ * `dropped` when it can never land, `retry` after a transient failure,
+ * rescheduled with backoff, or `failed` - kept for the user to look at
+ * once attempts run out or the contract refuses it for another reason.
+ * Entries that aren't due don't show up. Returns the outcomes; apply them
+ * with applyOutboxResults.
+ */
+async function processOutbox(entries, { connect, now, chainNow = now, force = false, maxAttempts = MAX_ATTEMPTS, timeoutMs = SUBMIT_TIMEOUT_MS }) {
+    const results = [];
+    for (const entry of entries) {
+        if (!force && (entry.failed || entry.submitAt > now)) {
+            continue;
+        }
+        try {
+            // connecting is covered too - a provider waits forever for a node that's down
+            const submission = await withTimeout((async () => submitEntry(entry, await connect(entry.contract, { write: !entry.relayer })))(), timeoutMs);
+            results.push({ entry, outcome: 'submitted', submission });
+        } catch (error) {
+            const attempts = entry.attempts + 1;
+            if (DROPPED_ERRORS[error.errorName]) {
+                results.push({ entry, outcome: 'dropped', reason: DROPPED_ERRORS[error.errorName] });
+            } else if (isTransientError(error) && attempts < maxAttempts) {
+                // not past the deadline, where it could only be dropped -
+                // submitAt is local time, the deadline chain time
+                const submitAt = Math.max(now, now + Math.min(retryDelay(attempts), entry.deadline - 60 - chainNow));
+                results.push({ entry: { ...entry, attempts, submitAt, failed: false, lastError: error.message }, outcome: 'retry' });
+            } else {
+                results.push({ entry: { ...entry, attempts, failed: true, lastError: error.message }, outcome: 'failed' });
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * The outbox after `results`: submitted and dropped entries leave it,
+ * retried and failed ones are updated. Entries cancelled in the meantime
+ * stay gone, and ones queued meanwhile are kept.
+ */
+function applyOutboxResults(entries, results) {
+    const byId = new Map(results.map(result => [result.entry.id, result]));
+    return entries.flatMap(entry => {
+        const result = byId.get(entry.id);
+        if (!result) {
+            return [entry];
+        }
+        return result.outcome === 'retry' || result.outcome === 'failed' ? [result.entry] : [];
+    });
+}
+
+module.exports = {
+    DEADLINE_MARGIN,
+    MAX_ATTEMPTS,
+    scheduleSubmission,
+    isTransientError,
+    createOutboxEntry,
+    loadOutbox,
+    saveOutbox,
+    processOutbox,
+    applyOutboxResults
+};
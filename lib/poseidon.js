@@ -0,0 +1,75 @@
+const circomlibjs = require('circomlibjs');
+
+// buildPoseidon is slow-ish (wasm + constants), so share one instance
+let poseidonPromise = null;
+
+function getPoseidon() {
+    if (!poseidonPromise) {
+        poseidonPromise = circomlibjs.buildPoseidon();
+    }
+    return poseidonPromise;
+}
+
+/**
+ * Returns a sync `hash(inputs) -> bigint` over circomlib's Poseidon, i.e. the
+ * same function as `Poseidon(inputs.length)` in the circuit.
+ */
+async function buildHasher() {
+    const poseidon = await getPoseidon();
+    const F = poseidon.F;
+    return (inputs) => F.toObject(poseidon(inputs.map(x => F.e(BigInt(x)))));
+}
+
+/**
+ * Random non-zero field element, suitable for a nullifier or secret.
+ */
+async function randomFieldElement() {
+    const F = (await getPoseidon()).F;
+    let value = 0n;
+    while (value === 0n) {
+        value = F.toObject(F.random());
+    }
+    return value;
+}
+
+// Mirrors CommitmentHasher in circuits/vote.circom
+function computeCommitment(hash, nullifier, secret) {
+    return hash([nullifier, secret]);
+}
+
+// Leaf of a weighted registry - mirrors leafHasher in WeightedVote
+function computeWeightedLeaf(hash, commitment, weight) {
+    return hash([commitment, weight]);
+}
+
+// Leaf of a quadratic registry - mirrors leafHasher in QuadraticVote. The
+// registry only ever stores this hash, never the budget itself.
+function computeBudgetLeaf(hash, commitment, credits) {
+    return hash([commitment, credits]);
+}
+
+// What members delegate to - mirrors delegateHasher in DelegatedVote. The
+// trailing 1 keeps it from ever equalling the member's registry commitment.
+function computeDelegateCommitment(hash, nullifier, secret) {
+    return hash([nullifier, secret, 1n]);
+}
+
+// Poseidon(nullifier, proposalId) - a fresh hash per proposal, so one
+// member's votes can't be linked across proposals
+function computeNullifierHash(hash, nullifier, proposalId) {
+    if (proposalId === undefined || proposalId === null) {
+        throw new Error('computeNullifierHash needs the proposal ID');
+    }
+    return hash([nullifier, proposalId]);
+}
+
+module.exports = {
+    getPoseidon,
+    buildHasher,
+    randomFieldElement,
+    computeCommitment,
+    computeWeightedLeaf,
+    computeBudgetLeaf,
+    computeDelegateCommitment,
+    computeNullifierHash
+};
@@ -0,0 +1,105 @@
+const { VOTE_LABELS, voteValueOf } = require('./tally');
+const { padAllocation } = require('./quadratic');
+const { padPoints, serializePoints } = require('./elgamal');
+
+/**
+ * snarkjs proof -> the `{ a, b, c }` the contracts take. G2 coordinates
+ * swap places, and the projective third coordinates are dropped.
+ */
+function toSolidityProof(proof) {
+    return {
+        a: [proof.pi_a[0], proof.pi_a[1]],
+        b: [[proof.pi_b[0][1], proof.pi_b[0][0]],
+            [proof.pi_b[1][1], proof.pi_b[1][0]]],
+        c: [proof.pi_c[0], proof.pi_c[1]]
+    };
+}
+
+// and back, for snarkjs.groth16.verify
+function toSnarkjsProof(proof) {
+    const str = value => value.toString();
+    return {
+        pi_a: [str(proof.a[0]), str(proof.a[1]), '1'],
+        pi_b: [[str(proof.b[0][1]), str(proof.b[0][0])],
+            [str(proof.b[1][1]), str(proof.b[1][0])],
+            ['1', '0']],
+        pi_c: [str(proof.c[0]), str(proof.c[1]), '1'],
+        protocol: 'groth16',
+        curve: 'bn128'
+    };
+}
+
+// Which circuit a vote was proved with, going by what it carries
+function voteKind({ allocation, weight, ciphertext, delegateCommitment }) {
+    if (ciphertext !== undefined) {
+        return 'encrypted';
+    }
+    if (delegateCommitment !== undefined) {
+        return 'delegated';
+    }
+    if (allocation !== undefined) {
+        return 'quadratic';
+    }
+    return weight === undefined ? 'vote' : 'weighted';
+}
+
+/**
+ * The public signals of a vote, in the order its circuit kind declares them
+ * (see CIRCUIT_KINDS): what the verifier checks the proof against. Takes
+ * the submitVote fields plus the ballot's `optionCount`, and the
+ * `committeeKey` for encrypted votes.
+ */
+function votePublicSignals({
+    root, nullifierHash, proposalId, voteValue, optionCount, weight, allocation, ciphertext, committeeKey, delegateCommitment
+}) {
+    const str = value => value.toString();
+    const common = [str(root), str(nullifierHash), str(proposalId)];
+    switch (voteKind({ allocation, weight, ciphertext, delegateCommitment })) {
+    case 'encrypted':
+        return [
+            ...common,
+            str(optionCount),
+            ...committeeKey.map(str),
+            ...serializePoints(padPoints(ciphertext.c1.map(([x, y]) => [BigInt(x), BigInt(y)]))).flat(),
+            ...serializePoints(padPoints(ciphertext.c2.map(([x, y]) => [BigInt(x), BigInt(y)]))).flat()
+        ];
+    case 'quadratic':
+        return [...common, str(optionCount), ...padAllocation(allocation).map(str)];
+    case 'weighted':
+        return [...common, str(voteValue), str(optionCount), str(weight)];
+    case 'delegated':
+        return [...common, str(voteValue), str(optionCount), str(delegateCommitment)];
+    default:
+        return [...common, str(voteValue), str(optionCount)];
+    }
+}
+
+/**
+ * The submitVote fields of a data/votes.json record - the vote value is
+ * stored as its label, the ciphertexts under `encrypted`.
+ */
+function voteSubmission(record) {
+    const ballot = record.options || VOTE_LABELS;
+    // an encrypted ballot's plain vote stays local - relayers and outboxes
+    // only ever see the ciphertexts
+    const plain = !record.allocation && !record.encrypted;
+    return {
+        proposalId: record.proposalId,
+        root: record.root,
+        nullifierHash: record.nullifierHash,
+        ...(record.allocation && { allocation: record.allocation }),
+        ...(plain && { voteValue: voteValueOf(record.vote, ballot) }),
+        ...(record.weight !== undefined && { weight: record.weight }),
+        ...(record.encrypted && { ciphertext: { c1: record.encrypted.c1, c2: record.encrypted.c2 } }),
+        ...(record.delegateCommitment && { delegateCommitment: record.delegateCommitment }),
+        proof: record.proof
+    };
+}
+
+module.exports = {
+    toSolidityProof,
+    toSnarkjsProof,
+    voteKind,
+    votePublicSignals,
+    voteSubmission
+};
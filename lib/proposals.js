@@ -0,0 +1,151 @@
+const { sendTransaction } = require('./contract');
+const { VOTE_LABELS, isYesNoBallot, checkBallotOptions } = require('./tally');
+const { checkActions } = require('./actions');
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parses "3600", "90m", "12h" or "7d" into seconds.
+ */
+function parseDuration(value) {
+    const match = /^(\d+)([smhdw]?)$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid duration "${value}" (use e.g. 3600, 90m, 12h or 7d)`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+function formatDuration(seconds) {
+    if (seconds <= 0) {
+        return 'ended';
+    }
+    const parts = [];
+    let rest = seconds;
+    for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]]) {
+        if (rest >= size || (unit === 's' && parts.length === 0)) {
+            parts.push(`${Math.floor(rest / size)}${unit}`);
+            rest %= size;
+        }
+    }
+    return parts.slice(0, 2).join(' ');
+}
+
+// deadlines are compared against chain time, not the local clock
+async function chainTimestamp(provider) {
+    const block = await provider.getBlock('latest');
+    return block.timestamp;
+}
+
+/**
+ * A proposal with its ballot: `options` are the labels and `votes[i]` the
+ * on-chain total for `options[i]`. Yes/no/abstain ballots also get `yes`,
+ * `no` and `abstain`.
+ */
+async function fetchProposal(contract, proposalId) {
+    const count = await contract.proposalCount();
+    if (BigInt(proposalId) >= count) {
+        throw new Error(`Proposal ${proposalId} does not exist (${count} proposals on chain)`);
+    }
+
+    const proposal = await contract.proposals(proposalId);
+    const options = [...await contract.getProposalOptions(proposalId)];
+    const votes = [...await contract.getOptionVotes(proposalId)];
+    const details = {
+        id: Number(proposalId),
+        description: proposal.description,
+        deadline: Number(proposal.deadline),
+        options,
+        votes,
+        executed: proposal.executed
+    };
+    if (isYesNoBallot(options)) {
+        VOTE_LABELS.forEach((label, i) => {
+            details[label] = votes[i];
+        });
+    }
+    return details;
+}
+
+/**
+ * ProposalCreated / ProposalExecuted events in chain order, optionally
+ * narrowed to a single proposal.
+ */
+async function fetchProposalHistory(contract, { proposalId, fromBlock = 0 } = {}) {
+    const id = proposalId === undefined ? null : proposalId;
+    const created = await contract.queryFilter(contract.filters.ProposalCreated(id), fromBlock);
+    const executed = await contract.queryFilter(contract.filters.ProposalExecuted(id), fromBlock);
+
+    const history = [
+        ...created.map(log => ({
+            type: 'created',
+            proposalId: Number(log.args.proposalId),
+            description: log.args.description,
+            deadline: Number(log.args.deadline),
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            transactionHash: log.transactionHash
+        })),
+        ...executed.map(log => ({
+            type: 'executed',
+            proposalId: Number(log.args.proposalId),
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            transactionHash: log.transactionHash
+        }))
+    ];
+
+    return history.sort((x, y) => x.blockNumber - y.blockNumber || x.logIndex - y.logIndex);
+}
+
+/**
+ * Creates a proposal and returns its id, read back from ProposalCreated.
+ * Without `options` it is a yes/no/abstain ballot, which `actions` (see
+ * encodeAction) make executeProposal run if it passes.
+ */
+async function createProposal(contract, description, duration, { options, actions } = {}) {
+    if (options && actions) {
+        throw new Error('Only yes/no/abstain proposals can carry actions');
+    }
+    let receipt;
+    if (actions) {
+        receipt = await sendTransaction(contract, 'createProposalWithActions', [description, duration, checkActions(actions)]);
+    } else if (options) {
+        receipt = await sendTransaction(contract, 'createProposalWithOptions', [description, duration, checkBallotOptions(options)]);
+    } else {
+        receipt = await sendTransaction(contract, 'createProposal', [description, duration]);
+    }
+    const event = receipt.logs
+        .map(log => {
+            try {
+                return contract.interface.parseLog(log);
+            } catch {
+                return null;
+            }
+        })
+        .find(parsed => parsed && parsed.name === 'ProposalCreated');
+
+    return {
+        proposalId: Number(event.args.proposalId),
+        deadline: Number(event.args.deadline),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+async function executeProposal(contract, proposalId) {
+    const receipt = await sendTransaction(contract, 'executeProposal', [proposalId]);
+    return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+module.exports = {
+    parseDuration,
+    formatDuration,
+    chainTimestamp,
+    fetchProposal,
+    fetchProposalHistory,
+    createProposal,
+    executeProposal
+};
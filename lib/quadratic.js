@@ -0,0 +1,142 @@
+const { VOTE_LABELS, isYesNoBallot, voteKey, voteValueOf } = require('./tally');
+
+// QuadraticVote is compiled for ballots of up to this many options
+// (QuadraticDAOVoting.MAX_QUADRATIC_OPTIONS)
+const QUADRATIC_MAX_OPTIONS = 8;
+
+// QuadraticVote's Num2Bits(32) on every option and Num2Bits(64) on the budget
+const MAX_OPTION_VOTES = 2n ** 32n - 1n;
+const MAX_CREDITS = 2n ** 64n - 1n;
+
+function parseCredits(credits) {
+    let value;
+    try {
+        value = BigInt(credits);
+    } catch (error) {
+        throw new Error(`Invalid credit budget "${credits}"`);
+    }
+    if (value < 1n || value > MAX_CREDITS) {
+        throw new Error(`Credit budget must be between 1 and ${MAX_CREDITS}, got ${value}`);
+    }
+    return value;
+}
+
+// v votes on an option cost v^2 credits
+function allocationCost(allocation) {
+    return allocation.reduce((sum, votes) => sum + BigInt(votes) ** 2n, 0n);
+}
+
+/**
+ * Parses "alice=3,bob=1" into votes per option of `options` (labels are
+ * case-insensitive, options left out get 0).
+ */
+function parseAllocation(text, options) {
+    if (options.length > QUADRATIC_MAX_OPTIONS) {
+        throw new Error(`Quadratic ballots have at most ${QUADRATIC_MAX_OPTIONS} options, this one has ${options.length}`);
+    }
+    const allocation = options.map(() => 0n);
+    const named = new Set();
+
+    for (const part of String(text).split(',')) {
+        const match = /^\s*([^=]+?)\s*=\s*(\d+)\s*$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid allocation "${part.trim()}" (use e.g. "alice=3,bob=1")`);
+        }
+        const option = voteValueOf(match[1], options);
+        if (named.has(option)) {
+            throw new Error(`Option "${options[option]}" is allocated twice`);
+        }
+        named.add(option);
+
+        const votes = BigInt(match[2]);
+        if (votes > MAX_OPTION_VOTES) {
+            throw new Error(`${votes} votes on "${options[option]}" is more than the ${MAX_OPTION_VOTES} one option can take`);
+        }
+        allocation[option] = votes;
+    }
+
+    if (allocation.every(votes => votes === 0n)) {
+        throw new Error('The allocation casts no votes');
+    }
+    return allocation;
+}
+
+// QuadraticVote and voteQuadratic take exactly QUADRATIC_MAX_OPTIONS entries
+function padAllocation(allocation) {
+    if (allocation.length > QUADRATIC_MAX_OPTIONS) {
+        throw new Error(`An allocation has at most ${QUADRATIC_MAX_OPTIONS} entries, got ${allocation.length}`);
+    }
+    const padded = allocation.map(votes => BigInt(votes));
+    while (padded.length < QUADRATIC_MAX_OPTIONS) {
+        padded.push(0n);
+    }
+    return padded;
+}
+
+/**
+ * Counts `{ proposalId, nullifierHash, allocation }` entries, first vote per
+ * nullifier only, like tallyVotes. `counts[i]` is the sum of the votes
+ * allocated to `options[i]`, `credits` what the ballots spent on them.
+ * Yes/no/abstain ballots also get `yes`, `no` and `abstain`.
+ */
+function tallyQuadraticVotes(entries, { options }) {
+    const tally = { options, counts: options.map(() => 0), total: 0, credits: 0, ballots: 0, duplicates: [] };
+    const seen = new Set();
+
+    for (const entry of entries) {
+        const key = voteKey(entry);
+        if (seen.has(key)) {
+            tally.duplicates.push(entry);
+            continue;
+        }
+        seen.add(key);
+
+        entry.allocation.forEach((value, i) => {
+            const votes = Number(value);
+            if (votes === 0) {
+                return;
+            }
+            if (i >= options.length) {
+                throw new Error(`Allocation puts votes on option ${i}, but the ballot has ${options.length} options`);
+            }
+            tally.counts[i] += votes;
+            tally.total += votes;
+            tally.credits += votes * votes;
+        });
+        tally.ballots++;
+    }
+
+    if (!Number.isSafeInteger(tally.credits)) {
+        throw new Error(`${tally.credits} credits spent is too large to count exactly`);
+    }
+
+    if (isYesNoBallot(options)) {
+        VOTE_LABELS.forEach((label, i) => {
+            tally[label] = tally.counts[i];
+        });
+    }
+    return tally;
+}
+
+async function fetchQuadraticVoteEvents(contract, proposalId, { fromBlock = 0 } = {}) {
+    const logs = await contract.queryFilter(contract.filters.QuadraticVoteCast(proposalId), fromBlock);
+    return logs.map(log => ({
+        proposalId: Number(log.args.proposalId),
+        nullifierHash: log.args.nullifierHash.toString(),
+        allocation: log.args.allocation.map(votes => votes.toString()),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+    }));
+}
+
+module.exports = {
+    QUADRATIC_MAX_OPTIONS,
+    MAX_OPTION_VOTES,
+    MAX_CREDITS,
+    parseCredits,
+    allocationCost,
+    parseAllocation,
+    padAllocation,
+    tallyQuadraticVotes,
+    fetchQuadraticVoteEvents
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { MERKLE_TREE_LEVELS, buildMembershipTree } = require('./merkle');
+const { buildHasher, computeWeightedLeaf } = require('./poseidon');
+
+const REGISTRY_VERSION = 1;
+
+// WeightedVote range-checks the weight with Num2Bits(64)
+const MAX_WEIGHT = 2n ** 64n - 1n;
+
+/**
+ * Reads the public member registry - leaf indices, commitments and, in a
+ * weighted registry, voting weights.
+ * Older member lists (a bare array of member records) are accepted and
+ * stripped down to the same shape.
+ */
+function loadRegistry(file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const members = Array.isArray(data) ? data : data.members;
+    return members.map(publicEntry);
+}
+
+function saveRegistry(file, members) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        version: REGISTRY_VERSION,
+        members: members.map(publicEntry)
+    }, null, 2));
+}
+
+// never let anything but the index, commitment and weight into the registry
+function publicEntry(member) {
+    const { index, commitment, weight } = member;
+    const entry = { index, commitment: commitment === undefined ? undefined : commitment.toString() };
+    if (weight !== undefined) {
+        entry.weight = weight.toString();
+    }
+    return entry;
+}
+
+function parseWeight(weight) {
+    let value;
+    try {
+        value = BigInt(weight);
+    } catch (error) {
+        throw new Error(`Invalid weight "${weight}"`);
+    }
+    if (value < 1n || value > MAX_WEIGHT) {
+        throw new Error(`Weight must be between 1 and ${MAX_WEIGHT}, got ${value}`);
+    }
+    return value;
+}
+
+// A registry is weighted when its members carry weights - then every one must
+function isWeightedRegistry(members) {
+    return members.some(member => member.weight !== undefined);
+}
+
+/**
+ * Appends a commitment as the next leaf and returns its index. Pass
+ * `weight` to build a weighted registry; weighted and unweighted members
+ * can't be mixed since their leaves are hashed differently.
+ */
+function addCommitment(members, commitment, { weight } = {}) {
+    const value = BigInt(commitment).toString();
+    if (members.some(member => member.commitment === value)) {
+        throw new Error(`Commitment ${value} is already registered`);
+    }
+    if (members.length > 0 && isWeightedRegistry(members) !== (weight !== undefined)) {
+        throw new Error(isWeightedRegistry(members)
+            ? 'This registry is weighted - every member needs a weight'
+            : 'This registry is unweighted - members can\'t be given a weight');
+    }
+    const index = members.length;
+    const entry = { index, commitment: value };
+    if (weight !== undefined) {
+        entry.weight = parseWeight(weight).toString();
+    }
+    members.push(entry);
+    return index;
+}
+
+function findLeafIndex(members, commitment) {
+    const value = BigInt(commitment).toString();
+    const member = members.find(m => m.commitment === value);
+    return member ? member.index : -1;
+}
+
+/**
+ * Commitments in leaf order. Every member carries its leaf index, which
+ * must be contiguous from 0 - a gap would shift every later leaf and
+ * silently change the root.
+ */
+function registryCommitments(members) {
+    const sorted = [...members].sort((x, y) => x.index - y.index);
+    sorted.forEach((member, i) => {
+        if (member.index !== i) {
+            throw new Error(`Registry is missing leaf index ${i}`);
+        }
+        if (member.commitment === undefined) {
+            throw new Error(`Registry entry ${i} has no commitment`);
+        }
+    });
+    return sorted.map(member => BigInt(member.commitment));
+}
+
+/**
+ * Tree leaves in leaf order: the commitments themselves, or
+ * Poseidon(commitment, weight) in a weighted registry.
+ */
+function registryLeaves(hash, members) {
+    const commitments = registryCommitments(members);
+    if (!isWeightedRegistry(members)) {
+        return commitments;
+    }
+    const sorted = [...members].sort((x, y) => x.index - y.index);
+    return sorted.map((member, i) => {
+        if (member.weight === undefined) {
+            throw new Error(`Registry entry ${i} has no weight, but the registry is weighted`);
+        }
+        return computeWeightedLeaf(hash, commitments[i], parseWeight(member.weight));
+    });
+}
+
+/**
+ * The one way to turn a registry into a membership tree. Deployment and
+ * proving both go through here so they can't disagree on the root.
+ */
+async function buildRegistryTree(members, levels = MERKLE_TREE_LEVELS) {
+    const hash = await buildHasher();
+    return buildMembershipTree(registryLeaves(hash, members), levels);
+}
+
+module.exports = {
+    REGISTRY_VERSION,
+    MAX_WEIGHT,
+    loadRegistry,
+    saveRegistry,
+    addCommitment,
+    findLeafIndex,
+    isWeightedRegistry,
+    registryCommitments,
+    registryLeaves,
+    buildRegistryTree
+};
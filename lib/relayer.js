@@ -0,0 +1,372 @@
+const http = require('http');
+const snarkjs = require('snarkjs');
+const { ethers } = require('ethers');
+const { ERROR_MESSAGES, submitVote } = require('./contract');
+const { chainTimestamp, fetchProposal } = require('./proposals');
+const { fetchCommitteeKey } = require('./elgamal');
+const { toSnarkjsProof, voteKind, votePublicSignals } = require('./proofs');
+
+const DEFAULT_RELAYER_PORT = 8546;
+const DEFAULT_RATE_LIMIT = { requests: 10, windowMs: 60 * 1000 };
+
+// a vote is a few kilobytes at most
+const MAX_BODY_BYTES = 64 * 1024;
+
+function relayError(status, errorName, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.errorName = errorName;
+    return error;
+}
+
+// snarkjs throws on points that aren't on the curve, which is just a bad proof
+async function verifyWithKey(vKey, publicSignals, proof) {
+    try {
+        return await snarkjs.groth16.verify(vKey, publicSignals, toSnarkjsProof(proof));
+    } catch {
+        return false;
+    }
+}
+
+const isUint = value => (typeof value === 'string' || typeof value === 'number') && /^\d+$/.test(String(value));
+
+// the shape of a relay request, before anything is looked up on chain
+function checkRelayRequest(request) {
+    const problems = [];
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+        return ['The request must be a JSON object'];
+    }
+    for (const field of ['proposalId', 'root', 'nullifierHash']) {
+        if (!isUint(request[field])) {
+            problems.push(`${field} must be an unsigned integer`);
+        }
+    }
+    // encrypted ballots leave the vote out, it's in the ciphertexts
+    if (request.allocation === undefined && request.ciphertext === undefined && !isUint(request.voteValue)) {
+        problems.push('voteValue must be an unsigned integer');
+    }
+    if (request.allocation !== undefined && !(Array.isArray(request.allocation) && request.allocation.every(isUint))) {
+        problems.push('allocation must be an array of unsigned integers');
+    }
+    for (const field of ['weight', 'delegateCommitment']) {
+        if (request[field] !== undefined && !isUint(request[field])) {
+            problems.push(`${field} must be an unsigned integer`);
+        }
+    }
+    if (request.ciphertext !== undefined) {
+        const points = value => Array.isArray(value) && value.every(point => Array.isArray(point) && point.length === 2 && point.every(isUint));
+        if (!points(request.ciphertext.c1) || !points(request.ciphertext.c2)) {
+            problems.push('ciphertext must have c1 and c2 as [x, y] points');
+        }
+    }
+    const { proof } = request;
+    const pair = value => Array.isArray(value) && value.length === 2 && value.every(isUint);
+    if (!proof || !pair(proof.a) || !Array.isArray(proof.b) || proof.b.length !== 2 || !proof.b.every(pair) || !pair(proof.c)) {
+        problems.push('proof must be the Solidity-ordered { a, b, c }');
+    }
+    return problems;
+}
+
+// The fee payment's transaction hash, claimed in `usedFees` before anything
+// is awaited so two requests can't both spend it - null when there is none
+function reserveFeePayment(payment, usedFees) {
+    const hash = payment && payment.transactionHash;
+    if (!hash || !ethers.isHexString(hash, 32)) {
+        return null;
+    }
+    if (usedFees.has(hash.toLowerCase())) {
+        throw relayError(402, 'FeeAlreadyUsed', 'This fee payment has already paid for a vote');
+    }
+    usedFees.add(hash.toLowerCase());
+    return hash.toLowerCase();
+}
+
+// The calldata a fee payment carries: the nullifier hash of the vote it pays
+// for. Payments are public, so without it anyone could claim one first.
+function feePaymentData(nullifierHash) {
+    return ethers.toBeHex(BigInt(nullifierHash), 32);
+}
+
+// Whether the reserved payment `hash` paid the relayer at least `fee` for
+// the vote with `nullifierHash`
+async function checkFeePayment(provider, hash, { relayer, fee, nullifierHash }) {
+    if (!hash) {
+        throw relayError(402, 'FeeRequired',
+            `This relayer charges ${ethers.formatEther(fee)} ETH per vote - pay ${relayer} with data ${feePaymentData(nullifierHash)} and send the transaction hash as fee.transactionHash`);
+    }
+    const [tx, receipt] = await Promise.all([provider.getTransaction(hash), provider.getTransactionReceipt(hash)]);
+    if (!tx || !receipt || receipt.status !== 1) {
+        throw relayError(402, 'FeeNotFound', `Fee payment ${hash} is not mined or failed`);
+    }
+    if (!tx.to || tx.to.toLowerCase() !== relayer.toLowerCase() || tx.value < fee) {
+        throw relayError(402, 'InsufficientFee', `Fee payment ${hash} does not pay ${ethers.formatEther(fee)} ETH to ${relayer}`);
+    }
+    if (tx.data.toLowerCase() !== feePaymentData(nullifierHash)) {
+        throw relayError(402, 'FeeNotForVote', `Fee payment ${hash} was not made for this vote - its data must be ${feePaymentData(nullifierHash)}`);
+    }
+}
+
+/**
+ * A relayer for one DAOVoting contract, sending votes from the account
+ * `contract` is connected with so the voter's own address never shows up.
+ * Before anything is sent, each vote is checked the way the contract would:
+ * the proposal is open, the root known, the nullifier unused and the proof
+ * valid against `verificationKeys[kind]` (see voteKind).
+ *
+ * With a `fee` (wei), a vote must come with `fee.transactionHash`, a
+ * payment of at least that much to the relayer's account carrying the
+ * vote's feePaymentData. Pass `usedFees`
+ * to remember payments across restarts - `onRelayed` gets each relayed
+ * vote, with the fee payment it used. Each client (the server passes the
+ * remote address) gets `rateLimit.requests` requests per `windowMs`.
+ */
+function createRelayer({
+    contract,
+    verificationKeys,
+    verifyProof = verifyWithKey,
+    fee = 0n,
+    usedFees = new Set(),
+    rateLimit = DEFAULT_RATE_LIMIT,
+    onRelayed = () => {},
+    now = Date.now
+}) {
+    const windows = new Map();
+    const pending = new Set();
+    // one transaction at a time keeps the relayer's nonces in order
+    let queue = Promise.resolve();
+    let lastSweep = now();
+
+    function checkRateLimit(client) {
+        const time = now();
+        // forget clients whose window ran out, or every address ever seen stays
+        if (time - lastSweep >= rateLimit.windowMs) {
+            for (const [key, expired] of windows) {
+                if (time - expired.start >= rateLimit.windowMs) {
+                    windows.delete(key);
+                }
+            }
+            lastSweep = time;
+        }
+        const window = windows.get(client);
+        if (!window || time - window.start >= rateLimit.windowMs) {
+            windows.set(client, { start: time, count: 1 });
+            return;
+        }
+        window.count++;
+        if (window.count > rateLimit.requests) {
+            const seconds = Math.ceil((window.start + rateLimit.windowMs - time) / 1000);
+            throw relayError(429, 'RateLimited', `Too many requests - try again in ${seconds}s`);
+        }
+    }
+
+    async function info() {
+        const { chainId } = await contract.runner.provider.getNetwork();
+        return {
+            contract: await contract.getAddress(),
+            relayer: await contract.runner.getAddress(),
+            chainId: chainId.toString(),
+            fee: BigInt(fee).toString(),
+            kinds: Object.keys(verificationKeys)
+        };
+    }
+
+    async function relay(request, { client = 'local' } = {}) {
+        checkRateLimit(client);
+
+        const problems = checkRelayRequest(request);
+        if (problems.length > 0) {
+            throw relayError(400, 'InvalidRequest', problems.join('; '));
+        }
+        // claimed before the first await, so concurrent requests can't share
+        // a nullifier or a fee payment - both are released if this one fails
+        const nullifierKey = BigInt(request.nullifierHash).toString();
+        if (pending.has(nullifierKey)) {
+            throw relayError(409, 'VotePending', 'A vote with this nullifier hash is already being relayed');
+        }
+        const feePayment = BigInt(fee) > 0n ? reserveFeePayment(request.fee, usedFees) : null;
+        pending.add(nullifierKey);
+
+        let submission;
+        try {
+            submission = await checkAndSubmit(request, feePayment);
+        } catch (error) {
+            // an unused payment can pay for another try
+            if (feePayment) {
+                usedFees.delete(feePayment);
+            }
+            if (error.errorName && !error.status) {
+                error.status = error.errorName === 'NullifierAlreadyUsed' ? 409 : 400;
+            }
+            throw error;
+        } finally {
+            pending.delete(nullifierKey);
+        }
+        // the vote is on chain now, so its payment stays spent whatever this does
+        onRelayed({ proposalId: Number(request.proposalId), nullifierHash: nullifierKey, ...submission, feePayment });
+        return submission;
+    }
+
+    async function checkAndSubmit(request, feePayment) {
+        const address = await contract.getAddress();
+        if (request.contract && request.contract.toLowerCase() !== address.toLowerCase()) {
+            throw relayError(400, 'WrongContract', `This relayer submits to ${address}, not ${request.contract}`);
+        }
+        const kind = voteKind(request);
+        if (!verificationKeys[kind]) {
+            throw relayError(400, 'UnsupportedVote', `This relayer has no verification key for ${kind} votes`);
+        }
+
+        const provider = contract.runner.provider;
+        let details;
+        try {
+            details = await fetchProposal(contract, request.proposalId);
+        } catch (error) {
+            // an RPC failure is the relayer's problem, not a missing proposal
+            if (error.code) {
+                throw error;
+            }
+            throw relayError(400, 'ProposalDoesNotExist', error.message);
+        }
+        const [timestamp, used, knownRoot, committeeKey] = await Promise.all([
+            chainTimestamp(provider),
+            contract.usedNullifiers(request.nullifierHash),
+            contract.isKnownRoot(request.root),
+            kind === 'encrypted' ? fetchCommitteeKey(contract) : null
+        ]);
+        if (timestamp >= details.deadline) {
+            throw relayError(400, 'VotingEnded', ERROR_MESSAGES.VotingEnded);
+        }
+        if (used) {
+            throw relayError(409, 'NullifierAlreadyUsed', ERROR_MESSAGES.NullifierAlreadyUsed);
+        }
+        if (!knownRoot) {
+            throw relayError(400, 'UnknownRoot', ERROR_MESSAGES.UnknownRoot);
+        }
+        if (kind === 'encrypted' && !committeeKey) {
+            throw relayError(400, 'UnsupportedVote', 'This contract does not take encrypted ballots');
+        }
+
+        const publicSignals = votePublicSignals({ ...request, optionCount: details.options.length, committeeKey });
+        if (!await verifyProof(verificationKeys[kind], publicSignals, request.proof, kind)) {
+            throw relayError(400, 'InvalidProof', 'The proof does not verify against the relayer\'s verification key');
+        }
+
+        if (BigInt(fee) > 0n) {
+            await checkFeePayment(provider, feePayment, {
+                relayer: await contract.runner.getAddress(),
+                fee: BigInt(fee),
+                nullifierHash: request.nullifierHash
+            });
+        }
+        const submitted = queue.then(() => submitVote(contract, request));
+        queue = submitted.catch(() => {});
+        return submitted;
+    }
+
+    return { info, relay };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(relayError(413, 'RequestTooLarge', `Requests are limited to ${MAX_BODY_BYTES} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Serves a relayer over HTTP: `GET /info` describes it and `POST /relay`
+ * takes a vote as JSON. Resolves with the listening server once it's up.
+ */
+function startRelayerServer(relayer, { host = '127.0.0.1', port = DEFAULT_RELAYER_PORT } = {}) {
+    const server = http.createServer(async (req, res) => {
+        try {
+            const route = `${req.method} ${new URL(req.url, 'http://relayer').pathname}`;
+            if (route === 'GET /info') {
+                sendJson(res, 200, await relayer.info());
+            } else if (route === 'POST /relay') {
+                let request;
+                try {
+                    request = JSON.parse(await readBody(req));
+                } catch (error) {
+                    throw error.status ? error : relayError(400, 'InvalidRequest', 'The request body is not JSON');
+                }
+                sendJson(res, 200, await relayer.relay(request, { client: req.socket.remoteAddress }));
+            } else {
+                sendJson(res, 404, { error: 'Use GET /info or POST /relay', errorName: 'NotFound' });
+            }
+        } catch (error) {
+            sendJson(res, error.status || 500, { error: error.message, ...(error.errorName && { errorName: error.errorName }) });
+        }
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
+
+async function relayerRequest(url, route, body) {
+    const endpoint = new URL(route, url.endsWith('/') ? url : `${url}/`);
+    let response;
+    try {
+        response = await fetch(endpoint, body === undefined ? undefined : {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value))
+        });
+    } catch (error) {
+        const unreachable = new Error(`Could not reach the relayer at ${url}: ${error.message}`);
+        unreachable.code = 'NETWORK_ERROR';
+        throw unreachable;
+    }
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(payload.errorName
+            ? `${payload.errorName}: ${payload.error}`
+            : `The relayer answered ${response.status}${payload.error ? `: ${payload.error}` : ''}`);
+        error.status = response.status;
+        error.errorName = payload.errorName;
+        throw error;
+    }
+    return payload;
+}
+
+// what a relayer at `url` submits to, from which account, and for what fee
+function fetchRelayerInfo(url) {
+    return relayerRequest(url, 'info');
+}
+
+/**
+ * Hands a vote (the submitVote fields, plus `contract` and `fee` when the
+ * relayer charges one) to the relayer at `url`. Resolves with the
+ * transaction like submitVote, or throws the relayer's reason.
+ */
+function relayVote(url, request) {
+    return relayerRequest(url, 'relay', request);
+}
+
+module.exports = {
+    DEFAULT_RELAYER_PORT,
+    DEFAULT_RATE_LIMIT,
+    checkRelayRequest,
+    feePaymentData,
+    createRelayer,
+    startRelayerServer,
+    fetchRelayerInfo,
+    relayVote
+};
@@ -0,0 +1,170 @@
+// Vote value -> label on a yes/no/abstain ballot (DAOVoting.createProposal).
+// Other proposals carry their own labels, voteValue indexes into them.
+const VOTE_LABELS = ['no', 'yes', 'abstain'];
+
+// DAOVoting.MAX_OPTIONS
+const MAX_OPTIONS = 256;
+
+function isYesNoBallot(options) {
+    return options.length === VOTE_LABELS.length && options.every((label, i) => label === VOTE_LABELS[i]);
+}
+
+// Checks a proposal's option labels before they go on chain
+function checkBallotOptions(options) {
+    if (options.length < 2 || options.length > MAX_OPTIONS) {
+        throw new Error(`A proposal needs between 2 and ${MAX_OPTIONS} options, got ${options.length}`);
+    }
+    const seen = new Set();
+    for (const label of options) {
+        const key = label.toLowerCase();
+        if (key === '') {
+            throw new Error('Option labels must not be empty');
+        }
+        if (seen.has(key)) {
+            throw new Error(`Option "${label}" is listed twice`);
+        }
+        seen.add(key);
+    }
+    return options;
+}
+
+function voteValueOf(label, options = VOTE_LABELS) {
+    const value = options.findIndex(option => option.toLowerCase() === String(label).toLowerCase());
+    if (value === -1) {
+        throw new Error(`Invalid vote value "${label}". Use: ${options.join(', ')}`);
+    }
+    return value;
+}
+
+// Nullifier hashes are per proposal (Poseidon(nullifier, proposalId)), so
+// a vote is identified by the pair. Entries without a proposalId are
+// assumed to come from a single proposal.
+function voteKey(entry) {
+    const proposalId = entry.proposalId === undefined ? '' : entry.proposalId.toString();
+    return `${proposalId}:${entry.nullifierHash.toString()}`;
+}
+
+/**
+ * Counts `{ proposalId, nullifierHash, voteValue, weight }` entries, keeping
+ * only the first vote per nullifier like the contract does. Later ones are
+ * returned in `duplicates`. Each vote counts its weight (1 when it has
+ * none), `ballots` is the number of votes counted.
+ *
+ * `counts[i]` is the total for `options[i]`; yes/no/abstain ballots also
+ * get `yes`, `no` and `abstain`. Counts and `total` are BigInts, like the
+ * contract's counters - weights can be token balances in wei.
+ */
+function tallyVotes(entries, { options = VOTE_LABELS } = {}) {
+    const tally = { options, counts: options.map(() => 0n), total: 0n, ballots: 0, duplicates: [] };
+    const seen = new Set();
+
+    for (const entry of entries) {
+        const key = voteKey(entry);
+        if (seen.has(key)) {
+            tally.duplicates.push(entry);
+            continue;
+        }
+        seen.add(key);
+
+        const voteValue = Number(entry.voteValue);
+        if (!(voteValue >= 0 && voteValue < options.length)) {
+            throw new Error(`Vote value ${entry.voteValue} is not one of the ${options.length} options`);
+        }
+        const weight = entry.weight === undefined ? 1n : BigInt(entry.weight);
+        tally.counts[voteValue] += weight;
+        tally.total += weight;
+        tally.ballots++;
+    }
+
+    if (isYesNoBallot(options)) {
+        VOTE_LABELS.forEach((label, i) => {
+            tally[label] = tally.counts[i];
+        });
+    }
+
+    return tally;
+}
+
+// local votes.json records store the label (and the ballot's options when
+// it isn't yes/no/abstain), chain events the number. Quadratic records
+// carry an allocation instead and pass through as they are. A delegate's
+// vote weighs 1 plus the delegations it carried.
+function localVoteEntries(votes) {
+    return votes.map(vote => (vote.allocation
+        ? { ...vote }
+        : {
+            ...vote,
+            voteValue: voteValueOf(vote.vote, vote.options),
+            ...(vote.delegated !== undefined && { weight: 1 + vote.delegated })
+        }));
+}
+
+async function fetchVoteEvents(contract, proposalId, { fromBlock = 0 } = {}) {
+    const logs = await contract.queryFilter(contract.filters.VoteCast(proposalId), fromBlock);
+    return logs.map(log => ({
+        proposalId: Number(log.args.proposalId),
+        nullifierHash: log.args.nullifierHash.toString(),
+        voteValue: Number(log.args.vote),
+        weight: log.args.weight.toString(),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+    }));
+}
+
+// allocations on chain are padded to the circuit's option count, local ones aren't
+function sameVote(local, chain) {
+    if (!local.allocation || !chain.allocation) {
+        return !local.allocation && !chain.allocation && Number(local.voteValue) === Number(chain.voteValue);
+    }
+    const length = Math.max(local.allocation.length, chain.allocation.length);
+    for (let i = 0; i < length; i++) {
+        if (BigInt(local.allocation[i] || 0) !== BigInt(chain.allocation[i] || 0)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Lines up local vote records with VoteCast (or QuadraticVoteCast) events
+ * by proposal and nullifier hash.
+ * - missingOnChain: local votes whose nullifier never landed
+ * - unknownOnChain: on-chain votes nobody here recorded
+ * - mismatched: same nullifier, different vote value or allocation
+ */
+function reconcileVotes(localVotes, chainVotes) {
+    const onChain = new Map(chainVotes.map(vote => [voteKey(vote), vote]));
+    const local = new Map(localVotes.map(vote => [voteKey(vote), vote]));
+
+    const matched = [];
+    const mismatched = [];
+    const missingOnChain = [];
+
+    for (const [key, vote] of local) {
+        const chainVote = onChain.get(key);
+        if (!chainVote) {
+            missingOnChain.push(vote);
+        } else if (!sameVote(vote, chainVote)) {
+            mismatched.push({ local: vote, chain: chainVote });
+        } else {
+            matched.push({ local: vote, chain: chainVote });
+        }
+    }
+
+    const unknownOnChain = chainVotes.filter(vote => !local.has(voteKey(vote)));
+
+    return { matched, mismatched, missingOnChain, unknownOnChain };
+}
+
+module.exports = {
+    VOTE_LABELS,
+    MAX_OPTIONS,
+    isYesNoBallot,
+    checkBallotOptions,
+    voteValueOf,
+    voteKey,
+    tallyVotes,
+    localVoteEntries,
+    fetchVoteEvents,
+    reconcileVotes
+};
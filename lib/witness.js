@@ -0,0 +1,325 @@
+const { MERKLE_TREE_LEVELS } = require('./merkle');
+const {
+    computeCommitment,
+    computeWeightedLeaf,
+    computeBudgetLeaf,
+    computeDelegateCommitment,
+    computeNullifierHash
+} = require('./poseidon');
+const { VOTE_LABELS, MAX_OPTIONS } = require('./tally');
+const { QUADRATIC_MAX_OPTIONS, MAX_OPTION_VOTES, MAX_CREDITS, allocationCost, padAllocation } = require('./quadratic');
+const { ENCRYPTED_MAX_OPTIONS, RANDOMNESS_BITS, encryptBallot, padPoints } = require('./elgamal');
+
+// BN254 scalar field - every signal lives mod this
+const SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+const SCALAR_SIGNALS = ['root', 'nullifierHash', 'proposalId', 'voteValue', 'optionCount', 'nullifier', 'secret'];
+// QuadraticVote has an allocation array instead of voteValue
+const QUADRATIC_SCALAR_SIGNALS = ['root', 'nullifierHash', 'proposalId', 'optionCount', 'nullifier', 'secret', 'credits'];
+// Delegation doesn't vote at all
+const DELEGATION_SCALAR_SIGNALS = ['root', 'nullifierHash', 'proposalId', 'delegateCommitment', 'revocationHash', 'nullifier', 'secret'];
+
+// WeightedVote's Num2Bits(64)
+const WEIGHT_BITS = 64n;
+
+/**
+ * Assembles the Vote(levels) input object from an unlocked identity and a
+ * Merkle proof out of MerkleTree.getProof(). `optionCount` is the number of
+ * options on the proposal's ballot (3 for yes/no/abstain). With a `weight`
+ * it is a WeightedVote(levels) input instead, with an `allocation` (votes
+ * per option) and the member's `credits` a QuadraticVote one, and with an
+ * `encryption` (encryptBallot's result plus the committee `publicKey`) an
+ * EncryptedVote one. A delegate passes their `delegateCommitment` for a
+ * DelegatedVote input.
+ */
+function buildVoteInput(hash, {
+    nullifier, secret, proposalId, voteValue, optionCount = VOTE_LABELS.length, weight, allocation, credits, encryption,
+    delegateCommitment, proof
+}) {
+    const input = {
+        root: proof.root.toString(),
+        nullifierHash: computeNullifierHash(hash, nullifier, proposalId).toString(),
+        proposalId: proposalId.toString(),
+        optionCount: optionCount.toString(),
+        nullifier: nullifier.toString(),
+        secret: secret.toString(),
+        pathElements: proof.pathElements.map(e => e.toString()),
+        pathIndices: proof.pathIndices.map(i => i.toString())
+    };
+    if (allocation !== undefined) {
+        input.allocation = padAllocation(allocation).map(votes => votes.toString());
+        input.credits = credits.toString();
+    } else {
+        input.voteValue = voteValue.toString();
+    }
+    if (weight !== undefined) {
+        input.weight = weight.toString();
+    }
+    if (encryption !== undefined) {
+        const toStrings = points => padPoints(points).map(point => point.map(String));
+        input.publicKey = encryption.publicKey.map(String);
+        input.c1 = toStrings(encryption.c1);
+        input.c2 = toStrings(encryption.c2);
+        input.randomness = encryption.randomness.map(String);
+    }
+    if (delegateCommitment !== undefined) {
+        input.delegateCommitment = delegateCommitment.toString();
+    }
+    return input;
+}
+
+/**
+ * The Delegation(levels) input handing the member's vote on `proposalId`
+ * to `delegateCommitment`.
+ */
+function buildDelegationInput(hash, { nullifier, secret, proposalId, delegateCommitment, revocationHash, proof }) {
+    return {
+        root: proof.root.toString(),
+        nullifierHash: computeNullifierHash(hash, nullifier, proposalId).toString(),
+        proposalId: proposalId.toString(),
+        delegateCommitment: delegateCommitment.toString(),
+        revocationHash: revocationHash.toString(),
+        nullifier: nullifier.toString(),
+        secret: secret.toString(),
+        pathElements: proof.pathElements.map(e => e.toString()),
+        pathIndices: proof.pathIndices.map(i => i.toString())
+    };
+}
+
+function toFieldElement(value) {
+    try {
+        const n = BigInt(value);
+        return n >= 0n && n < SNARK_SCALAR_FIELD ? n : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Replays every constraint of Vote(levels) in circuits/vote.circom in JS
+ * and returns one message per failed check (empty when the witness will
+ * satisfy the circuit). Proving only ever says "Assert Failed", this says
+ * which assert. Inputs with a weight are checked against WeightedVote,
+ * inputs with an allocation against QuadraticVote and inputs with
+ * ciphertexts against EncryptedVote, which needs the `curve` from
+ * buildBabyJub to recompute them. Inputs with a revocationHash are checked
+ * against Delegation, other inputs with a delegateCommitment against
+ * DelegatedVote.
+ */
+function checkVoteInput(hash, input, { levels = MERKLE_TREE_LEVELS, curve } = {}) {
+    const failures = [];
+    const weighted = input.weight !== undefined;
+    const quadratic = input.allocation !== undefined;
+    const encrypted = input.c1 !== undefined;
+    const delegation = input.revocationHash !== undefined;
+    const delegated = !delegation && input.delegateCommitment !== undefined;
+    if (encrypted && !curve) {
+        throw new Error('Checking an encrypted vote needs the Baby Jubjub curve (buildBabyJub)');
+    }
+
+    // Shape first - nothing below is meaningful with missing or out-of-field signals
+    let scalars = quadratic ? QUADRATIC_SCALAR_SIGNALS : SCALAR_SIGNALS;
+    if (delegation) {
+        scalars = DELEGATION_SCALAR_SIGNALS;
+    }
+    if (weighted) {
+        scalars = [...scalars, 'weight'];
+    }
+    if (delegated) {
+        scalars = [...scalars, 'delegateCommitment'];
+    }
+    const values = {};
+    for (const name of scalars) {
+        if (input[name] === undefined || input[name] === null || input[name] === '') {
+            failures.push(`${name} is missing`);
+            continue;
+        }
+        values[name] = toFieldElement(input[name]);
+        if (values[name] === null) {
+            failures.push(`${name} ${input[name]} is not a field element`);
+        }
+    }
+    const arrays = [['pathElements', levels], ['pathIndices', levels]];
+    if (quadratic) {
+        arrays.push(['allocation', QUADRATIC_MAX_OPTIONS]);
+    }
+    if (encrypted) {
+        arrays.push(['publicKey', 2], ['c1', ENCRYPTED_MAX_OPTIONS], ['c2', ENCRYPTED_MAX_OPTIONS], ['randomness', ENCRYPTED_MAX_OPTIONS]);
+    }
+    for (const [name, length] of arrays) {
+        if (!Array.isArray(input[name]) || input[name].length !== length) {
+            const got = Array.isArray(input[name]) ? input[name].length : 'none';
+            failures.push(`${name} must have ${length} entries (got ${got})`);
+        }
+    }
+    if (failures.length > 0) {
+        return failures;
+    }
+
+    const { root, nullifierHash, proposalId, voteValue, optionCount, nullifier, secret, weight, credits, delegateCommitment } = values;
+
+    if (quadratic) {
+        failures.push(...checkAllocation(input.allocation, optionCount, credits));
+    } else if (delegation) {
+        // a delegation doesn't pick an option
+    } else if (optionCount > BigInt(MAX_OPTIONS)) {
+        // OptionChecker: Num2Bits(8) on voteValue, then voteValue < optionCount in
+        // 9 bits - the contract never passes more than MAX_OPTIONS
+        failures.push(`optionCount ${optionCount} is more than the ${MAX_OPTIONS} options a ballot can have`);
+    } else if (voteValue >= optionCount) {
+        failures.push(`voteValue ${voteValue} is not one of the proposal's ${optionCount} options (0..${optionCount - 1n})`);
+    }
+
+    if (encrypted) {
+        failures.push(...checkCiphertexts(curve, input, voteValue, optionCount));
+    }
+
+    if (delegated && computeDelegateCommitment(hash, nullifier, secret) !== delegateCommitment) {
+        failures.push('delegateCommitment does not match Poseidon(nullifier, secret, 1)');
+    }
+
+    if (weighted && weight >= 2n ** WEIGHT_BITS) {
+        failures.push(`weight ${weight} does not fit in ${WEIGHT_BITS} bits`);
+    }
+
+    // the three IsZero checks
+    if (nullifier === 0n) {
+        failures.push('nullifier 0 is rejected by the circuit');
+    }
+    if (secret === 0n) {
+        failures.push('secret 0 is rejected by the circuit');
+    }
+    if (proposalId === 0n) {
+        failures.push('proposalId 0 is rejected by the circuit');
+    }
+
+    if (computeNullifierHash(hash, nullifier, proposalId) !== nullifierHash) {
+        failures.push('nullifierHash does not match Poseidon(nullifier, proposalId)');
+    }
+
+    // MerkleTreeChecker: Num2Bits(1) on every index, then the path must end at root.
+    // The leaf is the bare commitment (see the comment in Vote),
+    // Poseidon(commitment, weight) in WeightedVote or Poseidon(commitment,
+    // credits) in QuadraticVote.
+    const pathElements = input.pathElements.map(toFieldElement);
+    const pathIndices = input.pathIndices.map(toFieldElement);
+    let pathOk = true;
+    pathElements.forEach((element, i) => {
+        if (element === null) {
+            failures.push(`pathElements[${i}] ${input.pathElements[i]} is not a field element`);
+            pathOk = false;
+        }
+    });
+    pathIndices.forEach((bit, i) => {
+        if (bit !== 0n && bit !== 1n) {
+            failures.push(`pathIndices[${i}] is ${input.pathIndices[i]}, must be 0 or 1`);
+            pathOk = false;
+        }
+    });
+
+    if (pathOk) {
+        let current = computeCommitment(hash, nullifier, secret);
+        if (weighted) {
+            current = computeWeightedLeaf(hash, current, weight);
+        } else if (quadratic) {
+            current = computeBudgetLeaf(hash, current, credits);
+        }
+        for (let i = 0; i < levels; i++) {
+            current = pathIndices[i] === 0n
+                ? hash([current, pathElements[i]])
+                : hash([pathElements[i], current]);
+        }
+        if (current !== root) {
+            failures.push('leaf not found under root (the Merkle path ends at a different root)');
+        }
+    }
+
+    return failures;
+}
+
+// QuadraticVote's range checks, option checks and budget check
+function checkAllocation(allocation, optionCount, credits) {
+    const failures = [];
+    if (optionCount > BigInt(QUADRATIC_MAX_OPTIONS)) {
+        failures.push(`optionCount ${optionCount} is more than the ${QUADRATIC_MAX_OPTIONS} options a quadratic ballot can have`);
+    }
+    if (credits > MAX_CREDITS) {
+        failures.push(`credits ${credits} does not fit in 64 bits`);
+    }
+
+    const votes = allocation.map(toFieldElement);
+    let rangeOk = true;
+    votes.forEach((value, i) => {
+        if (value === null || value > MAX_OPTION_VOTES) {
+            failures.push(`allocation[${i}] ${allocation[i]} does not fit in 32 bits`);
+            rangeOk = false;
+        } else if (value !== 0n && BigInt(i) >= optionCount) {
+            failures.push(`allocation[${i}] puts ${value} votes on an option the proposal doesn't have (it has ${optionCount})`);
+        }
+    });
+
+    if (rangeOk && credits <= MAX_CREDITS) {
+        const cost = allocationCost(votes);
+        if (cost > credits) {
+            failures.push(`allocation costs ${cost} credits, more than the budget of ${credits}`);
+        }
+    }
+    return failures;
+}
+
+// EncryptedVote's option count check, range checks on the randomness and
+// the ciphertexts themselves
+function checkCiphertexts(curve, input, voteValue, optionCount) {
+    const failures = [];
+    if (optionCount > BigInt(ENCRYPTED_MAX_OPTIONS)) {
+        failures.push(`optionCount ${optionCount} is more than the ${ENCRYPTED_MAX_OPTIONS} options an encrypted ballot can have`);
+    }
+
+    const publicKey = input.publicKey.map(toFieldElement);
+    if (publicKey.includes(null) || !curve.inCurve(publicKey)) {
+        failures.push('publicKey is not a Baby Jubjub point');
+        return failures;
+    }
+    const randomness = input.randomness.map(toFieldElement);
+    let rangeOk = true;
+    randomness.forEach((value, i) => {
+        if (value === null || value >= 2n ** RANDOMNESS_BITS) {
+            failures.push(`randomness[${i}] ${input.randomness[i]} does not fit in ${RANDOMNESS_BITS} bits`);
+            rangeOk = false;
+        }
+    });
+    if (!rangeOk) {
+        return failures;
+    }
+
+    const expected = encryptBallot(curve, publicKey, voteValue, { randomness });
+    for (const name of ['c1', 'c2']) {
+        input[name].forEach((point, i) => {
+            const given = Array.isArray(point) ? point.map(toFieldElement) : [];
+            if (given.length !== 2 || given.includes(null) || !curve.equal(given, expected[name][i])) {
+                failures.push(`${name}[${i}] is not the encryption of option ${i} under publicKey with randomness[${i}]`);
+            }
+        });
+    }
+    return failures;
+}
+
+/**
+ * Throws with every failed check listed, so callers can stop before proving.
+ */
+function assertVoteInput(hash, input, options) {
+    const failures = checkVoteInput(hash, input, options);
+    if (failures.length > 0) {
+        const error = new Error(`Witness would not satisfy the circuit:\n  - ${failures.join('\n  - ')}`);
+        error.failures = failures;
+        throw error;
+    }
+}
+
+module.exports = {
+    SNARK_SCALAR_FIELD,
+    buildVoteInput,
+    buildDelegationInput,
+    checkVoteInput,
+    assertVoteInput
+};
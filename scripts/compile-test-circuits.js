@@ -0,0 +1,61 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const {
+    MANIFEST_VERSION,
+    hashCircuitSources,
+    artifactEntry,
+    saveManifest,
+    circuitKind,
+    circuitVariant,
+    variantMainSource
+} = require('..');
+
+// Small-depth builds for test/constraints.spec.js - only the r1cs and wasm
+// are checked in, next to a manifest the spec uses to notice stale ones.
+//   node scripts/compile-test-circuits.js             rebuilds every fixture there is
+//   node scripts/compile-test-circuits.js weighted    (re)builds just that kind
+const rootDir = path.join(__dirname, '..');
+const buildDir = path.join(__dirname, '../test/fixtures/circuits');
+const TEST_DEPTH = 4;
+
+const kinds = process.argv.slice(2).length > 0
+    ? process.argv.slice(2)
+    : fs.readdirSync(buildDir).map(entry => entry.replace(`_${TEST_DEPTH}`, ''));
+kinds.forEach(circuitKind);
+
+for (const kind of kinds) {
+    const variant = circuitVariant(TEST_DEPTH, { kind, buildDir });
+    fs.mkdirSync(variant.dir, { recursive: true });
+    fs.writeFileSync(variant.main, variantMainSource(variant));
+
+    console.log(`   ${kind} depth ${TEST_DEPTH}...`);
+    try {
+        execSync(`circom ${variant.main} --r1cs --wasm -o ${variant.dir}`, { stdio: 'inherit' });
+    } catch (error) {
+        console.error(`❌ Circuit compilation failed for ${kind}:`, error.message);
+        process.exit(1);
+    }
+    // snarkjs calculates witnesses from the wasm alone
+    for (const file of ['generate_witness.js', 'witness_calculator.js']) {
+        fs.rmSync(path.join(path.dirname(variant.wasm), file), { force: true });
+    }
+
+    const sources = hashCircuitSources(variant.main, { root: rootDir });
+    saveManifest(variant.manifest, {
+        version: MANIFEST_VERSION,
+        circuit: {
+            name: variant.name,
+            kind,
+            depth: TEST_DEPTH,
+            main: path.relative(rootDir, variant.main),
+            hash: sources.hash,
+            sources: sources.sources
+        },
+        artifacts: {
+            r1cs: artifactEntry(rootDir, variant.r1cs),
+            wasm: artifactEntry(rootDir, variant.wasm)
+        }
+    });
+}
+console.log('✅ Test circuits compiled!');
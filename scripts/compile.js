@@ -1,116 +1,344 @@
 const { execSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const snarkjs = require('snarkjs');
+const {
+    fileHash,
+    requiredPower,
+    generateDevPtau,
+    loadTranscript,
+    initCeremony,
+    contribute,
+    applyBeacon,
+    verifyCeremony,
+    MANIFEST_VERSION,
+    hashCircuitSources,
+    artifactEntry,
+    loadManifest,
+    saveManifest,
+    isFresh,
+    CIRCUIT_DEPTHS,
+    CIRCUIT_KINDS,
+    circuitKind,
+    circuitVariant,
+    variantMainSource
+} = require('..');
 
-const circuitName = 'vote';
+const rootDir = path.join(__dirname, '..');
 const buildDir = path.join(__dirname, '../build');
-const circuitsDir = path.join(__dirname, '../circuits');
-const contractsDir = path.join(__dirname, '../contracts');
 const ptauPath = path.join(buildDir, 'powersOfTau.ptau');
 
+// CIRCUIT_DEPTHS="10,20" builds only those tree depths (default: all of lib/circuits.js)
+const depths = process.env.CIRCUIT_DEPTHS
+    ? process.env.CIRCUIT_DEPTHS.split(',').map(depth => parseInt(depth, 10))
+    : CIRCUIT_DEPTHS;
+
+// CIRCUIT_KINDS="vote" skips the other templates (default: every kind)
+const kinds = process.env.CIRCUIT_KINDS
+    ? process.env.CIRCUIT_KINDS.split(',').map(kind => kind.trim())
+    : Object.keys(CIRCUIT_KINDS);
+kinds.forEach(circuitKind);
+
+// Phase 2 knobs, applied to every variant:
+//   CEREMONY_CONTRIBUTORS  comma-separated names contributing in this run (default: "local dev")
+//   CEREMONY_BEACON        public random hex (e.g. a future block hash) that seals the ceremony
+//   CEREMONY_FINALIZE      "false" stops before the beacon so others can `dao-vote ceremony contribute`
+const contributors = (process.env.CEREMONY_CONTRIBUTORS ?? 'local dev')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+const beaconHash = process.env.CEREMONY_BEACON;
+const finalize = process.env.CEREMONY_FINALIZE !== 'false';
+// every stage is skipped when its inputs and outputs still match the last
+// manifest; FORCE=true (or --force) rebuilds everything
+const force = process.env.FORCE === 'true' || process.argv.includes('--force');
+
 async function main() {
-    console.log('🔧 Starting circuit compilation process...\n');
+    console.log('🔧 Starting circuit compilation process...');
+    console.log(`   Circuits: ${kinds.join(', ')}`);
+    console.log(`   Tree depths: ${depths.join(', ')}\n`);
 
     // Create build directory if it doesn't exist
     if (!fs.existsSync(buildDir)) {
         fs.mkdirSync(buildDir, { recursive: true });
     }
 
-    // Step 1: Compile the circuit
-    console.log('📝 Step 1: Compiling circuit...');
-    try {
-        execSync(
-            `circom ${path.join(circuitsDir, circuitName)}.circom --r1cs --wasm --sym -o ${buildDir}`,
-            { stdio: 'inherit' }
-        );
-        console.log('✅ Circuit compiled successfully!\n');
-    } catch (error) {
-        console.error('❌ Circuit compilation failed:', error.message);
-        process.exit(1);
+    // Step 1: Compile every variant first - they share one ptau sized for the largest
+    console.log('📝 Step 1: Compiling circuits...');
+    const builds = [];
+    for (const kind of kinds) {
+        for (const depth of depths) {
+            builds.push(await compileVariant(circuitVariant(depth, { kind })));
+        }
     }
+    console.log('✅ Circuits compiled!\n');
 
-    // Step 2: Generate Powers of Tau (or use existing)
+    // Step 2: Powers of Tau - a public one if present, otherwise a local dev one
     console.log('🔑 Step 2: Checking Powers of Tau...');
+    const powers = await Promise.all(builds.map(build => requiredPower(build.variant.r1cs)));
+    const power = Math.max(...powers);
+    
+    // older versions of this script left a text placeholder here
+    if (fs.existsSync(ptauPath) && !isPtauFile(ptauPath)) {
+        console.log('⚠️  Removing placeholder powersOfTau.ptau');
+        fs.rmSync(ptauPath);
+    }
+    
     if (!fs.existsSync(ptauPath)) {
-        console.log('⚠️  Powers of Tau not found. For production, download from:');
-        console.log('   https://hermez.s3-eu-west-1.amazonaws.com/powersOfTau28_hez_final_14.ptau');
-        console.log('   Skipping proof generation for now...\n');
-        
-        // Create a dummy file for demonstration
-        fs.writeFileSync(ptauPath, 'dummy ptau file - replace with real one');
+        console.log(`⚠️  Powers of Tau not found, generating a local dev one (2^${power})...`);
+        console.log('   Whoever runs this knows its toxic waste - for production use a public ptau, e.g.');
+        console.log(`   https://hermez.s3-eu-west-1.amazonaws.com/powersOfTau28_hez_final_${String(Math.max(power, 8)).padStart(2, '0')}.ptau`);
+        await generateDevPtau(power, ptauPath);
+        console.log('✅ Dev Powers of Tau generated!\n');
+    } else {
+        console.log(`ℹ️  Powers of Tau exists, continuing (needs at least 2^${power})...\n`);
+    }
+    const ptau = artifactEntry(rootDir, ptauPath);
+
+    // Steps 3-5 per variant: ceremony, verification key, Solidity verifier
+    const finished = [];
+    for (const build of builds) {
+        build.manifest.ptau = ptau;
+        if (await setupVariant(build)) {
+            finished.push(build);
+        }
+    }
+
+    console.log('📊 Circuit variants:');
+    for (const { variant, manifest } of builds) {
+        const verifier = manifest.artifacts.verifier ? variant.verifierContract : 'ceremony open';
+        console.log(`   ${label(variant)}: ${variant.capacity} members, ${manifest.constraints.total} constraints, ` +
+            `${manifest.constraints.publicInputs} public inputs -> ${verifier}`);
+    }
+    console.log('');
+
+    if (finished.length < builds.length) {
+        console.log('⏸️  Some ceremonies are still open - re-run once they are sealed.');
         return;
+    }
+    console.log('🎉 Compilation process completed successfully!');
+    console.log('📁 Build artifacts saved to:', buildDir);
+}
+
+function label(variant) {
+    return `${variant.kind} depth ${variant.depth}`;
+}
+
+function recordArtifact(build, kind, file) {
+    build.manifest.artifacts[kind] = artifactEntry(rootDir, file);
+    build.manifest.builtAt = new Date().toISOString();
+    saveManifest(build.variant.manifest, build.manifest);
+}
+
+function unchanged(build, ...kinds) {
+    return build.previous !== null &&
+        kinds.every(kind => isFresh(rootDir, build.previous.artifacts[kind]));
+}
+
+// Generates the variant's main component and runs circom on it unless the
+// sources hash to what the last build used
+async function compileVariant(variant) {
+    fs.mkdirSync(variant.dir, { recursive: true });
+    fs.writeFileSync(variant.main, variantMainSource(variant));
+
+    const previous = force ? null : loadManifest(variant.manifest);
+    const sources = hashCircuitSources(variant.main, { root: rootDir });
+    const build = {
+        variant,
+        previous,
+        manifest: {
+            version: MANIFEST_VERSION,
+            circuit: {
+                name: variant.name,
+                kind: variant.kind,
+                depth: variant.depth,
+                main: path.relative(rootDir, variant.main),
+                hash: sources.hash,
+                sources: sources.sources
+            },
+            verifierContract: variant.verifierContract,
+            artifacts: {}
+        }
+    };
+
+    if (previous && previous.circuit.hash === sources.hash && unchanged(build, 'r1cs', 'wasm', 'sym')) {
+        console.log(`ℹ️  ${label(variant)}: sources unchanged (${sources.hash.slice(0, 16)}...), skipping`);
     } else {
-        console.log('ℹ️  Powers of Tau exists, continuing...\n');
+        console.log(`   ${label(variant)}...`);
+        try {
+            execSync(
+                `circom ${variant.main} --r1cs --wasm --sym -o ${variant.dir}`,
+                { stdio: 'inherit' }
+            );
+        } catch (error) {
+            console.error(`❌ Circuit compilation failed for ${label(variant)}:`, error.message);
+            process.exit(1);
+        }
     }
+    recordArtifact(build, 'r1cs', variant.r1cs);
+    recordArtifact(build, 'wasm', variant.wasm);
+    recordArtifact(build, 'sym', variant.sym);
 
-    // Step 3: Setup Phase 2
-    console.log('🔐 Step 3: Circuit-specific setup (Phase 2)...');
-    const r1csPath = path.join(buildDir, `${circuitName}.r1cs`);
-    const zkeyPath = path.join(buildDir, `${circuitName}.zkey`);
-    
-    try {
-        await snarkjs.zKey.newZKey(r1csPath, ptauPath, zkeyPath);
-        console.log('✅ Circuit-specific setup completed!\n');
-    } catch (error) {
-        console.error('❌ Circuit setup failed:', error.message);
-        process.exit(1);
+    const r1cs = await snarkjs.r1cs.info(variant.r1cs);
+    build.manifest.constraints = {
+        total: r1cs.nConstraints,
+        publicInputs: r1cs.nPubInputs,
+        privateInputs: r1cs.nPrvInputs,
+        outputs: r1cs.nOutputs,
+        wires: r1cs.nVars
+    };
+    return build;
+}
+
+// Ceremony, verification key and verifier for one variant. Returns false
+// when its ceremony is left open.
+async function setupVariant(build) {
+    const { variant, previous, manifest } = build;
+
+    // Step 3: Phase 2 ceremony
+    console.log(`🔐 Step 3: Phase 2 ceremony (${label(variant)})...`);
+    const setupInputsUnchanged = unchanged(build, 'r1cs') &&
+        previous.ptau && previous.ptau.hash === manifest.ptau.hash;
+    if (setupInputsUnchanged && unchanged(build, 'zkey')) {
+        console.log('ℹ️  r1cs and ptau unchanged, keeping the verified zkey\n');
+    } else {
+        try {
+            const finalZkey = await runCeremony(variant);
+            if (!finalZkey) {
+                saveManifest(variant.manifest, manifest);
+                console.log('');
+                return false;
+            }
+            fs.copyFileSync(finalZkey, variant.zkey);
+            console.log('✅ Circuit-specific setup completed!\n');
+        } catch (error) {
+            console.error('❌ Circuit setup failed:', error.message);
+            process.exit(1);
+        }
     }
+    recordArtifact(build, 'zkey', variant.zkey);
+    const zkeyUnchanged = previous !== null && previous.artifacts.zkey &&
+        previous.artifacts.zkey.hash === manifest.artifacts.zkey.hash;
 
     // Step 4: Export verification key
-    console.log('📤 Step 4: Exporting verification key...');
-    const vkeyPath = path.join(buildDir, 'verification_key.json');
-    
-    try {
-        const vKey = await snarkjs.zKey.exportVerificationKey(zkeyPath);
-        fs.writeFileSync(vkeyPath, JSON.stringify(vKey, null, 2));
-        console.log('✅ Verification key exported!\n');
-    } catch (error) {
-        console.error('❌ Verification key export failed:', error.message);
-        process.exit(1);
+    console.log(`📤 Step 4: Exporting verification key (${label(variant)})...`);
+    let vKey;
+    if (zkeyUnchanged && unchanged(build, 'vkey')) {
+        vKey = JSON.parse(fs.readFileSync(variant.vkey, 'utf8'));
+        console.log('ℹ️  zkey unchanged, keeping verification_key.json\n');
+    } else {
+        try {
+            vKey = await snarkjs.zKey.exportVerificationKey(variant.zkey);
+            fs.writeFileSync(variant.vkey, JSON.stringify(vKey, null, 2));
+            console.log('✅ Verification key exported!\n');
+        } catch (error) {
+            console.error('❌ Verification key export failed:', error.message);
+            process.exit(1);
+        }
     }
+    manifest.protocol = vKey.protocol;
+    manifest.curve = vKey.curve;
+    recordArtifact(build, 'vkey', variant.vkey);
 
     // Step 5: Generate Solidity verifier
-    console.log('📜 Step 5: Generating Solidity verifier contract...');
-    
-    try {
-        const templates = {
-            groth16: fs.readFileSync(
-                path.join(__dirname, '../node_modules/snarkjs/templates/verifier_groth16.sol.ejs'),
-                'utf8'
-            )
-        };
-        
-        const verifierCode = await snarkjs.zKey.exportSolidityVerifier(zkeyPath, templates);
-        
-        // Create contracts directory if it doesn't exist
-        if (!fs.existsSync(contractsDir)) {
-            fs.mkdirSync(contractsDir, { recursive: true });
+    console.log(`📜 Step 5: Generating ${variant.verifierContract} (${label(variant)})...`);
+    if (zkeyUnchanged && unchanged(build, 'verifier')) {
+        console.log(`ℹ️  zkey unchanged, keeping ${path.basename(variant.verifierFile)}\n`);
+    } else {
+        try {
+            const templates = {
+                groth16: fs.readFileSync(
+                    path.join(__dirname, '../node_modules/snarkjs/templates/verifier_groth16.sol.ejs'),
+                    'utf8'
+                )
+            };
+            
+            // one contract per kind and depth, so each needs its own name
+            const verifierCode = (await snarkjs.zKey.exportSolidityVerifier(variant.zkey, templates))
+                .replace('contract Groth16Verifier {', `contract ${variant.verifierContract} {`);
+            
+            fs.mkdirSync(path.dirname(variant.verifierFile), { recursive: true });
+            fs.writeFileSync(variant.verifierFile, verifierCode);
+            console.log('✅ Solidity verifier generated!\n');
+        } catch (error) {
+            console.error('❌ Solidity verifier generation failed:', error.message);
+            process.exit(1);
         }
-        
-        fs.writeFileSync(
-            path.join(contractsDir, 'VoteVerifier.sol'),
-            verifierCode
-        );
-        console.log('✅ Solidity verifier generated!\n');
-    } catch (error) {
-        console.error('❌ Solidity verifier generation failed:', error.message);
-        process.exit(1);
     }
+    recordArtifact(build, 'verifier', variant.verifierFile);
+    return true;
+}
 
-    // Print circuit info
-    console.log('📊 Circuit Information:');
-    const r1cs = await snarkjs.r1cs.info(r1csPath);
-    console.log(`   Total constraints: ${r1cs.nConstraints}`);
-    console.log(`   Public inputs: ${r1cs.nPublic}`);
-    console.log(`   Private inputs: ${r1cs.nPrvInputs}`);
-    console.log(`   Outputs: ${r1cs.nOutputs}\n`);
+function isPtauFile(file) {
+    const fd = fs.openSync(file, 'r');
+    const magic = Buffer.alloc(4);
+    fs.readSync(fd, magic, 0, 4, 0);
+    fs.closeSync(fd);
+    return magic.toString() === 'ptau';
+}
 
-    console.log('🎉 Compilation process completed successfully!');
-    console.log('📁 Build artifacts saved to:', buildDir);
+/**
+ * Picks up the variant's ceremony (or starts one), adds this run's
+ * contributors, seals it with the beacon and verifies the result. Returns
+ * the final zkey, or null when the ceremony is left open for more
+ * contributions.
+ */
+async function runCeremony(variant) {
+    const { r1cs: r1csPath, ceremonyDir } = variant;
+    const transcriptFile = path.join(ceremonyDir, 'transcript.json');
+    let transcript = fs.existsSync(transcriptFile) ? loadTranscript(transcriptFile) : null;
+
+    // a changed circuit or ptau invalidates every contribution made so far
+    if (transcript && (transcript.circuit.r1csHash !== fileHash(r1csPath) || transcript.ptau.hash !== fileHash(ptauPath))) {
+        console.log('⚠️  Circuit or ptau changed since the last ceremony, starting over');
+        fs.rmSync(ceremonyDir, { recursive: true, force: true });
+        transcript = null;
+    }
+
+    if (transcript && transcript.beacon) {
+        console.log(`ℹ️  Reusing finished ceremony (${transcript.contributions.length} contributions + beacon)`);
+    } else {
+        if (!transcript) {
+            console.log('   Initial zkey...');
+            await initCeremony({ r1csPath, ptauPath, dir: ceremonyDir, circuit: variant.name });
+        }
+        for (const name of contributors) {
+            const entry = await contribute(ceremonyDir, name);
+            console.log(`   Contribution #${entry.index} by ${name}: ${entry.contributionHash.slice(0, 16)}...`);
+        }
+
+        if (!finalize) {
+            console.log(`⏸️  Ceremony left open in ${ceremonyDir}`);
+            console.log('   More contributors: dao-vote ceremony contribute --name <name>');
+            console.log('   Then seal it: CEREMONY_BEACON=<hex> CEREMONY_CONTRIBUTORS= npm run compile');
+            return null;
+        }
+
+        let beacon = beaconHash;
+        if (!beacon) {
+            beacon = crypto.randomBytes(32).toString('hex');
+            console.log('⚠️  No CEREMONY_BEACON set, using a private random beacon (fine for dev, not for production)');
+        }
+        await applyBeacon(ceremonyDir, beacon);
+        console.log(`   Beacon applied: ${beacon}`);
+    }
+
+    transcript = loadTranscript(transcriptFile);
+    const finalZkey = path.join(ceremonyDir, transcript.finalZkey.file);
+    const result = await verifyCeremony({ r1csPath, ptauPath, zkeyPath: finalZkey, transcript });
+    if (!result.ok) {
+        throw new Error(`Ceremony verification failed:\n  - ${result.problems.join('\n  - ')}`);
+    }
+    console.log('✅ Final zkey verified against the r1cs, ptau and transcript');
+    console.log(`📄 Transcript: ${transcriptFile}`);
+    return finalZkey;
 }
 
-main().catch((error) => {
-    console.error('Unexpected error:', error);
-    process.exit(1);
-});
\ No newline at end of file
+// snarkjs leaves its curve worker threads running, so exit explicitly
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Unexpected error:', error);
+        process.exit(1);
+    });
\ No newline at end of file
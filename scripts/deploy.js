@@ -1,67 +1,323 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const {
+    loadRegistry,
+    isWeightedRegistry,
+    buildRegistryTree,
+    deployPoseidonHasher,
+    connectMemberRegistry,
+    registerMember,
+    circuitVariant,
+    builtDepths,
+    selectDepth,
+    loadManifest,
+    hashVerificationKey,
+    deploymentFile,
+    loadDeployment,
+    saveDeployment,
+    deployedContract,
+    isStillDeployed
+} = require("..");
+
+const registryFile = path.join(__dirname, "../data/registry.json");
+const rootFile = path.join(__dirname, "../data/membership-root.json");
+
+// an empty tree's root is public, so deploying with it is almost always a mistake
+const allowEmptyRegistry = process.env.ALLOW_EMPTY_REGISTRY === "true";
+
+// also deploy MemberRegistry so members can join on chain
+const onchainRegistry = process.env.ONCHAIN_REGISTRY === "true";
+
+// registry leaves commit to credit budgets (`registry add --credits`) - a
+// quadratic registry looks like any other, so it has to be asked for
+const quadratic = process.env.QUADRATIC === "true";
+
+// ballots are encrypted to the committee key from `committee keygen`
+const encrypted = process.env.ENCRYPTED === "true";
+const committeeFile = process.env.COMMITTEE_FILE || path.join(__dirname, "../data/committee/committee.json");
+
+// DelegatingDAOVoting, with the Delegation and DelegatedVote verifiers next to Vote's
+const delegation = process.env.DELEGATION === "true";
+const DELEGATION_KINDS = ["delegation", "delegated"];
+
+// what proposals need to pass: QUORUM votes in total, APPROVAL_THRESHOLD basis
+// points of yes among yes + no (default 5001, a strict majority) and
+// TIMELOCK_DELAY seconds between the deadline and execution
+const executionRules = ["QUORUM", "APPROVAL_THRESHOLD", "TIMELOCK_DELAY"].some(name => process.env[name] !== undefined)
+    ? [process.env.QUORUM || "0", process.env.APPROVAL_THRESHOLD || "5001", process.env.TIMELOCK_DELAY || "0"]
+    : null;
+
+// redeploy everything rather than reuse what deployments/<network>.json records
+const freshDeployment = process.env.FRESH_DEPLOYMENT === "true";
+
+// CIRCUIT_DEPTH pins the tree depth, otherwise the smallest compiled variant
+// that holds the registry is used
+const requestedDepth = process.env.CIRCUIT_DEPTH ? parseInt(process.env.CIRCUIT_DEPTH, 10) : undefined;
 
 async function main() {
     console.log("🚀 Starting deployment...\n");
     
-    // Get the contract factories
-    const VoteVerifier = await ethers.getContractFactory("VoteVerifier");
-    const DAOVoting = await ethers.getContractFactory("DAOVoting");
-    
-    // Load members to get merkle root
-    const membersFile = path.join(__dirname, "../data/members.json");
-    let merkleRoot = "0";
-    
-    if (fs.existsSync(membersFile)) {
-        const members = JSON.parse(fs.readFileSync(membersFile, 'utf8'));
-        if (members.length > 0) {
-            // In a real deployment, you'd compute the actual merkle root
-            // For now, we'll use a placeholder
-            merkleRoot = "21663839004416932945382355908790599225266501822907911457504978515578255421292";
-            console.log(`📋 Found ${members.length} members in registry`);
+    // Build the membership tree the same way the prover does
+    const members = loadRegistry(registryFile);
+    if (members.length === 0) {
+        if (onchainRegistry) {
+            console.log("📋 Registry is empty, members will join through MemberRegistry.");
+        } else if (!allowEmptyRegistry) {
+            throw new Error(
+                `No members found in ${registryFile}. Add members first, ` +
+                "or set ALLOW_EMPTY_REGISTRY=true to deploy with the empty-tree root."
+            );
+        } else {
+            console.log("⚠️  Registry is empty, deploying with the empty-tree root.");
         }
     } else {
-        console.log("⚠️  No members found. Using empty merkle root.");
+        console.log(`📋 Found ${members.length} members in registry`);
+    }
+    
+    // members with weights get the weighted circuit and WeightedDAOVoting
+    let kind = quadratic ? "quadratic" : isWeightedRegistry(members) ? "weighted" : "vote";
+    if (quadratic && isWeightedRegistry(members)) {
+        throw new Error("QUADRATIC=true needs a registry of budget commitments, not a weighted one");
+    }
+    if (encrypted) {
+        if (kind !== "vote") {
+            throw new Error("ENCRYPTED=true needs a registry of plain commitments");
+        }
+        kind = "encrypted";
+    }
+    if (delegation && kind !== "vote") {
+        throw new Error("DELEGATION=true needs a registry of plain commitments and plain ballots");
     }
+    if (kind !== "vote" && kind !== "encrypted" && onchainRegistry) {
+        throw new Error(`MemberRegistry only holds plain commitments - deploy a ${kind} registry without ONCHAIN_REGISTRY`);
+    }
+    const votingContract = {
+        vote: "DAOVoting",
+        weighted: "WeightedDAOVoting",
+        quadratic: "QuadraticDAOVoting",
+        encrypted: "EncryptedDAOVoting"
+    }[kind];
+    const daoContract = delegation ? "DelegatingDAOVoting" : votingContract;
     
-    // Deploy VoteVerifier
-    console.log("📝 Deploying VoteVerifier...");
-    const verifier = await VoteVerifier.deploy();
-    await verifier.deployed();
-    console.log(`✅ VoteVerifier deployed to: ${verifier.address}`);
+    let committeeKey = null;
+    if (encrypted) {
+        if (!fs.existsSync(committeeFile)) {
+            throw new Error(`No committee at ${committeeFile}. Create one with: dao-vote committee keygen`);
+        }
+        committeeKey = JSON.parse(fs.readFileSync(committeeFile, "utf8")).publicKey;
+        console.log(`🔒 Ballots encrypted to the committee key in ${committeeFile}`);
+    }
     
-    // Deploy DAOVoting
-    console.log("📝 Deploying DAOVoting...");
-    const daoVoting = await DAOVoting.deploy(verifier.address, merkleRoot);
-    await daoVoting.deployed();
-    console.log(`✅ DAOVoting deployed to: ${daoVoting.address}`);
+    // only variants with a generated verifier can be deployed - for
+    // delegation, of all three circuits
+    const extraKinds = delegation ? DELEGATION_KINDS : [];
+    const depths = builtDepths({ kind }).filter(depth => [kind, ...extraKinds]
+        .every(k => fs.existsSync(circuitVariant(depth, { kind: k }).verifierFile)));
+    const depth = requestedDepth || selectDepth(members.length, { depths });
+    const variant = circuitVariant(depth, { kind });
+    if (!depths.includes(depth)) {
+        const kinds = [kind, ...extraKinds].join(",");
+        throw new Error(`No ${kinds} depth-${depth} verifiers built. Run: CIRCUIT_KINDS=${kinds} CIRCUIT_DEPTHS=${depth} npm run compile`);
+    }
+    if (members.length > variant.capacity) {
+        throw new Error(`${members.length} members do not fit a depth-${depth} tree (${variant.capacity} leaves)`);
+    }
+    console.log(`🔧 ${kind === "vote" ? "Circuit" : `${variant.template} circuit`} depth ${depth}: room for ${variant.capacity} members (${variant.verifierContract})`);
     
-    // Save deployment info
-    const deploymentInfo = {
-        network: await ethers.provider.getNetwork(),
-        contracts: {
-            VoteVerifier: {
-                address: verifier.address,
-                transactionHash: verifier.deployTransaction.hash
-            },
-            DAOVoting: {
-                address: daoVoting.address,
-                transactionHash: daoVoting.deployTransaction.hash
-            }
-        },
-        merkleRoot: merkleRoot,
-        deployedAt: new Date().toISOString()
+    const tree = await buildRegistryTree(members, depth);
+    const merkleRoot = tree.getRoot().toString();
+    console.log(`🌳 Membership root (depth ${depth}): ${merkleRoot}`);
+    
+    fs.mkdirSync(path.dirname(rootFile), { recursive: true });
+    fs.writeFileSync(rootFile, JSON.stringify({
+        root: merkleRoot,
+        levels: depth,
+        memberCount: members.length,
+        computedAt: new Date().toISOString()
+    }, null, 2));
+    console.log(`📄 Root saved to: ${rootFile}\n`);
+    
+    // A manifest from an earlier run on this chain lets us reuse what's
+    // still deployed. FRESH_DEPLOYMENT=true starts over.
+    const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+    let previous = freshDeployment ? null : loadDeployment(network.name);
+    if (previous && previous.chainId !== chainId) {
+        console.log(`⚠️  ${deploymentFile(network.name)} is for chain ${previous.chainId}, not ${chainId} - deploying everything again`);
+        previous = null;
+    }
+    
+    // Verifiers only depend on their verification key, so they are shared
+    // by every deployment of that circuit
+    const verifier = await deployVerifier(circuitVariant(depth, { kind }), previous);
+    const extraVerifiers = {};
+    for (const extraKind of extraKinds) {
+        const extraVariant = circuitVariant(depth, { kind: extraKind });
+        extraVerifiers[extraVariant.verifierContract] = await deployVerifier(extraVariant, previous);
+    }
+    
+    // A DAOVoting deployed with the same settings is kept, with its
+    // proposals and votes - only its root is moved forward
+    let constructorArgs = committeeKey ? [committeeKey] : [];
+    if (delegation) {
+        constructorArgs = Object.values(extraVerifiers).map(deployed => deployed.address);
+    }
+    const settings = {
+        contract: daoContract,
+        verifier: verifier.address,
+        constructorArgs: constructorArgs.map(arg => (Array.isArray(arg) ? arg.map(String) : String(arg))),
+        executionRules,
+        onchainRegistry
     };
+    const existing = previous && previous.contracts.DAOVoting;
+    const reuse = existing && JSON.stringify(existing.settings) === JSON.stringify(settings) &&
+        await isStillDeployed(ethers.provider, existing) &&
+        (!onchainRegistry || await isStillDeployed(ethers.provider, previous.contracts.MemberRegistry));
     
-    const deploymentFile = path.join(__dirname, "../deployment.json");
-    fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+    let daoVotingEntry;
+    let memberRegistry = null;
+    if (reuse) {
+        daoVotingEntry = existing;
+        memberRegistry = previous.contracts.MemberRegistry || null;
+        console.log(`♻️  Reusing ${daoContract} at ${existing.address}`);
+        
+        // an on-chain registry moves the root itself as members join
+        const daoVoting = await ethers.getContractAt(daoContract, existing.address);
+        if (!onchainRegistry && (await daoVoting.merkleRoot()).toString() !== merkleRoot) {
+            await (await daoVoting.updateRoot(merkleRoot)).wait();
+            console.log("✅ Moved the membership root forward to the registry's");
+        }
+    } else {
+        // Deploy DAOVoting. With an on-chain registry it starts from the empty
+        // tree and the registry pushes each root as members are replayed below.
+        const initialRoot = onchainRegistry
+            ? (await buildRegistryTree([], depth)).getRoot().toString()
+            : merkleRoot;
+        console.log(`📝 Deploying ${daoContract}...`);
+        const DAOVoting = await ethers.getContractFactory(daoContract);
+        const daoVoting = await DAOVoting.deploy(verifier.address, initialRoot, ...constructorArgs);
+        await daoVoting.waitForDeployment();
+        daoVotingEntry = {
+            contract: daoContract,
+            ...(await deployedContract(ethers.provider, await daoVoting.getAddress(), daoVoting.deploymentTransaction())),
+            settings
+        };
+        console.log(`✅ ${daoContract} deployed to: ${daoVotingEntry.address}`);
+        
+        // before MemberRegistry takes over as admin
+        if (executionRules) {
+            await (await daoVoting.setExecutionRules(...executionRules)).wait();
+            console.log(`✅ Execution rules: quorum ${executionRules[0]}, approval ${executionRules[1]} bps, timelock ${executionRules[2]}s`);
+        }
+        
+        if (onchainRegistry) {
+            memberRegistry = await deployMemberRegistry(daoVoting, members, depth);
+        }
+    }
+    
+    // Make sure the contract holds the root we computed - members may have
+    // joined a reused on-chain registry since
+    const onChainRoot = (await (await ethers.getContractAt(daoContract, daoVotingEntry.address)).merkleRoot()).toString();
+    if (onChainRoot !== merkleRoot) {
+        if (!(reuse && onchainRegistry)) {
+            throw new Error(`On-chain root ${onChainRoot} does not match local root ${merkleRoot}`);
+        }
+        console.log(`ℹ️  On-chain root ${onChainRoot} differs from registry.json's - members joined on chain since`);
+    } else {
+        console.log("✅ On-chain membership root matches the registry");
+    }
+    
+    // Save the manifest - the CLI reads addresses and the circuit depth back from here
+    const manifest = loadManifest(variant.manifest);
+    const now = new Date().toISOString();
+    const file = saveDeployment({
+        network: network.name,
+        chainId,
+        circuit: {
+            kind,
+            depth,
+            verifier: variant.verifierContract,
+            ...(delegation && { delegation: true }),
+            circuitHash: manifest && manifest.circuit.hash,
+            vkeyHash: verifier.vkeyHash
+        },
+        contracts: {
+            [variant.verifierContract]: verifier,
+            ...extraVerifiers,
+            DAOVoting: daoVotingEntry,
+            ...(memberRegistry && { MemberRegistry: memberRegistry })
+        },
+        merkleRoot,
+        memberCount: members.length,
+        deployedAt: reuse ? previous.deployedAt : now,
+        updatedAt: now
+    });
     
     console.log("\n🎉 Deployment completed successfully!");
-    console.log("📄 Deployment info saved to:", deploymentFile);
+    console.log("📄 Deployment manifest saved to:", file);
     console.log("\nContract addresses:");
-    console.log(`   VoteVerifier: ${verifier.address}`);
-    console.log(`   DAOVoting: ${daoVoting.address}`);
+    console.log(`   ${variant.verifierContract}: ${verifier.address}`);
+    Object.entries(extraVerifiers).forEach(([name, deployed]) => console.log(`   ${name}: ${deployed.address}`));
+    console.log(`   ${daoContract}: ${daoVotingEntry.address}`);
+    if (memberRegistry) {
+        console.log(`   MemberRegistry: ${memberRegistry.address}`);
+        console.log(`   Poseidon hasher: ${memberRegistry.hasher}`);
+    }
+    console.log(`\nUse it from the CLI with: dao-vote <command> --network ${network.name} (or DAO_VOTE_NETWORK=${network.name})`);
+}
+
+// Deploys a variant's verifier, or reuses the one the previous manifest
+// records when it was built from the same verification key and is still there
+async function deployVerifier(variant, previous) {
+    const vkeyHash = hashVerificationKey(JSON.parse(fs.readFileSync(variant.vkey, "utf8")));
+    const existing = previous && previous.contracts[variant.verifierContract];
+    if (existing && existing.vkeyHash === vkeyHash && await isStillDeployed(ethers.provider, existing)) {
+        console.log(`♻️  Reusing ${variant.verifierContract} at ${existing.address}`);
+        return existing;
+    }
+    
+    console.log(`📝 Deploying ${variant.verifierContract}...`);
+    const Verifier = await ethers.getContractFactory(variant.verifierContract);
+    const deployed = await Verifier.deploy();
+    await deployed.waitForDeployment();
+    const entry = {
+        ...(await deployedContract(ethers.provider, await deployed.getAddress(), deployed.deploymentTransaction())),
+        vkeyHash
+    };
+    console.log(`✅ ${variant.verifierContract} deployed to: ${entry.address}`);
+    return entry;
+}
+
+// Deploys the Poseidon hasher and MemberRegistry, makes the registry
+// DAOVoting's admin and replays the existing registry.json members into it
+async function deployMemberRegistry(daoVoting, members, depth) {
+    const [deployer] = await ethers.getSigners();
+    
+    console.log("📝 Deploying Poseidon hasher...");
+    const hasher = await deployPoseidonHasher(deployer);
+    const hasherAddress = await hasher.getAddress();
+    console.log(`✅ Poseidon hasher deployed to: ${hasherAddress}`);
+    
+    console.log("📝 Deploying MemberRegistry...");
+    const MemberRegistry = await ethers.getContractFactory("MemberRegistry");
+    const deployed = await MemberRegistry.deploy(hasherAddress, await daoVoting.getAddress(), depth);
+    await deployed.waitForDeployment();
+    const address = await deployed.getAddress();
+    const entry = await deployedContract(ethers.provider, address, deployed.deploymentTransaction());
+    console.log(`✅ MemberRegistry deployed to: ${address}`);
+    
+    await (await daoVoting.setAdmin(address)).wait();
+    console.log("✅ MemberRegistry is now DAOVoting's root admin");
+    
+    const memberRegistry = connectMemberRegistry(address, deployer);
+    for (const member of [...members].sort((x, y) => x.index - y.index)) {
+        await registerMember(memberRegistry, member.commitment);
+    }
+    if (members.length > 0) {
+        console.log(`✅ Registered ${members.length} existing members on chain`);
+    }
+    
+    return { ...entry, hasher: hasherAddress };
 }
 
 main().catch((error) => {
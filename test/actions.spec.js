@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    submitVote,
+    createProposal,
+    executeProposal,
+    fetchProposal,
+    loadInterface,
+    parseValue,
+    parseActionArgs,
+    encodeAction,
+    checkActions,
+    fetchProposalActions,
+    fetchExecutionRules,
+    executionStatus,
+    formatBasisPoints,
+    describeAction
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Proposal Actions", function () {
+    const proof = { a: [0, 0], b: [[0, 0], [0, 0]], c: [0, 0] };
+    const root = 1234;
+    let daoVoting;
+    let target;
+    let targetAddress;
+    let targetAbi;
+    let nextNullifier;
+
+    const deployVoting = votingFixture("DAOVoting", {
+        root,
+        setup: async () => {
+            const MockTarget = await ethers.getContractFactory("MockTarget");
+            const deployed = await MockTarget.deploy();
+            await deployed.waitForDeployment();
+            return { target: deployed, targetAbi: MockTarget.interface.formatJson() };
+        }
+    });
+
+    beforeEach(async function() {
+        ({ daoVoting, target, targetAbi } = await loadFixture(deployVoting));
+        targetAddress = await target.getAddress();
+        nextNullifier = 1;
+    });
+
+    // voteValue 0 is no, 1 yes, 2 abstain
+    async function castVotes(proposalId, voteValues) {
+        for (const voteValue of voteValues) {
+            await submitVote(daoVoting, { proposalId, root, nullifierHash: nextNullifier++, voteValue, proof });
+        }
+    }
+
+    function setValue(value, { payment = 0n } = {}) {
+        return encodeAction({ target: targetAddress, abi: JSON.parse(targetAbi), functionName: "setValue", args: [value], value: payment });
+    }
+
+    describe("Building actions", function() {
+        it("Should encode a call from an ABI, an artifact or a signature", function() {
+            const fromAbi = setValue(42);
+            expect(fromAbi.target).to.equal(targetAddress);
+            expect(fromAbi.value).to.equal("0");
+            expect(fromAbi.description).to.equal("setValue(42)");
+
+            const fromSignature = encodeAction({
+                target: targetAddress.toLowerCase(),
+                abi: "function setValue(uint256 value)",
+                functionName: "setValue",
+                args: ["42"]
+            });
+            expect(fromSignature.data).to.equal(fromAbi.data);
+            expect(fromSignature.target).to.equal(targetAddress);
+
+            const fromArtifact = encodeAction({ target: targetAddress, abi: { abi: JSON.parse(targetAbi) }, functionName: "setValue", args: [42] });
+            expect(fromArtifact.data).to.equal(fromAbi.data);
+
+            expect(describeAction(fromAbi, [loadInterface(JSON.parse(targetAbi))])).to.equal("setValue(42)");
+            expect(describeAction(fromAbi)).to.equal(fromAbi.data);
+        });
+
+        it("Should refuse calls it can't encode", function() {
+            expect(() => setValue(42, { payment: -1n })).to.throw();
+            expect(() => encodeAction({ target: "0x1234", abi: "function f()", functionName: "f" })).to.throw("Invalid target address");
+            expect(() => encodeAction({ target: targetAddress, abi: "function f()", functionName: "g" })).to.throw();
+            expect(() => encodeAction({ target: targetAddress, abi: "function f(uint256)", functionName: "f" }))
+                .to.throw("takes 1 arguments, got 0");
+            expect(() => loadInterface("missing.json")).to.throw("No ABI file");
+        });
+
+        it("Should parse values and arguments", function() {
+            expect(parseValue("1000")).to.equal(1000n);
+            expect(parseValue("0.5eth")).to.equal(ethers.parseEther("0.5"));
+            expect(parseValue("2 ether")).to.equal(ethers.parseEther("2"));
+            expect(() => parseValue("lots")).to.throw("Invalid value");
+
+            expect(parseActionArgs('["0xabc", "1000"]')).to.deep.equal(["0xabc", "1000"]);
+            expect(parseActionArgs(undefined)).to.deep.equal([]);
+            expect(() => parseActionArgs("1000")).to.throw("must be a JSON array");
+            expect(() => parseActionArgs("[oops")).to.throw("Invalid arguments");
+        });
+
+        it("Should check action lists", function() {
+            expect(checkActions([setValue(1)])[0].value).to.equal(0n);
+            expect(() => checkActions([])).to.throw("between 1 and 16 actions");
+            expect(() => checkActions(Array(17).fill(setValue(1)))).to.throw("between 1 and 16 actions");
+            expect(() => checkActions([{ target: targetAddress, data: "nope" }])).to.throw("invalid calldata");
+        });
+
+        it("Should format basis points", function() {
+            expect(formatBasisPoints(5001)).to.equal("50.01%");
+            expect(formatBasisPoints(6000n)).to.equal("60%");
+            expect(formatBasisPoints(6650)).to.equal("66.5%");
+        });
+    });
+
+    describe("Execution", function() {
+        it("Should run the actions of a passed proposal", async function() {
+            const [signer] = await ethers.getSigners();
+            await signer.sendTransaction({ to: await daoVoting.getAddress(), value: ethers.parseEther("1") });
+
+            const actions = [setValue(7), setValue(42, { payment: ethers.parseEther("0.25") })];
+            const { proposalId } = await createProposal(daoVoting, "Set the value", 60, { actions });
+            expect((await fetchProposal(daoVoting, proposalId)).options).to.deep.equal(["no", "yes", "abstain"]);
+
+            const stored = await fetchProposalActions(daoVoting, proposalId);
+            expect(stored.map(action => action.data)).to.deep.equal(actions.map(action => action.data));
+            expect(stored[1].value).to.equal(ethers.parseEther("0.25"));
+
+            await castVotes(proposalId, [1, 1, 0]);
+            await time.increase(61);
+            await executeProposal(daoVoting, proposalId);
+
+            expect(await target.value()).to.equal(42n);
+            expect(await target.lastCaller()).to.equal(await daoVoting.getAddress());
+            expect(await target.received()).to.equal(ethers.parseEther("0.25"));
+            expect((await fetchProposal(daoVoting, proposalId)).executed).to.equal(true);
+            await expect(executeProposal(daoVoting, proposalId)).to.be.revertedWithCustomError(daoVoting, "ProposalAlreadyExecuted");
+        });
+
+        it("Should need a majority by default", async function() {
+            const { proposalId } = await createProposal(daoVoting, "Tied", 60, { actions: [setValue(1)] });
+            await castVotes(proposalId, [1, 0, 2, 2]);
+            await time.increase(61);
+            await expect(executeProposal(daoVoting, proposalId)).to.be.revertedWithCustomError(daoVoting, "ProposalRejected");
+
+            // nothing but abstentions doesn't pass either
+            const { proposalId: abstained } = await createProposal(daoVoting, "Abstained", 60);
+            await castVotes(abstained, [2]);
+            await time.increase(61);
+            await expect(executeProposal(daoVoting, abstained)).to.be.revertedWithCustomError(daoVoting, "ProposalRejected");
+        });
+
+        it("Should check the quorum and threshold a proposal was created with", async function() {
+            await daoVoting.setExecutionRules(4, 6000, 0);
+            const { proposalId } = await createProposal(daoVoting, "Strict", 3600, { actions: [setValue(1)] });
+            // later changes don't apply to it
+            await daoVoting.setExecutionRules(0, 5001, 0);
+
+            await castVotes(proposalId, [1, 1, 0]);
+            await time.increase(3601);
+            await expect(executeProposal(daoVoting, proposalId)).to.be.revertedWithCustomError(daoVoting, "QuorumNotReached");
+
+            const rules = await fetchExecutionRules(daoVoting, proposalId);
+            expect(rules.quorum).to.equal(4n);
+            const details = await fetchProposal(daoVoting, proposalId);
+            const status = executionStatus(details, rules, { now: await time.latest() });
+            expect(status.executable).to.equal(false);
+            expect(status.problems).to.deep.equal(["3 votes are short of the quorum of 4"]);
+
+            // 2 yes to 1 no is 66.67%, but a 70% threshold wants more
+            expect(executionStatus(details, { ...rules, quorum: 0n, approvalThreshold: 7000n }, { now: await time.latest() }).problems)
+                .to.deep.equal(["2 yes to 1 no does not reach the 70% approval threshold"]);
+
+            await expect(daoVoting.setExecutionRules(0, 10001, 0)).to.be.revertedWithCustomError(daoVoting, "InvalidExecutionRules");
+        });
+
+        it("Should only apply the quorum to multi-option ballots", async function() {
+            await daoVoting.setExecutionRules(2, 5001, 0);
+            const { proposalId } = await createProposal(daoVoting, "Pick one", 60, { options: ["a", "b", "c"] });
+            expect((await fetchExecutionRules(daoVoting, proposalId)).approvalThreshold).to.equal(0n);
+
+            await castVotes(proposalId, [0, 2]);
+            await time.increase(61);
+            await executeProposal(daoVoting, proposalId);
+
+            try {
+                await createProposal(daoVoting, "Both", 60, { options: ["a", "b"], actions: [setValue(1)] });
+                expect.fail("should throw");
+            } catch (error) {
+                expect(error.message).to.include("Only yes/no/abstain proposals can carry actions");
+            }
+        });
+
+        it("Should wait out the timelock", async function() {
+            await daoVoting.setExecutionRules(0, 5001, 86400);
+            const { proposalId, deadline } = await createProposal(daoVoting, "Delayed", 60, { actions: [setValue(9)] });
+            await castVotes(proposalId, [1]);
+
+            const rules = await fetchExecutionRules(daoVoting, proposalId);
+            expect(rules.executableAt).to.equal(deadline + 86400);
+
+            await time.increase(61);
+            await expect(executeProposal(daoVoting, proposalId)).to.be.revertedWithCustomError(daoVoting, "TimelockNotExpired");
+            expect(executionStatus(await fetchProposal(daoVoting, proposalId), rules, { now: await time.latest() }).problems[0])
+                .to.include("The timelock runs until");
+
+            await time.increaseTo(rules.executableAt);
+            await executeProposal(daoVoting, proposalId);
+            expect(await target.value()).to.equal(9n);
+        });
+
+        it("Should revert every action when one fails", async function() {
+            const fail = encodeAction({ target: targetAddress, abi: JSON.parse(targetAbi), functionName: "fail", args: ["not today"] });
+            const { proposalId } = await createProposal(daoVoting, "Doomed", 60, { actions: [setValue(5), fail] });
+            await castVotes(proposalId, [1]);
+            await time.increase(61);
+
+            try {
+                await executeProposal(daoVoting, proposalId);
+                expect.fail("should revert");
+            } catch (error) {
+                expect(error.errorName).to.equal("ActionFailed");
+                expect(error.message).to.include("action 1: not today");
+            }
+            expect(await target.value()).to.equal(0n);
+            expect((await fetchProposal(daoVoting, proposalId)).executed).to.equal(false);
+        });
+
+        it("Should only let the admin propose actions", async function() {
+            const [admin, member] = await ethers.getSigners();
+            await admin.sendTransaction({ to: await daoVoting.getAddress(), value: ethers.parseEther("1") });
+            const drain = { target: member.address, value: ethers.parseEther("1"), data: "0x" };
+
+            // a member can't put the balance to a vote they'd win alone
+            try {
+                await createProposal(daoVoting.connect(member), "Mine now", 60, { actions: [drain] });
+                expect.fail("should throw");
+            } catch (error) {
+                expect(error.errorName).to.equal("NotAdmin");
+            }
+
+            // and the admin's own proposal doesn't pay out without a yes
+            const { proposalId } = await createProposal(daoVoting, "Unvoted", 60, { actions: [drain] });
+            await time.increase(61);
+            await expect(executeProposal(daoVoting, proposalId)).to.be.revertedWithCustomError(daoVoting, "ProposalRejected");
+            expect(await ethers.provider.getBalance(await daoVoting.getAddress())).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should refuse an empty action list on chain", async function() {
+            await expect(daoVoting.createProposalWithActions("None", 60, [])).to.be.revertedWithCustomError(daoVoting, "InvalidActionCount");
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const { MERKLE_TREE_LEVELS, circuitVariant, loadManifest, checkArtifacts } = require("..");
+
+// The r1cs, wasm, verification key and verifier are checked in, the zkey
+// isn't - these catch one of them being regenerated without the others
+describe("Checked-in Circuit Artifacts", function () {
+    const variant = circuitVariant(MERKLE_TREE_LEVELS);
+    const vKey = JSON.parse(fs.readFileSync(variant.vkey, "utf8"));
+
+    // the uint256 constants snarkjs writes into a Groth16 verifier
+    function verifierConstants(file) {
+        const source = fs.readFileSync(file, "utf8");
+        return Object.fromEntries([...source.matchAll(/uint256 constant (\w+)\s*=\s*(\d+);/g)].map(([, name, value]) => [name, value]));
+    }
+
+    it("Should have the verifier built from the verification key", function() {
+        const constants = verifierConstants(variant.verifierFile);
+        expect(fs.readFileSync(variant.verifierFile, "utf8")).to.include(`contract ${variant.verifierContract} {`);
+
+        // G2 points are written with their coordinates swapped
+        const g2 = (name, [[x1, x2], [y1, y2]]) => ({ [`${name}x1`]: x2, [`${name}x2`]: x1, [`${name}y1`]: y2, [`${name}y2`]: y1 });
+        const expected = {
+            alphax: vKey.vk_alpha_1[0],
+            alphay: vKey.vk_alpha_1[1],
+            ...g2("beta", vKey.vk_beta_2),
+            ...g2("gamma", vKey.vk_gamma_2),
+            ...g2("delta", vKey.vk_delta_2),
+            ...Object.fromEntries(vKey.IC.flatMap(([x, y], i) => [[`IC${i}x`, x], [`IC${i}y`, y]]))
+        };
+        for (const [name, value] of Object.entries(expected)) {
+            expect(constants[name], name).to.equal(value);
+        }
+        expect(Object.keys(constants).filter(name => /^IC\d+x$/.test(name))).to.have.length(vKey.nPublic + 1);
+    });
+
+    // a circuit edit that only regenerates the r1cs and wasm leaves a
+    // verification key nothing it proves will verify against
+    it("Should all come from one build of the current circuit", function() {
+        const manifest = loadManifest(variant.manifest);
+        expect(checkArtifacts(manifest, {
+            root: path.join(__dirname, ".."),
+            artifacts: ["r1cs", "wasm", "sym", "vkey", "verifier"],
+            circuitFile: variant.main
+        })).to.deep.equal([]);
+        expect(manifest.verifierContract).to.equal(variant.verifierContract);
+    });
+
+    it("Should have a verification key for the circuit's public signals", async function() {
+        const r1cs = await snarkjs.r1cs.info(variant.r1cs);
+        expect(vKey.nPublic).to.equal(r1cs.nOutputs + r1cs.nPubInputs);
+        expect(vKey.nPublic).to.equal(variant.publicSignals.length);
+    });
+});
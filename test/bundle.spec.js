@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const path = require("path");
+const {
+    BUNDLE_VERSION,
+    toSolidityProof,
+    votePublicSignals,
+    hashVerificationKey,
+    createProofBundle,
+    checkProofBundle,
+    verifyProofBundle,
+    bundleSubmission
+} = require("..");
+
+describe("Proof Bundles", function () {
+    const vKey = require(path.join(__dirname, "../build/vote_20/verification_key.json"));
+    const snarkProof = {
+        pi_a: ["1", "2", "1"],
+        pi_b: [["3", "4"], ["5", "6"], ["1", "0"]],
+        pi_c: ["7", "8", "1"],
+        protocol: "groth16",
+        curve: "bn128"
+    };
+    const contract = "0x5fbdb2315678afecb367f032aa093f642f0aa30f";
+
+    // a votes.json record as cast wrote them before bundles
+    function record(fields = {}) {
+        return {
+            proposalId: 3,
+            root: "11",
+            depth: 20,
+            memberName: "alice",
+            memberIndex: 4,
+            vote: "yes",
+            nullifierHash: "22",
+            proof: toSolidityProof(snarkProof),
+            timestamp: "2024-01-01T00:00:00.000Z",
+            ...fields
+        };
+    }
+
+    it("Should bundle a vote with its raw proof and nothing about the member", function() {
+        const bundle = createProofBundle(record(), { vKey, contract, chainId: 31337n });
+        expect(bundle).to.deep.equal({
+            format: "dao-vote-proof",
+            version: BUNDLE_VERSION,
+            circuit: { kind: "vote", depth: 20, vkeyHash: hashVerificationKey(vKey) },
+            chainId: "31337",
+            contract: "0x5fbdb2315678aFecB367f032aa093f642f0aa30f",
+            proposalId: 3,
+            publicSignals: ["11", "22", "3", "1", "3"],
+            proof: snarkProof
+        });
+        expect(checkProofBundle(bundle)).to.deep.equal([]);
+
+        // what cast stores now is taken as is
+        const stored = createProofBundle(record({ publicSignals: ["1", "2", "3", "4", "5"], snarkProof: { ...snarkProof, pi_a: ["9", "9", "1"] } }), { vKey });
+        expect(stored.publicSignals).to.deep.equal(["1", "2", "3", "4", "5"]);
+        expect(stored.proof.pi_a).to.deep.equal(["9", "9", "1"]);
+        expect(stored.contract).to.equal(null);
+        expect(stored.chainId).to.equal(null);
+    });
+
+    it("Should read every kind of vote back from its public signals", function() {
+        const point = ["5", "6"];
+        const records = {
+            vote: record(),
+            weighted: record({ weight: "40" }),
+            quadratic: record({ vote: undefined, allocation: ["2", "0", "1"], options: ["a", "b", "c"] }),
+            encrypted: record({ encrypted: { committeeKey: ["9", "10"], c1: [point, point, point, ["0", "1"]], c2: [point, point, point, ["0", "1"]] } }),
+            delegated: record({ vote: "no", delegateCommitment: "77", delegated: 2 })
+        };
+
+        for (const [kind, vote] of Object.entries(records)) {
+            const bundle = createProofBundle(vote, { vKey });
+            expect(bundle.circuit.kind).to.equal(kind);
+            expect(checkProofBundle(bundle), kind).to.deep.equal([]);
+
+            const submission = bundleSubmission(bundle);
+            expect(submission.proposalId).to.equal(3);
+            expect(submission.proof).to.deep.equal(vote.proof);
+            expect(votePublicSignals(submission), kind).to.deep.equal(bundle.publicSignals);
+        }
+
+        expect(bundleSubmission(createProofBundle(records.quadratic, { vKey })).allocation).to.deep.equal(["2", "0", "1"]);
+        expect(bundleSubmission(createProofBundle(records.delegated, { vKey }))).to.include({ voteValue: 0, optionCount: 3, delegateCommitment: "77" });
+        expect(bundleSubmission(createProofBundle(records.encrypted, { vKey })).committeeKey).to.deep.equal(["9", "10"]);
+    });
+
+    it("Should hash verification keys however their JSON is laid out", function() {
+        const reordered = Object.fromEntries(Object.entries(vKey).reverse());
+        expect(hashVerificationKey(reordered)).to.equal(hashVerificationKey(vKey));
+        expect(hashVerificationKey({ ...vKey, nPublic: 6 })).to.not.equal(hashVerificationKey(vKey));
+    });
+
+    it("Should describe malformed bundles", function() {
+        const bundle = createProofBundle(record(), { vKey });
+        expect(checkProofBundle(null)).to.deep.equal(["The bundle must be a JSON object"]);
+        expect(checkProofBundle({ ...bundle, format: "other" })).to.deep.equal(["Not a vote proof bundle (format \"other\")"]);
+        expect(checkProofBundle({ ...bundle, version: 2 })[0]).to.include("Unsupported bundle version 2");
+
+        expect(checkProofBundle({ ...bundle, circuit: { ...bundle.circuit, kind: "delegation" } })[0]).to.include("circuit.kind must be one of");
+        expect(checkProofBundle({ ...bundle, publicSignals: bundle.publicSignals.slice(1) }))
+            .to.deep.equal(["A vote proof has 5 public signals, not 4"]);
+        expect(checkProofBundle({ ...bundle, proposalId: 4 })).to.deep.equal(["The proof is for proposal 3, not 4"]);
+        expect(checkProofBundle({ ...bundle, options: ["a", "b"] })).to.deep.equal(["options must be the 3 labels of the ballot"]);
+        expect(checkProofBundle({ ...bundle, contract: "0x1234", chainId: 1 })).to.deep.equal([
+            "chainId must be a decimal string or null",
+            "contract must be an address or null"
+        ]);
+        expect(checkProofBundle({ ...bundle, proof: toSolidityProof(snarkProof) })).to.deep.equal(["proof must be a snarkjs proof (pi_a, pi_b, pi_c)"]);
+    });
+
+    it("Should check the proof against the bundle's verification key", async function() {
+        const bundle = createProofBundle(record(), { vKey });
+
+        // checked, and the made-up proof doesn't hold
+        expect(await verifyProofBundle(bundle, vKey)).to.deep.equal({ valid: false, problems: [] });
+
+        const other = await verifyProofBundle(bundle, { ...vKey, nPublic: 6 });
+        expect(other.valid).to.equal(false);
+        expect(other.problems[0]).to.include("The bundle was proved for verification key");
+
+        const broken = await verifyProofBundle({ ...bundle, version: 0 }, vKey);
+        expect(broken.problems[0]).to.include("Unsupported bundle version 0");
+    });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const snarkjs = require("snarkjs");
+const {
+    MERKLE_TREE_LEVELS,
+    MerkleTree,
+    buildHasher,
+    computeCommitment,
+    buildVoteInput,
+    circuitVariant,
+    daoVotingInterface,
+    toSolidityProof,
+    encodeVoteCall,
+    createProofBundle,
+    verifyProofBundle,
+    bundleCalldata
+} = require("..");
+
+describe("Vote Calldata", function () {
+    const proof = { a: ["1", "2"], b: [["3", "4"], ["5", "6"]], c: ["7", "8"] };
+
+    it("Should encode each kind of vote for its own function", function() {
+        const base = { proposalId: 1, root: "11", nullifierHash: "22", proof };
+        const point = ["5", "6"];
+        const calls = {
+            vote: { ...base, voteValue: 1 },
+            voteWeighted: { ...base, voteValue: 1, weight: "40" },
+            voteQuadratic: { ...base, allocation: ["2", "1"] },
+            voteEncrypted: { ...base, ciphertext: { c1: [point, point, point], c2: [point, point, point] } },
+            voteDelegated: { ...base, voteValue: 0, delegateCommitment: "77" }
+        };
+
+        for (const [method, vote] of Object.entries(calls)) {
+            const call = encodeVoteCall(vote);
+            expect(call.function.split("(")[0]).to.equal(method);
+            expect(call.data.slice(0, 10)).to.equal(daoVotingInterface.getFunction(method).selector);
+
+            // the args are what's encoded, as plain decimal strings
+            const decoded = daoVotingInterface.decodeFunctionData(method, call.data);
+            const decimal = value => (Array.isArray(value) ? value.map(decimal) : value.toString());
+            expect(decimal(decoded.toArray(true))).to.deep.equal(call.args);
+            expect(call.args.slice(-3)).to.deep.equal([proof.a, proof.b, proof.c]);
+        }
+
+        // the contracts take fixed-size arrays, so short ones are padded
+        expect(encodeVoteCall(calls.voteQuadratic).args[3]).to.deep.equal(["2", "1", "0", "0", "0", "0", "0", "0"]);
+        expect(encodeVoteCall(calls.voteEncrypted).args[3][3]).to.deep.equal(["0", "1"]);
+    });
+
+    describe("Against the real verifier", function () {
+        const variant = circuitVariant(MERKLE_TREE_LEVELS);
+        let daoVoting;
+        let bundle;
+
+        before(async function() {
+            // zkeys aren't checked in - this needs a local npm run compile
+            if (!fs.existsSync(variant.zkey)) {
+                this.skip();
+            }
+            this.timeout(300000);
+
+            const hash = await buildHasher();
+            const tree = new MerkleTree(MERKLE_TREE_LEVELS, [computeCommitment(hash, 1n, 2n), computeCommitment(hash, 3n, 4n)], { hash });
+
+            const Verifier = await ethers.getContractFactory(variant.verifierContract);
+            const verifier = await Verifier.deploy();
+            await verifier.waitForDeployment();
+            const DAOVoting = await ethers.getContractFactory("DAOVoting");
+            daoVoting = await DAOVoting.deploy(await verifier.getAddress(), tree.getRoot().toString());
+            await daoVoting.waitForDeployment();
+            // the circuit rejects proposal 0
+            await (await daoVoting.createProposal("Skipped", 3600)).wait();
+            await (await daoVoting.createProposal("Sent elsewhere", 3600)).wait();
+
+            const witness = buildVoteInput(hash, { nullifier: 3n, secret: 4n, proposalId: 1, voteValue: 1, proof: tree.getProof(1) });
+            const { proof: snarkProof, publicSignals } = await snarkjs.groth16.fullProve(witness, variant.wasm, variant.zkey);
+            const vKey = JSON.parse(fs.readFileSync(variant.vkey, "utf8"));
+            bundle = createProofBundle({
+                proposalId: 1,
+                root: witness.root,
+                vote: "yes",
+                nullifierHash: witness.nullifierHash,
+                proof: toSolidityProof(snarkProof),
+                snarkProof,
+                publicSignals
+            }, { vKey, depth: MERKLE_TREE_LEVELS, contract: await daoVoting.getAddress(), chainId: 31337 });
+            expect((await verifyProofBundle(bundle, vKey)).valid).to.equal(true);
+        });
+
+        it("Should agree with snarkjs exportSolidityCallData", async function() {
+            const calldata = bundleCalldata(bundle);
+            expect(calldata.to).to.equal(await daoVoting.getAddress());
+            expect(calldata.chainId).to.equal("31337");
+            expect(calldata.function).to.equal("vote(uint256,uint256,uint256,uint8,uint256[2],uint256[2][2],uint256[2])");
+
+            const exported = JSON.parse(`[${await snarkjs.groth16.exportSolidityCallData(bundle.proof, bundle.publicSignals)}]`);
+            const decimal = value => (Array.isArray(value) ? value.map(decimal) : BigInt(value).toString());
+            const [a, b, c, signals] = decimal(exported);
+            const [root, nullifierHash, proposalId, voteValue] = signals;
+            expect(calldata.args).to.deep.equal([proposalId, root, nullifierHash, voteValue, a, b, c]);
+        });
+
+        it("Should be accepted as a plain transaction", async function() {
+            const [, sender] = await ethers.getSigners();
+            const calldata = bundleCalldata(bundle);
+
+            const receipt = await (await sender.sendTransaction({ to: calldata.to, data: calldata.data })).wait();
+            expect(receipt.status).to.equal(1);
+            expect((await daoVoting.getProposalVotes(1)).yes).to.equal(1n);
+            expect(await daoVoting.usedNullifiers(calldata.args[2])).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const {
+    requiredPower,
+    generateDevPtau,
+    loadTranscript,
+    initCeremony,
+    contribute,
+    applyBeacon,
+    verifyCeremony
+} = require("..");
+
+describe("Trusted Setup Ceremony", function () {
+    this.timeout(120000);
+
+    // built from fixtures/multiplier.circom - the real circuit needs a 2^14 ptau
+    const r1csPath = path.join(__dirname, "fixtures/multiplier.r1cs");
+    const wasmPath = path.join(__dirname, "fixtures/multiplier.wasm");
+    const BEACON = "0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20";
+    let dir;
+    let ptauPath;
+
+    before(async function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "ceremony-"));
+        ptauPath = path.join(dir, "pot.ptau");
+        await generateDevPtau(await requiredPower(r1csPath), ptauPath, { entropy: "test entropy" });
+    });
+
+    after(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function runCeremony(name, contributors) {
+        const ceremonyDir = path.join(dir, name);
+        await initCeremony({ r1csPath, ptauPath, dir: ceremonyDir, circuit: "multiplier" });
+        for (const contributor of contributors) {
+            await contribute(ceremonyDir, contributor, { entropy: `${contributor} entropy` });
+        }
+        const { finalZkey } = await applyBeacon(ceremonyDir, BEACON);
+        return { ceremonyDir, finalZkey, transcript: loadTranscript(path.join(ceremonyDir, "transcript.json")) };
+    }
+
+    it("Should size the ptau from the r1cs", async function() {
+        // 1 constraint + 1 output + 1 => 3 points => 2^2
+        expect(await requiredPower(r1csPath)).to.equal(2);
+    });
+
+    it("Should record every named contribution and the beacon", async function() {
+        const { transcript } = await runCeremony("record", ["alice", "bob"]);
+
+        expect(transcript.contributions.map(c => c.name)).to.deep.equal(["alice", "bob"]);
+        transcript.contributions.forEach(c => expect(c.contributionHash).to.match(/^[0-9a-f]{128}$/));
+        expect(transcript.beacon.beaconHash).to.equal(BEACON);
+        expect(transcript.finalZkey.file).to.equal("multiplier_final.zkey");
+    });
+
+    it("Should verify a finished ceremony from its transcript", async function() {
+        const { finalZkey, transcript } = await runCeremony("verify", ["alice", "bob"]);
+
+        const result = await verifyCeremony({ r1csPath, ptauPath, zkeyPath: finalZkey, transcript });
+        expect(result.problems).to.deep.equal([]);
+        expect(result.ok).to.be.true;
+        expect(result.contributions.map(c => c.name)).to.deep.equal(["alice", "bob", "Final beacon"]);
+    });
+
+    it("Should produce a zkey that proves and verifies", async function() {
+        const { finalZkey } = await runCeremony("prove", ["alice"]);
+
+        const wtns = { type: "mem" };
+        await snarkjs.wtns.calculate({ a: 3, b: 11 }, wasmPath, wtns);
+        const { proof, publicSignals } = await snarkjs.groth16.prove(finalZkey, wtns);
+        const vKey = await snarkjs.zKey.exportVerificationKey(finalZkey);
+
+        expect(publicSignals).to.deep.equal(["33"]);
+        expect(await snarkjs.groth16.verify(vKey, publicSignals, proof)).to.be.true;
+    });
+
+    it("Should name the contribution a tampered transcript lies about", async function() {
+        const { finalZkey, transcript } = await runCeremony("tamper", ["alice", "bob"]);
+        transcript.contributions[1].contributionHash = "00".repeat(64);
+
+        const result = await verifyCeremony({ r1csPath, ptauPath, zkeyPath: finalZkey, transcript });
+        expect(result.ok).to.be.false;
+        expect(result.problems).to.deep.equal(["Contribution #2 (bob) hash does not match the zkey"]);
+    });
+
+    it("Should notice a dropped contribution", async function() {
+        const { finalZkey, transcript } = await runCeremony("dropped", ["alice", "bob"]);
+        transcript.contributions.splice(0, 1);
+
+        const result = await verifyCeremony({ r1csPath, ptauPath, zkeyPath: finalZkey, transcript });
+        expect(result.problems[0]).to.equal("The zkey carries 3 contributions, the transcript lists 2");
+    });
+
+    it("Should refuse to contribute after the beacon", async function() {
+        const { ceremonyDir } = await runCeremony("sealed", ["alice"]);
+
+        try {
+            await contribute(ceremonyDir, "mallory");
+            expect.fail("should throw");
+        } catch (error) {
+            expect(error.message).to.include("already finalized");
+        }
+    });
+});
@@ -2,6 +2,7 @@ const { expect } = require("chai");
 const circomlibjs = require("circomlibjs");
 const path = require("path");
 const fs = require("fs");
+const { MerkleTree, MERKLE_TREE_LEVELS } = require("..");
 
 describe("Circuit Compilation Demo", function () {
     let poseidon;
@@ -12,70 +13,6 @@ describe("Circuit Compilation Demo", function () {
         return F.toObject(poseidon(inputs.map(x => F.e(x))));
     }
     
-    // Simple merkle tree for demonstration
-    class SimpleMerkleTree {
-        constructor(levels, zero_value, leaves, hasher) {
-            this.levels = levels;
-            this.hasher = hasher;
-            this.zero_values = [zero_value];
-            this.leaves = leaves;
-            
-            for (let i = 1; i < levels; i++) {
-                this.zero_values[i] = hasher([this.zero_values[i-1], this.zero_values[i-1]]);
-            }
-            
-            this.layers = [leaves];
-            this.buildTree();
-        }
-        
-        buildTree() {
-            for (let level = 0; level < this.levels - 1; level++) {
-                const currentLevel = this.layers[level];
-                const nextLevel = [];
-                
-                for (let i = 0; i < currentLevel.length; i += 2) {
-                    const left = currentLevel[i];
-                    const right = i + 1 < currentLevel.length ? currentLevel[i + 1] : this.zero_values[level];
-                    nextLevel.push(this.hasher([left, right]));
-                }
-                
-                this.layers.push(nextLevel);
-            }
-        }
-        
-        getRoot() {
-            return this.layers[this.levels - 1][0];
-        }
-        
-        getProof(index) {
-            const proof = {
-                pathElements: [],
-                pathIndices: []
-            };
-            
-            for (let level = 0; level < this.levels - 1; level++) {
-                const position = index % 2;
-                const levelIndex = Math.floor(index / 2);
-                const currentLevel = this.layers[level];
-                
-                if (position === 0) {
-                    proof.pathElements.push(
-                        levelIndex + 1 < currentLevel.length 
-                            ? currentLevel[levelIndex * 2 + 1] 
-                            : this.zero_values[level]
-                    );
-                } else {
-                    proof.pathElements.push(currentLevel[levelIndex * 2]);
-                }
-                
-                proof.pathIndices.push(position);
-                index = Math.floor(index / 2);
-            }
-            
-            return proof;
-        }
-    }
-    
     before(async function() {
         this.timeout(10000);
         
@@ -88,9 +25,9 @@ describe("Circuit Compilation Demo", function () {
     describe("Circuit Compilation", function() {
         it("Should have compiled the voting circuit successfully", function() {
             // Check if circuit compilation artifacts exist
-            const wasmPath = path.join(__dirname, '../build/vote_js/vote.wasm');
-            const r1csPath = path.join(__dirname, '../build/vote.r1cs');
-            const symPath = path.join(__dirname, '../build/vote.sym');
+            const wasmPath = path.join(__dirname, '../build/vote_20/vote_js/vote.wasm');
+            const r1csPath = path.join(__dirname, '../build/vote_20/vote.r1cs');
+            const symPath = path.join(__dirname, '../build/vote_20/vote.sym');
             
             expect(fs.existsSync(wasmPath)).to.be.true;
             expect(fs.existsSync(r1csPath)).to.be.true;
@@ -125,7 +62,7 @@ describe("Circuit Compilation Demo", function () {
             const secret = F.random();
             
             const commitment = await poseidonHash([nullifier, secret]);
-            const nullifierHash = await poseidonHash([nullifier]);
+            const nullifierHash = await poseidonHash([nullifier, 1]);
             
             expect(commitment.toString()).to.be.a('string');
             expect(nullifierHash.toString()).to.be.a('string');
@@ -143,11 +80,10 @@ describe("Circuit Compilation Demo", function () {
             }
             
             // Build merkle tree
-            const tree = new SimpleMerkleTree(
-                3, // 3 levels for 4 leaves
-                BigInt(0),
+            const tree = new MerkleTree(
+                2, // 2 levels for 4 leaves
                 commitments,
-                (inputs) => F.toObject(poseidon(inputs.map(x => F.e(x))))
+                { hash: (inputs) => F.toObject(poseidon(inputs.map(x => F.e(x)))) }
             );
             
             const root = tree.getRoot();
@@ -186,7 +122,7 @@ describe("Circuit Compilation Demo", function () {
             
             for (let i = 0; i < 10; i++) {
                 const nullifier = F.random();
-                const nullifierHash = await poseidonHash([nullifier]);
+                const nullifierHash = await poseidonHash([nullifier, 1]);
                 nullifiers.push(nullifierHash);
             }
             
@@ -199,18 +135,27 @@ describe("Circuit Compilation Demo", function () {
             const nullifier = F.random();
             const secret = F.random();
             
-            // Same nullifier should produce same hash
-            const hash1 = await poseidonHash([nullifier]);
-            const hash2 = await poseidonHash([nullifier]);
+            // Same nullifier on the same proposal should produce same hash
+            const hash1 = await poseidonHash([nullifier, 1]);
+            const hash2 = await poseidonHash([nullifier, 1]);
             
             expect(hash1).to.equal(hash2);
             
             // Different nullifiers should produce different hashes
             const nullifier2 = F.random();
-            const hash3 = await poseidonHash([nullifier2]);
+            const hash3 = await poseidonHash([nullifier2, 1]);
             
             expect(hash1).to.not.equal(hash3);
         });
+        
+        it("Should give one member unlinkable hashes across proposals", async function() {
+            const nullifier = F.random();
+            
+            const hash1 = await poseidonHash([nullifier, 1]);
+            const hash2 = await poseidonHash([nullifier, 2]);
+            
+            expect(hash1).to.not.equal(hash2);
+        });
     });
     
     describe("Gas Optimization", function() {
@@ -225,7 +170,7 @@ describe("Circuit Compilation Demo", function () {
     
     describe("Circuit Architecture", function() {
         it("Should validate circuit parameters", function() {
-            const MERKLE_TREE_HEIGHT = 20;
+            const MERKLE_TREE_HEIGHT = MERKLE_TREE_LEVELS;
             const MAX_MEMBERS = 2 ** MERKLE_TREE_HEIGHT;
             const PUBLIC_INPUTS = 4;
             const PRIVATE_INPUTS = 42;
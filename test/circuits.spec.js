@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    MERKLE_TREE_LEVELS,
+    CIRCUIT_DEPTHS,
+    PUBLIC_SIGNALS,
+    circuitVariant,
+    variantMainSource,
+    builtDepths,
+    selectDepth,
+    resolveCircuitSources
+} = require("..");
+
+describe("Circuit Depth Variants", function () {
+    it("Should build the default depth among the variants", function() {
+        expect(CIRCUIT_DEPTHS).to.include(MERKLE_TREE_LEVELS);
+        expect(CIRCUIT_DEPTHS).to.deep.equal([...CIRCUIT_DEPTHS].sort((x, y) => x - y));
+    });
+
+    it("Should give every depth its own artifacts and verifier", function() {
+        const small = circuitVariant(10);
+        const large = circuitVariant(24);
+
+        expect(small.dir).to.equal(path.join(__dirname, "../build/vote_10"));
+        expect(small.wasm).to.equal(path.join(__dirname, "../build/vote_10/vote_js/vote.wasm"));
+        expect(small.capacity).to.equal(1024);
+        expect(small.verifierContract).to.equal("Groth16Verifier10");
+        expect(large.zkey).to.not.equal(small.zkey);
+        expect(large.verifierFile).to.equal(path.join(__dirname, "../contracts/verifiers/VoteVerifier24.sol"));
+    });
+
+    it("Should keep each circuit kind apart", function() {
+        const weighted = circuitVariant(10, { kind: "weighted" });
+
+        expect(weighted.dir).to.equal(path.join(__dirname, "../build/weighted_10"));
+        expect(weighted.verifierContract).to.equal("Groth16WeightedVerifier10");
+        expect(weighted.verifierFile).to.equal(path.join(__dirname, "../contracts/verifiers/WeightedVoteVerifier10.sol"));
+        expect(weighted.publicSignals).to.deep.equal([...PUBLIC_SIGNALS, "weight"]);
+        expect(variantMainSource(weighted)).to.include("component main {public [root, nullifierHash, proposalId, voteValue, optionCount, weight]} = WeightedVote(10);");
+        expect(() => circuitVariant(10, { kind: "ranked" })).to.throw("Unknown circuit kind");
+
+        // the quadratic template also takes the number of options it's built for
+        const quadratic = circuitVariant(16, { kind: "quadratic" });
+        expect(quadratic.verifierContract).to.equal("Groth16QuadraticVerifier16");
+        expect(variantMainSource(quadratic)).to.include("component main {public [root, nullifierHash, proposalId, optionCount, allocation]} = QuadraticVote(16, 8);");
+
+        const encrypted = circuitVariant(10, { kind: "encrypted" });
+        expect(encrypted.verifierContract).to.equal("Groth16EncryptedVerifier10");
+        expect(variantMainSource(encrypted)).to.include("component main {public [root, nullifierHash, proposalId, optionCount, publicKey, c1, c2]} = EncryptedVote(10, 4);");
+
+        const delegation = circuitVariant(10, { kind: "delegation" });
+        expect(delegation.verifierContract).to.equal("Groth16DelegationVerifier10");
+        expect(variantMainSource(delegation)).to.include("component main {public [root, nullifierHash, proposalId, delegateCommitment, revocationHash]} = Delegation(10);");
+        const delegated = circuitVariant(10, { kind: "delegated" });
+        expect(delegated.verifierFile).to.equal(path.join(__dirname, "../contracts/verifiers/DelegatedVoteVerifier10.sol"));
+        expect(variantMainSource(delegated)).to.include("component main {public [root, nullifierHash, proposalId, voteValue, optionCount, delegateCommitment]} = DelegatedVote(10);");
+    });
+
+    it("Should generate a main that includes the shared templates", function() {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), "variants-"));
+        try {
+            const variant = circuitVariant(16, { buildDir: path.join(root, "build") });
+            const source = variantMainSource(variant);
+
+            expect(source).to.include("component main {public [root, nullifierHash, proposalId, voteValue, optionCount]} = Vote(16);");
+
+            // the include must resolve from the variant's own directory
+            fs.mkdirSync(variant.dir, { recursive: true });
+            fs.writeFileSync(variant.main, source);
+            const sources = resolveCircuitSources(variant.main);
+            expect(sources).to.include(path.join(__dirname, "../circuits/vote.circom"));
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    it("Should pick the smallest depth that fits", function() {
+        expect(selectDepth(0)).to.equal(10);
+        expect(selectDepth(1024)).to.equal(10);
+        expect(selectDepth(1025)).to.equal(16);
+        expect(selectDepth(70000)).to.equal(20);
+        expect(selectDepth(5, { minCapacity: 100000 })).to.equal(20);
+        expect(selectDepth(5, { depths: [20, 16] })).to.equal(16);
+    });
+
+    it("Should refuse registries no variant holds", function() {
+        expect(() => selectDepth(2 ** 24 + 1)).to.throw("do not fit any circuit depth (largest is 24");
+        expect(() => selectDepth(3, { depths: [] })).to.throw("No circuit variants built");
+    });
+
+    it("Should list only the depths that were compiled", function() {
+        const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), "built-"));
+        try {
+            for (const depth of [20, 10]) {
+                fs.mkdirSync(path.join(buildDir, `vote_${depth}`));
+                fs.writeFileSync(circuitVariant(depth, { buildDir }).r1cs, "r1cs");
+            }
+            // a variant directory without an r1cs (e.g. a failed compile) is skipped
+            fs.mkdirSync(path.join(buildDir, "vote_16"));
+            // and other kinds are listed separately
+            fs.mkdirSync(path.join(buildDir, "weighted_16"));
+            fs.writeFileSync(circuitVariant(16, { kind: "weighted", buildDir }).r1cs, "r1cs");
+
+            expect(builtDepths({ buildDir })).to.deep.equal([10, 20]);
+            expect(builtDepths({ kind: "weighted", buildDir })).to.deep.equal([16]);
+        } finally {
+            fs.rmSync(buildDir, { recursive: true, force: true });
+        }
+    });
+
+    it("Should ship the default variant prebuilt", function() {
+        expect(builtDepths()).to.include(MERKLE_TREE_LEVELS);
+    });
+});
@@ -0,0 +1,272 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const {
+    MerkleTree,
+    buildHasher,
+    computeCommitment,
+    computeWeightedLeaf,
+    computeBudgetLeaf,
+    computeDelegateCommitment,
+    computeRevocationHash,
+    buildDelegationInput,
+    SNARK_SCALAR_FIELD,
+    buildBabyJub,
+    encryptBallot,
+    buildVoteInput,
+    circuitVariant,
+    loadManifest,
+    checkArtifacts
+} = require("..");
+
+// Runs the circuits themselves on good and bad witnesses. The depth 4 wasm
+// files in fixtures/circuits are rebuilt by scripts/compile-test-circuits.js.
+describe("Circuit Constraints", function () {
+    const DEPTH = 4;
+    const buildDir = path.join(__dirname, "fixtures/circuits");
+    let hash;
+
+    before(async function() {
+        hash = await buildHasher();
+    });
+
+    function fixture(kind) {
+        const variant = circuitVariant(DEPTH, { kind, buildDir });
+        expect(checkArtifacts(loadManifest(variant.manifest), {
+            root: path.join(__dirname, ".."),
+            artifacts: ["r1cs", "wasm"],
+            circuitFile: variant.main
+        }), `${variant.name} is stale - run: node scripts/compile-test-circuits.js`).to.deep.equal([]);
+        return variant;
+    }
+
+    // a public input no constraint uses could be swapped in a valid proof
+    async function expectBound(variant) {
+        const { nOutputs, nPubInputs, constraints } = await snarkjs.r1cs.exportJson(variant.r1cs);
+        const used = new Set(constraints.flatMap(constraint => constraint.flatMap(Object.keys)));
+        const unbound = variant.publicSignals.filter((name, i) => !used.has(String(nOutputs + 1 + i)));
+        expect(nPubInputs).to.equal(variant.publicSignals.length);
+        expect(unbound, "public inputs no constraint uses").to.deep.equal([]);
+    }
+
+    async function expectWitness(input, wasm) {
+        await snarkjs.wtns.calculate(input, wasm, { type: "mem" });
+    }
+
+    // `template` is the one whose assertion should fail
+    async function expectRejected(input, wasm, template) {
+        try {
+            await snarkjs.wtns.calculate(input, wasm, { type: "mem" });
+            expect.fail("should throw");
+        } catch (error) {
+            expect(error.message).to.include("Assert Failed");
+            expect(error.message).to.include(`Error in template ${template}_`);
+        }
+    }
+
+    describe("Vote", function() {
+        let wasm;
+
+        before(function() {
+            wasm = fixture("vote").wasm;
+        });
+
+        function inputFor(leaves, overrides = {}) {
+            const tree = new MerkleTree(DEPTH, leaves, { hash });
+            return buildVoteInput(hash, { nullifier: 1n, secret: 2n, proposalId: 7, voteValue: 1, proof: tree.getProof(0), ...overrides });
+        }
+
+        it("Should prove membership against a tree of bare commitments", async function() {
+            const commitment = computeCommitment(hash, 1n, 2n);
+            await expectWitness(inputFor([commitment, computeCommitment(hash, 3n, 4n)]), wasm);
+            // the same root serves every proposal
+            await expectWitness(inputFor([commitment], { proposalId: 8 }), wasm);
+        });
+
+        it("Should reject the old per-proposal Poseidon(commitment, proposalId) leaf", async function() {
+            const leaf = hash([computeCommitment(hash, 1n, 2n), 7n]);
+            await expectRejected(inputFor([leaf]), wasm, "MerkleTreeChecker");
+        });
+
+        it("Should bind every public input", async function() {
+            await expectBound(fixture("vote"));
+        });
+    });
+
+    describe("WeightedVote", function() {
+        let wasm;
+        let tree;
+
+        before(function() {
+            wasm = fixture("weighted").wasm;
+            tree = new MerkleTree(DEPTH, [
+                computeWeightedLeaf(hash, computeCommitment(hash, 1n, 2n), 5n),
+                computeWeightedLeaf(hash, computeCommitment(hash, 3n, 4n), 7n),
+                // more than 64 bits, which the registry should never hand out
+                computeWeightedLeaf(hash, computeCommitment(hash, 5n, 6n), 2n ** 64n),
+                computeWeightedLeaf(hash, computeCommitment(hash, 7n, 8n), 2n ** 64n - 1n)
+            ], { hash });
+        });
+
+        function inputFor(member, weight, overrides = {}) {
+            const [nullifier, secret] = [2n * member + 1n, 2n * member + 2n];
+            return buildVoteInput(hash, { nullifier, secret, proposalId: 7, voteValue: 1, weight, proof: tree.getProof(Number(member)), ...overrides });
+        }
+
+        it("Should prove the weight the member's leaf commits to", async function() {
+            await expectWitness(inputFor(1n, 7n), wasm);
+            await expectWitness(inputFor(0n, 5n, { voteValue: 2 }), wasm);
+            await expectWitness(inputFor(3n, 2n ** 64n - 1n), wasm);
+        });
+
+        it("Should reject any other weight", async function() {
+            await expectRejected(inputFor(1n, 8n), wasm, "MerkleTreeChecker");
+            await expectRejected(inputFor(1n, 5n), wasm, "MerkleTreeChecker");
+        });
+
+        it("Should reject weights of 2^64 and up even under the root", async function() {
+            await expectRejected(inputFor(2n, 2n ** 64n), wasm, "Num2Bits");
+        });
+    });
+
+    describe("QuadraticVote", function() {
+        let wasm;
+        let tree;
+
+        before(function() {
+            wasm = fixture("quadratic").wasm;
+            tree = new MerkleTree(DEPTH, [
+                computeBudgetLeaf(hash, computeCommitment(hash, 1n, 2n), 20n),
+                computeBudgetLeaf(hash, computeCommitment(hash, 3n, 4n), 2n ** 64n - 1n)
+            ], { hash });
+        });
+
+        function inputFor(allocation, overrides = {}) {
+            return buildVoteInput(hash, { nullifier: 1n, secret: 2n, proposalId: 7, optionCount: 3, allocation, credits: 20n, proof: tree.getProof(0), ...overrides });
+        }
+
+        it("Should prove allocations within the budget", async function() {
+            // 4^2 + 2^2 spends all 20 credits
+            await expectWitness(inputFor([4n, 2n]), wasm);
+            await expectWitness(inputFor([0n, 0n, 1n]), wasm);
+            await expectWitness(inputFor([1n, 1n, 1n, 1n, 1n, 1n, 1n, 1n], { optionCount: 8 }), wasm);
+        });
+
+        it("Should reject allocations over the budget", async function() {
+            await expectRejected(inputFor([4n, 3n]), wasm, "QuadraticVote");
+            await expectRejected(inputFor([3n, 3n, 2n]), wasm, "QuadraticVote");
+        });
+
+        it("Should reject votes on options the proposal doesn't have", async function() {
+            await expectRejected(inputFor([0n, 0n, 0n, 1n]), wasm, "QuadraticVote");
+            await expectRejected(inputFor([1n, 0n, 0n, 0n, 0n, 0n, 0n, 1n]), wasm, "QuadraticVote");
+            await expectRejected(inputFor([1n], { optionCount: 9 }), wasm, "QuadraticVote");
+        });
+
+        it("Should reject entries above 32 bits", async function() {
+            const rich = { nullifier: 3n, secret: 4n, credits: 2n ** 64n - 1n, proof: tree.getProof(1) };
+            await expectWitness(inputFor([2n ** 32n - 1n], rich), wasm);
+            await expectRejected(inputFor([2n ** 32n], rich), wasm, "Num2Bits");
+
+            // -1 squares to 1, so only the range check stops it
+            await expectRejected(inputFor([SNARK_SCALAR_FIELD - 1n, 1n]), wasm, "Num2Bits");
+        });
+    });
+
+    describe("EncryptedVote", function() {
+        let wasm;
+        let curve;
+        let tree;
+        let publicKey;
+
+        before(async function() {
+            wasm = fixture("encrypted").wasm;
+            curve = await buildBabyJub();
+            tree = new MerkleTree(DEPTH, [computeCommitment(hash, 1n, 2n)], { hash });
+            publicKey = curve.mul(curve.base, 12345n);
+        });
+
+        function inputFor(voteValue, encryption, overrides = {}) {
+            return buildVoteInput(hash, { nullifier: 1n, secret: 2n, proposalId: 7, voteValue, optionCount: 3, encryption, proof: tree.getProof(0), ...overrides });
+        }
+
+        function encrypted(voteValue, key = publicKey) {
+            return { publicKey: key, ...encryptBallot(curve, key, voteValue) };
+        }
+
+        it("Should prove a ballot that encrypts the vote", async function() {
+            await expectWitness(inputFor(1, encrypted(1)), wasm);
+            await expectWitness(inputFor(2, encrypted(2)), wasm);
+        });
+
+        it("Should reject a ballot that encrypts anything but a single 1", async function() {
+            // 2 * B8 would count the vote twice once the sums are decrypted
+            const ballot = encrypted(1);
+            const doubled = { ...ballot, c2: ballot.c2.map((point, i) => i === 1 ? curve.add(point, curve.base) : point) };
+            await expectRejected(inputFor(1, doubled), wasm, "EncryptedVote");
+
+            // a 1 for an option the vote isn't for
+            await expectRejected(inputFor(2, encrypted(1)), wasm, "EncryptedVote");
+            await expectRejected(inputFor(3, encrypted(3)), wasm, "OptionChecker");
+        });
+
+        it("Should reject ciphertexts under another public key", async function() {
+            const other = curve.mul(curve.base, 54321n);
+            await expectRejected(inputFor(1, { ...encrypted(1, other), publicKey }), wasm, "EncryptedVote");
+            await expectRejected(inputFor(1, { ...encrypted(1), publicKey: other }), wasm, "EncryptedVote");
+        });
+    });
+
+    describe("Delegation and DelegatedVote", function() {
+        let delegation;
+        let delegated;
+        let tree;
+
+        before(function() {
+            delegation = fixture("delegation");
+            delegated = fixture("delegated");
+            tree = new MerkleTree(DEPTH, [
+                computeCommitment(hash, 1n, 2n),
+                computeCommitment(hash, 3n, 4n)
+            ], { hash });
+        });
+
+        function delegationFor(overrides = {}) {
+            return buildDelegationInput(hash, {
+                nullifier: 1n,
+                secret: 2n,
+                proposalId: 7,
+                delegateCommitment: computeDelegateCommitment(hash, 3n, 4n),
+                revocationHash: computeRevocationHash(999n),
+                proof: tree.getProof(0),
+                ...overrides
+            });
+        }
+
+        function delegatedVoteFor(delegateCommitment, overrides = {}) {
+            return buildVoteInput(hash, { nullifier: 3n, secret: 4n, proposalId: 7, voteValue: 1, delegateCommitment, proof: tree.getProof(1), ...overrides });
+        }
+
+        it("Should prove a member's delegation", async function() {
+            await expectWitness(delegationFor(), delegation.wasm);
+            await expectRejected(delegationFor({ proof: tree.getProof(1) }), delegation.wasm, "MerkleTreeChecker");
+            await expectRejected(delegationFor({ proposalId: 0 }), delegation.wasm, "Delegation");
+        });
+
+        it("Should bind the delegate and revocation hash to the delegation proof", async function() {
+            await expectBound(delegation);
+            expect(delegation.publicSignals).to.include.members(["delegateCommitment", "revocationHash"]);
+        });
+
+        it("Should only let a delegate vote with their own Poseidon(nullifier, secret, 1)", async function() {
+            await expectWitness(delegatedVoteFor(computeDelegateCommitment(hash, 3n, 4n)), delegated.wasm);
+
+            // the registry commitment leaves out the trailing 1
+            await expectRejected(delegatedVoteFor(computeCommitment(hash, 3n, 4n)), delegated.wasm, "DelegatedVote");
+            await expectRejected(delegatedVoteFor(computeDelegateCommitment(hash, 1n, 2n)), delegated.wasm, "DelegatedVote");
+            await expectRejected(delegatedVoteFor(hash([3n, 4n, 2n])), delegated.wasm, "DelegatedVote");
+            await expectBound(delegated);
+        });
+    });
+});
@@ -16,7 +16,8 @@ describe("DAO Voting Contract Demo", function () {
     
     describe("Contract Deployment", function() {
         it("Should deploy VoteVerifier contract", async function() {
-            const VoteVerifier = await ethers.getContractFactory("Groth16Verifier");
+            // a mock, since the votes below carry mock proofs
+            const VoteVerifier = await ethers.getContractFactory("MockVerifier");
             verifier = await VoteVerifier.deploy();
             await verifier.waitForDeployment();
             
@@ -99,6 +100,7 @@ describe("DAO Voting Contract Demo", function () {
             
             const tx = await daoVoting.vote(
                 proposalId,
+                MOCK_MERKLE_ROOT,
                 nullifierHash,
                 voteValue,
                 mockProof.a,
@@ -131,6 +133,7 @@ describe("DAO Voting Contract Demo", function () {
             await expect(
                 daoVoting.vote(
                     proposalId,
+                    MOCK_MERKLE_ROOT,
                     nullifierHash,
                     voteValue,
                     mockProof.a,
@@ -146,6 +149,7 @@ describe("DAO Voting Contract Demo", function () {
             // Vote YES
             await daoVoting.vote(
                 proposalId,
+                MOCK_MERKLE_ROOT,
                 "11111111111111111111111111111111111111111111111111111111111111111",
                 1, // YES
                 [1, 2],
@@ -156,6 +160,7 @@ describe("DAO Voting Contract Demo", function () {
             // Vote NO
             await daoVoting.vote(
                 proposalId,
+                MOCK_MERKLE_ROOT,
                 "22222222222222222222222222222222222222222222222222222222222222222",
                 0, // NO
                 [1, 2],
@@ -166,6 +171,7 @@ describe("DAO Voting Contract Demo", function () {
             // Vote ABSTAIN
             await daoVoting.vote(
                 proposalId,
+                MOCK_MERKLE_ROOT,
                 "33333333333333333333333333333333333333333333333333333333333333333",
                 2, // ABSTAIN
                 [1, 2],
@@ -185,6 +191,7 @@ describe("DAO Voting Contract Demo", function () {
             await expect(
                 daoVoting.vote(
                     0,
+                    MOCK_MERKLE_ROOT,
                     "99999999999999999999999999999999999999999999999999999999999999999",
                     3, // Invalid vote value
                     [1, 2],
@@ -198,6 +205,7 @@ describe("DAO Voting Contract Demo", function () {
             await expect(
                 daoVoting.vote(
                     999, // Non-existent proposal
+                    MOCK_MERKLE_ROOT,
                     "88888888888888888888888888888888888888888888888888888888888888888",
                     1,
                     [1, 2],
@@ -218,6 +226,7 @@ describe("DAO Voting Contract Demo", function () {
             // Cast vote
             const voteTx = await daoVoting.vote(
                 await daoVoting.proposalCount() - 1n,
+                MOCK_MERKLE_ROOT,
                 "77777777777777777777777777777777777777777777777777777777777777777",
                 1,
                 [1, 2],
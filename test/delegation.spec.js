@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    connectDAOVoting,
+    submitVote,
+    createProposal,
+    fetchProposal,
+    fetchVoteEvents,
+    tallyVotes,
+    localVoteEntries,
+    computeRevocationHash,
+    fetchDelegationVerifier,
+    parseTimestamp,
+    proposalsClosingBetween,
+    submitDelegation,
+    submitUndelegation,
+    fetchDelegationEvents,
+    summarizeDelegations
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Delegation", function () {
+    const proof = { a: [0, 0], b: [[0, 0], [0, 0]], c: [0, 0] };
+    const root = 1234;
+    let daoVoting;
+
+    const deployVoting = votingFixture("DelegatingDAOVoting", {
+        root,
+        verifiers: 3,
+        setup: async deployment => {
+            await createProposal(deployment.daoVoting, "Budget", 3600);
+        }
+    });
+
+    beforeEach(async function() {
+        ({ daoVoting } = await loadFixture(deployVoting));
+    });
+
+    function delegateTo(delegateCommitment, nullifierHash, revocationSecret = nullifierHash) {
+        return submitDelegation(daoVoting, {
+            proposalId: 0,
+            root,
+            nullifierHash,
+            delegateCommitment,
+            revocationHash: computeRevocationHash(revocationSecret),
+            proof
+        });
+    }
+
+    it("Should hash revocation secrets like the contract", async function() {
+        for (const secret of [1n, 2n ** 255n, 123456789n]) {
+            expect(await daoVoting.revocationHashOf(secret)).to.equal(computeRevocationHash(secret));
+        }
+        expect(computeRevocationHash(1n) < 2n ** 248n).to.equal(true);
+    });
+
+    it("Should count a delegate's vote with its delegations", async function() {
+        await delegateTo(77, 11);
+        await delegateTo(77, 12);
+        await delegateTo(88, 13);
+        expect(await daoVoting.delegatedWeight(0, 77)).to.equal(2n);
+
+        // the delegators' nullifiers are spent
+        await expect(
+            submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 11, voteValue: 0, delegateCommitment: 66, proof })
+        ).to.be.revertedWithCustomError(daoVoting, "NullifierAlreadyUsed");
+
+        await submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 21, voteValue: 1, delegateCommitment: 77, proof });
+        await submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 22, voteValue: 0, delegateCommitment: 99, proof });
+
+        const details = await fetchProposal(daoVoting, 0);
+        expect(details.yes).to.equal(3n);
+        expect(details.no).to.equal(1n);
+
+        const tally = tallyVotes(await fetchVoteEvents(daoVoting, 0), { options: details.options });
+        expect(tally.yes).to.equal(3n);
+        expect(tally.ballots).to.equal(2);
+
+        // local records carry the delegations the same way
+        const local = localVoteEntries([{ proposalId: 0, nullifierHash: "21", vote: "yes", delegated: 2 }]);
+        expect(local[0].weight).to.equal(3);
+
+        // the delegate's count is final once they voted
+        await expect(delegateTo(77, 14)).to.be.revertedWithCustomError(daoVoting, "DelegateAlreadyVoted");
+        await expect(
+            submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 23, voteValue: 1, delegateCommitment: 77, proof })
+        ).to.be.revertedWithCustomError(daoVoting, "DelegateAlreadyVoted");
+    });
+
+    it("Should take a delegation back with its revocation secret", async function() {
+        await delegateTo(77, 11, 999n);
+
+        await expect(submitUndelegation(daoVoting, { nullifierHash: 11, revocationSecret: 998n })).to.be.revertedWithCustomError(daoVoting, "InvalidRevocation");
+        await expect(submitUndelegation(daoVoting, { nullifierHash: 12, revocationSecret: 999n })).to.be.revertedWithCustomError(daoVoting, "DelegationNotFound");
+
+        await submitUndelegation(daoVoting, { nullifierHash: 11, revocationSecret: 999n });
+        expect(await daoVoting.delegatedWeight(0, 77)).to.equal(0n);
+        await expect(submitUndelegation(daoVoting, { nullifierHash: 11, revocationSecret: 999n })).to.be.revertedWithCustomError(daoVoting, "DelegationNotFound");
+
+        // the member gets their vote back
+        await submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 11, voteValue: 0, delegateCommitment: 66, proof });
+        expect((await fetchProposal(daoVoting, 0)).no).to.equal(1n);
+    });
+
+    it("Should freeze delegations once the delegate voted or voting ended", async function() {
+        await delegateTo(77, 11);
+        await delegateTo(88, 12);
+        await submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 21, voteValue: 0, delegateCommitment: 77, proof });
+        await expect(submitUndelegation(daoVoting, { nullifierHash: 11, revocationSecret: 11n })).to.be.revertedWithCustomError(daoVoting, "DelegateAlreadyVoted");
+
+        await ethers.provider.send("evm_increaseTime", [3601]);
+        await ethers.provider.send("evm_mine", []);
+        await expect(submitUndelegation(daoVoting, { nullifierHash: 12, revocationSecret: 12n })).to.be.revertedWithCustomError(daoVoting, "VotingEnded");
+        await expect(delegateTo(99, 13)).to.be.revertedWithCustomError(daoVoting, "VotingEnded");
+    });
+
+    it("Should only take votes through voteDelegated", async function() {
+        await delegateTo(77, 11);
+
+        // a plain vote would leave the delegate's delegations uncounted
+        await expect(
+            submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 21, voteValue: 1, proof })
+        ).to.be.revertedWithCustomError(daoVoting, "DelegatedVoteRequired");
+        expect(await daoVoting.delegateVoted(0, 77)).to.equal(false);
+        expect(await daoVoting.usedNullifiers(21)).to.equal(false);
+    });
+
+    it("Should refuse an empty delegate commitment", async function() {
+        await expect(delegateTo(0, 11)).to.be.revertedWithCustomError(daoVoting, "InvalidDelegate");
+    });
+
+    it("Should summarize a proposal's delegations from events", async function() {
+        await delegateTo(77, 11);
+        await delegateTo(77, 12);
+        await delegateTo(88, 13);
+        await delegateTo(99, 14);
+        await submitUndelegation(daoVoting, { nullifierHash: 14, revocationSecret: 14n });
+        await submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 21, voteValue: 0, delegateCommitment: 77, proof });
+        // a delegate nobody delegated to
+        await submitVote(daoVoting, { proposalId: 0, root, nullifierHash: 22, voteValue: 1, delegateCommitment: 55, proof });
+
+        const events = await fetchDelegationEvents(daoVoting, 0);
+        expect(events.map(event => event.type)).to.deep.equal(["delegated", "delegated", "delegated", "delegated", "undelegated", "voted", "voted"]);
+        expect(events[5].delegatedWeight).to.equal(2);
+
+        expect(summarizeDelegations(events)).to.deep.equal({
+            delegations: 3,
+            revoked: 1,
+            delegates: 2,
+            votingDelegates: 1,
+            weight: 2,
+            unused: 1
+        });
+    });
+
+    it("Should pick the open proposals closing in a range", async function() {
+        await createProposal(daoVoting, "Later", 86400 * 10);
+        await createProposal(daoVoting, "Soon", 60);
+
+        const { timestamp: now } = await ethers.provider.getBlock("latest");
+        expect(await proposalsClosingBetween(daoVoting, { from: now, until: now + 7200, now })).to.deep.equal([0, 2]);
+        expect(await proposalsClosingBetween(daoVoting, { from: now + 7200, until: parseTimestamp("30d", now), now })).to.deep.equal([1]);
+
+        expect(parseTimestamp("2h", 1000)).to.equal(1000 + 7200);
+        expect(parseTimestamp("2030-01-01T00:00:00Z", 0)).to.equal(1893456000);
+        expect(() => parseTimestamp("whenever", 0)).to.throw("Invalid time");
+    });
+
+    it("Should tell delegating contracts apart", async function() {
+        expect(await fetchDelegationVerifier(daoVoting)).to.be.a("string");
+        expect(await fetchDelegationVerifier(connectDAOVoting(ethers.ZeroAddress, ethers.provider))).to.equal(null);
+    });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    DEPLOYMENT_VERSION,
+    deploymentFile,
+    loadDeployment,
+    saveDeployment,
+    findDeployment,
+    deployedContract,
+    isStillDeployed
+} = require("..");
+
+describe("Deployment Manifests", function () {
+    let dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function manifest(networkName, address) {
+        return {
+            network: networkName,
+            chainId: "31337",
+            circuit: { kind: "vote", depth: 20 },
+            contracts: { DAOVoting: { address } }
+        };
+    }
+
+    it("Should keep one manifest per network", function() {
+        expect(loadDeployment("localhost", { dir })).to.equal(null);
+
+        const file = saveDeployment(manifest("localhost", "0x5FbDB2315678afecb367f032aa093F642f0aa30f"), { dir });
+        expect(file).to.equal(path.join(dir, "localhost.json"));
+        expect(loadDeployment("localhost", { dir })).to.deep.equal({ version: DEPLOYMENT_VERSION, ...manifest("localhost", "0x5FbDB2315678afecb367f032aa093F642f0aa30f") });
+
+        saveDeployment(manifest("sepolia", "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"), { dir });
+        expect(findDeployment("0xe7f1725e7734ce288f8367e1bb143e90bb3f0512", { dir }).network).to.equal("sepolia");
+        expect(findDeployment("0x0000000000000000000000000000000000000001", { dir })).to.equal(null);
+    });
+
+    it("Should refuse network names that aren't file names and unknown versions", function() {
+        expect(() => deploymentFile("../etc/passwd")).to.throw('Invalid network name "../etc/passwd"');
+
+        fs.writeFileSync(path.join(dir, "mainnet.json"), JSON.stringify({ version: 9, network: "mainnet" }));
+        expect(() => loadDeployment("mainnet", { dir })).to.throw("version 9 deployment manifest");
+    });
+
+    it("Should tell when a recorded contract is gone or replaced", async function() {
+        const MockVerifier = await ethers.getContractFactory("MockVerifier");
+        const verifier = await MockVerifier.deploy();
+        await verifier.waitForDeployment();
+
+        const entry = await deployedContract(ethers.provider, await verifier.getAddress(), verifier.deploymentTransaction());
+        expect(entry.address).to.equal(await verifier.getAddress());
+        expect(entry.transactionHash).to.equal(verifier.deploymentTransaction().hash);
+        expect(entry.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+        expect(await isStillDeployed(ethers.provider, entry)).to.equal(true);
+
+        // a restarted dev node has nothing there, or something else
+        expect(await isStillDeployed(ethers.provider, { ...entry, address: ethers.Wallet.createRandom().address })).to.equal(false);
+        expect(await isStillDeployed(ethers.provider, { ...entry, codeHash: ethers.ZeroHash })).to.equal(false);
+        expect(await isStillDeployed(ethers.provider, undefined)).to.equal(false);
+    });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    connectDAOVoting,
+    submitVote,
+    createProposal,
+    buildHasher,
+    buildBabyJub,
+    generateCommitteeKey,
+    encryptBallot,
+    decryptShare,
+    combineDecryptions,
+    fetchCommitteeKey,
+    fetchEncryptedTally,
+    SNARK_SCALAR_FIELD
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Encrypted Ballots", function () {
+    let hash;
+    let curve;
+
+    before(async function() {
+        hash = await buildHasher();
+        curve = await buildBabyJub();
+    });
+
+    // adds up ballots point-wise like the contract does
+    function sumBallots(ballots, optionCount) {
+        const c1s = [];
+        const c2s = [];
+        for (let i = 0; i < optionCount; i++) {
+            c1s.push(ballots.reduce((sum, ballot) => curve.add(sum, ballot.c1[i]), curve.identity));
+            c2s.push(ballots.reduce((sum, ballot) => curve.add(sum, ballot.c2[i]), curve.identity));
+        }
+        return { c1s, c2s, ballots: ballots.length };
+    }
+
+    function committeeOf(key) {
+        return { threshold: key.threshold, sharePublicKeys: key.shares.map(share => share.publicKey) };
+    }
+
+    describe("Threshold decryption", function() {
+        it("Should decrypt the totals from any threshold of shares", function() {
+            const key = generateCommitteeKey(curve, { members: 5, threshold: 3 });
+            const ballots = [0, 1, 1, 2, 1].map(vote => encryptBallot(curve, key.publicKey, vote));
+            const encryptedTally = sumBallots(ballots, 3);
+
+            for (const subset of [[0, 1, 2], [4, 2, 1], [1, 3, 4, 0]]) {
+                const shares = subset.map(i => decryptShare(hash, curve, key.shares[i], encryptedTally.c1s));
+                expect(combineDecryptions(hash, curve, committeeOf(key), encryptedTally, shares)).to.deep.equal([1, 3, 1]);
+            }
+
+            const tooFew = [0, 1].map(i => decryptShare(hash, curve, key.shares[i], encryptedTally.c1s));
+            expect(() => combineDecryptions(hash, curve, committeeOf(key), encryptedTally, tooFew))
+                .to.throw("Need decryption shares from 3 committee members, have 2");
+        });
+
+        it("Should reject a tampered decryption share", function() {
+            const key = generateCommitteeKey(curve, { members: 3, threshold: 2 });
+            const encryptedTally = sumBallots([encryptBallot(curve, key.publicKey, 1)], 2);
+            const shares = key.shares.map(share => decryptShare(hash, curve, share, encryptedTally.c1s));
+
+            // claims a decryption that doesn't come from share 2's key
+            shares[1].decryptions[0] = curve.add(shares[1].decryptions[0], curve.base);
+            expect(() => combineDecryptions(hash, curve, committeeOf(key), encryptedTally, shares))
+                .to.throw("Decryption share 2 has an invalid proof for option 0");
+
+            // a share from another committee doesn't check out either
+            const other = generateCommitteeKey(curve, { members: 3, threshold: 2 });
+            const foreign = decryptShare(hash, curve, other.shares[0], encryptedTally.c1s);
+            expect(() => combineDecryptions(hash, curve, committeeOf(key), encryptedTally, [foreign, shares[2]]))
+                .to.throw("Decryption share 1 has an invalid proof");
+        });
+
+        it("Should reject a share with a small-order point added", function() {
+            const key = generateCommitteeKey(curve, { members: 3, threshold: 2 });
+            const encryptedTally = sumBallots([encryptBallot(curve, key.publicKey, 1)], 2);
+            const shares = key.shares.map(share => decryptShare(hash, curve, share, encryptedTally.c1s));
+
+            // (0, -1) has order 2: it's on the curve but outside B8's subgroup
+            const torsion = [0n, SNARK_SCALAR_FIELD - 1n];
+            expect(curve.inCurve(torsion)).to.equal(true);
+            expect(curve.inSubgroup(torsion)).to.equal(false);
+
+            // shift the decryption and b by it, and retry until the challenge is odd
+            const share = key.shares[1];
+            const c1 = encryptedTally.c1s[0];
+            const decryption = curve.add(shares[1].decryptions[0], torsion);
+            let proof;
+            for (let w = 1n; !proof; w++) {
+                const a = curve.mul(curve.base, w);
+                const b = curve.add(curve.mul(c1, w), torsion);
+                const e = hash([share.publicKey, c1, decryption, a, b].flat()) % curve.order;
+                if (e % 2n === 1n) {
+                    proof = { a, b, z: (w + e * share.secret) % curve.order };
+                    // the Chaum-Pedersen equations alone would take it
+                    expect(curve.equal(curve.mul(c1, proof.z), curve.add(b, curve.mul(decryption, e)))).to.equal(true);
+                }
+            }
+            shares[1].decryptions[0] = decryption;
+            shares[1].proofs[0] = proof;
+
+            expect(() => combineDecryptions(hash, curve, committeeOf(key), encryptedTally, shares))
+                .to.throw("Decryption share 2 has an invalid proof for option 0");
+        });
+
+        it("Should refuse committees it can't build", function() {
+            expect(() => generateCommitteeKey(curve, { members: 3, threshold: 4 })).to.throw("Threshold must be between 1 and 3");
+            expect(() => generateCommitteeKey(curve, { members: 0, threshold: 1 })).to.throw("between 1 and 255 members");
+        });
+    });
+
+    describe("EncryptedDAOVoting", function() {
+        const proof = { a: [0, 0], b: [[0, 0], [0, 0]], c: [0, 0] };
+        let key;
+        let daoVoting;
+
+        let deployVoting;
+
+        before(function() {
+            key = generateCommitteeKey(curve, { members: 3, threshold: 2 });
+            deployVoting = votingFixture("EncryptedDAOVoting", {
+                args: [key.publicKey],
+                setup: async deployment => {
+                    await createProposal(deployment.daoVoting, "Pick a venue", 3600, { options: ["berlin", "lisbon", "online"] });
+                }
+            });
+        });
+
+        beforeEach(async function() {
+            ({ daoVoting } = await loadFixture(deployVoting));
+        });
+
+        it("Should add up ciphertexts the same way as the JS curve", async function() {
+            expect(await fetchCommitteeKey(daoVoting)).to.deep.equal(key.publicKey);
+
+            const ballots = [2, 0, 2].map(vote => encryptBallot(curve, key.publicKey, vote));
+            for (const [i, ballot] of ballots.entries()) {
+                await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 11 + i, ciphertext: ballot, proof });
+            }
+
+            const encryptedTally = await fetchEncryptedTally(daoVoting, 0, 3);
+            expect(encryptedTally).to.deep.equal(sumBallots(ballots, 3));
+
+            const shares = [key.shares[0], key.shares[2]].map(share => decryptShare(hash, curve, share, encryptedTally.c1s));
+            expect(combineDecryptions(hash, curve, committeeOf(key), encryptedTally, shares)).to.deep.equal([1, 0, 2]);
+
+            // the plain counters never see the votes
+            expect(await daoVoting.getOptionVotes(0)).to.deep.equal([0n, 0n, 0n]);
+            await expect(
+                submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 11, ciphertext: ballots[0], proof })
+            ).to.be.revertedWithCustomError(daoVoting, "NullifierAlreadyUsed");
+        });
+
+        it("Should only take encrypted ballots the circuit was built for", async function() {
+            await expect(
+                submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 21, voteValue: 1, proof })
+            ).to.be.revertedWithCustomError(daoVoting, "EncryptedVoteRequired");
+            await expect(
+                createProposal(daoVoting, "Too many", 3600, { options: ["a", "b", "c", "d", "e"] })
+            ).to.be.revertedWithCustomError(daoVoting, "InvalidOptionCount");
+            expect(await fetchCommitteeKey(connectDAOVoting(ethers.ZeroAddress, ethers.provider))).to.equal(null);
+        });
+
+        it("Should refuse a committee key off the curve", async function() {
+            const EncryptedDAOVoting = await ethers.getContractFactory("EncryptedDAOVoting");
+            for (const committeeKey of [[1, 2], [0, 1]]) {
+                await expect(EncryptedDAOVoting.deploy(ethers.ZeroAddress, 1234, committeeKey))
+                    .to.be.revertedWithCustomError(EncryptedDAOVoting, "InvalidCommitteeKey");
+            }
+        });
+    });
+});
@@ -0,0 +1,6 @@
+pragma circom 2.1.0;
+
+// Generated by scripts/compile.js - edit circuits/delegated_vote.circom instead
+include "../../../../circuits/delegated_vote.circom";
+
+component main {public [root, nullifierHash, proposalId, voteValue, optionCount, delegateCommitment]} = DelegatedVote(4);
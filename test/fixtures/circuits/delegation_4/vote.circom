@@ -0,0 +1,6 @@
+pragma circom 2.1.0;
+
+// Generated by scripts/compile.js - edit circuits/delegation.circom instead
+include "../../../../circuits/delegation.circom";
+
+component main {public [root, nullifierHash, proposalId, delegateCommitment, revocationHash]} = Delegation(4);
@@ -0,0 +1,6 @@
+pragma circom 2.1.0;
+
+// Generated by scripts/compile.js - edit circuits/encrypted_vote.circom instead
+include "../../../../circuits/encrypted_vote.circom";
+
+component main {public [root, nullifierHash, proposalId, optionCount, publicKey, c1, c2]} = EncryptedVote(4, 4);
@@ -0,0 +1,6 @@
+pragma circom 2.1.0;
+
+// Generated by scripts/compile.js - edit circuits/quadratic_vote.circom instead
+include "../../../../circuits/quadratic_vote.circom";
+
+component main {public [root, nullifierHash, proposalId, optionCount, allocation]} = QuadraticVote(4, 8);
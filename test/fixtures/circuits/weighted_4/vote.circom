@@ -0,0 +1,6 @@
+pragma circom 2.1.0;
+
+// Generated by scripts/compile.js - edit circuits/weighted_vote.circom instead
+include "../../../../circuits/weighted_vote.circom";
+
+component main {public [root, nullifierHash, proposalId, voteValue, optionCount, weight]} = WeightedVote(4);
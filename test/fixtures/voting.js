@@ -0,0 +1,43 @@
+const { ethers } = require("hardhat");
+const { connectDAOVoting } = require("../..");
+
+/**
+ * A fixture for loadFixture that deploys `contract` (DAOVoting or one of
+ * its variants) behind MockVerifiers and connects it the way the CLI does,
+ * from the first signer. `args` go after the verifier and root, the
+ * delegating contract's other `verifiers` after those. `setup` gets the
+ * deployment and can add to it - create proposals, deploy more contracts -
+ * by returning more fields.
+ *
+ * Create it once per spec: loadFixture keys its snapshot on the function.
+ */
+function votingFixture(contract = "DAOVoting", { root = 1234, args = [], verifiers = 1, setup = async () => {} } = {}) {
+    return async function deployVoting() {
+        const signers = await ethers.getSigners();
+
+        const MockVerifier = await ethers.getContractFactory("MockVerifier");
+        const mocks = [];
+        for (let i = 0; i < verifiers; i++) {
+            const verifier = await MockVerifier.deploy();
+            await verifier.waitForDeployment();
+            mocks.push(verifier);
+        }
+        const [verifier, ...others] = await Promise.all(mocks.map(mock => mock.getAddress()));
+
+        const Voting = await ethers.getContractFactory(contract);
+        const deployed = await Voting.deploy(verifier, root, ...args, ...others);
+        await deployed.waitForDeployment();
+        const address = await deployed.getAddress();
+
+        const deployment = {
+            signers,
+            address,
+            daoVoting: connectDAOVoting(address, signers[0]),
+            verifier: mocks[0],
+            verifiers: mocks
+        };
+        return { ...deployment, ...(await setup(deployment)) };
+    };
+}
+
+module.exports = { votingFixture };
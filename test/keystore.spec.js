@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const {
+    DEFAULT_KDF_PARAMS,
+    encryptIdentity,
+    decryptIdentity,
+    changePassphrase
+} = require("..");
+
+describe("Identity Keystore", function () {
+    // cheap scrypt params so the suite stays fast
+    const FAST_KDF = { N: 2 ** 10, r: 8, p: 1 };
+
+    const identity = {
+        name: "Alice",
+        commitment: 123n,
+        nullifier: 456n,
+        secret: 789n
+    };
+
+    async function expectRejected(promise, message) {
+        try {
+            await promise;
+            expect.fail("should throw");
+        } catch (error) {
+            expect(error.message).to.include(message);
+        }
+    }
+
+    it("Should round-trip the nullifier and secret", async function() {
+        const keystore = await encryptIdentity(identity, "correct horse", FAST_KDF);
+        const unlocked = await decryptIdentity(keystore, "correct horse");
+
+        expect(unlocked).to.deep.equal({ nullifier: 456n, secret: 789n });
+    });
+
+    it("Should not store secrets in the clear", async function() {
+        const keystore = await encryptIdentity(identity, "correct horse", FAST_KDF);
+        const serialized = JSON.stringify(keystore);
+
+        expect(keystore.commitment).to.equal("123");
+        expect(serialized).to.not.include("456");
+        expect(serialized).to.not.include("789");
+    });
+
+    it("Should default to a memory-hard scrypt cost", function() {
+        expect(128 * DEFAULT_KDF_PARAMS.N * DEFAULT_KDF_PARAMS.r).to.be.at.least(128 * 1024 * 1024);
+    });
+
+    it("Should reject a wrong passphrase", async function() {
+        const keystore = await encryptIdentity(identity, "correct horse", FAST_KDF);
+        await expectRejected(decryptIdentity(keystore, "battery staple"), "Wrong passphrase");
+    });
+
+    it("Should detect a swapped commitment", async function() {
+        const keystore = await encryptIdentity(identity, "correct horse", FAST_KDF);
+        keystore.commitment = "999";
+
+        await expectRejected(decryptIdentity(keystore, "correct horse"), "Wrong passphrase or corrupted");
+    });
+
+    it("Should re-encrypt under a new passphrase", async function() {
+        const keystore = await encryptIdentity(identity, "old", FAST_KDF);
+        const updated = await changePassphrase(keystore, "old", "new", FAST_KDF);
+
+        expect(updated.crypto.kdfParams.salt).to.not.equal(keystore.crypto.kdfParams.salt);
+        expect(await decryptIdentity(updated, "new")).to.deep.equal({ nullifier: 456n, secret: 789n });
+        await expectRejected(decryptIdentity(updated, "old"), "Wrong passphrase");
+    });
+
+    it("Should keep a credit budget encrypted with the secrets", async function() {
+        const keystore = await encryptIdentity({ ...identity, credits: 4242n }, "old", FAST_KDF);
+        expect(JSON.stringify(keystore)).to.not.include("4242");
+
+        const updated = await changePassphrase(keystore, "old", "new", FAST_KDF);
+        expect(await decryptIdentity(updated, "new")).to.deep.equal({ nullifier: 456n, secret: 789n, credits: 4242n });
+    });
+
+    it("Should refuse empty passphrases", async function() {
+        await expectRejected(encryptIdentity(identity, "", FAST_KDF), "must not be empty");
+    });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    MANIFEST_VERSION,
+    resolveCircuitSources,
+    hashCircuitSources,
+    artifactEntry,
+    checkArtifacts
+} = require("..");
+
+describe("Build Manifest", function () {
+    let root;
+
+    function write(file, content) {
+        const full = path.join(root, file);
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, content);
+        return full;
+    }
+
+    beforeEach(function() {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+        write("lib/square.circom", "template Square() { signal input x; signal output y; y <== x * x; }\n");
+        write("circuits/main.circom", [
+            "pragma circom 2.1.0;",
+            "include \"../lib/square.circom\";",
+            "// include \"commented.circom\";",
+            "component main = Square();",
+            ""
+        ].join("\n"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    function buildManifest() {
+        const circuitFile = path.join(root, "circuits/main.circom");
+        const { hash, sources } = hashCircuitSources(circuitFile, { root });
+        return {
+            version: MANIFEST_VERSION,
+            circuit: { name: "main", main: "circuits/main.circom", hash, sources },
+            artifacts: {
+                wasm: artifactEntry(root, write("build/main.wasm", "wasm bytes")),
+                zkey: artifactEntry(root, write("build/main.zkey", "zkey bytes")),
+                vkey: artifactEntry(root, write("build/verification_key.json", "{}"))
+            }
+        };
+    }
+
+    it("Should follow includes in the real circuit", function() {
+        const sources = resolveCircuitSources(path.join(__dirname, "../circuits/vote.circom"))
+            .map(file => path.relative(path.join(__dirname, ".."), file));
+
+        expect(sources[0]).to.equal(path.join("circuits", "vote.circom"));
+        expect(sources).to.include(path.join("node_modules", "circomlib", "circuits", "poseidon.circom"));
+        // pulled in by poseidon.circom, not by vote.circom itself
+        expect(sources).to.include(path.join("node_modules", "circomlib", "circuits", "poseidon_constants.circom"));
+    });
+
+    it("Should hash sources relative to the root", function() {
+        const { hash, sources } = hashCircuitSources(path.join(root, "circuits/main.circom"), { root });
+
+        expect(sources.map(s => s.file)).to.deep.equal(["circuits/main.circom", "lib/square.circom"]);
+        expect(hash).to.match(/^[0-9a-f]{64}$/);
+    });
+
+    it("Should change the hash when an include changes", function() {
+        const circuitFile = path.join(root, "circuits/main.circom");
+        const before = hashCircuitSources(circuitFile, { root }).hash;
+
+        expect(hashCircuitSources(circuitFile, { root }).hash).to.equal(before);
+        write("lib/square.circom", "template Square() { signal input x; signal output y; y <== x * x * 1; }\n");
+        expect(hashCircuitSources(circuitFile, { root }).hash).to.not.equal(before);
+    });
+
+    it("Should fail on a missing include", function() {
+        fs.rmSync(path.join(root, "lib/square.circom"));
+        expect(() => hashCircuitSources(path.join(root, "circuits/main.circom"), { root }))
+            .to.throw("Circuit source not found");
+    });
+
+    it("Should accept artifacts that match", function() {
+        const manifest = buildManifest();
+        const circuitFile = path.join(root, "circuits/main.circom");
+
+        expect(checkArtifacts(manifest, { root, circuitFile })).to.deep.equal([]);
+        expect(checkArtifacts(manifest, { root, artifacts: ["vkey"] })).to.deep.equal([]);
+    });
+
+    it("Should refuse a zkey from another build", function() {
+        const manifest = buildManifest();
+        write("build/main.zkey", "someone else's zkey");
+
+        expect(checkArtifacts(manifest, { root })).to.deep.equal(["build/main.zkey does not match the build manifest"]);
+    });
+
+    it("Should refuse missing artifacts and a missing manifest", function() {
+        const manifest = buildManifest();
+        fs.rmSync(path.join(root, "build/main.wasm"));
+        delete manifest.artifacts.zkey;
+
+        expect(checkArtifacts(manifest, { root })).to.deep.equal([
+            "build/main.wasm is missing",
+            "The last build produced no zkey (unfinished ceremony?)"
+        ]);
+        expect(checkArtifacts(null, { root })[0]).to.include("No manifest.json");
+    });
+
+    it("Should notice sources edited since the build", function() {
+        const manifest = buildManifest();
+        write("circuits/main.circom", "pragma circom 2.1.0;\ninclude \"../lib/square.circom\";\ncomponent main = Square();\n");
+
+        const problems = checkArtifacts(manifest, { root, circuitFile: path.join(root, "circuits/main.circom") });
+        expect(problems).to.deep.equal(["circuits/main.circom changed since the last build"]);
+    });
+});
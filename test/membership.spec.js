@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    MERKLE_TREE_LEVELS,
+    SNARK_SCALAR_FIELD,
+    MerkleTree,
+    buildHasher,
+    computeCommitment,
+    deployPoseidonHasher,
+    connectMemberRegistry,
+    registerMember,
+    fetchMemberEvents,
+    syncMemberTree,
+    submitVote
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("On-chain Member Registry", function () {
+    let owner;
+    let alice;
+    let hash;
+    let hasher;
+    let daoVoting;
+    let registry;
+    let deployVoting;
+
+    const proof = {
+        a: ["1", "2"],
+        b: [["3", "4"], ["5", "6"]],
+        c: ["7", "8"]
+    };
+
+    before(async function() {
+        [owner, alice] = await ethers.getSigners();
+        hash = await buildHasher();
+        hasher = await deployPoseidonHasher(owner);
+
+        const emptyRoot = new MerkleTree(MERKLE_TREE_LEVELS, [], { hash }).getRoot();
+        deployVoting = votingFixture("DAOVoting", {
+            root: emptyRoot,
+            setup: async ({ address, daoVoting: dao }) => {
+                const MemberRegistry = await ethers.getContractFactory("MemberRegistry");
+                const deployed = await MemberRegistry.deploy(await hasher.getAddress(), address, MERKLE_TREE_LEVELS);
+                await deployed.waitForDeployment();
+
+                // the registry pushes every new root, so it has to be the admin
+                await (await dao.setAdmin(await deployed.getAddress())).wait();
+                return { registry: connectMemberRegistry(await deployed.getAddress(), owner) };
+            }
+        });
+    });
+
+    beforeEach(async function() {
+        ({ daoVoting, registry } = await loadFixture(deployVoting));
+    });
+
+    it("Should hash like circomlibjs Poseidon", async function() {
+        expect(await registry.hashLeftRight(1, 2)).to.equal(hash([1n, 2n]));
+    });
+
+    it("Should start from the same empty root as the JS tree", async function() {
+        const emptyRoot = new MerkleTree(MERKLE_TREE_LEVELS, [], { hash }).getRoot();
+        expect(await registry.root()).to.equal(emptyRoot);
+    });
+
+    it("Should track the JS tree root leaf by leaf", async function() {
+        const tree = new MerkleTree(MERKLE_TREE_LEVELS, [], { hash });
+
+        for (let i = 1n; i <= 5n; i++) {
+            const commitment = computeCommitment(hash, i, i + 100n);
+            const result = await registerMember(registry, commitment);
+            tree.insert(commitment);
+
+            expect(result.index).to.equal(Number(i - 1n));
+            expect(await registry.root()).to.equal(tree.getRoot());
+            expect(await daoVoting.merkleRoot()).to.equal(tree.getRoot());
+        }
+    });
+
+    it("Should emit MemberRegistered and refuse duplicates", async function() {
+        await registerMember(registry, 111n);
+        await registerMember(registry, 222n);
+
+        const events = await fetchMemberEvents(registry);
+        expect(events.map(e => [e.index, e.commitment])).to.deep.equal([[0, "111"], [1, "222"]]);
+
+        await expect(registerMember(registry, 111n)).to.be.revertedWithCustomError(registry, "AlreadyRegistered");
+    });
+
+    it("Should only let the owner register until registration opens", async function() {
+        const asAlice = registry.connect(alice);
+
+        await expect(registerMember(asAlice, 333n)).to.be.revertedWithCustomError(registry, "RegistrationClosed");
+
+        await (await registry.setOpenRegistration(true)).wait();
+        const result = await registerMember(asAlice, 333n);
+        expect(result.index).to.equal(0);
+    });
+
+    it("Should reject zero and out-of-field commitments", async function() {
+        for (const commitment of [0n, SNARK_SCALAR_FIELD]) {
+            await expect(registerMember(registry, commitment)).to.be.revertedWithCustomError(registry, "InvalidCommitment");
+        }
+    });
+
+    it("Should surface DAOVoting errors when it is not the admin", async function() {
+        const MemberRegistry = await ethers.getContractFactory("MemberRegistry");
+        const orphan = await MemberRegistry.deploy(
+            await hasher.getAddress(),
+            await daoVoting.getAddress(),
+            MERKLE_TREE_LEVELS
+        );
+        await orphan.waitForDeployment();
+
+        await expect(registerMember(connectMemberRegistry(await orphan.getAddress(), owner), 444n)).to.be.revertedWithCustomError(daoVoting, "NotAdmin");
+    });
+
+    describe("Tree syncer", function() {
+        it("Should rebuild the current path from events", async function() {
+            const commitments = [];
+            for (let i = 1n; i <= 3n; i++) {
+                commitments.push(computeCommitment(hash, i, i + 100n));
+                await registerMember(registry, commitments[commitments.length - 1]);
+            }
+
+            const { members, tree } = await syncMemberTree(registry);
+            expect(members).to.deep.equal(commitments.map((c, index) => ({ index, commitment: c.toString() })));
+            expect(tree.getRoot()).to.equal(await daoVoting.merkleRoot());
+
+            // a vote proved against the synced root is accepted
+            await (await daoVoting.createProposal("Synced", 3600)).wait();
+            await submitVote(daoVoting, {
+                proposalId: 0,
+                root: tree.getRoot(),
+                nullifierHash: 1,
+                voteValue: 1,
+                proof
+            });
+        });
+
+        it("Should notice events it missed", async function() {
+            await registerMember(registry, 111n);
+            const { blockNumber } = await registerMember(registry, 222n);
+
+            try {
+                await syncMemberTree(registry, { fromBlock: blockNumber });
+                expect.fail("sync should fail");
+            } catch (error) {
+                expect(error.message).to.include("Missing MemberRegistered event for leaf 0");
+            }
+        });
+
+        it("Should take the registry's depth", async function() {
+            const MockVerifier = await ethers.getContractFactory("MockVerifier");
+            const verifier = await MockVerifier.deploy();
+            const DAOVoting = await ethers.getContractFactory("DAOVoting");
+            const dao = await DAOVoting.deploy(
+                await verifier.getAddress(),
+                new MerkleTree(10, [], { hash }).getRoot()
+            );
+
+            const MemberRegistry = await ethers.getContractFactory("MemberRegistry");
+            const shallow = await MemberRegistry.deploy(await hasher.getAddress(), await dao.getAddress(), 10);
+            await shallow.waitForDeployment();
+            await (await dao.setAdmin(await shallow.getAddress())).wait();
+
+            const contract = connectMemberRegistry(await shallow.getAddress(), owner);
+            await registerMember(contract, 111n);
+
+            const { tree } = await syncMemberTree(contract);
+            expect(tree.levels).to.equal(10);
+            expect(tree.getRoot()).to.equal(await contract.root());
+        });
+
+        it("Should refuse a tree of the wrong depth", async function() {
+            try {
+                await syncMemberTree(registry, { levels: 10 });
+                expect.fail("sync should fail");
+            } catch (error) {
+                expect(error.message).to.include("the circuit expects 10");
+            }
+        });
+    });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const snarkjs = require("snarkjs");
+const path = require("path");
+const {
+    MERKLE_TREE_LEVELS,
+    MerkleTree,
+    zeroValues,
+    verifyMerkleProof,
+    buildMembershipTree,
+    buildHasher,
+    randomFieldElement,
+    computeCommitment,
+    computeNullifierHash
+} = require("..");
+
+describe("Merkle Library", function () {
+    let hash;
+
+    before(async function() {
+        this.timeout(10000);
+        hash = await buildHasher();
+    });
+
+    async function makeMember() {
+        const nullifier = await randomFieldElement();
+        const secret = await randomFieldElement();
+        return { nullifier, secret, commitment: computeCommitment(hash, nullifier, secret) };
+    }
+
+    describe("Zero values", function() {
+        it("Should chain zero hashes level by level", function() {
+            const zeros = zeroValues(hash, 3);
+
+            expect(zeros).to.have.length(4);
+            expect(zeros[0]).to.equal(0n);
+            for (let i = 1; i < zeros.length; i++) {
+                expect(zeros[i]).to.equal(hash([zeros[i - 1], zeros[i - 1]]));
+            }
+        });
+
+        it("Should use the top zero value as the empty root", function() {
+            const tree = new MerkleTree(4, [], { hash });
+            expect(tree.getRoot()).to.equal(zeroValues(hash, 4)[4]);
+        });
+    });
+
+    describe("Tree construction", function() {
+        it("Should produce exactly `levels` path elements", async function() {
+            const member = await makeMember();
+            const tree = new MerkleTree(MERKLE_TREE_LEVELS, [member.commitment], { hash });
+            const proof = tree.getProof(0);
+
+            expect(proof.pathElements).to.have.length(MERKLE_TREE_LEVELS);
+            expect(proof.pathIndices).to.have.length(MERKLE_TREE_LEVELS);
+        });
+
+        it("Should match a hand-computed depth 2 root", function() {
+            const leaves = [1n, 2n, 3n];
+            const tree = new MerkleTree(2, leaves, { hash });
+            const expected = hash([hash([1n, 2n]), hash([3n, 0n])]);
+
+            expect(tree.getRoot()).to.equal(expected);
+        });
+
+        it("Should give the same root for incremental and bulk inserts", function() {
+            const leaves = [5n, 6n, 7n, 8n, 9n];
+            const bulk = new MerkleTree(8, leaves, { hash });
+            const incremental = new MerkleTree(8, [], { hash });
+            leaves.forEach(leaf => incremental.insert(leaf));
+
+            expect(incremental.getRoot()).to.equal(bulk.getRoot());
+        });
+
+        it("Should update a leaf in place", function() {
+            const tree = new MerkleTree(3, [1n, 2n, 3n], { hash });
+            tree.update(1, 4n);
+
+            expect(tree.getRoot()).to.equal(new MerkleTree(3, [1n, 4n, 3n], { hash }).getRoot());
+        });
+
+        it("Should reject inserts beyond capacity", function() {
+            const tree = new MerkleTree(1, [1n, 2n], { hash });
+            expect(() => tree.insert(3n)).to.throw("Tree is full");
+        });
+
+        it("Should reject proofs for missing leaves", function() {
+            const tree = new MerkleTree(3, [1n], { hash });
+            expect(() => tree.getProof(1)).to.throw("out of range");
+        });
+    });
+
+    describe("Proof verification", function() {
+        it("Should verify proofs for every leaf", function() {
+            const leaves = [11n, 12n, 13n, 14n, 15n];
+            const tree = new MerkleTree(5, leaves, { hash });
+
+            leaves.forEach((leaf, i) => {
+                const proof = tree.getProof(i);
+                expect(proof.leaf).to.equal(leaf);
+                expect(verifyMerkleProof(hash, tree.getRoot(), leaf, proof.pathElements, proof.pathIndices)).to.be.true;
+            });
+        });
+
+        it("Should reject a proof against the wrong leaf", function() {
+            const tree = new MerkleTree(5, [11n, 12n], { hash });
+            const proof = tree.getProof(0);
+
+            expect(verifyMerkleProof(hash, tree.getRoot(), 12n, proof.pathElements, proof.pathIndices)).to.be.false;
+        });
+
+        it("Should reject non-binary path indices", function() {
+            const tree = new MerkleTree(2, [11n, 12n], { hash });
+            const proof = tree.getProof(0);
+            const indices = [2, ...proof.pathIndices.slice(1)];
+
+            expect(verifyMerkleProof(hash, tree.getRoot(), 11n, proof.pathElements, indices)).to.be.false;
+        });
+    });
+
+    describe("Circuit compatibility", function() {
+        it("Should satisfy Vote(20) with a library-built witness", async function() {
+            this.timeout(60000);
+
+            const members = [];
+            for (let i = 0; i < 3; i++) {
+                members.push(await makeMember());
+            }
+            const tree = await buildMembershipTree(members.map(m => m.commitment));
+            const proof = tree.getProof(2);
+
+            const input = {
+                root: tree.getRoot().toString(),
+                nullifierHash: computeNullifierHash(hash, members[2].nullifier, 1n).toString(),
+                proposalId: "1",
+                voteValue: "1",
+                optionCount: "3",
+                nullifier: members[2].nullifier.toString(),
+                secret: members[2].secret.toString(),
+                pathElements: proof.pathElements.map(e => e.toString()),
+                pathIndices: proof.pathIndices.map(i => i.toString())
+            };
+
+            const wasmPath = path.join(__dirname, "../build/vote_20/vote_js/vote.wasm");
+            const wtns = { type: "mem" };
+
+            // throws "Assert Failed" if any constraint is violated
+            await snarkjs.wtns.calculate(input, wasmPath, wtns);
+            expect(wtns.data).to.not.be.undefined;
+        });
+    });
+});
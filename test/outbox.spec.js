@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    submitVote,
+    scheduleSubmission,
+    isTransientError,
+    createOutboxEntry,
+    processOutbox,
+    applyOutboxResults,
+    MAX_ATTEMPTS
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Vote Outbox", function () {
+    const proof = { a: ["1", "2"], b: [["3", "4"], ["5", "6"]], c: ["7", "8"] };
+    const root = 1234;
+    let daoVoting;
+    let address;
+    let deadline;
+
+    const deployVoting = votingFixture("DAOVoting", {
+        root,
+        setup: async deployment => {
+            await (await deployment.daoVoting.createProposal("Queued", 86400)).wait();
+        }
+    });
+
+    beforeEach(async function() {
+        ({ daoVoting, address } = await loadFixture(deployVoting));
+        deadline = Number((await daoVoting.proposals(0)).deadline);
+    });
+
+    function queued(nullifierHash, submitAt, fields = {}) {
+        return createOutboxEntry({
+            contract: address,
+            deadline,
+            submitAt,
+            vote: { proposalId: 0, root: String(root), nullifierHash, voteValue: 1, proof },
+            now: 0,
+            ...fields
+        });
+    }
+
+    const connect = async () => daoVoting;
+
+    // a node that's gone away
+    function unreachable() {
+        const error = new Error("connect ECONNREFUSED 127.0.0.1:8545");
+        error.code = "ECONNREFUSED";
+        return { usedNullifiers: async () => { throw error; } };
+    }
+
+    it("Should schedule votes at random before the deadline", function() {
+        const times = Array.from({ length: 50 }, () => scheduleSubmission({ now: 1000, deadline: 1000 + 86400 }));
+        times.forEach(t => {
+            expect(t).to.be.at.least(1000);
+            expect(t).to.be.at.most(1000 + 86400 - 600);
+        });
+        expect(new Set(times).size).to.be.greaterThan(40);
+
+        // local and chain clocks can disagree - the window is measured on chain
+        const t = scheduleSubmission({ now: 5000, chainNow: 1000, deadline: 1000 + 700, margin: 600, minDelay: 50 });
+        expect(t).to.be.within(5050, 5100);
+
+        // too close to the deadline to wait at all
+        expect(scheduleSubmission({ now: 1000, deadline: 1300 })).to.equal(1000);
+    });
+
+    it("Should send only the votes that are due", async function() {
+        const now = await time.latest();
+        const entries = [queued("1", now - 10), queued("2", now + 3600)];
+
+        const results = await processOutbox(entries, { connect, now });
+        expect(results.map(result => result.outcome)).to.deep.equal(["submitted"]);
+        expect(results[0].submission.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect((await daoVoting.getProposalVotes(0)).yes).to.equal(1n);
+
+        expect(applyOutboxResults(entries, results)).to.deep.equal([entries[1]]);
+
+        // flush sends the rest right away
+        const flushed = await processOutbox([entries[1]], { connect, now, force: true });
+        expect(flushed[0].outcome).to.equal("submitted");
+        expect((await daoVoting.getProposalVotes(0)).yes).to.equal(2n);
+    });
+
+    it("Should drop votes that can no longer land", async function() {
+        await submitVote(daoVoting, { proposalId: 0, root, nullifierHash: "1", voteValue: 0, proof });
+        const now = await time.latest();
+
+        const results = await processOutbox([queued("1", now), queued("2", now)], { connect, now });
+        expect(results[0].outcome).to.equal("dropped");
+        expect(results[0].reason).to.include("nullifier is already used");
+
+        // nothing went out for the used nullifier
+        expect((await daoVoting.getProposalVotes(0)).no).to.equal(1n);
+        expect(results[1].outcome).to.equal("submitted");
+
+        await time.increaseTo(deadline + 1);
+        const late = await processOutbox([queued("3", now)], { connect, now: deadline + 1 });
+        expect(late[0].outcome).to.equal("dropped");
+        expect(late[0].reason).to.equal("voting has ended");
+    });
+
+    it("Should retry transient failures with backoff until attempts run out", async function() {
+        const now = await time.latest();
+        const entry = queued("1", now);
+
+        const [retry] = await processOutbox([entry], { connect: async () => unreachable(), now });
+        expect(retry.outcome).to.equal("retry");
+        expect(retry.entry.attempts).to.equal(1);
+        expect(retry.entry.submitAt).to.be.within(now + 30, now + 60);
+        expect(retry.entry.lastError).to.include("ECONNREFUSED");
+        expect(applyOutboxResults([entry], [retry])).to.deep.equal([retry.entry]);
+
+        // not due yet, so the worker leaves it alone
+        expect(await processOutbox([retry.entry], { connect, now })).to.deep.equal([]);
+
+        const exhausted = { ...retry.entry, attempts: MAX_ATTEMPTS - 1 };
+        const [failed] = await processOutbox([exhausted], { connect: async () => unreachable(), now: retry.entry.submitAt });
+        expect(failed.outcome).to.equal("failed");
+        expect(failed.entry.failed).to.equal(true);
+
+        // failed entries wait for a flush, which can still send them
+        expect(await processOutbox([failed.entry], { connect, now: failed.entry.submitAt })).to.deep.equal([]);
+        const [flushed] = await processOutbox([failed.entry], { connect, now, force: true });
+        expect(flushed.outcome).to.equal("submitted");
+    });
+
+    it("Should keep retries before the deadline in chain time", async function() {
+        const chainNow = await time.latest();
+        // the local clock a day ahead of the chain - the deadline is still an hour off
+        const now = chainNow + 86400;
+        const [retry] = await processOutbox([queued("1", now)], { connect: async () => unreachable(), now, chainNow });
+        expect(retry.entry.submitAt).to.be.within(now + 30, now + 60);
+
+        const closing = { ...queued("2", now), deadline: chainNow + 80 };
+        const [late] = await processOutbox([closing], { connect: async () => unreachable(), now, chainNow });
+        expect(late.entry.submitAt).to.equal(now + 20);
+    });
+
+    it("Should only ask for a writable contract when sending directly", async function() {
+        const now = await time.latest();
+        const connected = [];
+        const connectRecording = async (contractAddress, options) => {
+            connected.push(options);
+            return daoVoting;
+        };
+        const relayed = queued("1", now, { relayer: "http://127.0.0.1:1" });
+
+        const [result] = await processOutbox([relayed, queued("2", now)], { connect: connectRecording, now });
+        expect(result.outcome).to.equal("retry");
+        expect(connected).to.deep.equal([{ write: false }, { write: true }]);
+    });
+
+    it("Should time out a stuck submission", async function() {
+        const now = await time.latest();
+        const stuck = { usedNullifiers: () => new Promise(() => {}) };
+        const [result] = await processOutbox([queued("1", now)], { connect: async () => stuck, now, timeoutMs: 50 });
+        expect(result.outcome).to.equal("retry");
+        expect(result.entry.lastError).to.include("No answer");
+    });
+
+    it("Should fail votes the contract refuses for other reasons", async function() {
+        const now = await time.latest();
+        const [result] = await processOutbox([queued("1", now, { vote: { proposalId: 0, root: "999", nullifierHash: "1", voteValue: 1, proof } })], { connect, now });
+        expect(result.outcome).to.equal("failed");
+        expect(result.entry.lastError).to.include("UnknownRoot");
+    });
+
+    it("Should keep outbox changes made while votes went out", function() {
+        const [a, b, c] = [queued("1", 0), queued("2", 0), queued("3", 0)];
+        const results = [{ entry: a, outcome: "submitted" }, { entry: { ...b, attempts: 1 }, outcome: "retry" }];
+        // b was cancelled and c queued in the meantime
+        expect(applyOutboxResults([a, c], results)).to.deep.equal([c]);
+
+        expect(isTransientError(Object.assign(new Error("busy"), { status: 429, errorName: "RateLimited" }))).to.equal(true);
+        expect(isTransientError(Object.assign(new Error("gone"), { errorName: "UnknownRoot" }))).to.equal(false);
+        expect(isTransientError(Object.assign(new Error("wrapped"), { cause: { code: "TIMEOUT" } }))).to.equal(true);
+    });
+});
@@ -0,0 +1,68 @@
+const { expect } = require("chai");
+const {
+    toSolidityProof,
+    toSnarkjsProof,
+    voteKind,
+    votePublicSignals,
+    voteSubmission
+} = require("..");
+
+describe("Proof Formats", function () {
+    const snarkProof = {
+        pi_a: ["1", "2", "1"],
+        pi_b: [["3", "4"], ["5", "6"], ["1", "0"]],
+        pi_c: ["7", "8", "1"],
+        protocol: "groth16",
+        curve: "bn128"
+    };
+
+    it("Should convert between snarkjs and Solidity proofs", function() {
+        const solidity = toSolidityProof(snarkProof);
+        expect(solidity).to.deep.equal({ a: ["1", "2"], b: [["4", "3"], ["6", "5"]], c: ["7", "8"] });
+        expect(toSnarkjsProof(solidity)).to.deep.equal(snarkProof);
+    });
+
+    it("Should lay out public signals like each circuit kind", function() {
+        const base = { root: 11n, nullifierHash: 22n, proposalId: 3, optionCount: 3 };
+        const point = ["5", "6"];
+        const votes = {
+            vote: { ...base, voteValue: 1 },
+            weighted: { ...base, voteValue: 1, weight: "40" },
+            quadratic: { ...base, allocation: ["2", "1"] },
+            encrypted: { ...base, committeeKey: [9n, 10n], ciphertext: { c1: [point, point, point, point], c2: [point, point, point] } },
+            delegated: { ...base, voteValue: 0, delegateCommitment: "77" }
+        };
+
+        for (const [kind, vote] of Object.entries(votes)) {
+            expect(voteKind(vote)).to.equal(kind);
+            const signals = votePublicSignals(vote);
+            expect(signals.slice(0, 3)).to.deep.equal(["11", "22", "3"]);
+            signals.forEach(signal => expect(signal).to.be.a("string"));
+            // array signals count as their length
+            const expected = { vote: 5, weighted: 6, quadratic: 12, encrypted: 22, delegated: 6 }[kind];
+            expect(signals.length, kind).to.equal(expected);
+        }
+
+        expect(votePublicSignals(votes.weighted)).to.deep.equal(["11", "22", "3", "1", "3", "40"]);
+        expect(votePublicSignals(votes.quadratic).slice(3)).to.deep.equal(["3", "2", "1", "0", "0", "0", "0", "0", "0"]);
+        // short ciphertext lists are padded with the identity, like the contract does
+        expect(votePublicSignals(votes.encrypted).slice(-2)).to.deep.equal(["0", "1"]);
+    });
+
+    it("Should read the submitVote fields from a vote record", function() {
+        const proof = toSolidityProof(snarkProof);
+        expect(voteSubmission({ proposalId: 2, root: "11", nullifierHash: "22", vote: "abstain", proof, memberName: "alice" }))
+            .to.deep.equal({ proposalId: 2, root: "11", nullifierHash: "22", voteValue: 2, proof });
+        expect(voteSubmission({ proposalId: 2, root: "11", nullifierHash: "22", vote: "bob", options: ["alice", "bob"], weight: "5", proof }).voteValue)
+            .to.equal(1);
+
+        const encrypted = voteSubmission({
+            proposalId: 2, root: "11", nullifierHash: "22", vote: "yes", proof,
+            encrypted: { committeeKey: ["9", "10"], c1: [["1", "2"]], c2: [["3", "4"]] }
+        });
+        expect(encrypted.ciphertext).to.deep.equal({ c1: [["1", "2"]], c2: [["3", "4"]] });
+        expect(voteKind(encrypted)).to.equal("encrypted");
+        // the plain vote never leaves votes.json
+        expect(encrypted).to.not.have.property("voteValue");
+    });
+});
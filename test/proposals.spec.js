@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    parseDuration,
+    formatDuration,
+    fetchProposal,
+    fetchProposalHistory,
+    createProposal,
+    executeProposal,
+    submitVote,
+    checkBallotOptions
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Proposal Lifecycle", function () {
+    let daoVoting;
+
+    const deployVoting = votingFixture("DAOVoting");
+
+    beforeEach(async function() {
+        ({ daoVoting } = await loadFixture(deployVoting));
+    });
+
+    describe("Durations", function() {
+        it("Should parse unit suffixes", function() {
+            expect(parseDuration("3600")).to.equal(3600);
+            expect(parseDuration("90m")).to.equal(5400);
+            expect(parseDuration("12h")).to.equal(43200);
+            expect(parseDuration("7d")).to.equal(604800);
+        });
+
+        it("Should reject malformed durations", function() {
+            expect(() => parseDuration("soon")).to.throw("Invalid duration");
+        });
+
+        it("Should format remaining time", function() {
+            expect(formatDuration(90061)).to.equal("1d 1h");
+            expect(formatDuration(59)).to.equal("59s");
+            expect(formatDuration(0)).to.equal("ended");
+        });
+    });
+
+    describe("Create and inspect", function() {
+        it("Should return the new proposal id from the event", async function() {
+            await createProposal(daoVoting, "First", 3600);
+            const created = await createProposal(daoVoting, "Second", 3600);
+
+            expect(created.proposalId).to.equal(1);
+            expect(created.deadline).to.equal(await time.latest() + 3600);
+        });
+
+        it("Should fetch details and vote counts", async function() {
+            await createProposal(daoVoting, "Fund the audit", 3600);
+            await (await daoVoting.vote(0, 1234, 1, 1, [0, 0], [[0, 0], [0, 0]], [0, 0])).wait();
+            await (await daoVoting.vote(0, 1234, 2, 2, [0, 0], [[0, 0], [0, 0]], [0, 0])).wait();
+
+            const details = await fetchProposal(daoVoting, 0);
+            expect(details.description).to.equal("Fund the audit");
+            expect(details.yes).to.equal(1n);
+            expect(details.no).to.equal(0n);
+            expect(details.abstain).to.equal(1n);
+            expect(details.executed).to.be.false;
+        });
+
+        it("Should count each option of a multi-option ballot", async function() {
+            const options = ["alice", "bob", "carol", "dave"];
+            const created = await createProposal(daoVoting, "Grant round", 3600, { options });
+            expect(created.proposalId).to.equal(0);
+
+            const proof = { a: [0, 0], b: [[0, 0], [0, 0]], c: [0, 0] };
+            for (const [nullifierHash, voteValue] of [[1, 3], [2, 1], [3, 3]]) {
+                await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash, voteValue, proof });
+            }
+
+            const details = await fetchProposal(daoVoting, 0);
+            expect(details.options).to.deep.equal(options);
+            expect(details.votes).to.deep.equal([0n, 1n, 0n, 2n]);
+            expect(details).to.not.have.property("yes");
+
+            await expect(submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 4, voteValue: 4, proof })).to.be.revertedWithCustomError(daoVoting, "InvalidVoteValue");
+            await expect(daoVoting.getProposalVotes(0)).to.be.revertedWithCustomError(daoVoting, "NotYesNoBallot");
+        });
+
+        it("Should give plain proposals a yes/no/abstain ballot", async function() {
+            await createProposal(daoVoting, "Plain", 3600);
+            expect((await fetchProposal(daoVoting, 0)).options).to.deep.equal(["no", "yes", "abstain"]);
+        });
+
+        it("Should refuse ballots the circuit can't prove", async function() {
+            expect(() => checkBallotOptions(["only"])).to.throw("between 2 and 256 options");
+            expect(() => checkBallotOptions(["a", "A"])).to.throw("listed twice");
+            expect(() => checkBallotOptions(["a", ""])).to.throw("must not be empty");
+
+            // the contract enforces the bounds too
+            const tooMany = Array.from({ length: 257 }, (_, i) => `option ${i}`);
+            await expect(daoVoting.createProposalWithOptions("Too many", 3600, tooMany)).to.be.revertedWithCustomError(daoVoting, "InvalidOptionCount");
+        });
+
+        it("Should reject unknown proposals", async function() {
+            try {
+                await fetchProposal(daoVoting, 5);
+                expect.fail("should throw");
+            } catch (error) {
+                expect(error.message).to.include("does not exist");
+            }
+        });
+    });
+
+    describe("Execution and history", function() {
+        it("Should refuse to execute before the deadline", async function() {
+            await createProposal(daoVoting, "Too early", 3600);
+
+            await expect(executeProposal(daoVoting, 0)).to.be.revertedWithCustomError(daoVoting, "VotingEnded");
+        });
+
+        it("Should record creation and execution events", async function() {
+            await createProposal(daoVoting, "A", 60);
+            await createProposal(daoVoting, "B", 60);
+            // B needs a majority to pass
+            const proof = { a: [0, 0], b: [[0, 0], [0, 0]], c: [0, 0] };
+            await submitVote(daoVoting, { proposalId: 1, root: 1234, nullifierHash: 1, voteValue: 1, proof });
+            await time.increase(61);
+            await executeProposal(daoVoting, 1);
+
+            const history = await fetchProposalHistory(daoVoting);
+            expect(history.map(e => [e.type, e.proposalId])).to.deep.equal([
+                ["created", 0],
+                ["created", 1],
+                ["executed", 1]
+            ]);
+
+            const single = await fetchProposalHistory(daoVoting, { proposalId: 1 });
+            expect(single).to.have.length(2);
+            expect((await fetchProposal(daoVoting, 1)).executed).to.be.true;
+        });
+    });
+});
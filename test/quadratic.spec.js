@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    submitVote,
+    createProposal,
+    fetchProposal,
+    reconcileVotes,
+    parseCredits,
+    parseAllocation,
+    allocationCost,
+    padAllocation,
+    tallyQuadraticVotes,
+    fetchQuadraticVoteEvents
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Quadratic Voting", function () {
+    const options = ["alice", "bob", "carol"];
+
+    describe("Allocations", function() {
+        it("Should parse an allocation by option label", function() {
+            expect(parseAllocation("alice=3, BOB=1", options)).to.deep.equal([3n, 1n, 0n]);
+            expect(parseAllocation("carol=0,bob=2", options)).to.deep.equal([0n, 2n, 0n]);
+        });
+
+        it("Should refuse allocations it can't prove", function() {
+            expect(() => parseAllocation("alice", options)).to.throw("Invalid allocation \"alice\"");
+            expect(() => parseAllocation("dave=1", options)).to.throw("Invalid vote value \"dave\"");
+            expect(() => parseAllocation("alice=1,Alice=2", options)).to.throw("Option \"alice\" is allocated twice");
+            expect(() => parseAllocation("alice=0", options)).to.throw("casts no votes");
+            expect(() => parseAllocation(`alice=${2n ** 32n}`, options)).to.throw("more than the 4294967295 one option can take");
+            expect(() => parseAllocation("a=1", "abcdefghi".split(""))).to.throw("at most 8 options");
+        });
+
+        it("Should charge the square of the votes", function() {
+            expect(allocationCost([3n, 1n, 0n])).to.equal(10n);
+            expect(allocationCost(["4", "4"])).to.equal(32n);
+            expect(padAllocation([3n, 1n])).to.deep.equal([3n, 1n, 0n, 0n, 0n, 0n, 0n, 0n]);
+        });
+
+        it("Should validate credit budgets", function() {
+            expect(parseCredits("100")).to.equal(100n);
+            expect(() => parseCredits("0")).to.throw("between 1 and");
+            expect(() => parseCredits((2n ** 64n).toString())).to.throw("between 1 and");
+            expect(() => parseCredits("lots")).to.throw("Invalid credit budget");
+        });
+    });
+
+    describe("Tally", function() {
+        it("Should add up allocations and the credits they spent", function() {
+            const tally = tallyQuadraticVotes([
+                { nullifierHash: "1", allocation: ["3", "1", "0"] },
+                { nullifierHash: "2", allocation: ["0", "4", "0", "0", "0", "0", "0", "0"] },
+                { nullifierHash: "1", allocation: ["0", "0", "9"] }
+            ], { options });
+
+            expect(tally.counts).to.deep.equal([3, 5, 0]);
+            expect(tally.total).to.equal(8);
+            expect(tally.credits).to.equal(26);
+            expect(tally.ballots).to.equal(2);
+            expect(tally.duplicates).to.have.length(1);
+
+            expect(() => tallyQuadraticVotes([{ nullifierHash: "3", allocation: ["0", "0", "0", "1"] }], { options }))
+                .to.throw("the ballot has 3 options");
+        });
+
+        it("Should reconcile allocations regardless of padding", function() {
+            const local = [
+                { nullifierHash: "1", memberName: "A", allocation: ["3", "1", "0"] },
+                { nullifierHash: "2", memberName: "B", allocation: ["0", "2", "0"] }
+            ];
+            const chain = [
+                { nullifierHash: "1", allocation: ["3", "1", "0", "0", "0", "0", "0", "0"] },
+                { nullifierHash: "2", allocation: ["0", "1", "0", "0", "0", "0", "0", "0"] }
+            ];
+
+            const report = reconcileVotes(local, chain);
+            expect(report.matched).to.have.length(1);
+            expect(report.mismatched.map(m => m.local.memberName)).to.deep.equal(["B"]);
+        });
+    });
+
+    describe("QuadraticDAOVoting", function() {
+        const proof = { a: [0, 0], b: [[0, 0], [0, 0]], c: [0, 0] };
+        let daoVoting;
+
+        const deployVoting = votingFixture("QuadraticDAOVoting", {
+            setup: async deployment => {
+                await createProposal(deployment.daoVoting, "Grants round", 3600, { options });
+            }
+        });
+
+        beforeEach(async function() {
+            ({ daoVoting } = await loadFixture(deployVoting));
+        });
+
+        it("Should add allocations to the option counters", async function() {
+            await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 11, allocation: [3n, 1n, 0n], proof });
+            await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 12, allocation: [0n, 4n, 2n], proof });
+
+            const details = await fetchProposal(daoVoting, 0);
+            expect(details.votes).to.deep.equal([3n, 5n, 2n]);
+
+            const events = await fetchQuadraticVoteEvents(daoVoting, 0);
+            expect(events.map(e => e.nullifierHash)).to.deep.equal(["11", "12"]);
+            expect(events[0].allocation).to.deep.equal(["3", "1", "0", "0", "0", "0", "0", "0"]);
+
+            const tally = tallyQuadraticVotes(events, { options: details.options });
+            expect(tally.counts.map(BigInt)).to.deep.equal(details.votes);
+            expect(tally.credits).to.equal(10 + 20);
+
+            await expect(
+                submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 11, allocation: [1n], proof })
+            ).to.be.revertedWithCustomError(daoVoting, "NullifierAlreadyUsed");
+        });
+
+        it("Should refuse allocations the ballot can't hold", async function() {
+            await expect(
+                submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 21, allocation: [0n, 0n, 0n], proof })
+            ).to.be.revertedWithCustomError(daoVoting, "EmptyAllocation");
+            await expect(
+                submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 22, allocation: [1n, 0n, 0n, 1n], proof })
+            ).to.be.revertedWithCustomError(daoVoting, "InvalidVoteValue");
+            // a plain vote says nothing about the budget
+            await expect(
+                submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 23, voteValue: 1, proof })
+            ).to.be.revertedWithCustomError(daoVoting, "QuadraticVoteRequired");
+        });
+
+        it("Should only take ballots the circuit was built for", async function() {
+            expect(await daoVoting.MAX_QUADRATIC_OPTIONS()).to.equal(8n);
+            await expect(
+                createProposal(daoVoting, "Too many", 3600, { options: "abcdefghi".split("") })
+            ).to.be.revertedWithCustomError(daoVoting, "InvalidOptionCount");
+        });
+    });
+});
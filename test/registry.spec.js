@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    MERKLE_TREE_LEVELS,
+    MerkleTree,
+    buildHasher,
+    loadRegistry,
+    saveRegistry,
+    addCommitment,
+    findLeafIndex,
+    isWeightedRegistry,
+    registryCommitments,
+    buildRegistryTree,
+    computeWeightedLeaf
+} = require("..");
+
+describe("Member Registry", function () {
+    let hash;
+
+    before(async function() {
+        hash = await buildHasher();
+    });
+
+    it("Should order commitments by leaf index", function() {
+        const members = [
+            { index: 2, commitment: "30" },
+            { index: 0, commitment: "10" },
+            { index: 1, commitment: "20" }
+        ];
+
+        expect(registryCommitments(members)).to.deep.equal([10n, 20n, 30n]);
+    });
+
+    it("Should refuse registries with missing indices", function() {
+        const members = [
+            { index: 0, commitment: "10" },
+            { index: 2, commitment: "30" }
+        ];
+
+        expect(() => registryCommitments(members)).to.throw("missing leaf index 1");
+    });
+
+    it("Should build the same root as a tree over the commitments", async function() {
+        const members = [
+            { index: 0, commitment: "10" },
+            { index: 1, commitment: "20" }
+        ];
+        const tree = await buildRegistryTree(members);
+        const expected = new MerkleTree(MERKLE_TREE_LEVELS, [10n, 20n], { hash });
+
+        expect(tree.getRoot()).to.equal(expected.getRoot());
+    });
+
+    describe("Public registry file", function() {
+        let dir;
+
+        beforeEach(function() {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-"));
+        });
+
+        afterEach(function() {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("Should store only indices and commitments", function() {
+            const file = path.join(dir, "registry.json");
+            saveRegistry(file, [
+                { index: 0, commitment: "10", name: "Alice", nullifier: "1", secret: "2" }
+            ]);
+
+            const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+            expect(raw.members).to.deep.equal([{ index: 0, commitment: "10" }]);
+            expect(loadRegistry(file)).to.deep.equal([{ index: 0, commitment: "10" }]);
+        });
+
+        it("Should strip legacy member lists down to public fields", function() {
+            const file = path.join(dir, "members.json");
+            fs.writeFileSync(file, JSON.stringify([
+                { index: 0, name: "Alice", commitment: "10", nullifier: "1", secret: "2" }
+            ]));
+
+            expect(loadRegistry(file)).to.deep.equal([{ index: 0, commitment: "10" }]);
+        });
+    });
+
+    describe("Adding members", function() {
+        it("Should append commitments as the next leaf", function() {
+            const members = [];
+            expect(addCommitment(members, "10")).to.equal(0);
+            expect(addCommitment(members, 20n)).to.equal(1);
+            expect(findLeafIndex(members, "20")).to.equal(1);
+            expect(findLeafIndex(members, "30")).to.equal(-1);
+        });
+
+        it("Should refuse duplicate commitments", function() {
+            const members = [];
+            addCommitment(members, "10");
+            expect(() => addCommitment(members, "10")).to.throw("already registered");
+        });
+    });
+
+    describe("Weighted registries", function() {
+        it("Should hash each weight into its leaf", async function() {
+            const members = [];
+            addCommitment(members, "10", { weight: 5 });
+            addCommitment(members, "20", { weight: "300" });
+
+            expect(isWeightedRegistry(members)).to.equal(true);
+            expect(members[1]).to.deep.equal({ index: 1, commitment: "20", weight: "300" });
+
+            const tree = await buildRegistryTree(members);
+            const expected = new MerkleTree(MERKLE_TREE_LEVELS, [
+                computeWeightedLeaf(hash, 10n, 5n),
+                computeWeightedLeaf(hash, 20n, 300n)
+            ], { hash });
+            expect(tree.getRoot()).to.equal(expected.getRoot());
+        });
+
+        it("Should refuse to mix weighted and unweighted members", function() {
+            const weighted = [];
+            addCommitment(weighted, "10", { weight: 5 });
+            expect(() => addCommitment(weighted, "20")).to.throw("every member needs a weight");
+
+            const plain = [];
+            addCommitment(plain, "10");
+            expect(() => addCommitment(plain, "20", { weight: 5 })).to.throw("can't be given a weight");
+        });
+
+        it("Should refuse weights the circuit can't hold", function() {
+            expect(() => addCommitment([], "10", { weight: 0 })).to.throw("Weight must be between 1 and");
+            expect(() => addCommitment([], "10", { weight: 2n ** 64n })).to.throw("Weight must be between 1 and");
+            expect(() => addCommitment([], "10", { weight: "lots" })).to.throw("Invalid weight");
+        });
+
+        it("Should keep weights in the registry file", function() {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-"));
+            try {
+                const file = path.join(dir, "registry.json");
+                saveRegistry(file, [{ index: 0, commitment: "10", weight: 5n, name: "Alice" }]);
+                expect(loadRegistry(file)).to.deep.equal([{ index: 0, commitment: "10", weight: "5" }]);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+});
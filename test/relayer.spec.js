@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const path = require("path");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    connectDAOVoting,
+    createRelayer,
+    startRelayerServer,
+    fetchRelayerInfo,
+    relayVote,
+    checkRelayRequest,
+    feePaymentData,
+    buildBabyJub,
+    generateCommitteeKey,
+    encryptBallot,
+    fetchEncryptedTally
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Relayer", function () {
+    const proof = { a: ["1", "2"], b: [["3", "4"], ["5", "6"]], c: ["7", "8"] };
+    const root = 1234;
+    let voter;
+    let relayerAccount;
+    let daoVoting;
+    let address;
+    let server;
+    let url;
+    let verified;
+
+    // stands in for snarkjs - the mock verifier takes any proof anyway
+    async function acceptAll(vKey, publicSignals, submitted, kind) {
+        verified.push({ kind, publicSignals });
+        return true;
+    }
+
+    async function start(options = {}) {
+        const relayer = createRelayer({
+            contract: daoVoting,
+            verificationKeys: { vote: {} },
+            verifyProof: acceptAll,
+            ...options
+        });
+        server = await startRelayerServer(relayer, { port: 0 });
+        url = `http://127.0.0.1:${server.address().port}`;
+        return relayer;
+    }
+
+    function vote(fields = {}) {
+        return { contract: address, proposalId: 0, root: String(root), nullifierHash: "42", voteValue: 1, proof, ...fields };
+    }
+
+    async function expectRelayError(promise, errorName, status) {
+        try {
+            await promise;
+            expect.fail("should fail");
+        } catch (error) {
+            expect(error.errorName).to.equal(errorName);
+            expect(error.status).to.equal(status);
+        }
+    }
+
+    const deployVoting = votingFixture("DAOVoting", {
+        root,
+        setup: async deployment => {
+            await (await deployment.daoVoting.createProposal("Relayed", 3600)).wait();
+        }
+    });
+
+    beforeEach(async function() {
+        let signers;
+        ({ address, signers } = await loadFixture(deployVoting));
+        [voter, relayerAccount] = signers;
+
+        daoVoting = connectDAOVoting(address, relayerAccount);
+        verified = [];
+    });
+
+    afterEach(async function() {
+        if (server) {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            server = null;
+        }
+    });
+
+    it("Should relay a vote over HTTP from its own account", async function() {
+        await start();
+
+        const info = await fetchRelayerInfo(url);
+        expect(info.contract).to.equal(address);
+        expect(info.relayer).to.equal(relayerAccount.address);
+        expect(info.fee).to.equal("0");
+        expect(info.kinds).to.deep.equal(["vote"]);
+
+        const result = await relayVote(url, vote());
+        expect(result.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+
+        const tx = await ethers.provider.getTransaction(result.transactionHash);
+        expect(tx.from).to.equal(relayerAccount.address);
+        expect(tx.from).to.not.equal(voter.address);
+        expect((await daoVoting.getProposalVotes(0)).yes).to.equal(1n);
+
+        // checked against the signals the contract would hand the verifier
+        expect(verified).to.deep.equal([{ kind: "vote", publicSignals: ["1234", "42", "0", "1", "3"] }]);
+    });
+
+    it("Should refuse votes the contract would reject without sending them", async function() {
+        await start();
+        await relayVote(url, vote());
+        const nonce = await ethers.provider.getTransactionCount(relayerAccount.address);
+
+        await expectRelayError(relayVote(url, vote()), "NullifierAlreadyUsed", 409);
+        await expectRelayError(relayVote(url, vote({ nullifierHash: "43", root: "999" })), "UnknownRoot", 400);
+        await expectRelayError(relayVote(url, vote({ nullifierHash: "43", proposalId: 7 })), "ProposalDoesNotExist", 400);
+        await expectRelayError(relayVote(url, vote({ nullifierHash: "43", contract: ethers.ZeroAddress })), "WrongContract", 400);
+        await expectRelayError(relayVote(url, vote({ nullifierHash: "43", weight: "5" })), "UnsupportedVote", 400);
+        await expectRelayError(relayVote(url, vote({ nullifierHash: "43", proof: { a: [1] } })), "InvalidRequest", 400);
+
+        await time.increase(3601);
+        await expectRelayError(relayVote(url, vote({ nullifierHash: "43" })), "VotingEnded", 400);
+
+        expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(nonce);
+    });
+
+    it("Should check proofs against the verification key", async function() {
+        const vKey = require(path.join(__dirname, "../build/vote_20/verification_key.json"));
+        const relayer = createRelayer({ contract: daoVoting, verificationKeys: { vote: vKey } });
+
+        await expectRelayError(relayer.relay(vote()), "InvalidProof", 400);
+        expect((await daoVoting.getProposalVotes(0)).yes).to.equal(0n);
+    });
+
+    it("Should take a fee payment once", async function() {
+        const fee = ethers.parseEther("0.01");
+        const usedFees = new Set();
+        const relayed = [];
+        await start({ fee, usedFees, onRelayed: entry => relayed.push(entry) });
+        expect((await fetchRelayerInfo(url)).fee).to.equal(fee.toString());
+
+        await expectRelayError(relayVote(url, vote()), "FeeRequired", 402);
+
+        // any account will do - one the voter never used for anything else
+        const [, , payer] = await ethers.getSigners();
+        const data = feePaymentData("42");
+        const short = await (await payer.sendTransaction({ to: relayerAccount.address, value: fee - 1n, data })).wait();
+        await expectRelayError(relayVote(url, vote({ fee: { transactionHash: short.hash } })), "InsufficientFee", 402);
+
+        const paid = await (await payer.sendTransaction({ to: relayerAccount.address, value: fee, data })).wait();
+        await relayVote(url, vote({ fee: { transactionHash: paid.hash } }));
+        expect(relayed[0].feePayment).to.equal(paid.hash.toLowerCase());
+        expect(usedFees.has(paid.hash.toLowerCase())).to.equal(true);
+
+        await expectRelayError(relayVote(url, vote({ nullifierHash: "43", fee: { transactionHash: paid.hash } })), "FeeAlreadyUsed", 402);
+    });
+
+    it("Should leave a payment unspent when the vote is refused", async function() {
+        const fee = 1000n;
+        const relayer = createRelayer({ contract: daoVoting, verificationKeys: { vote: {} }, verifyProof: acceptAll, fee });
+        const [, , payer] = await ethers.getSigners();
+        const paid = await (await payer.sendTransaction({ to: relayerAccount.address, value: fee, data: feePaymentData("42") })).wait();
+
+        await relayer.relay(vote({ fee: { transactionHash: paid.hash } }));
+        const again = await (await payer.sendTransaction({ to: relayerAccount.address, value: fee, data: feePaymentData("42") })).wait();
+        await expectRelayError(relayer.relay(vote({ fee: { transactionHash: again.hash } })), "NullifierAlreadyUsed", 409);
+        // which is still tied to that nullifier hash
+        await expectRelayError(relayer.relay(vote({ nullifierHash: "43", fee: { transactionHash: again.hash } })), "FeeNotForVote", 402);
+    });
+
+    it("Should only take a payment for the vote it names", async function() {
+        const fee = 1000n;
+        const usedFees = new Set();
+        const relayed = [];
+        const relayer = createRelayer({
+            contract: daoVoting,
+            verificationKeys: { vote: {} },
+            verifyProof: acceptAll,
+            fee,
+            usedFees,
+            onRelayed: entry => {
+                relayed.push(entry);
+                throw new Error("disk full");
+            }
+        });
+        const [, , payer] = await ethers.getSigners();
+
+        // someone watching the chain can't spend another voter's payment
+        const theirs = await (await payer.sendTransaction({ to: relayerAccount.address, value: fee, data: feePaymentData("42") })).wait();
+        await expectRelayError(relayer.relay(vote({ nullifierHash: "66", fee: { transactionHash: theirs.hash } })), "FeeNotForVote", 402);
+        const plain = await (await payer.sendTransaction({ to: relayerAccount.address, value: fee })).wait();
+        await expectRelayError(relayer.relay(vote({ nullifierHash: "66", fee: { transactionHash: plain.hash } })), "FeeNotForVote", 402);
+
+        // a failing callback doesn't hand back a payment that already paid for a vote
+        try {
+            await relayer.relay(vote({ fee: { transactionHash: theirs.hash } }));
+            expect.fail("should throw");
+        } catch (error) {
+            expect(error.message).to.equal("disk full");
+        }
+        expect(relayed).to.have.length(1);
+        expect(usedFees.has(theirs.hash.toLowerCase())).to.equal(true);
+        expect((await daoVoting.getProposalVotes(0)).yes).to.equal(1n);
+    });
+
+    it("Should not let concurrent requests share a nullifier or a fee payment", async function() {
+        const fee = 1000n;
+        const usedFees = new Set();
+        const relayer = createRelayer({ contract: daoVoting, verificationKeys: { vote: {} }, verifyProof: acceptAll, fee, usedFees });
+        const [, , payer] = await ethers.getSigners();
+        const pay = async (nullifierHash = "42") => ({
+            transactionHash: (await (await payer.sendTransaction({ to: relayerAccount.address, value: fee, data: feePaymentData(nullifierHash) })).wait()).hash
+        });
+
+        const sameNullifier = await Promise.allSettled([relayer.relay(vote({ fee: await pay() })), relayer.relay(vote({ fee: await pay() }))]);
+        expect(sameNullifier[0].status).to.equal("fulfilled");
+        expect(sameNullifier[1].reason.errorName).to.equal("VotePending");
+        // the refused request's payment is free again
+        expect(usedFees.size).to.equal(1);
+
+        // the first to claim it is also the one it names
+        const payment = await pay("43");
+        const sameFee = await Promise.allSettled([
+            relayer.relay(vote({ nullifierHash: "43", fee: payment })),
+            relayer.relay(vote({ nullifierHash: "44", fee: payment }))
+        ]);
+        expect(sameFee[0].status).to.equal("fulfilled");
+        expect(sameFee[1].reason.errorName).to.equal("FeeAlreadyUsed");
+        expect((await daoVoting.getProposalVotes(0)).yes).to.equal(2n);
+    });
+
+    it("Should rate limit each client", async function() {
+        let clock = 0;
+        const relayer = createRelayer({
+            contract: daoVoting,
+            verificationKeys: { vote: {} },
+            verifyProof: acceptAll,
+            rateLimit: { requests: 2, windowMs: 60000 },
+            now: () => clock
+        });
+
+        await relayer.relay(vote({ nullifierHash: "1" }), { client: "a" });
+        await relayer.relay(vote({ nullifierHash: "2" }), { client: "a" });
+        await expectRelayError(relayer.relay(vote({ nullifierHash: "3" }), { client: "a" }), "RateLimited", 429);
+        await relayer.relay(vote({ nullifierHash: "3" }), { client: "b" });
+
+        clock += 60000;
+        await relayer.relay(vote({ nullifierHash: "4" }), { client: "a" });
+    });
+
+    it("Should relay an encrypted ballot without its plain vote", async function() {
+        const curve = await buildBabyJub();
+        const key = generateCommitteeKey(curve, { members: 3, threshold: 2 });
+        const { address: encryptedAddress } = await votingFixture("EncryptedDAOVoting", {
+            root,
+            args: [key.publicKey],
+            setup: async deployment => {
+                await (await deployment.daoVoting.createProposal("Sealed", 3600)).wait();
+            }
+        })();
+        daoVoting = connectDAOVoting(encryptedAddress, relayerAccount);
+        await start({ verificationKeys: { encrypted: {} } });
+
+        const { c1, c2 } = encryptBallot(curve, key.publicKey, 1);
+        const ciphertext = { c1: c1.map(point => point.map(String)), c2: c2.map(point => point.map(String)) };
+        const request = { contract: encryptedAddress, proposalId: 0, root: String(root), nullifierHash: "42", ciphertext, proof };
+        expect(checkRelayRequest(request)).to.deep.equal([]);
+
+        await relayVote(url, request);
+        expect(verified.map(entry => entry.kind)).to.deep.equal(["encrypted"]);
+        expect((await fetchEncryptedTally(daoVoting, 0, 3)).ballots).to.equal(1);
+    });
+
+    it("Should describe malformed requests", function() {
+        expect(checkRelayRequest(vote())).to.deep.equal([]);
+        expect(checkRelayRequest(null)).to.deep.equal(["The request must be a JSON object"]);
+        expect(checkRelayRequest(vote({ nullifierHash: "-1", voteValue: undefined }))).to.deep.equal([
+            "nullifierHash must be an unsigned integer",
+            "voteValue must be an unsigned integer"
+        ]);
+        expect(checkRelayRequest(vote({ allocation: ["3", "x"] }))).to.deep.equal(["allocation must be an array of unsigned integers"]);
+    });
+});
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    submitVote,
+    publishRoot,
+    addCommitment,
+    buildRegistryTree
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Membership Root Updates", function () {
+    let outsider;
+    let daoVoting;
+    let members;
+    let firstRoot;
+    let deployVoting;
+
+    const proof = {
+        a: ["1", "2"],
+        b: [["3", "4"], ["5", "6"]],
+        c: ["7", "8"]
+    };
+
+    async function registryRoot() {
+        return (await buildRegistryTree(members)).getRoot().toString();
+    }
+
+    function registerFirstMembers() {
+        members = [];
+        addCommitment(members, 101n);
+        addCommitment(members, 102n);
+    }
+
+    before(async function() {
+        [, outsider] = await ethers.getSigners();
+
+        registerFirstMembers();
+        firstRoot = await registryRoot();
+        deployVoting = votingFixture("DAOVoting", {
+            root: firstRoot,
+            setup: async deployment => {
+                await (await deployment.daoVoting.createProposal("Root history test", 3600)).wait();
+            }
+        });
+    });
+
+    beforeEach(async function() {
+        registerFirstMembers();
+        ({ daoVoting } = await loadFixture(deployVoting));
+    });
+
+    it("Should publish a new registry root and emit RootUpdated", async function() {
+        addCommitment(members, 103n);
+        const newRoot = await registryRoot();
+
+        const result = await publishRoot(daoVoting, newRoot);
+        expect(result.oldRoot).to.equal(firstRoot);
+
+        const receipt = await ethers.provider.getTransactionReceipt(result.transactionHash);
+        const event = daoVoting.interface.parseLog(receipt.logs[0]);
+        expect(event.name).to.equal("RootUpdated");
+        expect(event.args.oldRoot.toString()).to.equal(firstRoot);
+        expect(event.args.newRoot.toString()).to.equal(newRoot);
+
+        expect((await daoVoting.merkleRoot()).toString()).to.equal(newRoot);
+        expect(await daoVoting.isKnownRoot(newRoot)).to.be.true;
+    });
+
+    it("Should still accept votes against an older root", async function() {
+        addCommitment(members, 103n);
+        await publishRoot(daoVoting, await registryRoot());
+
+        // proof was built before member 103 joined
+        await submitVote(daoVoting, { proposalId: 0, root: firstRoot, nullifierHash: "1", voteValue: 1, proof });
+
+        expect((await daoVoting.getProposalVotes(0)).yes).to.equal(1n);
+    });
+
+    it("Should forget roots older than the history window", async function() {
+        const historySize = Number(await daoVoting.ROOT_HISTORY_SIZE());
+        for (let i = 0; i < historySize - 1; i++) {
+            addCommitment(members, 200n + BigInt(i));
+            await publishRoot(daoVoting, await registryRoot());
+        }
+        // oldest slot is about to be overwritten
+        expect(await daoVoting.isKnownRoot(firstRoot)).to.be.true;
+
+        addCommitment(members, 999n);
+        await publishRoot(daoVoting, await registryRoot());
+        expect(await daoVoting.isKnownRoot(firstRoot)).to.be.false;
+
+        await expect(submitVote(daoVoting, { proposalId: 0, root: firstRoot, nullifierHash: "2", voteValue: 1, proof })).to.be.revertedWithCustomError(daoVoting, "UnknownRoot");
+    });
+
+    it("Should reject roots it has never seen", async function() {
+        expect(await daoVoting.isKnownRoot(0)).to.be.false;
+
+        await expect(submitVote(daoVoting, { proposalId: 0, root: 5555, nullifierHash: "3", voteValue: 1, proof })).to.be.revertedWithCustomError(daoVoting, "UnknownRoot");
+    });
+
+    it("Should only let the admin update the root", async function() {
+        addCommitment(members, 103n);
+        const newRoot = await registryRoot();
+
+        await expect(publishRoot(daoVoting.connect(outsider), newRoot)).to.be.revertedWithCustomError(daoVoting, "NotAdmin");
+
+        // e.g. handing control to a governance contract
+        await (await daoVoting.setAdmin(outsider.address)).wait();
+        await publishRoot(daoVoting.connect(outsider), newRoot);
+        expect((await daoVoting.merkleRoot()).toString()).to.equal(newRoot);
+    });
+
+    it("Should not hand the admin role to the zero address", async function() {
+        await expect(daoVoting.setAdmin(ethers.ZeroAddress)).to.be.revertedWithCustomError(daoVoting, "InvalidAdmin");
+        expect(await daoVoting.admin()).to.equal((await ethers.getSigners())[0].address);
+    });
+
+    it("Should refuse to republish the current root", async function() {
+        await expect(publishRoot(daoVoting, firstRoot)).to.be.revertedWithCustomError(daoVoting, "InvalidRoot");
+    });
+});
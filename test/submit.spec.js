@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    submitVote,
+    decodeContractError,
+    buildHasher,
+    computeNullifierHash
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Vote Submission", function () {
+    let mockVerifier;
+    let daoVoting;
+
+    // shape the CLI stores in votes.json
+    const proof = {
+        a: ["1", "2"],
+        b: [["3", "4"], ["5", "6"]],
+        c: ["7", "8"]
+    };
+
+    const deployVoting = votingFixture("DAOVoting", {
+        setup: async deployment => {
+            await (await deployment.daoVoting.createProposal("Submission test", 3600)).wait();
+        }
+    });
+
+    beforeEach(async function() {
+        ({ daoVoting, verifier: mockVerifier } = await loadFixture(deployVoting));
+    });
+
+    it("Should submit a vote and return the receipt details", async function() {
+        const result = await submitVote(daoVoting, {
+            proposalId: 0,
+            root: 1234,
+            nullifierHash: "42",
+            voteValue: 1,
+            proof
+        });
+
+        expect(result.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(result.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+        expect(Number(result.gasUsed)).to.be.greaterThan(0);
+
+        const votes = await daoVoting.getProposalVotes(0);
+        expect(votes.yes).to.equal(1n);
+    });
+
+    it("Should decode NullifierAlreadyUsed", async function() {
+        const vote = { proposalId: 0, root: 1234, nullifierHash: "42", voteValue: 1, proof };
+        await submitVote(daoVoting, vote);
+
+        try {
+            await submitVote(daoVoting, vote);
+            expect.fail("second vote should revert");
+        } catch (error) {
+            expect(error.errorName).to.equal("NullifierAlreadyUsed");
+            expect(error.message).to.include("already voted");
+        }
+    });
+
+    it("Should accept one member's votes on two proposals under different nullifiers", async function() {
+        const hash = await buildHasher();
+        const nullifier = 987654321n;
+        await (await daoVoting.createProposal("Second proposal", 3600)).wait();
+
+        const first = computeNullifierHash(hash, nullifier, 0);
+        const second = computeNullifierHash(hash, nullifier, 1);
+        expect(first).to.not.equal(second);
+
+        await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: first, voteValue: 1, proof });
+        await submitVote(daoVoting, { proposalId: 1, root: 1234, nullifierHash: second, voteValue: 0, proof });
+
+        expect(await daoVoting.usedNullifiers(first)).to.be.true;
+        expect(await daoVoting.usedNullifiers(second)).to.be.true;
+        expect((await daoVoting.getProposalVotes(1)).no).to.equal(1n);
+    });
+
+    it("Should decode InvalidProof", async function() {
+        await mockVerifier.setResult(false);
+
+        await expect(submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: "43", voteValue: 0, proof })).to.be.revertedWithCustomError(daoVoting, "InvalidProof");
+    });
+
+    it("Should decode VotingEnded", async function() {
+        await time.increase(3601);
+
+        try {
+            await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: "44", voteValue: 2, proof });
+            expect.fail("vote should revert");
+        } catch (error) {
+            expect(error.errorName).to.equal("VotingEnded");
+            expect(error.message).to.include("has ended");
+        }
+    });
+
+    it("Should leave unknown errors undecoded", function() {
+        expect(decodeContractError(new Error("network down"))).to.be.null;
+    });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    submitVote,
+    voteValueOf,
+    tallyVotes,
+    localVoteEntries,
+    fetchVoteEvents,
+    reconcileVotes
+} = require("..");
+const { votingFixture } = require("./fixtures/voting");
+
+describe("Tally", function () {
+    describe("Counting", function() {
+        it("Should map labels to circuit vote values", function() {
+            expect(voteValueOf("no")).to.equal(0);
+            expect(voteValueOf("YES")).to.equal(1);
+            expect(voteValueOf("abstain")).to.equal(2);
+            expect(() => voteValueOf("maybe")).to.throw("Invalid vote value");
+        });
+
+        it("Should count only the first vote per nullifier", function() {
+            const tally = tallyVotes([
+                { nullifierHash: "1", voteValue: 1 },
+                { nullifierHash: "2", voteValue: 0 },
+                { nullifierHash: "1", voteValue: 0 },
+                { nullifierHash: "3", voteValue: 2 }
+            ]);
+
+            expect(tally.yes).to.equal(1n);
+            expect(tally.no).to.equal(1n);
+            expect(tally.abstain).to.equal(1n);
+            expect(tally.total).to.equal(3n);
+            expect(tally.duplicates).to.have.length(1);
+        });
+
+        it("Should track nullifiers per proposal", function() {
+            const tally = tallyVotes([
+                { proposalId: 1, nullifierHash: "1", voteValue: 1 },
+                { proposalId: 2, nullifierHash: "1", voteValue: 0 },
+                { proposalId: 1, nullifierHash: "1", voteValue: 0 }
+            ]);
+
+            expect(tally.total).to.equal(2n);
+            expect(tally.duplicates).to.deep.equal([{ proposalId: 1, nullifierHash: "1", voteValue: 0 }]);
+        });
+
+        it("Should count multi-option ballots per option", function() {
+            const options = ["alice", "bob", "carol"];
+            const tally = tallyVotes([
+                { nullifierHash: "1", voteValue: 2 },
+                { nullifierHash: "2", voteValue: 0, weight: "3" },
+                { nullifierHash: "3", voteValue: 2 }
+            ], { options });
+
+            expect(tally.options).to.equal(options);
+            expect(tally.counts).to.deep.equal([3n, 0n, 2n]);
+            expect(tally.total).to.equal(5n);
+            expect(tally).to.not.have.property("yes");
+            expect(voteValueOf("Carol", options)).to.equal(2);
+            expect(() => voteValueOf("yes", options)).to.throw("Use: alice, bob, carol");
+            expect(() => tallyVotes([{ nullifierHash: "4", voteValue: 3 }], { options })).to.throw("not one of the 3 options");
+        });
+
+        it("Should read local records of multi-option ballots", function() {
+            const entries = localVoteEntries([
+                { nullifierHash: "1", vote: "bob", options: ["alice", "bob"] },
+                { nullifierHash: "2", vote: "no" }
+            ]);
+            expect(entries.map(e => e.voteValue)).to.deep.equal([1, 0]);
+        });
+
+        it("Should add up vote weights", function() {
+            const tally = tallyVotes([
+                { nullifierHash: "1", voteValue: 1, weight: "500" },
+                { nullifierHash: "2", voteValue: 1, weight: 20 },
+                { nullifierHash: "3", voteValue: 0, weight: "300" },
+                // a repeat counts neither its vote nor its weight
+                { nullifierHash: "3", voteValue: 1, weight: "300" },
+                { nullifierHash: "4", voteValue: 2 }
+            ]);
+
+            expect(tally.yes).to.equal(520n);
+            expect(tally.no).to.equal(300n);
+            expect(tally.abstain).to.equal(1n);
+            expect(tally.total).to.equal(821n);
+            expect(tally.ballots).to.equal(4);
+            expect(tally.duplicates).to.have.length(1);
+        });
+
+        it("Should count weights past Number.MAX_SAFE_INTEGER exactly", function() {
+            // e.g. token balances in wei
+            const whale = 10n ** 21n + 1n;
+            const tally = tallyVotes([
+                { nullifierHash: "1", voteValue: 1, weight: whale.toString() },
+                { nullifierHash: "2", voteValue: 1, weight: "1" },
+                { nullifierHash: "3", voteValue: 0, weight: BigInt(Number.MAX_SAFE_INTEGER) + 2n }
+            ]);
+
+            expect(whale > BigInt(Number.MAX_SAFE_INTEGER)).to.equal(true);
+            expect(tally.yes).to.equal(whale + 1n);
+            expect(tally.no).to.equal(9007199254740993n);
+            expect(tally.total).to.equal(whale + 1n + 9007199254740993n);
+        });
+    });
+
+    describe("Reconciliation", function() {
+        it("Should flag votes missing on either side", function() {
+            const local = localVoteEntries([
+                { nullifierHash: "1", vote: "yes", memberName: "Alice" },
+                { nullifierHash: "2", vote: "no", memberName: "Bob" },
+                { nullifierHash: "3", vote: "yes", memberName: "Carol" }
+            ]);
+            const chain = [
+                { nullifierHash: "1", voteValue: 1 },
+                { nullifierHash: "3", voteValue: 2 },
+                { nullifierHash: "4", voteValue: 0 }
+            ];
+
+            const report = reconcileVotes(local, chain);
+            expect(report.matched).to.have.length(1);
+            expect(report.missingOnChain.map(v => v.memberName)).to.deep.equal(["Bob"]);
+            expect(report.unknownOnChain.map(v => v.nullifierHash)).to.deep.equal(["4"]);
+            expect(report.mismatched[0].local.memberName).to.equal("Carol");
+        });
+    });
+
+    describe("On-chain events", function() {
+        const deployVoting = votingFixture("DAOVoting");
+        const deployWeightedVoting = votingFixture("WeightedDAOVoting");
+
+        it("Should read VoteCast events for one proposal only", async function() {
+            const { daoVoting } = await loadFixture(deployVoting);
+
+            await (await daoVoting.createProposal("A", 3600)).wait();
+            await (await daoVoting.createProposal("B", 3600)).wait();
+
+            const proof = [[0, 0], [[0, 0], [0, 0]], [0, 0]];
+            await (await daoVoting.vote(0, 1234, 11, 1, ...proof)).wait();
+            await (await daoVoting.vote(1, 1234, 12, 0, ...proof)).wait();
+            await (await daoVoting.vote(0, 1234, 13, 2, ...proof)).wait();
+
+            const events = await fetchVoteEvents(daoVoting, 0);
+            expect(events.map(e => [e.nullifierHash, e.voteValue])).to.deep.equal([["11", 1], ["13", 2]]);
+
+            const tally = tallyVotes(events);
+            const counters = await daoVoting.getProposalVotes(0);
+            expect(tally.yes).to.equal(counters.yes);
+            expect(tally.abstain).to.equal(counters.abstain);
+            expect(events.map(e => e.weight)).to.deep.equal(["1", "1"]);
+        });
+
+        it("Should add each weighted vote's weight on chain", async function() {
+            const { daoVoting } = await loadFixture(deployWeightedVoting);
+
+            await (await daoVoting.createProposal("Treasury", 3600)).wait();
+
+            const proof = { a: [0, 0], b: [[0, 0], [0, 0]], c: [0, 0] };
+            await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 11, voteValue: 1, weight: 500, proof });
+            await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 12, voteValue: 0, weight: 300, proof });
+            await submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 13, voteValue: 1, weight: 20, proof });
+
+            const counters = await daoVoting.getProposalVotes(0);
+            expect(counters.yes).to.equal(520n);
+            expect(counters.no).to.equal(300n);
+
+            const events = await fetchVoteEvents(daoVoting, 0);
+            expect(events.map(e => e.weight)).to.deep.equal(["500", "300", "20"]);
+            expect(tallyVotes(events).total).to.equal(820n);
+
+            // the weighted verifier can't check a proof without the weight
+            await expect(submitVote(daoVoting, { proposalId: 0, root: 1234, nullifierHash: 14, voteValue: 1, proof })).to.be.revertedWithCustomError(daoVoting, "WeightedVoteRequired");
+        });
+    });
+});
@@ -1,108 +1,42 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const snarkjs = require("snarkjs");
-const circomlibjs = require("circomlibjs");
 const path = require("path");
 const fs = require("fs");
+const {
+    MERKLE_TREE_LEVELS,
+    MerkleTree,
+    buildHasher,
+    randomFieldElement,
+    computeCommitment,
+    computeNullifierHash
+} = require("..");
 
 describe("DAO Voting System", function () {
     let verifier;
     let daoVoting;
-    let poseidon;
-    let F;
+    let hash;
     
     // Test data
-    const MERKLE_TREE_HEIGHT = 20;
     const members = [];
     let tree;
     let merkleRoot;
     
-    // quick poseidon wrapper
-    async function poseidonHash(inputs) {
-        return F.toObject(poseidon(inputs.map(x => F.e(x))));
-    }
-    
-    // Helper function to create merkle tree
-    class MerkleTree {
-        constructor(levels, zero_value, leaves, hasher) {
-            this.levels = levels;
-            this.hasher = hasher;
-            this.zero_values = [zero_value];
-            this.leaves = leaves;
-            
-            for (let i = 1; i < levels; i++) {
-                this.zero_values[i] = hasher([this.zero_values[i-1], this.zero_values[i-1]]);
-            }
-            
-            this.layers = [leaves];
-            this.buildTree();
-        }
-        
-        buildTree() {
-            for (let level = 0; level < this.levels - 1; level++) {
-                const currentLevel = this.layers[level];
-                const nextLevel = [];
-                
-                for (let i = 0; i < currentLevel.length; i += 2) {
-                    const left = currentLevel[i];
-                    const right = i + 1 < currentLevel.length ? currentLevel[i + 1] : this.zero_values[level];
-                    nextLevel.push(this.hasher([left, right]));
-                }
-                
-                this.layers.push(nextLevel);
-            }
-        }
-        
-        getRoot() {
-            return this.layers[this.levels - 1][0];
-        }
-        
-        getProof(index) {
-            const proof = {
-                pathElements: [],
-                pathIndices: []
-            };
-            
-            for (let level = 0; level < this.levels - 1; level++) {
-                const position = index % 2;
-                const levelIndex = Math.floor(index / 2);
-                const currentLevel = this.layers[level];
-                
-                if (position === 0) {
-                    proof.pathElements.push(
-                        levelIndex + 1 < currentLevel.length 
-                            ? currentLevel[levelIndex * 2 + 1] 
-                            : this.zero_values[level]
-                    );
-                } else {
-                    proof.pathElements.push(currentLevel[levelIndex * 2]);
-                }
-                
-                proof.pathIndices.push(position);
-                index = Math.floor(index / 2);
-            }
-            
-            return proof;
-        }
-    }
-    
     before(async function() {
         this.timeout(60000);
         
         // init poseidon
-        const poseidonJs = await circomlibjs.buildPoseidon();
-        poseidon = poseidonJs;
-        F = poseidonJs.F;
+        hash = await buildHasher();
         
         // gen some test members - 10 is prob enough
         for (let i = 0; i < 10; i++) {
-            const nullifier = F.random();
-            const secret = F.random();
-            const commitment = await poseidonHash([nullifier, secret]);
+            const nullifier = await randomFieldElement();
+            const secret = await randomFieldElement();
+            const commitment = computeCommitment(hash, nullifier, secret);
             
             members.push({
-                nullifier: F.toObject(nullifier).toString(),
-                secret: F.toObject(secret).toString(),
+                nullifier: nullifier.toString(),
+                secret: secret.toString(),
                 commitment: commitment.toString(),
                 index: i
             });
@@ -110,19 +44,12 @@ describe("DAO Voting System", function () {
         
         // Build merkle tree with member commitments
         const leaves = members.map(m => BigInt(m.commitment));
-        const zeroValue = BigInt(0);
-        
-        tree = new MerkleTree(
-            MERKLE_TREE_HEIGHT,
-            zeroValue,
-            leaves,
-            (inputs) => F.toObject(poseidon(inputs.map(x => F.e(x))))
-        );
+        tree = new MerkleTree(MERKLE_TREE_LEVELS, leaves, { hash });
         
         merkleRoot = tree.getRoot();
         
-        // Deploy contracts
-        const Verifier = await ethers.getContractFactory("Groth16Verifier");
+        // Deploy contracts - the proofs below are mocks, so the verifier is too
+        const Verifier = await ethers.getContractFactory("MockVerifier");
         verifier = await Verifier.deploy();
         await verifier.waitForDeployment();
         
@@ -140,7 +67,7 @@ describe("DAO Voting System", function () {
         // Create witness
         const witness = {
             root: merkleRoot.toString(),
-            nullifierHash: (await poseidonHash([member.nullifier])).toString(),
+            nullifierHash: computeNullifierHash(hash, member.nullifier, proposalId).toString(),
             proposalId: proposalId.toString(),
             voteValue: voteValue.toString(),
             nullifier: member.nullifier,
@@ -216,6 +143,7 @@ describe("DAO Voting System", function () {
             
             const tx = await daoVoting.vote(
                 proposalId,
+                merkleRoot,
                 nullifierHash,
                 voteValue,
                 proof.a,
@@ -254,6 +182,7 @@ describe("DAO Voting System", function () {
             
             await daoVoting.vote(
                 proposalId,
+                merkleRoot,
                 nullifierHash,
                 voteValue,
                 proof.a,
@@ -275,6 +204,7 @@ describe("DAO Voting System", function () {
             
             await daoVoting.vote(
                 proposalId,
+                merkleRoot,
                 nullifierHash,
                 voteValue,
                 proof.a,
@@ -297,6 +227,7 @@ describe("DAO Voting System", function () {
             // First vote should succeed
             await daoVoting.vote(
                 proposalId,
+                merkleRoot,
                 nullifierHash,
                 voteValue,
                 proof.a,
@@ -308,6 +239,7 @@ describe("DAO Voting System", function () {
             await expect(
                 daoVoting.vote(
                     proposalId,
+                    merkleRoot,
                     nullifierHash,
                     voteValue,
                     proof.a,
@@ -321,6 +253,7 @@ describe("DAO Voting System", function () {
             await expect(
                 daoVoting.vote(
                     proposalId,
+                    merkleRoot,
                     12345,
                     3, // Invalid vote value
                     [0, 0],
@@ -334,6 +267,7 @@ describe("DAO Voting System", function () {
             await expect(
                 daoVoting.vote(
                     999, // Non-existent proposal
+                    merkleRoot,
                     12345,
                     1,
                     [0, 0],
@@ -354,6 +288,7 @@ describe("DAO Voting System", function () {
             
             const tx = await daoVoting.vote(
                 proposalId,
+                merkleRoot,
                 nullifierHash,
                 voteValue,
                 proof.a,
@@ -383,10 +318,14 @@ describe("DAO Voting System", function () {
             
             const { proof, nullifierHash } = await generateProof(memberIndex, proposalId, voteValue);
             
+            // the real verifier would refuse it, the mock has to be told to
+            await (await verifier.setResult(false)).wait();
+            
             // Try to vote with different nullifier hash
             await expect(
                 daoVoting.vote(
                     proposalId,
+                    merkleRoot,
                     12345, // Wrong nullifier hash
                     voteValue,
                     proof.a,
@@ -394,6 +333,8 @@ describe("DAO Voting System", function () {
                     proof.c
                 )
             ).to.be.revertedWithCustomError(daoVoting, "InvalidProof");
+            
+            await (await verifier.setResult(true)).wait();
         });
     });
 });
\ No newline at end of file
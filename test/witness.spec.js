@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const {
+    MerkleTree,
+    buildHasher,
+    computeCommitment,
+    computeWeightedLeaf,
+    computeBudgetLeaf,
+    computeDelegateCommitment,
+    buildBabyJub,
+    encryptBallot,
+    SNARK_SCALAR_FIELD,
+    buildVoteInput,
+    buildDelegationInput,
+    checkVoteInput,
+    assertVoteInput
+} = require("..");
+
+describe("Witness Pre-flight", function () {
+    const LEVELS = 20;
+    let hash;
+    let tree;
+    let valid;
+
+    before(async function() {
+        hash = await buildHasher();
+        tree = new MerkleTree(LEVELS, [
+            computeCommitment(hash, 1n, 2n),
+            computeCommitment(hash, 3n, 4n),
+            computeCommitment(hash, 5n, 6n)
+        ], { hash });
+    });
+
+    // Member 1's input, with a consistent nullifierHash for whatever is overridden
+    function inputFor(overrides = {}) {
+        return buildVoteInput(hash, {
+            nullifier: 3n,
+            secret: 4n,
+            proposalId: 7,
+            voteValue: 1,
+            proof: tree.getProof(1),
+            ...overrides
+        });
+    }
+
+    beforeEach(function() {
+        valid = inputFor();
+    });
+
+    it("Should accept a well-formed witness", function() {
+        expect(checkVoteInput(hash, valid)).to.deep.equal([]);
+    });
+
+    it("Should reject proposalId 0", function() {
+        expect(checkVoteInput(hash, inputFor({ proposalId: 0 }))).to.deep.equal(["proposalId 0 is rejected by the circuit"]);
+    });
+
+    it("Should reject vote values outside the ballot", function() {
+        valid.voteValue = "3";
+        expect(checkVoteInput(hash, valid)).to.deep.equal(["voteValue 3 is not one of the proposal's 3 options (0..2)"]);
+
+        expect(checkVoteInput(hash, inputFor({ voteValue: 6, optionCount: 7 }))).to.deep.equal([]);
+        expect(checkVoteInput(hash, inputFor({ voteValue: 7, optionCount: 7 }))).to.have.length(1);
+        expect(checkVoteInput(hash, inputFor({ voteValue: 0, optionCount: 257 }))).to.deep.equal([
+            "optionCount 257 is more than the 256 options a ballot can have"
+        ]);
+    });
+
+    it("Should reject a zero nullifier or secret", function() {
+        expect(checkVoteInput(hash, inputFor({ secret: 0n }))).to.include("secret 0 is rejected by the circuit");
+        expect(checkVoteInput(hash, inputFor({ nullifier: 0n }))).to.include("nullifier 0 is rejected by the circuit");
+    });
+
+    it("Should catch a nullifierHash that doesn't match", function() {
+        valid.nullifierHash = "12345";
+        expect(checkVoteInput(hash, valid)).to.deep.equal(["nullifierHash does not match Poseidon(nullifier, proposalId)"]);
+    });
+
+    it("Should report a leaf that isn't under the root", function() {
+        // right identity, wrong leaf's path
+        const wrongPath = tree.getProof(0);
+        valid.pathElements = wrongPath.pathElements.map(String);
+        valid.pathIndices = wrongPath.pathIndices.map(String);
+
+        const failures = checkVoteInput(hash, valid);
+        expect(failures).to.have.length(1);
+        expect(failures[0]).to.include("leaf not found under root");
+    });
+
+    it("Should report non-binary path indices", function() {
+        valid.pathIndices[4] = "2";
+        expect(checkVoteInput(hash, valid)).to.deep.equal(["pathIndices[4] is 2, must be 0 or 1"]);
+    });
+
+    it("Should check the input shape before anything else", function() {
+        valid.pathElements = valid.pathElements.slice(1);
+        valid.root = SNARK_SCALAR_FIELD.toString();
+        delete valid.secret;
+
+        expect(checkVoteInput(hash, valid)).to.deep.equal([
+            `root ${SNARK_SCALAR_FIELD} is not a field element`,
+            "secret is missing",
+            "pathElements must have 20 entries (got 19)"
+        ]);
+    });
+
+    it("Should catch a nullifierHash from another proposal", function() {
+        valid.nullifierHash = inputFor({ proposalId: 8 }).nullifierHash;
+        expect(checkVoteInput(hash, valid)).to.deep.equal(["nullifierHash does not match Poseidon(nullifier, proposalId)"]);
+    });
+
+    it("Should throw with every failure listed", function() {
+        try {
+            assertVoteInput(hash, inputFor({ proposalId: 0, voteValue: 5 }));
+            expect.fail("should throw");
+        } catch (error) {
+            expect(error.failures).to.have.length(2);
+            expect(error.message).to.include("proposalId 0 is rejected");
+            expect(error.message).to.include("voteValue 5");
+        }
+    });
+
+    it("Should check weighted inputs against the weighted leaf", function() {
+        const weightedTree = new MerkleTree(LEVELS, [
+            computeWeightedLeaf(hash, computeCommitment(hash, 1n, 2n), 5n),
+            computeWeightedLeaf(hash, computeCommitment(hash, 3n, 4n), 7n)
+        ], { hash });
+        const weighted = inputFor({ weight: 7n, proof: weightedTree.getProof(1) });
+
+        expect(weighted.weight).to.equal("7");
+        expect(checkVoteInput(hash, weighted)).to.deep.equal([]);
+
+        // claiming more weight than the registry gave lands on another root
+        weighted.weight = "8";
+        expect(checkVoteInput(hash, weighted)[0]).to.include("leaf not found under root");
+
+        weighted.weight = (2n ** 64n).toString();
+        expect(checkVoteInput(hash, weighted)).to.include(`weight ${2n ** 64n} does not fit in 64 bits`);
+    });
+
+    it("Should check quadratic allocations against the budget", function() {
+        const budgetTree = new MerkleTree(LEVELS, [
+            computeBudgetLeaf(hash, computeCommitment(hash, 1n, 2n), 100n),
+            computeBudgetLeaf(hash, computeCommitment(hash, 3n, 4n), 20n)
+        ], { hash });
+        const quadraticInput = overrides => inputFor({
+            allocation: [4n, 2n],
+            credits: 20n,
+            optionCount: 3,
+            proof: budgetTree.getProof(1),
+            ...overrides
+        });
+
+        const valid = quadraticInput();
+        expect(valid.allocation).to.deep.equal(["4", "2", "0", "0", "0", "0", "0", "0"]);
+        expect(valid).to.not.have.property("voteValue");
+        expect(checkVoteInput(hash, valid)).to.deep.equal([]);
+
+        // 4^2 + 3^2 = 25 credits
+        expect(checkVoteInput(hash, quadraticInput({ allocation: [4n, 3n] })))
+            .to.deep.equal(["allocation costs 25 credits, more than the budget of 20"]);
+        expect(checkVoteInput(hash, quadraticInput({ allocation: [0n, 0n, 0n, 1n] }))[0])
+            .to.include("allocation[3] puts 1 votes on an option the proposal doesn't have");
+        expect(checkVoteInput(hash, quadraticInput({ optionCount: 9 }))[0])
+            .to.include("more than the 8 options a quadratic ballot can have");
+
+        // a bigger budget than the registry gave lands on another root
+        expect(checkVoteInput(hash, quadraticInput({ credits: 100n }))[0]).to.include("leaf not found under root");
+    });
+
+    it("Should check encrypted ballots against the committee key", async function() {
+        const curve = await buildBabyJub();
+        const publicKey = curve.mul(curve.base, 12345n);
+        const encryption = { publicKey, ...encryptBallot(curve, publicKey, 2) };
+        const encryptedInput = overrides => inputFor({ voteValue: 2, optionCount: 3, encryption, ...overrides });
+
+        const input = encryptedInput();
+        expect(input.c1).to.have.length(4);
+        expect(checkVoteInput(hash, input, { curve })).to.deep.equal([]);
+        expect(() => checkVoteInput(hash, input)).to.throw("needs the Baby Jubjub curve");
+
+        // ciphertexts for option 2 don't prove a vote for option 1
+        const failures = checkVoteInput(hash, encryptedInput({ voteValue: 1 }), { curve });
+        expect(failures).to.include("c2[1] is not the encryption of option 1 under publicKey with randomness[1]");
+        expect(failures).to.include("c2[2] is not the encryption of option 2 under publicKey with randomness[2]");
+
+        expect(checkVoteInput(hash, encryptedInput({ optionCount: 5, voteValue: 4 }), { curve })[0])
+            .to.include("more than the 4 options an encrypted ballot can have");
+    });
+
+    it("Should check delegations and delegated votes", function() {
+        const delegationInput = buildDelegationInput(hash, {
+            nullifier: 3n,
+            secret: 4n,
+            proposalId: 7,
+            delegateCommitment: 99n,
+            revocationHash: 123n,
+            proof: tree.getProof(1)
+        });
+        expect(delegationInput.nullifierHash).to.equal(valid.nullifierHash);
+        expect(delegationInput).to.not.have.property("voteValue");
+        expect(checkVoteInput(hash, delegationInput)).to.deep.equal([]);
+        expect(checkVoteInput(hash, { ...delegationInput, revocationHash: "" }))
+            .to.deep.equal(["revocationHash is missing"]);
+
+        // a delegate votes with the commitment their own nullifier and secret open
+        const delegateCommitment = computeDelegateCommitment(hash, 3n, 4n);
+        expect(delegateCommitment).to.not.equal(computeCommitment(hash, 3n, 4n));
+        expect(checkVoteInput(hash, inputFor({ delegateCommitment }))).to.deep.equal([]);
+        expect(checkVoteInput(hash, inputFor({ delegateCommitment: computeDelegateCommitment(hash, 1n, 2n) })))
+            .to.deep.equal(["delegateCommitment does not match Poseidon(nullifier, secret, 1)"]);
+    });
+
+    it("Should agree with the compiled circuit", async function() {
+        this.timeout(60000);
+
+        const wasmPath = path.join(__dirname, "../build/vote_20/vote_js/vote.wasm");
+
+        await snarkjs.wtns.calculate(valid, wasmPath, { type: "mem" });
+        await snarkjs.wtns.calculate(inputFor({ voteValue: 4, optionCount: 5 }), wasmPath, { type: "mem" });
+
+        for (const rejected of [inputFor({ proposalId: 0 }), inputFor({ voteValue: 5, optionCount: 5 })]) {
+            expect(checkVoteInput(hash, rejected)).to.not.be.empty;
+            try {
+                await snarkjs.wtns.calculate(rejected, wasmPath, { type: "mem" });
+                expect.fail("should throw");
+            } catch (error) {
+                expect(error.message).to.include("Assert Failed");
+            }
+        }
+    });
+});